@@ -0,0 +1,202 @@
+const ACCEPTED_FILES = 'image/*,.svg,video/*,.webm,.mp4,.mov,.woff,.woff2,.ttf,.otf,.json';
+
+// The element each kind of asset is added to the canvas as
+const INSERT_TYPES = { image: 'image', video: 'video', lottie: 'lottie' };
+
+const FONT_WEIGHTS = ['100', '200', '300', '400', '500', '600', '700', '800', '900'];
+
+export class AssetsPanel {
+    constructor(containerElement, visualEditor, templateManager) {
+        this.container = containerElement;
+        this.visualEditor = visualEditor;
+        this.templateManager = templateManager;
+
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.render();
+    }
+
+    setupEventListeners() {
+        this.container.addEventListener('click', (e) => this.handleClick(e));
+        this.container.addEventListener('change', (e) => {
+            if (e.target.matches('[data-asset-upload]')) {
+                this.uploadFiles(Array.from(e.target.files));
+            } else if (e.target.matches('[data-font-field]')) {
+                this.updateFont(e.target.closest('.asset-item').dataset.assetPath, e.target.dataset.fontField, e.target.value);
+            }
+        });
+
+        // Files can also be dropped onto the panel
+        this.container.addEventListener('dragover', (e) => {
+            if (e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files')) {
+                e.preventDefault();
+                this.container.classList.add('drop-target');
+            }
+        });
+        this.container.addEventListener('dragleave', () => this.container.classList.remove('drop-target'));
+        this.container.addEventListener('drop', (e) => {
+            this.container.classList.remove('drop-target');
+            if (e.dataTransfer && e.dataTransfer.files.length > 0) {
+                e.preventDefault();
+                this.uploadFiles(Array.from(e.dataTransfer.files));
+            }
+        });
+    }
+
+    render() {
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template) {
+            this.container.innerHTML = '<p class="schema-empty">No template selected</p>';
+            return;
+        }
+
+        const items = template.assets.map(asset => `
+            <div class="asset-item" data-asset-path="${this.escapeHtml(asset.path)}">
+                ${asset.kind === 'image'
+                    ? `<img class="asset-thumb" src="${this.escapeHtml(this.templateManager.assets.resolve(template, asset.path))}" alt="">`
+                    : asset.kind === 'video'
+                    ? `<video class="asset-thumb" src="${this.escapeHtml(this.templateManager.assets.resolve(template, asset.path))}" muted preload="metadata"></video>`
+                    : asset.kind === 'lottie'
+                    ? '<span class="asset-thumb asset-font" title="Lottie animation">◌</span>'
+                    : asset.kind === 'file'
+                    ? '<span class="asset-thumb asset-font" title="Package file">{ }</span>'
+                    : `<span class="asset-thumb asset-font" style="font-family: &quot;${this.escapeHtml(asset.family)}&quot;; font-weight: ${this.escapeHtml(asset.weight)}; font-style: ${this.escapeHtml(asset.style)}">Aa</span>`}
+                <div class="asset-info">
+                    <span class="asset-name" title="${this.escapeHtml(asset.path)}">${this.escapeHtml(asset.path)}</span>
+                    <span class="asset-meta">${this.formatSize(asset.size)}${this.templateManager.assets.getBlob(asset.id) ? '' : ' · missing'}</span>
+                    ${asset.kind === 'font' ? this.renderFontFields(asset) : ''}
+                </div>
+                ${asset.kind in INSERT_TYPES ? '<button type="button" class="template-action-btn" data-asset-action="insert" title="Add to canvas">＋</button>' : ''}
+                <button type="button" class="template-action-btn" data-asset-action="remove" title="Remove">🗑️</button>
+            </div>
+        `).join('');
+
+        this.container.innerHTML = `
+            <label class="btn btn-secondary asset-upload">
+                Upload Images, Videos, Fonts or Lottie
+                <input type="file" data-asset-upload accept="${ACCEPTED_FILES}" multiple hidden>
+            </label>
+            <div class="asset-list">
+                ${items || '<p class="schema-empty">No assets. Uploaded files are bundled with the graphic.</p>'}
+            </div>
+        `;
+    }
+
+    renderFontFields(asset) {
+        const weights = FONT_WEIGHTS.map(weight =>
+            `<option value="${weight}" ${weight === String(asset.weight) ? 'selected' : ''}>${weight}</option>`
+        ).join('');
+
+        return `
+            <div class="asset-font-fields">
+                <input type="text" class="property-input" data-font-field="family" value="${this.escapeHtml(asset.family)}" placeholder="Family" title="Font family">
+                <select class="property-input" data-font-field="weight" title="Weight">${weights}</select>
+                <select class="property-input" data-font-field="style" title="Style">
+                    <option value="normal" ${asset.style !== 'italic' ? 'selected' : ''}>Normal</option>
+                    <option value="italic" ${asset.style === 'italic' ? 'selected' : ''}>Italic</option>
+                </select>
+            </div>
+        `;
+    }
+
+    updateFont(path, field, value) {
+        const template = this.templateManager.getCurrentTemplate();
+        const asset = template && template.getAsset(path);
+        if (!asset) return;
+
+        const trimmed = value.trim();
+        if (field === 'family' && !trimmed) {
+            this.render();
+            return;
+        }
+
+        asset[field] = trimmed;
+        this.commit('Edit font');
+    }
+
+    async uploadFiles(files) {
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template || files.length === 0) return;
+
+        const errors = [];
+        for (const file of files) {
+            try {
+                template.addAsset(await this.templateManager.assets.store(file));
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+
+        this.commit(files.length > errors.length ? 'Add asset' : null);
+        if (errors.length > 0) {
+            alert(`Some files could not be added:\n${errors.join('\n')}`);
+        }
+    }
+
+    handleClick(e) {
+        const button = e.target.closest('[data-asset-action]');
+        const template = this.templateManager.getCurrentTemplate();
+        if (!button || !template) return;
+
+        const path = button.closest('.asset-item').dataset.assetPath;
+        if (button.dataset.assetAction === 'insert') {
+            this.insertAsset(template.getAsset(path));
+        } else if (button.dataset.assetAction === 'remove') {
+            this.removeAsset(template, path);
+        }
+    }
+
+    async insertAsset(asset) {
+        const overrides = { content: asset.path };
+        if (asset.kind === 'lottie') {
+            // Lottie animations are often made full frame, so they start at their own size in the corner
+            const data = await this.templateManager.assets.loadAnimation(asset.id).catch(() => null);
+            if (data) Object.assign(overrides, { x: 0, y: 0, width: data.w, height: data.h });
+        }
+        this.visualEditor.addElement(INSERT_TYPES[asset.kind], overrides);
+    }
+
+    removeAsset(template, path) {
+        const users = template.getAllElements().filter(element =>
+            element.content === path ||
+            (element.frames || []).includes(path) ||
+            template.steps.some(step => step.overrides[element.id] && step.overrides[element.id].content === path)
+        );
+        const message = users.length > 0
+            ? `"${path}" is used by ${users.map(element => element.id).join(', ')}. Remove it anyway?`
+            : `Remove "${path}"?`;
+        if (!confirm(message)) return;
+
+        template.removeAsset(path);
+        this.commit('Remove asset');
+    }
+
+    commit(label) {
+        const template = this.templateManager.getCurrentTemplate();
+        if (label && template) {
+            template.generateWebComponent();
+            this.templateManager.saveToStorage({ label });
+            this.visualEditor.render();
+            this.visualEditor.dispatchEvent('elementUpdated', { elementId: this.visualEditor.selectedElement });
+        }
+        this.render();
+    }
+
+    formatSize(bytes) {
+        if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${bytes || 0} B`;
+    }
+
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
\ No newline at end of file
@@ -253,7 +253,7 @@ export class CodeEditor {
             const template = this.templateManager.getCurrentTemplate();
             if (template) {
                 template.manifest = manifest;
-                this.templateManager.saveToStorage();
+                this.templateManager.saveToStorage({ label: 'Edit manifest', mergeKey: 'manifest' });
                 this.showValidationMessage('Manifest updated successfully', 'success');
             }
         } catch (error) {
@@ -267,7 +267,7 @@ export class CodeEditor {
         const template = this.templateManager.getCurrentTemplate();
         if (template) {
             template.webComponent = this.componentEditor.value;
-            this.templateManager.saveToStorage();
+            this.templateManager.saveToStorage({ label: 'Edit component code', mergeKey: 'component' });
             this.showValidationMessage('Component code updated', 'success');
         }
     }
@@ -0,0 +1,346 @@
+import { SchemaEditor } from './SchemaEditor.js';
+import { TIMER_CONTROLS } from '../models/Timer.js';
+import { MEDIA_TYPES, MEDIA_CONTROLS } from '../models/Media.js';
+
+const EFFECT_TYPES = [
+    { value: 'content', label: 'Change content' },
+    { value: 'visibility', label: 'Element visibility' },
+    { value: 'animation', label: 'Run animation' },
+    { value: 'timer', label: 'Control timer' },
+    { value: 'media', label: 'Control video or sequence' }
+];
+
+const VISIBILITY_MODES = [
+    { value: 'show', label: 'Show' },
+    { value: 'hide', label: 'Hide' },
+    { value: 'toggle', label: 'Toggle' }
+];
+
+export class CustomActionEditor {
+    constructor(templateManager, options = {}) {
+        this.templateManager = templateManager;
+        this.onChange = options.onChange || (() => {});
+        this.container = null;
+        this.editingId = null;
+        this.error = null;
+
+        // Payload fields are edited with the same schema editor as the data fields
+        this.payloadEditor = new SchemaEditor(templateManager, {
+            getRootSchema: (template) => {
+                const action = template.getCustomAction(this.editingId);
+                if (!action) return null;
+                if (!action.schema) {
+                    action.schema = { type: 'object', properties: {} };
+                }
+                return action.schema;
+            },
+            onChange: () => this.onChange()
+        });
+
+        this.handleClick = this.handleClick.bind(this);
+        this.handleChange = this.handleChange.bind(this);
+    }
+
+    mount(containerElement) {
+        if (this.container) {
+            this.container.removeEventListener('click', this.handleClick);
+            this.container.removeEventListener('change', this.handleChange);
+        }
+
+        this.container = containerElement;
+        if (!this.container) return;
+
+        this.container.addEventListener('click', this.handleClick);
+        this.container.addEventListener('change', this.handleChange);
+        this.render();
+    }
+
+    render() {
+        if (!this.container) return;
+
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template) {
+            this.container.innerHTML = '';
+            return;
+        }
+
+        const actions = template.getCustomActions();
+        if (this.editingId && !template.getCustomAction(this.editingId)) {
+            this.editingId = null;
+        }
+
+        const items = actions.map(action => `
+            <div class="schema-field ${action.id === this.editingId ? 'editing' : ''}">
+                <div class="schema-field-header">
+                    <div class="schema-field-info">
+                        <span class="schema-field-title">${this.escapeHtml(action.name || action.id)}</span>
+                        <span class="schema-field-key">${this.escapeHtml(action.id)}</span>
+                    </div>
+                    <span class="schema-type-badge">${this.describeEffects(template, action.id)}</span>
+                    <div class="schema-field-actions">
+                        <button type="button" class="template-action-btn" data-action-editor="edit" data-action-id="${this.escapeHtml(action.id)}" title="Edit">✎</button>
+                        <button type="button" class="template-action-btn" data-action-editor="remove" data-action-id="${this.escapeHtml(action.id)}" title="Remove">🗑️</button>
+                    </div>
+                </div>
+                ${action.id === this.editingId ? this.renderActionForm(template, action) : ''}
+            </div>
+        `).join('');
+
+        this.container.innerHTML = `
+            <div class="schema-field-list">
+                ${items || '<p class="schema-empty">No custom actions</p>'}
+                <button type="button" class="btn btn-secondary btn-small schema-add-btn" data-action-editor="add">+ Add Action</button>
+            </div>
+        `;
+
+        const payloadContainer = this.container.querySelector('.custom-action-payload');
+        if (payloadContainer) {
+            this.payloadEditor.mount(payloadContainer);
+        }
+    }
+
+    renderActionForm(template, action) {
+        const effects = template.getActionEffects(action.id);
+        const isBuiltIn = action.id === 'slideIn' || action.id === 'slideOut';
+
+        return `
+            <div class="schema-field-form">
+                ${this.error ? `<div class="validation-message error-message">${this.escapeHtml(this.error)}</div>` : ''}
+                <div class="property-group">
+                    <label>ID</label>
+                    <input type="text" class="property-input" data-action-input="id" value="${this.escapeHtml(action.id)}">
+                </div>
+                <div class="property-group">
+                    <label>Name</label>
+                    <input type="text" class="property-input" data-action-input="name" value="${this.escapeHtml(action.name || '')}">
+                </div>
+                <div class="property-group">
+                    <label>Description</label>
+                    <input type="text" class="property-input" data-action-input="description" value="${this.escapeHtml(action.description || '')}">
+                </div>
+                <div class="property-group">
+                    <label>Payload Fields</label>
+                    <div class="custom-action-payload"></div>
+                    <small class="help-text">Use payload fields as {{key}} in content effects</small>
+                </div>
+                <div class="property-group">
+                    <label>Effects</label>
+                    ${effects.map((effect, index) => this.renderEffect(template, effect, index)).join('') || '<p class="schema-empty">No effects</p>'}
+                    <button type="button" class="btn btn-secondary btn-small" data-action-editor="add-effect">+ Add Effect</button>
+                    ${isBuiltIn ? '<small class="help-text">Without effects this action runs the built-in slide (or the In/Out timeline)</small>' : ''}
+                </div>
+                <div class="schema-form-actions">
+                    <button type="button" class="btn btn-primary btn-small" data-action-editor="done">Done</button>
+                </div>
+            </div>
+        `;
+    }
+
+    renderEffect(template, effect, index) {
+        const typeOptions = this.renderOptions(EFFECT_TYPES, effect.type);
+        const elementOptions = this.renderOptions(
+            template.getAllElements().map(element => ({ value: element.id, label: template.getElementLabel(element) })),
+            effect.elementId
+        );
+        let fields = '';
+
+        switch (effect.type) {
+            case 'content':
+                fields = `
+                    <select class="property-input" data-effect-field="elementId" data-index="${index}">${elementOptions}</select>
+                    <input type="text" class="property-input" data-effect-field="value" data-index="${index}" value="${this.escapeHtml(effect.value || '')}" placeholder="New content, e.g. {{name}}">
+                `;
+                break;
+            case 'visibility':
+                fields = `
+                    <select class="property-input" data-effect-field="elementId" data-index="${index}">${elementOptions}</select>
+                    <select class="property-input" data-effect-field="mode" data-index="${index}">${this.renderOptions(VISIBILITY_MODES, effect.mode)}</select>
+                `;
+                break;
+            case 'timer': {
+                const timerOptions = this.renderOptions(
+                    template.getAllElements().filter(element => element.type === 'timer').map(element => ({ value: element.id, label: template.getElementLabel(element) })),
+                    effect.elementId
+                );
+                fields = `
+                    <select class="property-input" data-effect-field="elementId" data-index="${index}">${timerOptions}</select>
+                    <select class="property-input" data-effect-field="control" data-index="${index}">${this.renderOptions(TIMER_CONTROLS, effect.control)}</select>
+                `;
+                break;
+            }
+            case 'media': {
+                const mediaOptions = this.renderOptions(
+                    template.getAllElements().filter(element => MEDIA_TYPES.includes(element.type)).map(element => ({ value: element.id, label: template.getElementLabel(element) })),
+                    effect.elementId
+                );
+                fields = `
+                    <select class="property-input" data-effect-field="elementId" data-index="${index}">${mediaOptions}</select>
+                    <select class="property-input" data-effect-field="control" data-index="${index}">${this.renderOptions(MEDIA_CONTROLS, effect.control)}</select>
+                `;
+                break;
+            }
+            case 'animation': {
+                const names = Array.from(new Set(['in', 'out', ...Object.keys(template.animations || {})]));
+                fields = `
+                    <select class="property-input" data-effect-field="animation" data-index="${index}">${this.renderOptions(names.map(name => ({ value: name, label: name })), effect.animation)}</select>
+                `;
+                break;
+            }
+        }
+
+        return `
+            <div class="custom-action-effect">
+                <select class="property-input" data-effect-field="type" data-index="${index}">${typeOptions}</select>
+                ${fields}
+                <button type="button" class="template-action-btn" data-action-editor="remove-effect" data-index="${index}" title="Remove effect">✕</button>
+            </div>
+        `;
+    }
+
+    renderOptions(options, selected) {
+        return options.map(option =>
+            `<option value="${this.escapeHtml(option.value)}" ${option.value === selected ? 'selected' : ''}>${this.escapeHtml(option.label)}</option>`
+        ).join('');
+    }
+
+    handleClick(e) {
+        const button = e.target.closest('[data-action-editor]');
+        if (!button || !this.container.contains(button)) return;
+
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template) return;
+
+        const actionId = button.dataset.actionId;
+        switch (button.dataset.actionEditor) {
+            case 'add':
+                this.addAction(template);
+                return;
+            case 'edit':
+                this.editingId = this.editingId === actionId ? null : actionId;
+                this.payloadEditor.editing = null;
+                this.error = null;
+                this.render();
+                return;
+            case 'remove':
+                if (!confirm(`Remove custom action "${actionId}"?`)) return;
+                template.removeCustomAction(actionId);
+                break;
+            case 'add-effect':
+                template.getActionEffects(this.editingId).push(this.createEffect(template, 'content'));
+                break;
+            case 'remove-effect':
+                template.getActionEffects(this.editingId).splice(parseInt(button.dataset.index), 1);
+                break;
+            case 'done':
+                this.editingId = null;
+                this.error = null;
+                this.render();
+                return;
+        }
+
+        this.render();
+        this.onChange();
+    }
+
+    handleChange(e) {
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template || !this.editingId) return;
+
+        const actionInput = e.target.closest('[data-action-input]');
+        if (actionInput) {
+            this.updateAction(template, actionInput.dataset.actionInput, actionInput.value);
+            return;
+        }
+
+        const effectInput = e.target.closest('[data-effect-field]');
+        if (!effectInput) return;
+
+        const effects = template.getActionEffects(this.editingId);
+        const index = parseInt(effectInput.dataset.index);
+        if (effectInput.dataset.effectField === 'type') {
+            effects[index] = this.createEffect(template, effectInput.value, effects[index].elementId);
+        } else {
+            effects[index][effectInput.dataset.effectField] = effectInput.value;
+        }
+
+        this.render();
+        this.onChange();
+    }
+
+    updateAction(template, field, value) {
+        this.error = null;
+
+        if (field === 'id') {
+            const id = value.trim();
+            if (!/^[A-Za-z_][A-Za-z0-9_-]*$/.test(id)) {
+                this.error = 'ID must start with a letter or underscore and contain only letters, numbers, "-" and "_"';
+                this.render();
+                return;
+            }
+            try {
+                template.updateCustomAction(this.editingId, { id });
+                this.editingId = id;
+            } catch (error) {
+                this.error = error.message;
+                this.render();
+                return;
+            }
+        } else {
+            template.updateCustomAction(this.editingId, { [field]: value });
+        }
+
+        this.render();
+        this.onChange();
+    }
+
+    addAction(template) {
+        let index = template.getCustomActions().length + 1;
+        while (template.getCustomAction(`action${index}`)) {
+            index++;
+        }
+
+        const id = `action${index}`;
+        template.addCustomAction({ id, name: `Action ${index}` });
+        this.editingId = id;
+        this.error = null;
+        this.render();
+        this.onChange();
+    }
+
+    createEffect(template, type, elementId) {
+        const firstElement = template.elements[0];
+        const targetId = elementId || (firstElement ? firstElement.id : '');
+
+        switch (type) {
+            case 'visibility':
+                return { type, elementId: targetId, mode: 'toggle' };
+            case 'animation':
+                return { type, animation: 'in' };
+            case 'timer': {
+                const timer = template.getAllElements().find(element => element.type === 'timer');
+                return { type, elementId: timer ? timer.id : '', control: 'start' };
+            }
+            case 'media': {
+                const media = template.getAllElements().find(element => MEDIA_TYPES.includes(element.type));
+                return { type, elementId: media ? media.id : '', control: 'play' };
+            }
+            default:
+                return { type: 'content', elementId: targetId, value: '' };
+        }
+    }
+
+    describeEffects(template, actionId) {
+        const count = template.getActionEffects(actionId).length;
+        if (count === 0) return 'no effects';
+        return count === 1 ? '1 effect' : `${count} effects`;
+    }
+
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
\ No newline at end of file
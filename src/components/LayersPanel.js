@@ -0,0 +1,239 @@
+import { CONTAINER_TYPES } from '../models/OGrafTemplate.js';
+
+const TYPE_ICONS = {
+    text: 'T',
+    image: '📷',
+    rect: '▭',
+    rectangle: '▭',
+    circle: '○',
+    group: '⧉',
+    repeater: '☰',
+    ticker: '⇠',
+    clock: '◷',
+    timer: '⏱',
+    video: '▶',
+    sequence: '🎞',
+    lottie: '◌',
+    line: '╱',
+    polygon: '⬠',
+    path: '✎'
+};
+
+export class LayersPanel {
+    constructor(containerElement, visualEditor, templateManager) {
+        this.container = containerElement;
+        this.visualEditor = visualEditor;
+        this.templateManager = templateManager;
+        this.collapsedGroups = new Set();
+        this.dragId = null;
+
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.render();
+    }
+
+    setupEventListeners() {
+        this.container.addEventListener('click', (e) => this.handleClick(e));
+        this.container.addEventListener('dragstart', (e) => this.handleDragStart(e));
+        this.container.addEventListener('dragover', (e) => this.handleDragOver(e));
+        this.container.addEventListener('dragleave', (e) => this.clearDropIndicator(e.target.closest('.layer-row')));
+        this.container.addEventListener('drop', (e) => this.handleDrop(e));
+        this.container.addEventListener('dragend', () => {
+            this.dragId = null;
+            this.clearDropIndicator();
+        });
+
+        const editorContainer = this.visualEditor.container;
+        ['elementSelected', 'elementDeselected', 'elementAdded', 'elementDeleted'].forEach(eventName => {
+            editorContainer.addEventListener(eventName, () => this.render());
+        });
+    }
+
+    render() {
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template) {
+            this.container.innerHTML = '<p class="schema-empty">No template selected</p>';
+            return;
+        }
+
+        if (template.elements.length === 0) {
+            this.container.innerHTML = '<p class="schema-empty">No elements</p>';
+            return;
+        }
+
+        const selection = this.visualEditor.selectedElements;
+        const canMove = selection.length === 1;
+
+        this.container.innerHTML = `
+            <div class="layers-actions">
+                <button type="button" class="template-action-btn" data-layer-action="forward" title="Bring forward" ${canMove ? '' : 'disabled'}>▲</button>
+                <button type="button" class="template-action-btn" data-layer-action="backward" title="Send backward" ${canMove ? '' : 'disabled'}>▼</button>
+            </div>
+            <div class="layers-list">
+                ${this.renderRows(template, template.elements, 0)}
+            </div>
+        `;
+    }
+
+    // The top of the list is the top of the stack, so rows run from the end of the array
+    renderRows(template, elements, depth) {
+        return [...elements].reverse().map(element => {
+            const isGroup = CONTAINER_TYPES.includes(element.type);
+            const isCollapsed = this.collapsedGroups.has(element.id);
+            const classes = [
+                'layer-row',
+                this.visualEditor.selectedElements.includes(element.id) ? 'selected' : '',
+                element.locked ? 'locked' : '',
+                element.editorHidden ? 'editor-hidden' : ''
+            ].filter(Boolean).join(' ');
+            const label = template.getElementLabel(element);
+
+            const row = `
+                <div class="${classes}" draggable="true" data-layer-id="${this.escapeHtml(element.id)}" style="padding-left: ${8 + depth * 16}px">
+                    ${isGroup
+                        ? `<button type="button" class="layer-toggle" data-layer-action="collapse" title="${isCollapsed ? 'Expand' : 'Collapse'}">${isCollapsed ? '▸' : '▾'}</button>`
+                        : '<span class="layer-toggle"></span>'}
+                    <span class="layer-icon">${TYPE_ICONS[element.type] || '?'}</span>
+                    <span class="layer-name" title="${this.escapeHtml(label)}">${this.escapeHtml(element.id)}</span>
+                    <button type="button" class="layer-flag ${element.editorHidden ? 'active' : ''}" data-layer-action="toggle-hidden" title="${element.editorHidden ? 'Show in editor' : 'Hide in editor'}">${element.editorHidden ? '◌' : '👁'}</button>
+                    <button type="button" class="layer-flag ${element.locked ? 'active' : ''}" data-layer-action="toggle-lock" title="${element.locked ? 'Unlock' : 'Lock'}">${element.locked ? '🔒' : '🔓'}</button>
+                </div>
+            `;
+
+            const children = isGroup && !isCollapsed
+                ? this.renderRows(template, element.children || [], depth + 1)
+                : '';
+            return row + children;
+        }).join('');
+    }
+
+    handleClick(e) {
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template) return;
+
+        const button = e.target.closest('[data-layer-action]');
+        const row = e.target.closest('.layer-row');
+        const elementId = row ? row.dataset.layerId : null;
+        const element = elementId ? template.getElementById(elementId) : null;
+
+        if (!button) {
+            if (elementId) {
+                this.visualEditor.selectElement(elementId, { toggle: e.shiftKey });
+            }
+            return;
+        }
+
+        switch (button.dataset.layerAction) {
+            case 'collapse':
+                if (this.collapsedGroups.has(elementId)) {
+                    this.collapsedGroups.delete(elementId);
+                } else {
+                    this.collapsedGroups.add(elementId);
+                }
+                this.render();
+                return;
+            case 'toggle-hidden':
+                if (!element) return;
+                element.editorHidden = !element.editorHidden || undefined;
+                this.commit(element.editorHidden ? 'Hide element' : 'Show element');
+                return;
+            case 'toggle-lock':
+                if (!element) return;
+                element.locked = !element.locked || undefined;
+                this.commit(element.locked ? 'Lock element' : 'Unlock element');
+                return;
+            case 'forward':
+            case 'backward': {
+                const selectedId = this.visualEditor.selectedElement;
+                const direction = button.dataset.layerAction === 'forward' ? 1 : -1;
+                if (selectedId && template.moveElementInStack(selectedId, direction)) {
+                    this.commit(direction > 0 ? 'Bring forward' : 'Send backward');
+                }
+                return;
+            }
+        }
+    }
+
+    handleDragStart(e) {
+        const row = e.target.closest('.layer-row');
+        if (!row) return;
+
+        this.dragId = row.dataset.layerId;
+        if (e.dataTransfer) {
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', this.dragId);
+        }
+    }
+
+    // Upper part of a row drops above it, lower part below; the middle of a group drops inside
+    getPlacement(row, e) {
+        const template = this.templateManager.getCurrentTemplate();
+        const target = template && template.getElementById(row.dataset.layerId);
+        const rect = row.getBoundingClientRect();
+        const ratio = rect.height > 0 ? (e.clientY - rect.top) / rect.height : 0;
+
+        if (target && CONTAINER_TYPES.includes(target.type) && ratio > 0.25 && ratio < 0.75) {
+            return 'inside';
+        }
+        return ratio < 0.5 ? 'above' : 'below';
+    }
+
+    handleDragOver(e) {
+        const row = e.target.closest('.layer-row');
+        if (!row || !this.dragId || row.dataset.layerId === this.dragId) return;
+
+        e.preventDefault();
+        this.clearDropIndicator();
+        row.classList.add(`drop-${this.getPlacement(row, e)}`);
+    }
+
+    handleDrop(e) {
+        const row = e.target.closest('.layer-row');
+        const dragId = this.dragId;
+        this.dragId = null;
+        this.clearDropIndicator();
+        if (!row || !dragId) return;
+
+        e.preventDefault();
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template) return;
+
+        try {
+            if (template.moveElementTo(dragId, row.dataset.layerId, this.getPlacement(row, e))) {
+                this.commit('Reorder layers');
+            }
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    clearDropIndicator(row) {
+        const rows = row ? [row] : this.container.querySelectorAll('.layer-row');
+        rows.forEach(item => item.classList.remove('drop-above', 'drop-below', 'drop-inside'));
+    }
+
+    commit(label) {
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template) return;
+
+        template.generateWebComponent();
+        this.templateManager.saveToStorage({ label });
+        this.visualEditor.render();
+        this.render();
+
+        // Stacking order changes the generated graphic, so let the preview refresh
+        this.visualEditor.dispatchEvent('elementUpdated', { elementId: this.visualEditor.selectedElement });
+    }
+
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
\ No newline at end of file
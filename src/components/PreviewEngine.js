@@ -1,3 +1,10 @@
+import { SchemaForm } from './SchemaForm.js';
+import { DEFAULT_RESOLUTION } from '../models/OGrafTemplate.js';
+import { Expression } from '../models/Expression.js';
+import { VectorShape, VECTOR_TYPES } from '../models/VectorShape.js';
+import { LOTTIE_RUNTIME_PATH } from '../models/Lottie.js';
+import { LottieRuntime } from '../services/LottieRuntime.js';
+
 export class PreviewEngine {
     constructor(containerElement, templateManager) {
         this.container = containerElement;
@@ -6,6 +13,7 @@ export class PreviewEngine {
         this.currentTemplate = null;
         this.previewData = {};
         this.isPlaying = false;
+        this.currentStep = 0;
         
         this.init();
     }
@@ -77,6 +85,32 @@ export class PreviewEngine {
         
         previewContainer.innerHTML = '';
         previewContainer.appendChild(this.previewFrame);
+
+        // Keep the graphic fitted while the panel is resized or shown
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => this.fitPreview()).observe(this.previewFrame);
+        }
+    }
+
+    getResolution() {
+        return (this.currentTemplate && this.currentTemplate.resolution) || DEFAULT_RESOLUTION;
+    }
+
+    // Scale the graphic's container to fit the preview area at the template's resolution
+    fitPreview() {
+        if (!this.scaledContainer || !this.previewFrame) return;
+
+        const { width, height } = this.getResolution();
+        const frameWidth = this.previewFrame.clientWidth;
+        const frameHeight = this.previewFrame.clientHeight;
+        // A hidden panel has no size yet; the observer fits it once shown
+        const scale = frameWidth > 0 && frameHeight > 0
+            ? Math.min(frameWidth / width, frameHeight / height)
+            : 960 / Math.max(width, height);
+
+        this.scaledContainer.style.width = `${width}px`;
+        this.scaledContainer.style.height = `${height}px`;
+        this.scaledContainer.style.transform = `scale(${scale})`;
     }
 
     setupEventListeners() {
@@ -84,6 +118,8 @@ export class PreviewEngine {
         const playBtn = this.container.querySelector('#play-preview');
         const stopBtn = this.container.querySelector('#stop-preview');
         const updateBtn = this.container.querySelector('#update-preview');
+        const prevStepBtn = this.container.querySelector('#prev-step-preview');
+        const nextStepBtn = this.container.querySelector('#next-step-preview');
 
         if (playBtn) {
             playBtn.addEventListener('click', () => this.play());
@@ -96,6 +132,14 @@ export class PreviewEngine {
         if (updateBtn) {
             updateBtn.addEventListener('click', () => this.update());
         }
+
+        if (prevStepBtn) {
+            prevStepBtn.addEventListener('click', () => this.changeStep(-1));
+        }
+
+        if (nextStepBtn) {
+            nextStepBtn.addEventListener('click', () => this.changeStep(1));
+        }
     }
 
     render() {
@@ -108,6 +152,7 @@ export class PreviewEngine {
 
             this.currentTemplate = template;
             this.renderDataInputs();
+            this.renderCustomActions();
             
             // Add a small delay to ensure DOM is ready
             setTimeout(() => {
@@ -148,41 +193,77 @@ export class PreviewEngine {
             return;
         }
 
+        // Typed controls generated from the template's JSON Schema
+        if (!this.dataForm || this.dataForm.container !== dataInputsContainer) {
+            this.dataForm = new SchemaForm(dataInputsContainer, {
+                onChange: (value) => {
+                    this.previewData = value;
+                    this.updatePreviewData();
+                }
+            });
+        }
+
         // Initialize preview data with default values
-        Object.entries(schema.properties).forEach(([key, prop]) => {
-            if (this.previewData[key] === undefined) {
-                this.previewData[key] = prop.default || '';
-            }
-        });
+        this.dataForm.setSchema(schema, this.previewData);
+        this.previewData = this.dataForm.getValue();
+    }
 
+    renderCustomActions() {
+        const controlsContainer = this.container.querySelector('.preview-controls');
+        if (!controlsContainer || !this.currentTemplate) return;
 
-        const inputsHtml = Object.entries(schema.properties).map(([key, prop]) => {
-            const currentValue = this.previewData[key] || prop.default || '';
-            return `
-                <div class="data-input-group">
-                    <label>${prop.title || key}:</label>
-                    <input 
-                        type="text" 
-                        class="data-input" 
-                        data-property="${key}" 
-                        value="${currentValue}"
-                        placeholder="${prop.default || ''}"
-                    >
-                </div>
-            `;
-        }).join('');
+        let actionsContainer = this.container.querySelector('.preview-custom-actions');
+        if (!actionsContainer) {
+            actionsContainer = document.createElement('div');
+            actionsContainer.className = 'preview-custom-actions';
+            const anchor = this.container.querySelector('.preview-data-inputs') || controlsContainer;
+            anchor.insertAdjacentElement('afterend', actionsContainer);
+
+            actionsContainer.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-custom-action]');
+                if (!button) return;
+                const actionId = button.dataset.customAction;
+                this.executeCustomAction(actionId, this.actionPayloads[actionId] || {});
+            });
+        }
+
+        const actions = this.currentTemplate.manifest.customActions || [];
+        this.actionPayloads = this.actionPayloads || {};
 
-        dataInputsContainer.innerHTML = inputsHtml;
+        actionsContainer.innerHTML = actions.map(action => `
+            <div class="preview-custom-action">
+                <button type="button" class="btn btn-secondary btn-small" data-custom-action="${this.escapeHtml(action.id)}" title="${this.escapeHtml(action.description || '')}">${this.escapeHtml(action.name || action.id)}</button>
+                <div class="preview-custom-action-payload"></div>
+            </div>
+        `).join('');
 
-        // Setup event listeners for data inputs
-        dataInputsContainer.querySelectorAll('.data-input').forEach(input => {
-            input.addEventListener('input', (e) => {
-                this.previewData[e.target.dataset.property] = e.target.value;
-                this.updatePreviewData();
+        // Payload forms for actions that declare a schema
+        const payloadContainers = actionsContainer.querySelectorAll('.preview-custom-action-payload');
+        actions.forEach((action, index) => {
+            if (!action.schema || Object.keys(action.schema.properties || {}).length === 0) {
+                this.actionPayloads[action.id] = {};
+                return;
+            }
+
+            const form = new SchemaForm(payloadContainers[index], {
+                onChange: (value) => {
+                    this.actionPayloads[action.id] = value;
+                }
             });
+            form.setSchema(action.schema, this.actionPayloads[action.id]);
+            this.actionPayloads[action.id] = form.getValue();
         });
     }
 
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     setupPreviewDocument() {
         if (!this.previewFrame || !this.currentTemplate) return;
 
@@ -192,9 +273,6 @@ export class PreviewEngine {
             
             // Create a scaled container for the graphics
             const scaledContainer = document.createElement('div');
-            scaledContainer.style.width = '1920px';
-            scaledContainer.style.height = '1080px';
-            scaledContainer.style.transform = 'scale(0.5)';
             scaledContainer.style.transformOrigin = 'top left';
             scaledContainer.style.position = 'absolute';
             scaledContainer.style.top = '0';
@@ -221,6 +299,7 @@ export class PreviewEngine {
             
             // Store container reference for later use during play
             this.scaledContainer = scaledContainer;
+            this.fitPreview();
             
             // Reset content creation flag
             this.previewContentCreated = false;
@@ -232,20 +311,37 @@ export class PreviewEngine {
         }
     }
 
-    createPreviewComponent(container) {
+    async createPreviewComponent(container) {
         const template = this.currentTemplate;
         const componentId = template.manifest.id;
-        
-        // Define the custom element class if not already defined
-        if (!customElements.get(`${componentId}-graphic`)) {
+
+        if (!template.webComponent) {
+            template.generateWebComponent();
+        }
+        const componentCode = template.webComponent;
+
+        let tagName = `${componentId}-graphic`;
+        this.componentIsModule = this.isModuleCode(componentCode);
+
+        if (this.componentIsModule) {
+            // Act as an OGraf renderer: import the module and register its default export.
+            // Custom elements cannot be redefined, so every load gets a fresh tag name.
+            try {
+                const GraphicClass = await this.importGraphicModule(componentCode);
+                this.componentRevision = (this.componentRevision || 0) + 1;
+                tagName = `${componentId}-graphic-${this.componentRevision}`;
+                const assetUrls = await this.getAssetUrls(template);
+                customElements.define(tagName, class extends GraphicClass {
+                    // The module is loaded from a blob URL, so serve its assets from memory
+                    static assetUrls = assetUrls;
+                });
+            } catch (error) {
+                this.showWebComponentError('Failed to load graphic module', error);
+                return;
+            }
+        } else if (!customElements.get(tagName)) {
+            // Legacy components register themselves when executed
             try {
-                // Execute the component code to register the custom element
-                const componentCode = template.webComponent;
-                
-                if (!componentCode) {
-                    template.generateWebComponent();
-                }
-                
                 // Convert ES6 module syntax to browser-compatible code
                 const browserCode = this.convertModuleCodeForBrowser(componentCode, componentId);
                 
@@ -260,8 +356,12 @@ export class PreviewEngine {
             }
         }
         
+        if (!this.componentIsModule && customElements.get(tagName)) {
+            customElements.get(tagName).assetUrls = await this.getAssetUrls(template);
+        }
+
         // Create custom element HTML
-        const customElement = document.createElement(`${componentId}-graphic`);
+        const customElement = document.createElement(tagName);
         customElement.id = 'graphic-component';
         customElement.style.position = 'absolute';
         customElement.style.top = '0';
@@ -278,6 +378,56 @@ export class PreviewEngine {
         this.currentComponent = customElement;
     }
 
+    isModuleCode(componentCode) {
+        return /^\s*export\s+default\s/m.test(componentCode || '');
+    }
+
+    async importGraphicModule(componentCode) {
+        const url = URL.createObjectURL(new Blob([componentCode], { type: 'text/javascript' }));
+        try {
+            const module = await import(/* @vite-ignore */ url);
+            if (typeof module.default !== 'function') {
+                throw new Error('Graphic module has no default export');
+            }
+            return module.default;
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    // Asset paths mapped to object URLs, with the Lottie player for graphics that import it
+    async getAssetUrls(template) {
+        const assetUrls = this.templateManager.assets.getUrlMap(template);
+        if (LottieRuntime.isNeeded(template)) {
+            assetUrls[LOTTIE_RUNTIME_PATH] = await LottieRuntime.getUrl();
+        }
+        return assetUrls;
+    }
+
+    // Map OGraf v1 parameter objects onto the positional arguments of legacy components
+    getActionArguments(method, params = {}) {
+        if (this.componentIsModule) {
+            return [params];
+        }
+
+        switch (method) {
+            case 'playAction':
+                return [!!params.skipAnimation, params.delta];
+            case 'stopAction':
+                return [!!params.skipAnimation];
+            case 'updateAction':
+                return [params.data];
+            case 'customAction':
+                return [params.id, params.payload];
+            default:
+                return [];
+        }
+    }
+
+    async invokeGraphicAction(method, params = {}) {
+        return this.currentComponent[method](...this.getActionArguments(method, params));
+    }
+
     convertModuleCodeForBrowser(componentCode, componentId) {
         // Clean up any old export statements that might still exist
         let cleanCode = componentCode;
@@ -308,10 +458,11 @@ export class PreviewEngine {
     generateBasicWebComponent() {
         const template = this.currentTemplate;
         const componentId = template.manifest.id;
+        const { width, height } = this.getResolution();
         
         // Generate element styles manually
         const elements = template.elements || [];
-        const elementStyles = elements.map(element => {
+        const elementStyles = template.getAllElements().map(element => {
             const styles = Object.entries(element.style || {})
                 .map(([key, value]) => `${this.kebabCase(key)}: ${value};`)
                 .join(' ');
@@ -320,15 +471,21 @@ export class PreviewEngine {
         
         // Serialize elements data
         const elementsData = JSON.stringify(elements);
+        const shapesData = JSON.stringify(Object.fromEntries(
+            template.getAllElements().filter(element => VECTOR_TYPES.includes(element.type)).map(element => [element.id, VectorShape.toSvg(element)])
+        ));
         
         const componentCode = `
 class ${this.toCamelCase(componentId)}Graphic extends HTMLElement {
+    static Expression = ${Expression.toString()};
+
     constructor() {
         super();
         this.attachShadow({ mode: 'open' });
         this.data = {};
         this.isVisible = false;
         this.elements = ${elementsData};
+        this.shapes = ${shapesData};
     }
 
     connectedCallback() {
@@ -375,8 +532,8 @@ class ${this.toCamelCase(componentId)}Graphic extends HTMLElement {
                 :host {
                     display: block;
                     position: relative;
-                    width: 1920px;
-                    height: 1080px;
+                    width: ${width}px;
+                    height: ${height}px;
                     font-family: Arial, sans-serif;
                     overflow: hidden;
                 }
@@ -407,19 +564,35 @@ class ${this.toCamelCase(componentId)}Graphic extends HTMLElement {
                 return \`<div class="element element-\${element.id}" style="left: \${element.x}px; top: \${element.y}px; width: \${element.width}px; height: \${element.height}px;">\${content}</div>\`;
             case 'image':
                 return \`<img class="element element-\${element.id}" src="\${content}" style="left: \${element.x}px; top: \${element.y}px; width: \${element.width}px; height: \${element.height}px;" />\`;
+            case 'video':
+                // The fallback plays videos through without their offset or out part
+                return \`<video class="element element-\${element.id}" src="\${content}" autoplay muted playsinline \${element.media && element.media.loop ? 'loop' : ''} style="left: \${element.x}px; top: \${element.y}px; width: \${element.width}px; height: \${element.height}px;"></video>\`;
+            case 'sequence':
+                return \`<img class="element element-\${element.id}" src="\${(element.frames || [])[0] || ''}" style="left: \${element.x}px; top: \${element.y}px; width: \${element.width}px; height: \${element.height}px;" />\`;
+            case 'rect':
             case 'rectangle':
                 return \`<div class="element element-\${element.id}" style="left: \${element.x}px; top: \${element.y}px; width: \${element.width}px; height: \${element.height}px;"></div>\`;
             case 'circle':
                 return \`<div class="element element-\${element.id}" style="left: \${element.x}px; top: \${element.y}px; width: \${element.width}px; height: \${element.height}px; border-radius: 50%;"></div>\`;
+            case 'line':
+            case 'polygon':
+            case 'path':
+                return \`<div class="element element-\${element.id}" style="left: \${element.x}px; top: \${element.y}px; width: \${element.width}px; height: \${element.height}px;">\${this.shapes[element.id]}</div>\`;
+            case 'group':
+                return \`<div class="element element-\${element.id}" style="left: \${element.x}px; top: \${element.y}px; width: \${element.width}px; height: \${element.height}px;">\${(element.children || []).map(child => this.renderElement(child)).join('')}</div>\`;
             default:
                 return '';
         }
     }
 
+    // Data values are escaped so they cannot add markup to the graphic
     interpolateContent(content) {
-        return content.replace(/\\{\\{(\\w+)\\}\\}/g, (match, key) => {
-            return this.data[key] || match;
-        });
+        return this.constructor.Expression.render(content, this.data, value => value
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;'));
     }
 
     kebabCase(str) {
@@ -445,11 +618,7 @@ customElements.define('${componentId}-graphic', ${this.toCamelCase(componentId)}
 
 
     interpolateContent(content) {
-        const result = content.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-            const value = this.previewData[key] || match;
-            return value;
-        });
-        return result;
+        return Expression.render(content, this.previewData);
     }
 
     showPreviewError(message) {
@@ -473,31 +642,23 @@ customElements.define('${componentId}-graphic', ${this.toCamelCase(componentId)}
     }
 
 
-    initializePreviewComponent() {
+    async initializePreviewComponent() {
         // Initialize component if it exists
         if (this.currentComponent) {
             try {
                 
                 // Try to call load method if available
                 if (typeof this.currentComponent.load === 'function') {
-                    this.currentComponent.load().then(() => {
-                        // Initialize as NOT visible - elements should only show when Play is pressed
-                        this.currentComponent.isVisible = false;
-                        // Small delay to ensure component is loaded
-                        setTimeout(() => {
-                            this.updatePreviewData();
-                        }, 50);
-                    }).catch((error) => {
-                        this.currentComponent.isVisible = false;
-                        this.updatePreviewData();
-                    });
-                } else {
-                    // No load method, initialize as NOT visible
-                    this.currentComponent.isVisible = false;
-                    setTimeout(() => {
-                        this.updatePreviewData();
-                    }, 50);
+                    try {
+                        await this.invokeGraphicAction('load', { data: this.previewData, renderType: 'realtime' });
+                    } catch (error) {
+                        // Keep going with the data update below
+                    }
                 }
+
+                // Initialize as NOT visible - elements should only show when Play is pressed
+                this.currentComponent.isVisible = false;
+                await this.updatePreviewData();
             } catch (error) {
                 this.showWebComponentError('Failed to initialize preview component', error);
             }
@@ -507,17 +668,15 @@ customElements.define('${componentId}-graphic', ${this.toCamelCase(componentId)}
         }
     }
 
-    createPreviewContent() {
+    async createPreviewContent() {
         if (!this.scaledContainer || !this.currentTemplate) return;
 
         try {
             // Only create web component (no fallback)
-            this.createPreviewComponent(this.scaledContainer);
+            await this.createPreviewComponent(this.scaledContainer);
             
             // Initialize component
-            setTimeout(() => {
-                this.initializePreviewComponent();
-            }, 100);
+            await this.initializePreviewComponent();
             
         } catch (error) {
             this.showWebComponentError('Failed to create web component preview', error);
@@ -545,13 +704,14 @@ customElements.define('${componentId}-graphic', ${this.toCamelCase(componentId)}
         try {
             // First time playing - create the preview content
             if (!this.previewContentCreated) {
-                this.createPreviewContent();
                 this.previewContentCreated = true;
+                await this.createPreviewContent();
             }
 
             if (this.currentComponent && typeof this.currentComponent.playAction === 'function') {
-                await this.currentComponent.playAction();
+                const result = await this.invokeGraphicAction('playAction');
                 this.isPlaying = true;
+                this.setCurrentStep(result);
                 this.updateControlButtons();
             } else {
                 this.showWebComponentError('Web component not properly initialized', 
@@ -568,10 +728,11 @@ customElements.define('${componentId}-graphic', ${this.toCamelCase(componentId)}
         try {
             // Set playing state to false first
             this.isPlaying = false;
+            this.currentStep = 0;
             this.updateControlButtons();
 
             if (this.currentComponent && typeof this.currentComponent.stopAction === 'function') {
-                await this.currentComponent.stopAction();
+                await this.invokeGraphicAction('stopAction');
             } else {
                 this.showWebComponentError('Web component not properly initialized', 
                     new Error('stopAction method not available on component'));
@@ -582,12 +743,39 @@ customElements.define('${componentId}-graphic', ${this.toCamelCase(componentId)}
         }
     }
 
+    async changeStep(delta) {
+        if (!this.currentComponent || !this.isPlaying) return;
+
+        try {
+            const result = await this.invokeGraphicAction('playAction', { delta });
+            this.setCurrentStep(result);
+            this.updateControlButtons();
+        } catch (error) {
+            this.showWebComponentError('Failed to change step', error);
+        }
+    }
+
+    setCurrentStep(result) {
+        // Module graphics report the step; legacy components only expose it as a property
+        if (result && typeof result.currentStep === 'number') {
+            this.currentStep = result.currentStep;
+        } else if (this.currentComponent && typeof this.currentComponent.currentStep === 'number') {
+            this.currentStep = this.currentComponent.currentStep;
+        } else {
+            this.currentStep = 0;
+        }
+    }
+
+    getStepCount() {
+        return this.currentTemplate ? Math.max(1, (this.currentTemplate.steps || []).length) : 1;
+    }
+
     async update() {
         if (!this.previewFrame || !this.currentTemplate) return;
 
         try {
             if (this.currentComponent && typeof this.currentComponent.updateAction === 'function') {
-                await this.currentComponent.updateAction(this.previewData);
+                await this.invokeGraphicAction('updateAction', { data: this.previewData });
             } else {
                 this.showWebComponentError('Web component not properly initialized', 
                     new Error('updateAction method not available on component'));
@@ -603,7 +791,7 @@ customElements.define('${componentId}-graphic', ${this.toCamelCase(componentId)}
         try {
             // Update the custom component
             if (this.currentComponent && typeof this.currentComponent.updateAction === 'function') {
-                await this.currentComponent.updateAction(this.previewData);
+                await this.invokeGraphicAction('updateAction', { data: this.previewData });
             }
             
         } catch (error) {
@@ -614,9 +802,13 @@ customElements.define('${componentId}-graphic', ${this.toCamelCase(componentId)}
     reloadComponent() {
         if (!this.currentTemplate) return;
         
-        // Update existing component's animation settings if it exists
-        if (this.currentComponent && this.currentTemplate.animationSettings) {
-            this.currentComponent.animationSettings = { ...this.currentTemplate.animationSettings };
+        // Update existing component's animation settings and timelines if it exists
+        if (this.currentComponent) {
+            if (this.currentTemplate.animationSettings) {
+                this.currentComponent.animationSettings = { ...this.currentTemplate.animationSettings };
+            }
+            this.currentComponent.animations = this.currentTemplate.compileAnimations();
+            this.currentComponent.steps = JSON.parse(JSON.stringify(this.currentTemplate.steps || []));
             return;
         }
         
@@ -632,15 +824,12 @@ customElements.define('${componentId}-graphic', ${this.toCamelCase(componentId)}
             this.currentComponent = null;
             
             // Recreate and resume playing
-            this.createPreviewContent();
             this.previewContentCreated = true;
-            
-            // Small delay to ensure component is ready
-            setTimeout(() => {
+            this.createPreviewContent().then(() => {
                 if (this.currentComponent) {
-                    this.currentComponent.playAction();
+                    this.invokeGraphicAction('playAction');
                 }
-            }, 100);
+            });
         } else {
             // Just mark that component needs to be recreated on next play
             this.previewContentCreated = false;
@@ -666,6 +855,24 @@ customElements.define('${componentId}-graphic', ${this.toCamelCase(componentId)}
         if (stopBtn) {
             stopBtn.disabled = !this.isPlaying;
         }
+
+        const stepCount = this.getStepCount();
+        const currentStep = Math.min(this.currentStep || 0, stepCount - 1);
+        const prevStepBtn = this.container.querySelector('#prev-step-preview');
+        const nextStepBtn = this.container.querySelector('#next-step-preview');
+        const stepIndicator = this.container.querySelector('#preview-step-indicator');
+
+        if (prevStepBtn) {
+            prevStepBtn.disabled = !this.isPlaying || currentStep <= 0;
+        }
+
+        if (nextStepBtn) {
+            nextStepBtn.disabled = !this.isPlaying || currentStep >= stepCount - 1;
+        }
+
+        if (stepIndicator) {
+            stepIndicator.textContent = stepCount > 1 ? `Step ${currentStep + 1} / ${stepCount}` : '';
+        }
     }
 
     refreshPreview() {
@@ -678,10 +885,10 @@ customElements.define('${componentId}-graphic', ${this.toCamelCase(componentId)}
 
         try {
             if (this.currentComponent && typeof this.currentComponent.customAction === 'function') {
-                await this.currentComponent.customAction(actionName, data);
+                await this.invokeGraphicAction('customAction', { id: actionName, payload: data });
             }
         } catch (error) {
-            // Error executing custom action
+            this.showWebComponentError(`Failed to run custom action "${actionName}"`, error);
         }
     }
 
@@ -699,14 +906,9 @@ customElements.define('${componentId}-graphic', ${this.toCamelCase(componentId)}
         this.previewData = { ...this.previewData, ...data };
         
         // Update input fields
-        const dataInputsContainer = this.container.querySelector('.preview-data-inputs');
-        if (dataInputsContainer) {
-            Object.entries(data).forEach(([key, value]) => {
-                const input = dataInputsContainer.querySelector(`[data-property="${key}"]`);
-                if (input) {
-                    input.value = value;
-                }
-            });
+        if (this.dataForm) {
+            this.dataForm.setValue(this.previewData);
+            this.previewData = this.dataForm.getValue();
         }
         
         this.updatePreviewData();
@@ -725,8 +927,9 @@ customElements.define('${componentId}-graphic', ${this.toCamelCase(componentId)}
 
         try {
             const canvas = document.createElement('canvas');
-            canvas.width = 1920;
-            canvas.height = 1080;
+            const resolution = this.getResolution();
+            canvas.width = resolution.width;
+            canvas.height = resolution.height;
             
             const ctx = canvas.getContext('2d');
             
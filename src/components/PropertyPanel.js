@@ -1,3 +1,29 @@
+import { SchemaEditor } from './SchemaEditor.js';
+import { CustomActionEditor } from './CustomActionEditor.js';
+import { DEFAULT_FONT_FAMILY, RESOLUTION_PRESETS, COLLAPSE_MODES } from '../models/OGrafTemplate.js';
+import { ANCHORS, ElementLayout } from '../models/ElementLayout.js';
+import { TEXT_FIT_MODES, DEFAULT_MIN_FONT_SIZE, DEFAULT_MAX_LINES } from '../models/TextFit.js';
+import { Expression } from '../models/Expression.js';
+import { Repeater, REPEAT_LAYOUTS } from '../models/Repeater.js';
+import { Ticker, TICKER_DIRECTIONS } from '../models/Ticker.js';
+import { Clock, DEFAULT_CLOCK_FORMAT } from '../models/Clock.js';
+import { Timer, TIMER_DIRECTIONS } from '../models/Timer.js';
+import { VectorShape, VECTOR_TYPES, DASH_PATTERNS } from '../models/VectorShape.js';
+import { StyleEffects, GRADIENT_TYPES, BLEND_MODES, TEXT_EFFECT_TYPES } from '../models/StyleEffects.js';
+import { Media, DEFAULT_MEDIA_FPS } from '../models/Media.js';
+import { Lottie } from '../models/Lottie.js';
+
+// Offered next to the template's uploaded fonts; these are present on most playout machines
+const SYSTEM_FONTS = [
+    'Arial, sans-serif',
+    'Helvetica, Arial, sans-serif',
+    'Verdana, sans-serif',
+    'Tahoma, sans-serif',
+    'Georgia, serif',
+    '"Times New Roman", serif',
+    '"Courier New", monospace'
+];
+
 export class PropertyPanel {
     constructor(containerElement, visualEditor, templateManager) {
         this.container = containerElement;
@@ -5,6 +31,12 @@ export class PropertyPanel {
         this.templateManager = templateManager;
         this.previewEngine = null;
         this.currentElement = null;
+        this.schemaEditor = new SchemaEditor(templateManager, {
+            onChange: () => this.onSchemaChange()
+        });
+        this.customActionEditor = new CustomActionEditor(templateManager, {
+            onChange: () => this.onCustomActionsChange()
+        });
         
         this.init();
     }
@@ -85,7 +117,7 @@ export class PropertyPanel {
         // Initialize animation settings if they don't exist
         if (!template.animationSettings) {
             template.animationSettings = { ...defaultAnimationSettings };
-            this.templateManager.saveToStorage();
+            this.templateManager.saveToStorage({ history: false });
             template.generateWebComponent();
         }
         
@@ -98,20 +130,73 @@ export class PropertyPanel {
                 
                 <div class="property-group">
                     <label>Template Name</label>
-                    <input type="text" class="property-input" data-template-property="name" value="${template.manifest.name}">
+                    <input type="text" class="property-input" data-template-property="name" value="${this.escapeHtml(template.manifest.name)}">
                     <small class="help-text">The display name for this graphics template</small>
                 </div>
 
                 <div class="property-group">
                     <label>Description</label>
-                    <textarea class="property-input" data-template-property="description" rows="2">${template.manifest.description || ''}</textarea>
+                    <textarea class="property-input" data-template-property="description" rows="2">${this.escapeHtml(template.manifest.description || '')}</textarea>
                     <small class="help-text">Optional description of what this template does</small>
                 </div>
+
+                <div class="property-group">
+                    <label>Component Format</label>
+                    <select class="property-input" data-template-setting="componentMode">
+                        <option value="module" ${template.componentMode !== 'legacy' ? 'selected' : ''}>OGraf v1 Module</option>
+                        <option value="legacy" ${template.componentMode === 'legacy' ? 'selected' : ''}>Legacy Custom Element</option>
+                    </select>
+                    <small class="help-text">Modules export the Graphic class for the renderer to register; legacy components register themselves</small>
+                </div>
+
+                <div class="property-group">
+                    <label>Default Font</label>
+                    <select class="property-input" data-template-setting="defaultFontFamily">
+                        ${this.renderFontOptions(template.defaultFontFamily || DEFAULT_FONT_FAMILY)}
+                    </select>
+                    <small class="help-text">Used by text without its own font. Upload font files in the Assets panel to use them here</small>
+                </div>
+
+                <div class="property-group">
+                    <label>Resolution</label>
+                    <select class="property-input" data-resolution-preset>
+                        ${this.renderResolutionOptions(template.resolution)}
+                    </select>
+                    <div class="resolution-inputs">
+                        <input type="number" class="property-input" data-resolution="width" value="${template.resolution.width}" min="1" max="8192" title="Width">
+                        <span>×</span>
+                        <input type="number" class="property-input" data-resolution="height" value="${template.resolution.height}" min="1" max="8192" title="Height">
+                    </div>
+                    <label class="checkbox-label">
+                        <input type="checkbox" data-resolution-rescale checked> Scale elements to the new size
+                    </label>
+                    <button type="button" class="btn btn-secondary btn-small" data-resolution-apply>Apply Resolution</button>
+                    <small class="help-text">Size of the canvas, the preview and the generated graphic</small>
+                </div>
+            </div>
+
+            <div class="property-section">
+                <h4>Data Fields</h4>
+                <p class="section-description">Define the data operators fill in. Fields are stored as the manifest's JSON Schema.</p>
+                <div class="schema-editor-container"></div>
+            </div>
+
+            <div class="property-section steps-section">
+                <h4>Steps</h4>
+                <p class="section-description">Each play advances one step. Elements can be hidden or show different content per step; select a step to edit it on the canvas.</p>
+                ${this.renderStepList(template)}
+                <button type="button" class="btn btn-secondary btn-small" data-step-action="add">+ Add Step</button>
+            </div>
+
+            <div class="property-section">
+                <h4>Custom Actions</h4>
+                <p class="section-description">Actions a controller can trigger with a payload. Each action runs its effects: change content, show or hide elements, or run a named animation.</p>
+                <div class="custom-actions-container"></div>
             </div>
 
             <div class="property-section">
                 <h4>Animation Settings</h4>
-                <p class="section-description">Configure how graphics animate when playing and stopping.</p>
+                <p class="section-description">Configure how graphics animate when playing and stopping. Elements with tracks in the animation timeline use their keyframes instead.</p>
                 
                 <div class="property-group">
                     <label>Slide In Duration (ms)</label>
@@ -165,7 +250,158 @@ export class PropertyPanel {
             </div>
         `;
 
+        this.schemaEditor.mount(container.querySelector('.schema-editor-container'));
+        this.customActionEditor.mount(container.querySelector('.custom-actions-container'));
         this.setupAnimationEventListeners();
+        this.setupStepEventListeners(container);
+    }
+
+    renderStepList(template) {
+        if (template.steps.length === 0) {
+            return '<p class="schema-empty">Single-step graphic. Adding a step turns the current layout into step 1.</p>';
+        }
+
+        const items = template.steps.map((step, index) => `
+            <div class="step-item ${index === this.visualEditor.currentStep ? 'active' : ''}">
+                <button type="button" class="template-action-btn" data-step-action="select" data-index="${index}" title="Edit this step on the canvas">${index + 1}</button>
+                <input type="text" class="property-input" data-step-name data-index="${index}" value="${this.escapeHtml(step.name)}">
+                <button type="button" class="template-action-btn" data-step-action="move-up" data-index="${index}" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button type="button" class="template-action-btn" data-step-action="move-down" data-index="${index}" title="Move down" ${index === template.steps.length - 1 ? 'disabled' : ''}>↓</button>
+                <button type="button" class="template-action-btn" data-step-action="remove" data-index="${index}" title="Remove step">✕</button>
+            </div>
+        `).join('');
+
+        return `<div class="step-list">${items}</div>`;
+    }
+
+    setupStepEventListeners(container) {
+        const section = container.querySelector('.steps-section');
+        if (!section) return;
+
+        section.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-step-action]');
+            if (!button || button.disabled) return;
+            this.handleStepAction(button.dataset.stepAction, parseInt(button.dataset.index));
+        });
+
+        section.querySelectorAll('[data-step-name]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const template = this.templateManager.getCurrentTemplate();
+                const step = template && template.steps[parseInt(e.target.dataset.index)];
+                if (!step) return;
+                step.name = e.target.value.trim() || `Step ${parseInt(e.target.dataset.index) + 1}`;
+                this.onStepsChange({ label: 'Rename step' });
+            });
+        });
+    }
+
+    handleStepAction(action, index) {
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template) return;
+
+        switch (action) {
+            case 'add':
+                // The first step captures the current layout, so a new template gets two steps
+                if (template.steps.length === 0) {
+                    template.addStep();
+                }
+                this.visualEditor.currentStep = template.addStep(null, this.visualEditor.currentStep);
+                break;
+            case 'select':
+                this.visualEditor.setCurrentStep(index);
+                this.render();
+                return;
+            case 'move-up':
+            case 'move-down': {
+                const target = action === 'move-up' ? index - 1 : index + 1;
+                template.moveStep(index, target);
+                if (this.visualEditor.currentStep === index) {
+                    this.visualEditor.currentStep = target;
+                }
+                break;
+            }
+            case 'remove':
+                if (!confirm(`Remove "${template.steps[index].name}"?`)) return;
+                template.removeStep(index);
+                if (this.visualEditor.currentStep >= index && this.visualEditor.currentStep > 0) {
+                    this.visualEditor.currentStep--;
+                }
+                break;
+        }
+
+        this.onStepsChange({ label: 'Edit steps' });
+        this.render();
+    }
+
+    renderStepProperties(element) {
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template || template.steps.length === 0) return '';
+
+        const stepIndex = this.visualEditor.currentStep;
+        const override = template.getStepOverride(stepIndex, element.id);
+        const stepOptions = template.steps.map((step, index) =>
+            `<option value="${index}" ${index === stepIndex ? 'selected' : ''}>${index + 1}. ${this.escapeHtml(step.name)}</option>`
+        ).join('');
+
+        let contentInput = '';
+        if (element.type === 'text') {
+            contentInput = `<textarea class="property-input" data-step-override="content" rows="2" placeholder="${this.escapeHtml(element.content || '')}">${this.escapeHtml(override.content || '')}</textarea>`;
+        } else if (element.type === 'image' || element.type === 'video') {
+            contentInput = `<input type="text" class="property-input" data-step-override="content" value="${this.escapeHtml(override.content || '')}" placeholder="${this.escapeHtml(element.content || '')}">`;
+        }
+
+        return `
+            <div class="property-group">
+                <label>Step</label>
+                <select class="property-input" data-step-select>${stepOptions}</select>
+                <label class="checkbox-label">
+                    <input type="checkbox" data-step-override="visible" ${override.hidden ? '' : 'checked'}> Visible in this step
+                </label>
+                ${contentInput}
+                ${contentInput ? '<small class="help-text">Leave empty to use the element\'s content</small>' : ''}
+            </div>
+        `;
+    }
+
+    // A visibleWhen rule over the data fields, and what the element's space does while it is hidden
+    renderVisibilityProperties(element) {
+        const template = this.templateManager.getCurrentTemplate();
+        const properties = (template.manifest.schema && template.manifest.schema.properties) || {};
+        const rule = element.visibleWhen || '';
+
+        const fieldOptions = Object.entries(properties).map(([name, definition]) =>
+            `<option value="${this.escapeHtml(name)}">${this.escapeHtml(definition.title ? `${definition.title} (${name})` : name)}</option>`
+        ).join('');
+        const collapseOptions = COLLAPSE_MODES.map(mode =>
+            `<option value="${mode.value}" ${mode.value === (element.collapse || '') ? 'selected' : ''}>${mode.label}</option>`
+        ).join('');
+
+        const error = rule ? Expression.validateExpression(rule) : null;
+        const unknown = rule && !error ? Expression.getExpressionFields(rule).filter(field => !(field in properties)) : [];
+        let help = '<small class="help-text">Leave empty to always show. Refer to data fields, e.g. "isLive", "title" (shown when not empty) or "score &gt; 10 &amp;&amp; !final"</small>';
+        if (error) {
+            help = `<small class="help-text binding-error">${this.escapeHtml(error)}</small>`;
+        } else if (unknown.length > 0) {
+            help = `<small class="help-text binding-error">Not a data field: ${this.escapeHtml(unknown.join(', '))}</small>`;
+        }
+
+        return `
+            <div class="property-group">
+                <label>Show When</label>
+                <input type="text" class="property-input" data-visibility="visibleWhen" value="${this.escapeHtml(rule)}" placeholder="Always">
+                ${fieldOptions ? `
+                    <select class="property-input" data-visibility-field>
+                        <option value="">Insert data field…</option>
+                        ${fieldOptions}
+                    </select>
+                ` : ''}
+                ${help}
+                ${rule ? `
+                    <label class="input-label">While Hidden</label>
+                    <select class="property-input" data-visibility="collapse">${collapseOptions}</select>
+                ` : ''}
+            </div>
+        `;
     }
 
     renderElementProperties(container, element) {
@@ -175,49 +411,53 @@ export class PropertyPanel {
                 
                 <div class="property-group">
                     <label>Element ID</label>
-                    <input type="text" class="property-input" data-property="id" value="${element.id}" readonly>
+                    <input type="text" class="property-input" data-element-id value="${this.escapeHtml(element.id)}">
                 </div>
 
                 <div class="property-group">
                     <label>Type</label>
+                    ${element.type === 'group' ? `
+                        <input type="text" class="property-input" value="Group (${(element.children || []).length} elements)" readonly>
+                        <small class="help-text">Child positions are relative to the group. Double-click the group on the canvas to select a child.</small>
+                    ` : element.type === 'repeater' ? `
+                        <input type="text" class="property-input" value="Repeater (${(element.children || []).length} elements per item)" readonly>
+                        <small class="help-text">Child positions are relative to one item. Double-click the repeater on the canvas to select a child.</small>
+                    ` : element.type === 'clock' || element.type === 'timer' ? `
+                        <input type="text" class="property-input" value="${element.type === 'clock' ? 'Clock' : 'Timer'}" readonly>
+                    ` : element.type === 'video' || element.type === 'sequence' ? `
+                        <input type="text" class="property-input" value="${element.type === 'video' ? 'Video' : 'Image Sequence'}" readonly>
+                    ` : element.type === 'lottie' ? `
+                        <input type="text" class="property-input" value="Lottie Animation" readonly>
+                    ` : VECTOR_TYPES.includes(element.type) ? `
+                        <input type="text" class="property-input" value="${{ line: 'Line', polygon: 'Polygon', path: 'Path' }[element.type]}" readonly>
+                    ` : `
                     <select class="property-input" data-property="type">
                         <option value="text" ${element.type === 'text' ? 'selected' : ''}>Text</option>
+                        <option value="ticker" ${element.type === 'ticker' ? 'selected' : ''}>Ticker</option>
                         <option value="image" ${element.type === 'image' ? 'selected' : ''}>Image</option>
                         <option value="rect" ${element.type === 'rect' ? 'selected' : ''}>Rectangle</option>
                         <option value="circle" ${element.type === 'circle' ? 'selected' : ''}>Circle</option>
                     </select>
+                    `}
                 </div>
 
-                <div class="property-group">
-                    <label>Position & Size</label>
-                    <div class="input-row">
-                        <div class="input-col">
-                            <label class="input-label">X</label>
-                            <input type="number" class="property-input" data-property="x" value="${element.x}">
-                        </div>
-                        <div class="input-col">
-                            <label class="input-label">Y</label>
-                            <input type="number" class="property-input" data-property="y" value="${element.y}">
-                        </div>
-                    </div>
-                    <div class="input-row">
-                        <div class="input-col">
-                            <label class="input-label">Width</label>
-                            <input type="number" class="property-input" data-property="width" value="${element.width}">
-                        </div>
-                        <div class="input-col">
-                            <label class="input-label">Height</label>
-                            <input type="number" class="property-input" data-property="height" value="${element.height}">
-                        </div>
-                    </div>
-                </div>
+                ${this.renderLayoutProperties(element)}
 
                 ${this.renderContentProperties(element)}
+                ${element.type === 'repeater' ? this.renderRepeaterProperties(element) : ''}
+                ${element.type === 'clock' ? this.renderClockProperties(element) : ''}
+                ${element.type === 'timer' ? this.renderTimerProperties(element) : ''}
+                ${VECTOR_TYPES.includes(element.type) ? this.renderShapeProperties(element) : ''}
+                ${element.type === 'video' || element.type === 'sequence' ? this.renderMediaProperties(element) : ''}
+                ${element.type === 'lottie' ? this.renderLottieProperties(element) : ''}
+                ${this.renderStepProperties(element)}
+                ${this.renderVisibilityProperties(element)}
                 ${this.renderStyleProperties(element)}
             </div>
         `;
 
         this.setupPropertyEventListeners(container);
+        this.setupEffectEventListeners(container);
     }
 
     setupAnimationEventListeners() {
@@ -239,6 +479,32 @@ export class PropertyPanel {
             });
         });
 
+        // Template-level settings stored on the template itself
+        const settingInputs = container.querySelectorAll('[data-template-setting]');
+        settingInputs.forEach(input => {
+            input.addEventListener('change', (e) => {
+                this.updateTemplateSetting(e.target.dataset.templateSetting, e.target.value);
+            });
+        });
+
+        // Presets fill in the size; nothing changes until it is applied
+        const resolutionPreset = container.querySelector('[data-resolution-preset]');
+        if (resolutionPreset) {
+            resolutionPreset.addEventListener('change', (e) => {
+                const preset = RESOLUTION_PRESETS[e.target.value];
+                if (!preset) return;
+                container.querySelector('[data-resolution="width"]').value = preset.width;
+                container.querySelector('[data-resolution="height"]').value = preset.height;
+            });
+            container.querySelector('[data-resolution-apply]').addEventListener('click', () => {
+                this.updateResolution(
+                    container.querySelector('[data-resolution="width"]').value,
+                    container.querySelector('[data-resolution="height"]').value,
+                    container.querySelector('[data-resolution-rescale]').checked
+                );
+            });
+        }
+
         // Animation preview buttons
         const slideInBtn = container.querySelector('#preview-slide-in');
         const slideOutBtn = container.querySelector('#preview-slide-out');
@@ -256,24 +522,402 @@ export class PropertyPanel {
         }
     }
 
+    // Syntax reminder for {{ }} bindings, or the first error in them
+    renderBindingHelp(content) {
+        const error = Expression.validate(content);
+        return error
+            ? `<small class="help-text binding-error" data-binding-help>${this.escapeHtml(error)}</small>`
+            : '<small class="help-text" data-binding-help>Insert data with {{field}}, e.g. {{person.name | upper}}, {{subtitle | default:"Live"}} or {{#if isLive}}LIVE{{/if}}</small>';
+    }
+
     renderContentProperties(element) {
-        if (element.type === 'text' || element.type === 'image') {
-            const label = element.type === 'text' ? 'Text Content' : 'Image URL';
-            const inputType = element.type === 'text' ? 'textarea' : 'input';
-            const inputElement = element.type === 'text' ? 
-                `<textarea class="property-input" data-property="content" rows="3">${element.content || ''}</textarea>` :
-                `<input type="url" class="property-input" data-property="content" value="${element.content || ''}" placeholder="Enter image URL">`;
+        if (element.type === 'text' || element.type === 'ticker' || element.type === 'image' || element.type === 'video') {
+            const label = { text: 'Text Content', ticker: 'Ticker Text', image: 'Image URL', video: 'Video URL' }[element.type];
+            const inputElement = element.type === 'text' || element.type === 'ticker' ?
+                `<textarea class="property-input" data-property="content" rows="3">${this.escapeHtml(element.content || '')}</textarea>` :
+                `${this.renderAssetSelect(element, element.type)}
+                <input type="text" class="property-input" data-property="content" value="${this.escapeHtml(element.content || '')}" placeholder="${element.type === 'video' ? 'Video' : 'Image'} URL or asset path">`;
 
             return `
                 <div class="property-group">
                     <label>${label}</label>
                     ${inputElement}
+                    ${this.renderBindingHelp(element.content)}
                 </div>
+                ${element.type === 'text' ? this.renderTextFitProperties(element) : ''}
+                ${element.type === 'ticker' ? this.renderTickerProperties(element) : ''}
             `;
         }
         return '';
     }
 
+    renderTickerProperties(element) {
+        const settings = Ticker.getSettings(element);
+        const directionOptions = TICKER_DIRECTIONS.map(direction =>
+            `<option value="${direction.value}" ${direction.value === settings.direction ? 'selected' : ''}>${direction.label}</option>`
+        ).join('');
+
+        return `
+            <div class="property-group">
+                <label>Scrolling</label>
+                <div class="input-row">
+                    <div class="input-col">
+                        <label class="input-label">Speed (px/s)</label>
+                        <input type="number" class="property-input" data-ticker="speed" value="${settings.speed}" min="1">
+                    </div>
+                    <div class="input-col">
+                        <label class="input-label">Gap (px)</label>
+                        <input type="number" class="property-input" data-ticker="gap" value="${settings.gap}" min="0">
+                    </div>
+                </div>
+                <select class="property-input" data-ticker="direction">${directionOptions}</select>
+                <small class="help-text">The text repeats with the gap between copies. It scrolls in the preview and the graphic; a list field can be joined into one line with {{headlines | join:"  •  "}}</small>
+            </div>
+        `;
+    }
+
+    renderClockProperties(element) {
+        const settings = Clock.getSettings(element);
+        const zones = Clock.getTimeZones();
+        const zoneOptions = [
+            { value: '', label: 'Local time of the playout computer' },
+            ...(settings.timezone && !zones.includes(settings.timezone) ? [settings.timezone] : []).concat(zones).map(zone => ({ value: zone, label: zone }))
+        ].map(zone =>
+            `<option value="${this.escapeHtml(zone.value)}" ${zone.value === settings.timezone ? 'selected' : ''}>${this.escapeHtml(zone.label)}</option>`
+        ).join('');
+
+        return `
+            <div class="property-group">
+                <label>Clock</label>
+                <select class="property-input" data-clock="timezone">${zoneOptions}</select>
+                ${settings.timezone && !Clock.isValidTimeZone(settings.timezone) ? '<small class="help-text binding-error">Unknown time zone; the clock shows local time</small>' : ''}
+                <input type="text" class="property-input" data-clock="format" value="${this.escapeHtml(settings.format)}" placeholder="${DEFAULT_CLOCK_FORMAT}">
+                <small class="help-text">HH:mm:ss, h:mm A or [Kick-off] HH:mm; YYYY, MM and DD add the date</small>
+            </div>
+        `;
+    }
+
+    renderTimerProperties(element) {
+        const template = this.templateManager.getCurrentTemplate();
+        const properties = (template.manifest.schema && template.manifest.schema.properties) || {};
+        const settings = Timer.getSettings(element);
+
+        const fields = Object.keys(properties).filter(name => ['number', 'integer', 'string'].includes(properties[name].type));
+        if (settings.field && !fields.includes(settings.field)) fields.push(settings.field);
+        const fieldOptions = fields.map(name =>
+            `<option value="${this.escapeHtml(name)}" ${name === settings.field ? 'selected' : ''}>${this.escapeHtml(properties[name] && properties[name].title ? `${properties[name].title} (${name})` : name)}</option>`
+        ).join('');
+        const directionOptions = TIMER_DIRECTIONS.map(direction =>
+            `<option value="${direction.value}" ${direction.value === settings.direction ? 'selected' : ''}>${direction.label}</option>`
+        ).join('');
+        const actions = template.getTimerActions(element.id).map(action => action.id);
+
+        return `
+            <div class="property-group">
+                <label>Timer</label>
+                <select class="property-input" data-timer="field">
+                    <option value="">No data field (start from Start)</option>
+                    ${fieldOptions}
+                </select>
+                <div class="input-row">
+                    <div class="input-col">
+                        <label class="input-label">Start</label>
+                        <input type="text" class="property-input" data-timer="start" value="${Timer.format(settings.start, 'H:mm:ss')}" placeholder="0:00">
+                    </div>
+                    <div class="input-col">
+                        <label class="input-label">Format</label>
+                        <input type="text" class="property-input" data-timer="format" value="${this.escapeHtml(settings.format)}" placeholder="mm:ss">
+                    </div>
+                </div>
+                <select class="property-input" data-timer="direction">${directionOptions}</select>
+                <label class="checkbox-label">
+                    <input type="checkbox" data-timer="autoStart" ${settings.autoStart ? 'checked' : ''}> Start when the graphic is shown
+                </label>
+                <small class="help-text">The data field holds seconds or a time such as 45:00. Formats: mm:ss, H:mm:ss, or m:ss.S with tenths</small>
+                <small class="help-text">${actions.length > 0
+                    ? `Started, paused and reset by the custom actions ${this.escapeHtml(actions.join(', '))}`
+                    : 'Add custom actions with a "Control timer" effect to start, pause and reset it'}</small>
+            </div>
+        `;
+    }
+
+    renderShapeProperties(element) {
+        const shape = VectorShape.getShape(element);
+        const subpath = shape.subpaths[0] || { closed: false, nodes: [] };
+
+        return `
+            <div class="property-group">
+                <label>Shape</label>
+                ${element.type === 'polygon' ? `
+                    <label class="input-label">Sides</label>
+                    <input type="number" class="property-input" data-shape="sides" value="${subpath.nodes.length}" min="3" max="64">
+                ` : ''}
+                ${element.type === 'path' ? `
+                    <label class="checkbox-label">
+                        <input type="checkbox" data-shape="closed" ${shape.subpaths.every(part => part.closed) ? 'checked' : ''}> Closed
+                    </label>
+                ` : ''}
+                <small class="help-text">Double-click the shape on the canvas to edit its points and drag them or their handles; Alt-drag moves one handle on its own.${element.type === 'line' ? '' : ' Alt-click adds a point, or removes the one clicked.'}${element.type === 'path' ? ' Double-click a point to switch between smooth and corner.' : ''}</small>
+            </div>
+        `;
+    }
+
+    // Sequences are picked from runs of numbered image assets; both types share the playback settings
+    renderMediaProperties(element) {
+        const template = this.templateManager.getCurrentTemplate();
+        const settings = Media.getSettings(element);
+        const frames = element.frames || [];
+        const sequences = Media.findSequences(template.assets);
+        const current = sequences.find(sequence => sequence.frames.join('\n') === frames.join('\n'));
+        const sequenceOptions = sequences.map(sequence =>
+            `<option value="${this.escapeHtml(sequence.name)}" ${sequence === current ? 'selected' : ''}>${this.escapeHtml(sequence.name)} (${sequence.frames.length} frames)</option>`
+        ).join('');
+
+        return `
+            ${element.type === 'sequence' ? `
+                <div class="property-group">
+                    <label>Frames</label>
+                    <select class="property-input" data-media="sequence">
+                        ${current ? '' : `<option value="" selected>${frames.length > 0 ? `${frames.length} frames` : 'Choose a sequence'}</option>`}
+                        ${sequenceOptions}
+                    </select>
+                    <small class="help-text">Upload the numbered images (logo_0000.png, logo_0001.png, …) in the Assets panel; each run of names becomes a sequence</small>
+                </div>
+            ` : ''}
+            <div class="property-group">
+                <label>Playback</label>
+                <div class="input-row">
+                    <div class="input-col">
+                        <label class="input-label">Frame Rate (fps)</label>
+                        <input type="number" class="property-input" data-media="fps" value="${settings.fps}" min="1" step="any">
+                    </div>
+                    <div class="input-col">
+                        <label class="input-label">Frame Offset</label>
+                        <input type="number" class="property-input" data-media="offset" value="${settings.offset}" min="0">
+                    </div>
+                    <div class="input-col">
+                        <label class="input-label">Out Frame</label>
+                        <input type="number" class="property-input" data-media="outFrame" value="${settings.outFrame}" min="0">
+                    </div>
+                </div>
+                <label class="checkbox-label">
+                    <input type="checkbox" data-media="playOnPlay" ${settings.playOnPlay ? 'checked' : ''}> Play on playAction
+                </label>
+                <label class="checkbox-label">
+                    <input type="checkbox" data-media="loop" ${settings.loop ? 'checked' : ''}> Loop
+                </label>
+                ${element.type === 'video' ? `
+                    <label class="checkbox-label">
+                        <input type="checkbox" data-media="muted" ${settings.muted ? 'checked' : ''}> Muted
+                    </label>
+                ` : ''}
+                <small class="help-text">Playback starts at the frame offset and runs to the out frame, then holds or loops. From the out frame on is the out part: stopAction plays it and waits for it to end. 0 means no out part. Custom actions with a "Control video or sequence" effect can also play, pause or play out.</small>
+                ${element.type === 'video' && !settings.muted ? '<small class="help-text binding-error">Renderers may refuse to start a video with sound</small>' : ''}
+            </div>
+        `;
+    }
+
+    // Segments are typed as marker names or frame ranges; text layers are read from the animation once it is parsed
+    renderLottieProperties(element) {
+        const template = this.templateManager.getCurrentTemplate();
+        const properties = (template.manifest.schema && template.manifest.schema.properties) || {};
+        const settings = Lottie.getSettings(element);
+        const animations = template.getAssetsByKind('lottie');
+        const asset = template.getAsset(element.content || '');
+        const data = asset ? this.templateManager.assets.getAnimation(asset.id) : null;
+        if (asset && !data) {
+            this.templateManager.assets.loadAnimation(asset.id).then(() => {
+                if (this.currentElement === element.id) this.render();
+            }, () => {});
+        }
+
+        const animationOptions = animations.map(animation =>
+            `<option value="${this.escapeHtml(animation.path)}" ${animation === asset ? 'selected' : ''}>${this.escapeHtml(animation.path)}</option>`
+        ).join('');
+        const markers = data ? Lottie.getMarkers(data) : [];
+        const markerOptions = markers.map(marker => `<option value="${this.escapeHtml(marker.name)}">`).join('');
+        const segmentInput = (field, label, placeholder) => `
+            <div class="input-col">
+                <label class="input-label">${label}</label>
+                <input type="text" class="property-input" data-lottie="${field}" value="${this.escapeHtml(settings[field])}" placeholder="${placeholder}" list="lottie-markers">
+            </div>
+        `;
+
+        const fields = Object.keys(properties).filter(name => ['string', 'number', 'integer'].includes(properties[name].type));
+        const textLayers = data ? Lottie.getTextLayers(data) : Object.keys(settings.textLayers);
+        const layerRows = textLayers.map(layer => {
+            const bound = settings.textLayers[layer] || '';
+            const options = (bound && !fields.includes(bound) ? [...fields, bound] : fields).map(name =>
+                `<option value="${this.escapeHtml(name)}" ${name === bound ? 'selected' : ''}>${this.escapeHtml(properties[name] && properties[name].title ? `${properties[name].title} (${name})` : name)}</option>`
+            ).join('');
+            return `
+                <label class="input-label">${this.escapeHtml(layer)}</label>
+                <select class="property-input" data-lottie-layer="${this.escapeHtml(layer)}">
+                    <option value="">Keep the animation's text</option>
+                    ${options}
+                </select>
+            `;
+        }).join('');
+
+        return `
+            <div class="property-group">
+                <label>Animation</label>
+                <select class="property-input" data-lottie="content">
+                    ${asset ? '' : `<option value="" selected>${animations.length > 0 ? 'Choose an animation' : 'No Lottie files uploaded'}</option>`}
+                    ${animationOptions}
+                </select>
+                <small class="help-text">Upload Bodymovin JSON exports in the Assets panel. The graphic ships with the Lottie player, so it plays without network access.</small>
+            </div>
+            <div class="property-group">
+                <label>Segments</label>
+                <div class="input-row">
+                    ${segmentInput('playSegment', 'Play', 'Whole animation')}
+                    ${segmentInput('loopSegment', 'Loop', 'None')}
+                    ${segmentInput('stopSegment', 'Stop', 'None')}
+                </div>
+                <datalist id="lottie-markers">${markerOptions}</datalist>
+                <small class="help-text">playAction plays the play segment, then loops the loop segment; stopAction plays the stop segment before the graphic is removed. Give a marker name or frames such as 0-45.</small>
+                ${data ? `<small class="help-text">${markers.length > 0
+                    ? `Markers: ${this.escapeHtml(markers.map(marker => `${marker.name} (${marker.start}-${marker.end})`).join(', '))}`
+                    : 'The animation has no markers'}; frames ${data.ip || 0}-${data.op}</small>` : ''}
+                ${data ? ['playSegment', 'loopSegment', 'stopSegment']
+                    .filter(field => settings[field] && !Lottie.getSegment(data, settings[field]))
+                    .map(field => `<small class="help-text binding-error">"${this.escapeHtml(settings[field])}" is neither a marker nor a frame range</small>`)
+                    .join('') : ''}
+            </div>
+            ${textLayers.length > 0 ? `
+                <div class="property-group">
+                    <label>Text Layers</label>
+                    ${layerRows}
+                    <small class="help-text">Each text layer shows the value of the chosen data field</small>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    // The list field a repeater binds to and how its items are laid out
+    renderRepeaterProperties(element) {
+        const template = this.templateManager.getCurrentTemplate();
+        const properties = (template.manifest.schema && template.manifest.schema.properties) || {};
+        const settings = Repeater.getSettings(element);
+
+        const lists = Object.keys(properties).filter(name => properties[name].type === 'array');
+        if (settings.field && !lists.includes(settings.field)) lists.push(settings.field);
+        const fieldOptions = lists.map(name =>
+            `<option value="${this.escapeHtml(name)}" ${name === settings.field ? 'selected' : ''}>${this.escapeHtml(properties[name] && properties[name].title ? `${properties[name].title} (${name})` : name)}</option>`
+        ).join('');
+        const layoutOptions = REPEAT_LAYOUTS.map(layout =>
+            `<option value="${layout.value}" ${layout.value === settings.layout ? 'selected' : ''}>${layout.label}</option>`
+        ).join('');
+
+        const number = (name, label, value, attributes = 'min="0"') => `
+            <div class="input-col">
+                <label class="input-label">${label}</label>
+                <input type="number" class="property-input" data-repeat="${name}" value="${value}" ${attributes}>
+            </div>
+        `;
+
+        return `
+            <div class="property-group">
+                <label>Repeat For Each</label>
+                <select class="property-input" data-repeat="field">
+                    <option value="">Choose a list field…</option>
+                    ${fieldOptions}
+                </select>
+                ${lists.length === 0 ? '<small class="help-text">Add a list field under Data Fields to repeat over</small>' : ''}
+                <select class="property-input" data-repeat="layout">${layoutOptions}</select>
+                <div class="input-row">
+                    ${number('itemWidth', 'Item Width', settings.itemWidth, 'min="1"')}
+                    ${number('itemHeight', 'Item Height', settings.itemHeight, 'min="1"')}
+                </div>
+                <div class="input-row">
+                    ${number('gap', 'Gap', settings.gap)}
+                    ${settings.layout === 'grid' ? number('columns', 'Columns', settings.columns, 'min="1"') : ''}
+                </div>
+                <div class="input-row">
+                    ${number('limit', 'Show At Most', settings.limit || '', 'min="0" placeholder="All"')}
+                </div>
+                <small class="help-text">The children show one entry: {{item}}, or {{item.name}} for a list of groups, with {{index}} from 0 and {{number}} from 1</small>
+            </div>
+        `;
+    }
+
+    renderTextFitProperties(element) {
+        const fit = element.textFit || {};
+        const modeOptions = TEXT_FIT_MODES.map(mode =>
+            `<option value="${mode.value}" ${mode.value === (fit.mode || '') ? 'selected' : ''}>${mode.label}</option>`
+        ).join('');
+
+        let options = '';
+        if (fit.mode === 'shrink') {
+            options = `
+                <label class="input-label">Minimum Font Size (px)</label>
+                <input type="number" class="property-input" data-text-fit="minFontSize" value="${fit.minFontSize || DEFAULT_MIN_FONT_SIZE}" min="1">
+            `;
+        } else if (fit.mode === 'wrap') {
+            options = `
+                <label class="input-label">Maximum Lines</label>
+                <input type="number" class="property-input" data-text-fit="maxLines" value="${fit.maxLines || DEFAULT_MAX_LINES}" min="1">
+            `;
+        } else if (fit.mode === 'grow') {
+            const template = this.templateManager.getCurrentTemplate();
+            const others = template.getAllElements().filter(other => other.id !== element.id);
+            options = `
+                <label class="input-label">Grows Along</label>
+                <select class="property-input" data-text-fit="follower">
+                    <option value="">Nothing</option>
+                    ${others.map(other => `<option value="${this.escapeHtml(other.id)}" ${other.id === fit.follower ? 'selected' : ''}>${this.escapeHtml(other.id)}</option>`).join('')}
+                </select>
+            `;
+        }
+
+        return `
+            <div class="property-group">
+                <label>Long Text</label>
+                <select class="property-input" data-text-fit="mode">${modeOptions}</select>
+                ${options}
+                <small class="help-text">What happens when the text is longer than the box, for example a long name filled in by the operator</small>
+            </div>
+        `;
+    }
+
+    // Uploaded families first, then common system fonts; a custom stack in use is kept as an option
+    renderFontOptions(selected) {
+        const template = this.templateManager.getCurrentTemplate();
+        const uploaded = (template ? template.getFontFamilies() : []).map(family => ({
+            value: `"${family}", ${DEFAULT_FONT_FAMILY}`,
+            label: family
+        }));
+        const system = SYSTEM_FONTS.map(value => ({ value, label: value.split(',')[0].replace(/"/g, '') }));
+        const known = [...uploaded, ...system].some(option => option.value === selected);
+
+        const renderOptions = (options) => options.map(option =>
+            `<option value="${this.escapeHtml(option.value)}" ${option.value === selected ? 'selected' : ''}>${this.escapeHtml(option.label)}</option>`
+        ).join('');
+
+        return `
+            ${known ? '' : `<option value="${this.escapeHtml(selected)}" selected>${this.escapeHtml(selected)}</option>`}
+            ${uploaded.length > 0 ? `<optgroup label="Uploaded fonts">${renderOptions(uploaded)}</optgroup>` : ''}
+            <optgroup label="System fonts">${renderOptions(system)}</optgroup>
+        `;
+    }
+
+    renderAssetSelect(element, kind = 'image') {
+        const template = this.templateManager.getCurrentTemplate();
+        const assets = template ? template.getAssetsByKind(kind) : [];
+        if (assets.length === 0) return '';
+
+        const options = assets.map(asset =>
+            `<option value="${this.escapeHtml(asset.path)}" ${asset.path === element.content ? 'selected' : ''}>${this.escapeHtml(asset.path)}</option>`
+        ).join('');
+        return `
+            <select class="property-input" data-asset-select>
+                <option value="">Other URL…</option>
+                ${options}
+            </select>
+        `;
+    }
+
     renderStyleProperties(element) {
         const style = element.style || {};
         
@@ -283,11 +927,14 @@ export class PropertyPanel {
             styleHtml += `
                 <div class="style-property">
                     <label class="input-label">Font Size</label>
-                    <input type="text" class="property-input" data-style-property="fontSize" value="${style.fontSize || '20px'}">
+                    <input type="text" class="property-input" data-style-property="fontSize" value="${this.escapeHtml(style.fontSize || '20px')}">
                 </div>
                 <div class="style-property">
                     <label class="input-label">Font Family</label>
-                    <input type="text" class="property-input" data-style-property="fontFamily" value="${style.fontFamily || 'Arial, sans-serif'}">
+                    <select class="property-input" data-font-select>
+                        ${this.renderFontOptions(style.fontFamily || DEFAULT_FONT_FAMILY)}
+                    </select>
+                    <input type="text" class="property-input" data-style-property="fontFamily" value="${this.escapeHtml(style.fontFamily || DEFAULT_FONT_FAMILY)}" placeholder="Custom font stack">
                 </div>
                 <div class="style-property">
                     <label class="input-label">Font Weight</label>
@@ -309,13 +956,13 @@ export class PropertyPanel {
                     <label class="input-label">Color</label>
                     <div class="color-input-group">
                         <input type="color" class="color-picker" data-style-property="color" value="${this.colorToHex(style.color) || '#ffffff'}">
-                        <input type="text" class="property-input color-text" data-style-property="color" value="${style.color || '#ffffff'}">
+                        <input type="text" class="property-input color-text" data-style-property="color" value="${this.escapeHtml(style.color || '#ffffff')}">
                     </div>
                 </div>
             `;
         }
 
-        if (element.type === 'image') {
+        if (element.type === 'image' || element.type === 'video' || element.type === 'sequence') {
             styleHtml += `
                 <div class="style-property">
                     <label class="input-label">Object Fit</label>
@@ -329,22 +976,73 @@ export class PropertyPanel {
             `;
         }
 
+        // Shapes are painted with fill and stroke instead of a background and border
+        if (VECTOR_TYPES.includes(element.type)) {
+            const dashOptions = DASH_PATTERNS.map(pattern =>
+                `<option value="${pattern.value}" ${pattern.value === (style.strokeDasharray || '') ? 'selected' : ''}>${pattern.label}</option>`
+            ).join('');
+
+            styleHtml += `
+                ${element.type === 'line' ? '' : `
+                <div class="style-property">
+                    <label class="input-label">Fill</label>
+                    <div class="color-input-group">
+                        <input type="color" class="color-picker" data-style-property="fill" value="${this.colorToHex(style.fill) || '#000000'}">
+                        <input type="text" class="property-input color-text" data-style-property="fill" value="${this.escapeHtml(style.fill || 'none')}">
+                    </div>
+                </div>
+                `}
+                <div class="style-property">
+                    <label class="input-label">Stroke</label>
+                    <div class="color-input-group">
+                        <input type="color" class="color-picker" data-style-property="stroke" value="${this.colorToHex(style.stroke) || '#ffffff'}">
+                        <input type="text" class="property-input color-text" data-style-property="stroke" value="${this.escapeHtml(style.stroke || 'none')}">
+                    </div>
+                </div>
+                <div class="style-property">
+                    <label class="input-label">Stroke Width</label>
+                    <input type="text" class="property-input" data-style-property="strokeWidth" value="${this.escapeHtml(style.strokeWidth || '0px')}" placeholder="e.g., 4px">
+                </div>
+                <div class="style-property">
+                    <label class="input-label">Dash</label>
+                    <select class="property-input" data-style-property="strokeDasharray">
+                        ${dashOptions}
+                        ${style.strokeDasharray && !DASH_PATTERNS.some(pattern => pattern.value === style.strokeDasharray) ? `<option value="${this.escapeHtml(style.strokeDasharray)}" selected>${this.escapeHtml(style.strokeDasharray)}</option>` : ''}
+                    </select>
+                </div>
+                <div class="style-property">
+                    <label class="input-label">Line Cap</label>
+                    <select class="property-input" data-style-property="strokeLinecap">
+                        <option value="butt" ${(style.strokeLinecap || 'butt') === 'butt' ? 'selected' : ''}>Flat</option>
+                        <option value="round" ${style.strokeLinecap === 'round' ? 'selected' : ''}>Round</option>
+                        <option value="square" ${style.strokeLinecap === 'square' ? 'selected' : ''}>Square</option>
+                    </select>
+                </div>
+                <div class="style-property">
+                    <label class="input-label">Opacity</label>
+                    <input type="range" class="property-input range-input" data-style-property="opacity" min="0" max="1" step="0.1" value="${style.opacity || '1'}">
+                    <span class="range-value">${style.opacity || '1'}</span>
+                </div>
+            </div>`;
+            return styleHtml + this.renderEffectProperties(element);
+        }
+
         // Common style properties
         styleHtml += `
             <div class="style-property">
                 <label class="input-label">Background Color</label>
                 <div class="color-input-group">
                     <input type="color" class="color-picker" data-style-property="backgroundColor" value="${this.colorToHex(style.backgroundColor) || '#000000'}">
-                    <input type="text" class="property-input color-text" data-style-property="backgroundColor" value="${style.backgroundColor || 'transparent'}">
+                    <input type="text" class="property-input color-text" data-style-property="backgroundColor" value="${this.escapeHtml(style.backgroundColor || 'transparent')}">
                 </div>
             </div>
             <div class="style-property">
                 <label class="input-label">Border</label>
-                <input type="text" class="property-input" data-style-property="border" value="${style.border || 'none'}" placeholder="e.g., 2px solid #ffffff">
+                <input type="text" class="property-input" data-style-property="border" value="${this.escapeHtml(style.border || 'none')}" placeholder="e.g., 2px solid #ffffff">
             </div>
             <div class="style-property">
                 <label class="input-label">Border Radius</label>
-                <input type="text" class="property-input" data-style-property="borderRadius" value="${style.borderRadius || '0px'}" placeholder="e.g., 4px">
+                <input type="text" class="property-input" data-style-property="borderRadius" value="${this.escapeHtml(style.borderRadius || '0px')}" placeholder="e.g., 4px">
             </div>
             <div class="style-property">
                 <label class="input-label">Opacity</label>
@@ -354,7 +1052,336 @@ export class PropertyPanel {
         `;
 
         styleHtml += '</div>';
-        return styleHtml;
+        return styleHtml + this.renderEffectProperties(element);
+    }
+
+    // Editors for the gradient, shadows, blurs, text stroke and blend mode; see StyleEffects
+    renderEffectProperties(element) {
+        const style = element.style || {};
+        const shadowProperty = StyleEffects.getShadowProperty(element);
+        const shadows = shadowProperty === 'filter'
+            ? StyleEffects.parseFilter(style.filter).shadows
+            : StyleEffects.parseShadows(style[shadowProperty]);
+        const blendMode = style.mixBlendMode || 'normal';
+        const blendOptions = BLEND_MODES.map(mode =>
+            `<option value="${mode}" ${mode === blendMode ? 'selected' : ''}>${mode}</option>`
+        ).join('');
+
+        return `
+            <div class="property-group effects-group">
+                <label>Effects</label>
+                ${VECTOR_TYPES.includes(element.type) ? '' : this.renderGradientEditor(style)}
+                <div class="style-property">
+                    <label class="input-label">${shadowProperty === 'textShadow' ? 'Text Shadows' : 'Shadows'}</label>
+                    <div class="effect-list">
+                        ${shadows.map((shadow, index) => this.renderShadowItem(shadow, index, shadowProperty)).join('')}
+                    </div>
+                    <button type="button" class="btn btn-secondary btn-small" data-effect-action="add-shadow">+ Add Shadow</button>
+                </div>
+                <div class="input-row">
+                    <div class="input-col">
+                        <label class="input-label">Blur (px)</label>
+                        <input type="number" class="property-input" data-effect="blur" min="0" value="${StyleEffects.parseFilter(style.filter).blur}">
+                    </div>
+                    ${VECTOR_TYPES.includes(element.type) ? '' : `
+                    <div class="input-col">
+                        <label class="input-label">Backdrop Blur (px)</label>
+                        <input type="number" class="property-input" data-effect="backdropBlur" min="0" value="${StyleEffects.parseFilter(style.backdropFilter).blur}" title="Blurs what is behind the element, for glass panels">
+                    </div>
+                    `}
+                </div>
+                ${TEXT_EFFECT_TYPES.includes(element.type) ? this.renderTextStrokeEditor(style) : ''}
+                <div class="style-property">
+                    <label class="input-label">Blend Mode</label>
+                    <select class="property-input" data-effect="blendMode">${blendOptions}</select>
+                </div>
+            </div>
+        `;
+    }
+
+    renderGradientEditor(style) {
+        const gradient = StyleEffects.parseGradient(style.backgroundImage);
+        // A background image the editor cannot read is kept until another gradient is chosen
+        const custom = !gradient && style.backgroundImage && style.backgroundImage !== 'none';
+        const typeOptions = [{ value: '', label: 'None' }, ...GRADIENT_TYPES].map(type =>
+            `<option value="${type.value}" ${type.value === (gradient ? gradient.type : '') && !custom ? 'selected' : ''}>${type.label}</option>`
+        ).join('');
+
+        return `
+            <div class="style-property">
+                <label class="input-label">Gradient</label>
+                <select class="property-input" data-effect="gradientType">
+                    ${typeOptions}
+                    ${custom ? `<option value="custom" selected>Custom: ${this.escapeHtml(style.backgroundImage)}</option>` : ''}
+                </select>
+                ${gradient ? `
+                    ${gradient.type === 'linear' ? `
+                        <label class="input-label">Angle (deg)</label>
+                        <input type="number" class="property-input" data-effect="gradientAngle" value="${gradient.angle}" step="15">
+                    ` : `
+                        <label class="input-label">Shape</label>
+                        <select class="property-input" data-effect="gradientShape">
+                            <option value="ellipse" ${gradient.shape === 'ellipse' ? 'selected' : ''}>Ellipse (fills the box)</option>
+                            <option value="circle" ${gradient.shape === 'circle' ? 'selected' : ''}>Circle</option>
+                        </select>
+                    `}
+                    <div class="effect-list">
+                        ${gradient.stops.map((stop, index) => `
+                            <div class="effect-item" data-gradient-stop>
+                                <input type="color" class="color-picker" value="${this.colorToHex(stop.color) || '#000000'}">
+                                <input type="text" class="property-input color-text" data-effect-field="color" value="${this.escapeHtml(stop.color)}">
+                                <input type="number" class="property-input effect-number" data-effect-field="position" value="${stop.position}" min="0" max="100" title="Position (%)">
+                                <button type="button" class="template-action-btn" data-effect-action="remove-stop" data-index="${index}" title="Remove color stop" ${gradient.stops.length <= 2 ? 'disabled' : ''}>✕</button>
+                            </div>
+                        `).join('')}
+                    </div>
+                    <button type="button" class="btn btn-secondary btn-small" data-effect-action="add-stop">+ Add Color Stop</button>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // Inner shadows and spread exist only for box shadows
+    renderShadowItem(shadow, index, shadowProperty) {
+        const box = shadowProperty === 'boxShadow';
+        const number = (field, title) =>
+            `<input type="number" class="property-input effect-number" data-effect-field="${field}" value="${shadow[field]}" title="${title}" placeholder="${title}">`;
+
+        return `
+            <div class="effect-item" data-shadow>
+                ${number('x', 'X')}
+                ${number('y', 'Y')}
+                ${number('blur', 'Blur')}
+                ${box ? number('spread', 'Spread') : ''}
+                <button type="button" class="template-action-btn" data-effect-action="remove-shadow" data-index="${index}" title="Remove shadow">✕</button>
+            </div>
+            <div class="effect-item effect-item-detail" data-shadow-color>
+                <input type="color" class="color-picker" value="${this.colorToHex(shadow.color) || '#000000'}">
+                <input type="text" class="property-input color-text" data-effect-field="color" value="${this.escapeHtml(shadow.color)}">
+                ${box ? `
+                    <label class="checkbox-label">
+                        <input type="checkbox" data-effect-field="inset" ${shadow.inset ? 'checked' : ''}> Inner
+                    </label>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    renderTextStrokeEditor(style) {
+        const stroke = StyleEffects.parseTextStroke(style.WebkitTextStroke);
+        return `
+            <div class="style-property">
+                <label class="input-label">Text Stroke</label>
+                <div class="color-input-group">
+                    <input type="number" class="property-input effect-number" data-effect="textStrokeWidth" value="${stroke.width}" min="0" step="0.5" title="Width (px)">
+                    <input type="color" class="color-picker" value="${this.colorToHex(stroke.color) || '#000000'}">
+                    <input type="text" class="property-input color-text" data-effect="textStrokeColor" value="${this.escapeHtml(stroke.color)}">
+                </div>
+            </div>
+        `;
+    }
+
+    setupEffectEventListeners(container) {
+        const group = container.querySelector('.effects-group');
+        if (!group) return;
+
+        group.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-effect-action]');
+            if (!button || button.disabled) return;
+
+            const effects = this.readEffects(group);
+            const index = parseInt(button.dataset.index);
+            switch (button.dataset.effectAction) {
+                case 'add-stop': {
+                    const last = effects.gradient.stops[effects.gradient.stops.length - 1];
+                    effects.gradient.stops.push({ color: last.color, position: 100 });
+                    break;
+                }
+                case 'remove-stop':
+                    effects.gradient.stops.splice(index, 1);
+                    break;
+                case 'add-shadow':
+                    effects.shadows.push({ inset: false, x: 0, y: 4, blur: 12, spread: 0, color: 'rgba(0, 0, 0, 0.5)' });
+                    break;
+                case 'remove-shadow':
+                    effects.shadows.splice(index, 1);
+                    break;
+            }
+            this.updateEffects(effects);
+            this.render();
+        });
+
+        // Typing updates the canvas as it goes; choosing a gradient type changes the editor
+        group.addEventListener('input', (e) => {
+            if (e.target.matches('.color-picker')) return;
+            this.updateEffects(this.readEffects(group));
+        });
+        group.addEventListener('change', (e) => {
+            if (e.target.matches('[data-effect="gradientType"], [data-effect="gradientShape"]')) {
+                this.updateEffects(this.readEffects(group));
+                this.render();
+            }
+        });
+    }
+
+    // The effects as shown in the editors; the gradient is undefined while a custom background image is kept
+    readEffects(group) {
+        const field = (name) => group.querySelector(`[data-effect="${name}"]`);
+        const number = (input, fallback = 0) => {
+            const value = input ? parseFloat(input.value) : NaN;
+            return isNaN(value) ? fallback : value;
+        };
+        const itemValue = (item, name) => item.querySelector(`[data-effect-field="${name}"]`);
+
+        const gradientType = field('gradientType') ? field('gradientType').value : '';
+        let gradient = null;
+        if (gradientType === 'custom') {
+            gradient = undefined;
+        } else if (gradientType) {
+            const stops = Array.from(group.querySelectorAll('[data-gradient-stop]')).map(item => ({
+                color: itemValue(item, 'color').value.trim() || '#000000',
+                position: Math.max(0, Math.min(100, number(itemValue(item, 'position'))))
+            }));
+            gradient = {
+                type: gradientType,
+                angle: number(field('gradientAngle'), 180),
+                shape: field('gradientShape') ? field('gradientShape').value : 'ellipse',
+                stops: stops.length >= 2 ? stops : [{ color: '#003366', position: 0 }, { color: '#0088cc', position: 100 }]
+            };
+        }
+
+        const colors = Array.from(group.querySelectorAll('[data-shadow-color]'));
+        const shadows = Array.from(group.querySelectorAll('[data-shadow]')).map((item, index) => ({
+            inset: !!(itemValue(colors[index], 'inset') && itemValue(colors[index], 'inset').checked),
+            x: number(itemValue(item, 'x')),
+            y: number(itemValue(item, 'y')),
+            blur: Math.max(0, number(itemValue(item, 'blur'))),
+            spread: number(itemValue(item, 'spread')),
+            color: itemValue(colors[index], 'color').value.trim() || '#000000'
+        }));
+
+        return {
+            gradient,
+            shadows,
+            blur: Math.max(0, number(field('blur'))),
+            backdropBlur: field('backdropBlur') ? Math.max(0, number(field('backdropBlur'))) : null,
+            textStroke: field('textStrokeWidth') ? {
+                width: Math.max(0, number(field('textStrokeWidth'))),
+                color: field('textStrokeColor').value.trim() || '#000000'
+            } : null,
+            blendMode: field('blendMode').value
+        };
+    }
+
+    // Write the effects into element.style; properties without an effect are removed
+    updateEffects(effects) {
+        const template = this.templateManager.getCurrentTemplate();
+        const element = template && this.currentElement ? template.getElementById(this.currentElement) : null;
+        if (!element) return;
+
+        const style = element.style || (element.style = {});
+        const set = (property, value) => {
+            if (value) {
+                style[property] = value;
+            } else {
+                delete style[property];
+            }
+        };
+
+        if (effects.gradient !== undefined && !VECTOR_TYPES.includes(element.type)) {
+            set('backgroundImage', StyleEffects.toGradient(effects.gradient));
+        }
+
+        const shadowProperty = StyleEffects.getShadowProperty(element);
+        const filter = StyleEffects.parseFilter(style.filter);
+        filter.blur = effects.blur;
+        if (shadowProperty === 'filter') {
+            filter.shadows = effects.shadows;
+        } else {
+            set(shadowProperty, StyleEffects.toShadows(effects.shadows, shadowProperty));
+        }
+        set('filter', StyleEffects.toFilter(filter));
+
+        if (effects.backdropBlur !== null) {
+            const backdrop = StyleEffects.parseFilter(style.backdropFilter);
+            backdrop.blur = effects.backdropBlur;
+            set('backdropFilter', StyleEffects.toFilter(backdrop));
+        }
+        if (effects.textStroke) {
+            set('WebkitTextStroke', StyleEffects.toTextStroke(effects.textStroke));
+        }
+        set('mixBlendMode', effects.blendMode === 'normal' ? '' : effects.blendMode);
+
+        this.visualEditor.render();
+        this.templateManager.saveToStorage({ label: 'Change effects', mergeKey: `effects:${element.id}` });
+        this.visualEditor.dispatchEvent('elementUpdated', { elementId: element.id });
+    }
+
+    getContainerName(element) {
+        const parent = this.templateManager.getCurrentTemplate().getParentGroup(element.id);
+        if (!parent) return 'graphic';
+        return parent.type === 'repeater' ? 'repeater item' : 'group';
+    }
+
+    renderLayoutProperties(element) {
+        const anchor = element.anchor || 'top-left';
+        const anchorOptions = ANCHORS.map(option =>
+            `<option value="${option.value}" ${option.value === anchor ? 'selected' : ''}>${option.label}</option>`
+        ).join('');
+
+        const field = (property, label) => {
+            const unit = ElementLayout.getUnit(element, property);
+            return `
+                <div class="input-col">
+                    <label class="input-label">${label}</label>
+                    <div class="unit-input">
+                        <input type="number" class="property-input" data-property="${property}" value="${element[property]}" step="any">
+                        <select class="property-input unit-select" data-layout-unit="${property}" title="Unit">
+                            <option value="px" ${unit === 'px' ? 'selected' : ''}>px</option>
+                            <option value="%" ${unit === '%' ? 'selected' : ''}>%</option>
+                        </select>
+                    </div>
+                </div>
+            `;
+        };
+
+        const constraint = (name, label) => {
+            const value = ElementLayout.getConstraint(element, name);
+            return `
+                <div class="input-col">
+                    <label class="input-label">${label}</label>
+                    <input type="number" class="property-input" data-layout-constraint="${name}" value="${value === null ? '' : value}" min="0" placeholder="None">
+                </div>
+            `;
+        };
+
+        return `
+            <div class="property-group">
+                <label>Position & Size</label>
+                <select class="property-input" data-layout-anchor title="Anchor">${anchorOptions}</select>
+                <small class="help-text">X and Y are measured from the anchored edge of the ${this.getContainerName(element)}; "%" is relative to its size</small>
+                <div class="input-row">
+                    ${field('x', 'X')}
+                    ${field('y', 'Y')}
+                </div>
+                <div class="input-row">
+                    ${field('width', 'Width')}
+                    ${field('height', 'Height')}
+                </div>
+            </div>
+
+            <div class="property-group">
+                <label>Size Limits (px)</label>
+                <div class="input-row">
+                    ${constraint('minWidth', 'Min Width')}
+                    ${constraint('maxWidth', 'Max Width')}
+                </div>
+                <div class="input-row">
+                    ${constraint('minHeight', 'Min Height')}
+                    ${constraint('maxHeight', 'Max Height')}
+                </div>
+            </div>
+        `;
     }
 
     setupPropertyEventListeners(container) {
@@ -363,6 +1390,10 @@ export class PropertyPanel {
         propertyInputs.forEach(input => {
             input.addEventListener('input', (e) => {
                 this.updateElementProperty(e.target.dataset.property, e.target.value);
+                if (e.target.dataset.property === 'content') {
+                    const help = container.querySelector('[data-binding-help]');
+                    if (help) help.outerHTML = this.renderBindingHelp(e.target.value);
+                }
             });
 
             input.addEventListener('change', (e) => {
@@ -370,6 +1401,120 @@ export class PropertyPanel {
             });
         });
 
+        container.querySelectorAll('[data-repeat]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                this.updateRepeat(e.target.dataset.repeat, e.target.value);
+            });
+        });
+
+        container.querySelectorAll('[data-ticker]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                this.updateTicker(e.target.dataset.ticker, e.target.value);
+            });
+        });
+
+        container.querySelectorAll('[data-clock]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                this.updateClock(e.target.dataset.clock, e.target.value);
+            });
+        });
+
+        container.querySelectorAll('[data-timer]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                this.updateTimer(e.target.dataset.timer, e.target.type === 'checkbox' ? e.target.checked : e.target.value);
+            });
+        });
+
+        container.querySelectorAll('[data-media]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                this.updateMedia(e.target.dataset.media, e.target.type === 'checkbox' ? e.target.checked : e.target.value);
+            });
+        });
+
+        container.querySelectorAll('[data-lottie]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                this.updateLottie(e.target.dataset.lottie, e.target.value);
+            });
+        });
+
+        container.querySelectorAll('[data-lottie-layer]').forEach(select => {
+            select.addEventListener('change', (e) => {
+                this.updateLottie('textLayer', e.target.value, e.target.dataset.lottieLayer);
+            });
+        });
+
+        container.querySelectorAll('[data-shape]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                this.updateShapeSetting(e.target.dataset.shape, e.target.type === 'checkbox' ? e.target.checked : e.target.value);
+            });
+        });
+
+        container.querySelectorAll('[data-visibility]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                this.updateVisibility(e.target.dataset.visibility, e.target.value);
+            });
+        });
+
+        // Picking a field adds it to the rule, joined with && to what is already there
+        const visibilityField = container.querySelector('[data-visibility-field]');
+        if (visibilityField) {
+            visibilityField.addEventListener('change', (e) => {
+                if (!e.target.value) return;
+                const rule = container.querySelector('[data-visibility="visibleWhen"]').value.trim();
+                this.updateVisibility('visibleWhen', rule ? `${rule} && ${e.target.value}` : e.target.value);
+            });
+        }
+
+        container.querySelectorAll('[data-text-fit]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                this.updateTextFit(e.target.dataset.textFit, e.target.value);
+            });
+        });
+
+        // Anchor, units and size limits keep the element where it is on the canvas
+        const anchorSelect = container.querySelector('[data-layout-anchor]');
+        if (anchorSelect) {
+            anchorSelect.addEventListener('change', (e) => {
+                this.updateElementLayout({ anchor: e.target.value });
+            });
+        }
+        container.querySelectorAll('[data-layout-unit]').forEach(select => {
+            select.addEventListener('change', (e) => {
+                this.updateElementLayout({ units: { [e.target.dataset.layoutUnit]: e.target.value } });
+            });
+        });
+        container.querySelectorAll('[data-layout-constraint]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const value = e.target.value.trim() === '' ? null : parseFloat(e.target.value);
+                this.updateElementLayout({ constraints: { [e.target.dataset.layoutConstraint]: value } });
+            });
+        });
+
+        const fontSelect = container.querySelector('[data-font-select]');
+        if (fontSelect) {
+            fontSelect.addEventListener('change', (e) => {
+                this.updateElementStyleProperty('fontFamily', e.target.value);
+                this.render();
+            });
+        }
+
+        const assetSelect = container.querySelector('[data-asset-select]');
+        if (assetSelect) {
+            assetSelect.addEventListener('change', (e) => {
+                if (!e.target.value) return;
+                this.updateElementProperty('content', e.target.value);
+                this.render();
+            });
+        }
+
+        // Renaming is applied on change so partial ids are never committed
+        const idInput = container.querySelector('[data-element-id]');
+        if (idInput) {
+            idInput.addEventListener('change', (e) => {
+                this.renameElement(e.target);
+            });
+        }
+
         // Style property inputs
         const styleInputs = container.querySelectorAll('.property-input[data-style-property]');
         styleInputs.forEach(input => {
@@ -407,6 +1552,22 @@ export class PropertyPanel {
             });
         });
 
+        // Per-step visibility and content
+        const stepSelect = container.querySelector('[data-step-select]');
+        if (stepSelect) {
+            stepSelect.addEventListener('change', (e) => {
+                this.visualEditor.setCurrentStep(parseInt(e.target.value));
+                this.render();
+            });
+        }
+
+        container.querySelectorAll('[data-step-override]').forEach(input => {
+            const eventName = input.type === 'checkbox' ? 'change' : 'input';
+            input.addEventListener(eventName, (e) => {
+                this.updateStepOverride(e.target.dataset.stepOverride, e.target);
+            });
+        });
+
         // Range input value display
         const rangeInputs = container.querySelectorAll('.range-input');
         rangeInputs.forEach(range => {
@@ -426,7 +1587,7 @@ export class PropertyPanel {
         
         // Convert string values to appropriate types
         if (property === 'x' || property === 'y' || property === 'width' || property === 'height') {
-            updates[property] = parseInt(value) || 0;
+            updates[property] = parseFloat(value) || 0;
         } else {
             updates[property] = value;
         }
@@ -439,6 +1600,251 @@ export class PropertyPanel {
         }
     }
 
+    updateTextFit(field, value) {
+        const template = this.templateManager.getCurrentTemplate();
+        const element = template && this.currentElement ? template.getElementById(this.currentElement) : null;
+        if (!element) return;
+
+        const fit = { ...(element.textFit || {}) };
+        if (field === 'minFontSize' || field === 'maxLines') {
+            fit[field] = Math.max(1, parseInt(value) || 1);
+        } else if (value) {
+            fit[field] = value;
+        } else {
+            delete fit[field];
+        }
+
+        if (fit.mode) {
+            element.textFit = fit;
+        } else {
+            delete element.textFit;
+        }
+
+        this.templateManager.saveToStorage({ label: 'Edit text fit' });
+        this.visualEditor.render();
+        this.visualEditor.dispatchEvent('elementUpdated', { elementId: element.id });
+        this.render();
+    }
+
+    updateRepeat(field, value) {
+        const template = this.templateManager.getCurrentTemplate();
+        const element = template && this.currentElement ? template.getElementById(this.currentElement) : null;
+        if (!element) return;
+
+        const repeat = { ...Repeater.getSettings(element), ...(element.repeat || {}) };
+        repeat[field] = field === 'field' || field === 'layout' ? value : Math.max(0, Number(value) || 0);
+        element.repeat = repeat;
+
+        this.templateManager.saveToStorage({ label: 'Edit repeater' });
+        this.visualEditor.render();
+        this.visualEditor.dispatchEvent('elementUpdated', { elementId: element.id });
+        this.render();
+    }
+
+    updateTicker(field, value) {
+        const template = this.templateManager.getCurrentTemplate();
+        const element = template && this.currentElement ? template.getElementById(this.currentElement) : null;
+        if (!element) return;
+
+        const ticker = { ...Ticker.getSettings(element) };
+        ticker[field] = field === 'direction' ? value : Math.max(field === 'speed' ? 1 : 0, Number(value) || 0);
+        element.ticker = ticker;
+
+        this.templateManager.saveToStorage({ label: 'Edit ticker' });
+        this.visualEditor.dispatchEvent('elementUpdated', { elementId: element.id });
+        this.render();
+    }
+
+    updateClock(field, value) {
+        const template = this.templateManager.getCurrentTemplate();
+        const element = template && this.currentElement ? template.getElementById(this.currentElement) : null;
+        if (!element) return;
+
+        const clock = { ...Clock.getSettings(element) };
+        clock[field] = field === 'format' ? value.trim() || DEFAULT_CLOCK_FORMAT : value;
+        element.clock = clock;
+
+        this.templateManager.saveToStorage({ label: 'Edit clock' });
+        this.visualEditor.render();
+        this.visualEditor.dispatchEvent('elementUpdated', { elementId: element.id });
+        this.render();
+    }
+
+    updateMedia(field, value) {
+        const template = this.templateManager.getCurrentTemplate();
+        const element = template && this.currentElement ? template.getElementById(this.currentElement) : null;
+        if (!element) return;
+
+        if (field === 'sequence') {
+            const sequence = Media.findSequences(template.assets).find(candidate => candidate.name === value);
+            if (!sequence) return;
+            element.frames = sequence.frames;
+        } else {
+            const media = { ...Media.getSettings(element) };
+            if (typeof value === 'boolean') {
+                media[field] = value;
+            } else if (field === 'fps') {
+                media.fps = Math.max(1, Number(value) || DEFAULT_MEDIA_FPS);
+            } else {
+                media[field] = Math.max(0, parseInt(value) || 0);
+            }
+            element.media = media;
+        }
+
+        this.templateManager.saveToStorage({ label: element.type === 'video' ? 'Edit video' : 'Edit image sequence' });
+        this.visualEditor.render();
+        this.visualEditor.dispatchEvent('elementUpdated', { elementId: element.id });
+        this.render();
+    }
+
+    updateLottie(field, value, layer) {
+        const template = this.templateManager.getCurrentTemplate();
+        const element = template && this.currentElement ? template.getElementById(this.currentElement) : null;
+        if (!element) return;
+
+        if (field === 'content') {
+            if (!value) return;
+            element.content = value;
+        } else {
+            const lottie = Lottie.getSettings(element);
+            if (field === 'textLayer') {
+                if (value) {
+                    lottie.textLayers[layer] = value;
+                } else {
+                    delete lottie.textLayers[layer];
+                }
+            } else {
+                lottie[field] = value.trim();
+            }
+            element.lottie = lottie;
+        }
+
+        this.templateManager.saveToStorage({ label: 'Edit Lottie animation' });
+        this.visualEditor.render();
+        this.visualEditor.dispatchEvent('elementUpdated', { elementId: element.id });
+        this.render();
+    }
+
+    // Polygons are redrawn with a new number of sides; paths open or close all their outlines
+    updateShapeSetting(field, value) {
+        const template = this.templateManager.getCurrentTemplate();
+        const element = template && this.currentElement ? template.getElementById(this.currentElement) : null;
+        if (!element) return;
+
+        const shape = VectorShape.getShape(element);
+        element.shape = field === 'sides'
+            ? VectorShape.createPolygon(shape.width, shape.height, value)
+            : { ...shape, subpaths: shape.subpaths.map(subpath => ({ ...subpath, closed: !!value })) };
+
+        this.templateManager.saveToStorage({ label: 'Edit shape' });
+        this.visualEditor.render();
+        this.visualEditor.dispatchEvent('elementUpdated', { elementId: element.id });
+        this.render();
+    }
+
+    updateTimer(field, value) {
+        const template = this.templateManager.getCurrentTemplate();
+        const element = template && this.currentElement ? template.getElementById(this.currentElement) : null;
+        if (!element) return;
+
+        const timer = { ...Timer.getSettings(element) };
+        if (field === 'start') {
+            timer.start = Timer.parseSeconds(value) || 0;
+        } else if (field === 'format') {
+            timer.format = value.trim() || 'mm:ss';
+        } else {
+            timer[field] = value;
+        }
+        element.timer = timer;
+
+        this.templateManager.saveToStorage({ label: 'Edit timer' });
+        this.visualEditor.render();
+        this.visualEditor.dispatchEvent('elementUpdated', { elementId: element.id });
+        this.render();
+    }
+
+    updateVisibility(field, value) {
+        const template = this.templateManager.getCurrentTemplate();
+        const element = template && this.currentElement ? template.getElementById(this.currentElement) : null;
+        if (!element) return;
+
+        const trimmed = value.trim();
+        if (trimmed) {
+            element[field] = trimmed;
+        } else {
+            delete element[field];
+        }
+        // The collapse mode only applies while there is a rule
+        if (!element.visibleWhen) {
+            delete element.collapse;
+        }
+
+        this.templateManager.saveToStorage({ label: 'Edit visibility rule' });
+        this.visualEditor.render();
+        this.visualEditor.dispatchEvent('elementUpdated', { elementId: element.id });
+        this.render();
+    }
+
+    updateElementLayout(changes) {
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template || !this.currentElement) return;
+
+        template.setElementLayout(this.currentElement, changes);
+        this.templateManager.saveToStorage({ label: 'Change element layout' });
+        this.visualEditor.render();
+        this.visualEditor.dispatchEvent('elementUpdated', { elementId: this.currentElement });
+        this.render();
+    }
+
+    renameElement(input) {
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template || !this.currentElement) return;
+
+        const oldId = this.currentElement;
+        const newId = input.value.trim();
+        try {
+            template.renameElement(oldId, newId);
+        } catch (error) {
+            alert(error.message);
+            input.value = oldId;
+            return;
+        }
+
+        template.generateWebComponent();
+        this.templateManager.saveToStorage({ label: 'Rename element' });
+        this.visualEditor.setSelection(this.visualEditor.selectedElements.map(id => id === oldId ? newId : id));
+    }
+
+    updateStepOverride(field, input) {
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template || !this.currentElement) return;
+
+        if (field === 'visible') {
+            template.setStepOverride(this.visualEditor.currentStep, this.currentElement, { hidden: !input.checked });
+        } else {
+            template.setStepOverride(this.visualEditor.currentStep, this.currentElement, { content: input.value });
+        }
+
+        this.onStepsChange({
+            label: 'Edit step override',
+            mergeKey: `step:${this.visualEditor.currentStep}:${this.currentElement}:${field}`
+        });
+    }
+
+    onStepsChange(options = {}) {
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template) return;
+
+        template.generateWebComponent();
+        this.templateManager.saveToStorage(options);
+        this.visualEditor.render();
+
+        if (this.previewEngine) {
+            this.previewEngine.reloadComponent();
+            this.previewEngine.updateControlButtons();
+        }
+    }
+
     updateAnimationProperty(property, value) {
         const template = this.templateManager.getCurrentTemplate();
         if (!template) return;
@@ -452,7 +1858,7 @@ export class PropertyPanel {
         template.animationSettings[property] = value;
         
         // Save changes
-        this.templateManager.saveToStorage();
+        this.templateManager.saveToStorage({ label: 'Change animation settings', mergeKey: `animation:${property}` });
         
         // Regenerate web component with new animation settings
         template.generateWebComponent();
@@ -471,7 +1877,55 @@ export class PropertyPanel {
         template.manifest[property] = value;
         
         // Save changes
-        this.templateManager.saveToStorage();
+        this.templateManager.saveToStorage({ label: 'Edit template', mergeKey: `template:${property}` });
+    }
+
+    updateTemplateSetting(property, value) {
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template) return;
+
+        template[property] = value;
+        template.generateWebComponent();
+        this.templateManager.saveToStorage({ label: 'Change template settings' });
+        this.visualEditor.render();
+
+        // The preview has to load the regenerated component from scratch
+        if (this.previewEngine) {
+            this.previewEngine.render();
+        }
+    }
+
+    renderResolutionOptions(resolution) {
+        const current = RESOLUTION_PRESETS.findIndex(preset =>
+            preset.width === resolution.width && preset.height === resolution.height
+        );
+        const options = RESOLUTION_PRESETS.map((preset, index) =>
+            `<option value="${index}" ${index === current ? 'selected' : ''}>${preset.label}</option>`
+        ).join('');
+        return `${options}<option value="custom" ${current === -1 ? 'selected' : ''}>Custom</option>`;
+    }
+
+    updateResolution(width, height, rescale) {
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template) return;
+
+        try {
+            template.setResolution(width, height, { rescale });
+        } catch (error) {
+            alert(error.message);
+            this.render();
+            return;
+        }
+
+        template.generateWebComponent();
+        this.templateManager.saveToStorage({ label: 'Change resolution' });
+        this.visualEditor.render();
+        this.visualEditor.dispatchEvent('layoutChanged');
+        this.render();
+
+        if (this.previewEngine) {
+            this.previewEngine.render();
+        }
     }
 
     previewAnimation(animationType) {
@@ -500,7 +1954,7 @@ export class PropertyPanel {
             
             element.style[property] = value;
             this.visualEditor.render();
-            this.templateManager.saveToStorage();
+            this.templateManager.saveToStorage({ label: 'Change style', mergeKey: `style:${this.currentElement}:${property}` });
         }
     }
 
@@ -512,8 +1966,8 @@ export class PropertyPanel {
             return color.length === 7 ? color : null;
         }
         
-        // Handle rgb() format
-        const rgbMatch = color.match(/rgb\((\d+),\s*(\d+),\s*(\d+)\)/);
+        // Handle rgb() and rgba() formats; the picker cannot show the alpha
+        const rgbMatch = color.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(,\s*[\d.]+)?\)/);
         if (rgbMatch) {
             const r = parseInt(rgbMatch[1]);
             const g = parseInt(rgbMatch[2]);
@@ -541,16 +1995,44 @@ export class PropertyPanel {
         const template = this.templateManager.getCurrentTemplate();
         if (!template) return;
 
-        const propertyName = prompt('Enter property name:');
-        if (!propertyName) return;
+        // Show the template properties and open a new field form in the schema editor
+        if (this.currentElement) {
+            this.setCurrentElement(null);
+        }
+        this.schemaEditor.startEditing([], null);
+    }
 
-        const propertyType = prompt('Enter property type (string, number, boolean):') || 'string';
-        const defaultValue = prompt('Enter default value:') || '';
+    onSchemaChange() {
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template) return;
 
-        template.addProperty(propertyName, propertyType, propertyName, defaultValue);
-        this.templateManager.saveToStorage();
-        
-        // Refresh template properties panel
-        this.renderTemplateProperties(this.container);
+        this.templateManager.saveToStorage({ label: 'Edit data fields' });
+
+        // Refresh the typed data inputs in the preview
+        if (this.previewEngine && this.previewEngine.currentTemplate === template) {
+            this.previewEngine.renderDataInputs();
+        }
+    }
+
+    onCustomActionsChange() {
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template) return;
+
+        template.generateWebComponent();
+        this.templateManager.saveToStorage({ label: 'Edit custom actions' });
+
+        // Effects are compiled into the component, so the preview has to reload it
+        if (this.previewEngine && this.previewEngine.currentTemplate === template) {
+            this.previewEngine.render();
+        }
+    }
+
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 }
\ No newline at end of file
@@ -0,0 +1,520 @@
+import { RICH_TEXT_FORMAT } from '../models/OGrafTemplate.js';
+
+// Field types offered in the editor. 'enum' is stored as a string schema with an enum list.
+const FIELD_TYPES = [
+    { value: 'string', label: 'Text' },
+    { value: 'number', label: 'Number' },
+    { value: 'integer', label: 'Integer' },
+    { value: 'boolean', label: 'Boolean' },
+    { value: 'enum', label: 'Choice (enum)' },
+    { value: 'array', label: 'List (array)' },
+    { value: 'object', label: 'Group (object)' }
+];
+
+const STRING_FORMATS = [
+    { value: '', label: 'Plain text' },
+    { value: 'color', label: 'Color' },
+    { value: 'uri', label: 'URL' },
+    { value: 'date-time', label: 'Date & time' },
+    { value: RICH_TEXT_FORMAT, label: 'Rich text (bold, italic, color)' }
+];
+
+const ITEM_TYPES = ['string', 'number', 'integer', 'boolean', 'object'];
+
+export class SchemaEditor {
+    constructor(templateManager, options = {}) {
+        this.templateManager = templateManager;
+        this.onChange = options.onChange || (() => {});
+        // Root object schema being edited; defaults to the manifest's data schema
+        this.getRootSchema = options.getRootSchema || ((template) => {
+            if (!template.manifest.schema) {
+                template.manifest.schema = { type: 'object', properties: {} };
+            }
+            return template.manifest.schema;
+        });
+        this.container = null;
+        this.editing = null;
+
+        this.handleClick = this.handleClick.bind(this);
+        this.handleInput = this.handleInput.bind(this);
+    }
+
+    mount(containerElement) {
+        if (this.container) {
+            this.container.removeEventListener('click', this.handleClick);
+            this.container.removeEventListener('input', this.handleInput);
+            this.container.removeEventListener('change', this.handleInput);
+        }
+
+        this.container = containerElement;
+        if (!this.container) return;
+
+        this.container.addEventListener('click', this.handleClick);
+        this.container.addEventListener('input', this.handleInput);
+        this.container.addEventListener('change', this.handleInput);
+        this.render();
+    }
+
+    render() {
+        if (!this.container) return;
+
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template) {
+            this.container.innerHTML = '';
+            return;
+        }
+
+        const rootSchema = this.getRootSchema(template);
+        if (!rootSchema) {
+            this.container.innerHTML = '';
+            return;
+        }
+
+        this.container.innerHTML = `
+            <div class="schema-editor">
+                ${this.renderObjectFields(rootSchema, [])}
+            </div>
+        `;
+    }
+
+    renderObjectFields(objectSchema, objectPath) {
+        const properties = objectSchema.properties || {};
+        const required = objectSchema.required || [];
+        const pathAttr = this.encodePath(objectPath);
+
+        const fields = Object.entries(properties)
+            .map(([key, definition]) => this.renderField(key, definition, objectPath, required.includes(key)))
+            .join('');
+
+        const isAddingHere = this.editing && this.editing.key === null && this.isSamePath(this.editing.objectPath, objectPath);
+
+        return `
+            <div class="schema-field-list">
+                ${fields || '<p class="schema-empty">No fields defined</p>'}
+                ${isAddingHere ? this.renderFieldForm() : ''}
+                <button type="button" class="btn btn-secondary btn-small schema-add-btn" data-schema-action="add" data-object-path="${pathAttr}">+ Add Field</button>
+            </div>
+        `;
+    }
+
+    renderField(key, definition, objectPath, isRequired) {
+        const pathAttr = this.encodePath(objectPath);
+        const propertyPath = [...objectPath, 'properties', key];
+        const isEditing = this.editing && this.editing.key === key && this.isSamePath(this.editing.objectPath, objectPath);
+
+        let nested = '';
+        if (definition.type === 'object') {
+            nested = `
+                <div class="schema-nested">
+                    ${this.renderObjectFields(definition, propertyPath)}
+                </div>
+            `;
+        } else if (definition.type === 'array' && definition.items && definition.items.type === 'object') {
+            nested = `
+                <div class="schema-nested">
+                    <div class="schema-nested-label">Each item</div>
+                    ${this.renderObjectFields(definition.items, [...propertyPath, 'items'])}
+                </div>
+            `;
+        }
+
+        return `
+            <div class="schema-field ${isEditing ? 'editing' : ''}">
+                <div class="schema-field-header">
+                    <div class="schema-field-info">
+                        <span class="schema-field-title">${this.escapeHtml(definition.title || key)}</span>
+                        <span class="schema-field-key">${this.escapeHtml(key)}</span>
+                    </div>
+                    <span class="schema-type-badge">${this.escapeHtml(this.describeType(definition))}</span>
+                    ${isRequired ? '<span class="schema-required-badge">required</span>' : ''}
+                    <div class="schema-field-actions">
+                        <button type="button" class="template-action-btn" data-schema-action="move-up" data-object-path="${pathAttr}" data-key="${this.escapeHtml(key)}" title="Move up">↑</button>
+                        <button type="button" class="template-action-btn" data-schema-action="move-down" data-object-path="${pathAttr}" data-key="${this.escapeHtml(key)}" title="Move down">↓</button>
+                        <button type="button" class="template-action-btn" data-schema-action="edit" data-object-path="${pathAttr}" data-key="${this.escapeHtml(key)}" title="Edit">✎</button>
+                        <button type="button" class="template-action-btn" data-schema-action="remove" data-object-path="${pathAttr}" data-key="${this.escapeHtml(key)}" title="Remove">🗑️</button>
+                    </div>
+                </div>
+                ${definition.description ? `<small class="help-text">${this.escapeHtml(definition.description)}</small>` : ''}
+                ${isEditing ? this.renderFieldForm() : ''}
+                ${nested}
+            </div>
+        `;
+    }
+
+    renderFieldForm() {
+        const draft = this.editing.draft;
+        const typeOptions = FIELD_TYPES.map(type =>
+            `<option value="${type.value}" ${draft.type === type.value ? 'selected' : ''}>${type.label}</option>`
+        ).join('');
+
+        return `
+            <div class="schema-field-form">
+                ${this.editing.error ? `<div class="validation-message error-message">${this.escapeHtml(this.editing.error)}</div>` : ''}
+                <div class="input-row">
+                    <div class="input-col">
+                        <label class="input-label">Key</label>
+                        <input type="text" class="property-input" data-schema-input="key" value="${this.escapeHtml(draft.key)}" placeholder="e.g. name">
+                    </div>
+                    <div class="input-col">
+                        <label class="input-label">Type</label>
+                        <select class="property-input" data-schema-input="type">${typeOptions}</select>
+                    </div>
+                </div>
+                <div class="style-property">
+                    <label class="input-label">Title</label>
+                    <input type="text" class="property-input" data-schema-input="title" value="${this.escapeHtml(draft.title)}">
+                </div>
+                <div class="style-property">
+                    <label class="input-label">Description</label>
+                    <textarea class="property-input" data-schema-input="description" rows="2">${this.escapeHtml(draft.description)}</textarea>
+                </div>
+                ${this.renderTypeOptions(draft)}
+                ${this.renderDefaultInput(draft)}
+                <label class="checkbox-label">
+                    <input type="checkbox" data-schema-input="required" ${draft.required ? 'checked' : ''}>
+                    Required
+                </label>
+                <div class="schema-form-actions">
+                    <button type="button" class="btn btn-primary btn-small" data-schema-action="save">Save</button>
+                    <button type="button" class="btn btn-secondary btn-small" data-schema-action="cancel">Cancel</button>
+                </div>
+            </div>
+        `;
+    }
+
+    renderTypeOptions(draft) {
+        switch (draft.type) {
+            case 'string': {
+                const formatOptions = STRING_FORMATS.map(format =>
+                    `<option value="${format.value}" ${draft.format === format.value ? 'selected' : ''}>${format.label}</option>`
+                ).join('');
+                return `
+                    <div class="style-property">
+                        <label class="input-label">Format</label>
+                        <select class="property-input" data-schema-input="format">${formatOptions}</select>
+                    </div>
+                    ${this.renderRangeInputs('Min Length', 'minLength', 'Max Length', 'maxLength', draft)}
+                `;
+            }
+            case 'number':
+            case 'integer':
+                return this.renderRangeInputs('Minimum', 'minimum', 'Maximum', 'maximum', draft);
+            case 'enum':
+                return `
+                    <div class="style-property">
+                        <label class="input-label">Options (one per line)</label>
+                        <textarea class="property-input" data-schema-input="enumOptions" rows="3">${this.escapeHtml(draft.enumOptions)}</textarea>
+                    </div>
+                `;
+            case 'array': {
+                const itemOptions = ITEM_TYPES.map(type =>
+                    `<option value="${type}" ${draft.itemType === type ? 'selected' : ''}>${type}</option>`
+                ).join('');
+                return `
+                    <div class="style-property">
+                        <label class="input-label">Item Type</label>
+                        <select class="property-input" data-schema-input="itemType">${itemOptions}</select>
+                    </div>
+                    ${this.renderRangeInputs('Min Items', 'minItems', 'Max Items', 'maxItems', draft)}
+                `;
+            }
+            default:
+                return '';
+        }
+    }
+
+    renderRangeInputs(minLabel, minKey, maxLabel, maxKey, draft) {
+        return `
+            <div class="input-row">
+                <div class="input-col">
+                    <label class="input-label">${minLabel}</label>
+                    <input type="number" class="property-input" data-schema-input="${minKey}" value="${this.escapeHtml(draft[minKey])}">
+                </div>
+                <div class="input-col">
+                    <label class="input-label">${maxLabel}</label>
+                    <input type="number" class="property-input" data-schema-input="${maxKey}" value="${this.escapeHtml(draft[maxKey])}">
+                </div>
+            </div>
+        `;
+    }
+
+    renderDefaultInput(draft) {
+        switch (draft.type) {
+            case 'boolean':
+                return `
+                    <label class="checkbox-label">
+                        <input type="checkbox" data-schema-input="default" ${draft.default === true ? 'checked' : ''}>
+                        Checked by default
+                    </label>
+                `;
+            case 'array':
+            case 'object':
+                return '';
+            case 'number':
+            case 'integer':
+                return `
+                    <div class="style-property">
+                        <label class="input-label">Default Value</label>
+                        <input type="number" class="property-input" data-schema-input="default" value="${this.escapeHtml(draft.default)}">
+                    </div>
+                `;
+            default:
+                return `
+                    <div class="style-property">
+                        <label class="input-label">Default Value</label>
+                        <input type="text" class="property-input" data-schema-input="default" value="${this.escapeHtml(draft.default)}">
+                    </div>
+                `;
+        }
+    }
+
+    handleClick(e) {
+        const button = e.target.closest('[data-schema-action]');
+        if (!button || !this.container.contains(button)) return;
+
+        const action = button.dataset.schemaAction;
+        const objectPath = button.dataset.objectPath ? JSON.parse(button.dataset.objectPath) : null;
+        const key = button.dataset.key;
+
+        switch (action) {
+            case 'add':
+                this.startEditing(objectPath, null);
+                break;
+            case 'edit':
+                this.startEditing(objectPath, key);
+                break;
+            case 'remove':
+                this.removeField(objectPath, key);
+                break;
+            case 'move-up':
+                this.moveField(objectPath, key, -1);
+                break;
+            case 'move-down':
+                this.moveField(objectPath, key, 1);
+                break;
+            case 'save':
+                this.saveField();
+                break;
+            case 'cancel':
+                this.editing = null;
+                this.render();
+                break;
+        }
+    }
+
+    handleInput(e) {
+        const input = e.target.closest('[data-schema-input]');
+        if (!input || !this.editing) return;
+
+        const name = input.dataset.schemaInput;
+        this.editing.draft[name] = input.type === 'checkbox' ? input.checked : input.value;
+
+        // Type changes alter which options are shown
+        if (e.type === 'change' && (name === 'type' || name === 'itemType')) {
+            if (name === 'type') {
+                this.editing.draft.default = input.value === 'boolean' ? false : '';
+            }
+            this.render();
+        }
+    }
+
+    startEditing(objectPath, key) {
+        const objectSchema = this.getObjectSchema(objectPath);
+        if (!objectSchema) return;
+
+        const definition = key !== null ? (objectSchema.properties || {})[key] : { type: 'string' };
+        const isRequired = key !== null && (objectSchema.required || []).includes(key);
+
+        this.editing = {
+            objectPath,
+            key,
+            draft: this.draftFromDefinition(key || '', definition, isRequired),
+            error: null
+        };
+        this.render();
+    }
+
+    saveField() {
+        const template = this.templateManager.getCurrentTemplate();
+        const objectSchema = this.getObjectSchema(this.editing.objectPath);
+        if (!template || !objectSchema) return;
+
+        const draft = this.editing.draft;
+        const key = draft.key.trim();
+        const previousKey = this.editing.key;
+        const properties = objectSchema.properties || {};
+
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+            this.editing.error = 'Key must start with a letter or underscore and contain only letters, numbers and underscores';
+            this.render();
+            return;
+        }
+        if (key !== previousKey && properties[key]) {
+            this.editing.error = `A field named "${key}" already exists`;
+            this.render();
+            return;
+        }
+
+        const previousDefinition = previousKey !== null ? properties[previousKey] : {};
+        const definition = this.definitionFromDraft(draft, previousDefinition || {});
+
+        template.setSchemaProperty(objectSchema, key, definition, {
+            previousName: previousKey === null ? key : previousKey,
+            required: draft.required
+        });
+
+        this.editing = null;
+        this.render();
+        this.onChange();
+    }
+
+    removeField(objectPath, key) {
+        const template = this.templateManager.getCurrentTemplate();
+        const objectSchema = this.getObjectSchema(objectPath);
+        if (!template || !objectSchema) return;
+
+        if (!confirm(`Remove field "${key}"?`)) return;
+
+        template.removeSchemaProperty(objectSchema, key);
+        if (this.editing && this.editing.key === key && this.isSamePath(this.editing.objectPath, objectPath)) {
+            this.editing = null;
+        }
+        this.render();
+        this.onChange();
+    }
+
+    moveField(objectPath, key, direction) {
+        const objectSchema = this.getObjectSchema(objectPath);
+        if (!objectSchema || !objectSchema.properties) return;
+
+        const entries = Object.entries(objectSchema.properties);
+        const index = entries.findIndex(([entryKey]) => entryKey === key);
+        const target = index + direction;
+        if (index < 0 || target < 0 || target >= entries.length) return;
+
+        [entries[index], entries[target]] = [entries[target], entries[index]];
+        objectSchema.properties = Object.fromEntries(entries);
+        this.render();
+        this.onChange();
+    }
+
+    draftFromDefinition(key, definition, isRequired) {
+        const type = definition.enum ? 'enum' : (definition.type || 'string');
+        const items = definition.items || {};
+
+        return {
+            key,
+            title: definition.title || '',
+            description: definition.description || '',
+            type,
+            format: definition.format || '',
+            minimum: definition.minimum ?? '',
+            maximum: definition.maximum ?? '',
+            minLength: definition.minLength ?? '',
+            maxLength: definition.maxLength ?? '',
+            minItems: definition.minItems ?? '',
+            maxItems: definition.maxItems ?? '',
+            enumOptions: (definition.enum || []).join('\n'),
+            itemType: items.type || 'string',
+            default: type === 'boolean' ? definition.default === true : (definition.default ?? ''),
+            required: isRequired
+        };
+    }
+
+    definitionFromDraft(draft, previousDefinition) {
+        const definition = {
+            type: draft.type === 'enum' ? 'string' : draft.type
+        };
+
+        if (draft.title.trim()) definition.title = draft.title.trim();
+        if (draft.description.trim()) definition.description = draft.description.trim();
+
+        const setNumber = (key, parse = parseFloat) => {
+            const value = parse(draft[key]);
+            if (!isNaN(value)) definition[key] = value;
+        };
+
+        switch (draft.type) {
+            case 'string':
+                if (draft.format) definition.format = draft.format;
+                setNumber('minLength', parseInt);
+                setNumber('maxLength', parseInt);
+                if (draft.default !== '') definition.default = String(draft.default);
+                break;
+            case 'enum':
+                definition.enum = draft.enumOptions.split('\n').map(option => option.trim()).filter(Boolean);
+                if (draft.default !== '') definition.default = String(draft.default);
+                break;
+            case 'number':
+                setNumber('minimum');
+                setNumber('maximum');
+                if (draft.default !== '' && !isNaN(parseFloat(draft.default))) definition.default = parseFloat(draft.default);
+                break;
+            case 'integer':
+                setNumber('minimum', parseInt);
+                setNumber('maximum', parseInt);
+                if (draft.default !== '' && !isNaN(parseInt(draft.default))) definition.default = parseInt(draft.default);
+                break;
+            case 'boolean':
+                definition.default = draft.default === true;
+                break;
+            case 'array': {
+                // Keep the existing item definition (e.g. nested object fields) when the item type is unchanged
+                const previousItems = previousDefinition.type === 'array' ? previousDefinition.items : null;
+                if (previousItems && previousItems.type === draft.itemType) {
+                    definition.items = previousItems;
+                } else {
+                    definition.items = draft.itemType === 'object'
+                        ? { type: 'object', properties: {} }
+                        : { type: draft.itemType };
+                }
+                setNumber('minItems', parseInt);
+                setNumber('maxItems', parseInt);
+                if (previousDefinition.type === 'array' && Array.isArray(previousDefinition.default)) {
+                    definition.default = previousDefinition.default;
+                }
+                break;
+            }
+            case 'object':
+                definition.properties = previousDefinition.type === 'object' ? (previousDefinition.properties || {}) : {};
+                if (previousDefinition.type === 'object' && previousDefinition.required) {
+                    definition.required = previousDefinition.required;
+                }
+                break;
+        }
+
+        return definition;
+    }
+
+    describeType(definition) {
+        if (definition.enum) return 'enum';
+        if (definition.type === 'array') {
+            return `array<${(definition.items && definition.items.type) || 'string'}>`;
+        }
+        if (definition.format) return `${definition.type} (${definition.format})`;
+        return definition.type || 'string';
+    }
+
+    getObjectSchema(objectPath) {
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template) return null;
+        return objectPath.reduce((schema, key) => (schema ? schema[key] : undefined), this.getRootSchema(template));
+    }
+
+    isSamePath(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    encodePath(path) {
+        return this.escapeHtml(JSON.stringify(path));
+    }
+
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
\ No newline at end of file
@@ -0,0 +1,303 @@
+import { RICH_TEXT_FORMAT } from '../models/OGrafTemplate.js';
+
+export class SchemaForm {
+    constructor(containerElement, options = {}) {
+        this.container = containerElement;
+        this.onChange = options.onChange || (() => {});
+        this.schema = { type: 'object', properties: {} };
+        this.value = {};
+
+        this.container.addEventListener('input', (e) => this.handleInput(e));
+        this.container.addEventListener('change', (e) => this.handleInput(e));
+        this.container.addEventListener('click', (e) => this.handleClick(e));
+    }
+
+    // Build a value for a schema from its defaults
+    static getDefaultValue(schema) {
+        if (!schema) return '';
+
+        if (schema.default !== undefined) {
+            return JSON.parse(JSON.stringify(schema.default));
+        }
+
+        switch (schema.type) {
+            case 'object': {
+                const value = {};
+                Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+                    value[key] = SchemaForm.getDefaultValue(propertySchema);
+                });
+                return value;
+            }
+            case 'array':
+                return [];
+            case 'boolean':
+                return false;
+            case 'number':
+            case 'integer':
+                return schema.minimum !== undefined ? schema.minimum : 0;
+            default:
+                return schema.enum && schema.enum.length > 0 ? schema.enum[0] : '';
+        }
+    }
+
+    // Fill in missing values from schema defaults without touching existing ones
+    static applyDefaults(schema, value) {
+        if (!schema || schema.type !== 'object') {
+            return value === undefined ? SchemaForm.getDefaultValue(schema) : value;
+        }
+
+        const result = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            result[key] = SchemaForm.applyDefaults(propertySchema, result[key]);
+        });
+        return result;
+    }
+
+    setSchema(schema, value) {
+        this.schema = schema || { type: 'object', properties: {} };
+        this.value = SchemaForm.applyDefaults(this.schema, value || {});
+        this.render();
+    }
+
+    setValue(value) {
+        this.value = SchemaForm.applyDefaults(this.schema, value || {});
+        this.render();
+    }
+
+    getValue() {
+        return this.value;
+    }
+
+    render() {
+        const properties = this.schema.properties || {};
+        if (Object.keys(properties).length === 0) {
+            this.container.innerHTML = '<p>No data inputs available</p>';
+            return;
+        }
+
+        this.container.innerHTML = this.renderProperties(this.schema, []);
+    }
+
+    renderProperties(objectSchema, path) {
+        const required = objectSchema.required || [];
+        return Object.entries(objectSchema.properties || {})
+            .map(([key, propertySchema]) => this.renderField(propertySchema, [...path, key], propertySchema.title || key, required.includes(key)))
+            .join('');
+    }
+
+    renderField(schema, path, label, isRequired = false) {
+        const value = this.getAtPath(path);
+        const labelHtml = `${this.escapeHtml(label)}${isRequired ? ' *' : ''}`;
+        const help = schema.description ? ` title="${this.escapeHtml(schema.description)}"` : '';
+
+        if (schema.type === 'object') {
+            return `
+                <fieldset class="schema-form-group">
+                    <legend${help}>${labelHtml}</legend>
+                    ${this.renderProperties(schema, path)}
+                </fieldset>
+            `;
+        }
+
+        if (schema.type === 'array') {
+            return this.renderArray(schema, path, labelHtml, help);
+        }
+
+        return `
+            <div class="data-input-group">
+                <label${help}>${labelHtml}:</label>
+                ${this.renderControl(schema, path, value)}
+            </div>
+        `;
+    }
+
+    renderArray(schema, path, labelHtml, help) {
+        const items = Array.isArray(this.getAtPath(path)) ? this.getAtPath(path) : [];
+        const itemSchema = schema.items || { type: 'string' };
+        const pathAttr = this.encodePath(path);
+        const canAdd = schema.maxItems === undefined || items.length < schema.maxItems;
+        const canRemove = schema.minItems === undefined || items.length > schema.minItems;
+
+        const itemsHtml = items.map((item, index) => `
+            <div class="schema-form-item">
+                <div class="schema-form-item-content">
+                    ${this.renderField(itemSchema, [...path, index], `#${index + 1}`)}
+                </div>
+                <button type="button" class="template-action-btn" data-form-action="remove-item" data-form-path="${pathAttr}" data-index="${index}" title="Remove item" ${canRemove ? '' : 'disabled'}>✕</button>
+            </div>
+        `).join('');
+
+        return `
+            <fieldset class="schema-form-group">
+                <legend${help}>${labelHtml}</legend>
+                ${itemsHtml || '<p class="schema-empty">No items</p>'}
+                <button type="button" class="btn btn-secondary btn-small" data-form-action="add-item" data-form-path="${pathAttr}" ${canAdd ? '' : 'disabled'}>+ Add Item</button>
+            </fieldset>
+        `;
+    }
+
+    renderControl(schema, path, value) {
+        const pathAttr = this.encodePath(path);
+        const attrs = `class="data-input" data-form-path="${pathAttr}"`;
+
+        if (schema.enum) {
+            const options = schema.enum.map(option =>
+                `<option value="${this.escapeHtml(option)}" ${option === value ? 'selected' : ''}>${this.escapeHtml(option)}</option>`
+            ).join('');
+            return `<select ${attrs} data-form-type="enum">${options}</select>`;
+        }
+
+        switch (schema.type) {
+            case 'boolean':
+                return `<input type="checkbox" ${attrs} data-form-type="boolean" ${value === true ? 'checked' : ''}>`;
+            case 'number':
+            case 'integer': {
+                const min = schema.minimum !== undefined ? `min="${schema.minimum}"` : '';
+                const max = schema.maximum !== undefined ? `max="${schema.maximum}"` : '';
+                const step = schema.type === 'integer' ? '1' : 'any';
+                return `<input type="number" ${attrs} data-form-type="${schema.type}" value="${this.escapeHtml(value)}" ${min} ${max} step="${step}">`;
+            }
+            default:
+                return this.renderStringControl(schema, pathAttr, value);
+        }
+    }
+
+    renderStringControl(schema, pathAttr, value) {
+        const attrs = `class="data-input" data-form-path="${pathAttr}"`;
+        const lengthAttrs = [
+            schema.minLength !== undefined ? `minlength="${schema.minLength}"` : '',
+            schema.maxLength !== undefined ? `maxlength="${schema.maxLength}"` : ''
+        ].join(' ');
+
+        switch (schema.format) {
+            case 'color': {
+                const hex = /^#[0-9a-f]{6}$/i.test(value) ? value : '#000000';
+                return `
+                    <div class="color-input-group">
+                        <input type="color" class="color-picker" data-form-path="${pathAttr}" data-form-type="string" value="${hex}">
+                        <input type="text" ${attrs} data-form-type="string" value="${this.escapeHtml(value)}">
+                    </div>
+                `;
+            }
+            case 'uri':
+                return `<input type="url" ${attrs} data-form-type="string" value="${this.escapeHtml(value)}" ${lengthAttrs}>`;
+            case 'date-time':
+                return `<input type="datetime-local" ${attrs} data-form-type="date-time" value="${this.toLocalDateTime(value)}">`;
+            case RICH_TEXT_FORMAT:
+                return `<textarea ${attrs} data-form-type="string" rows="2" placeholder="&lt;b&gt;bold&lt;/b&gt;, &lt;i&gt;italic&lt;/i&gt;, &lt;span style=&quot;color: red&quot;&gt;color&lt;/span&gt;" ${lengthAttrs}>${this.escapeHtml(value)}</textarea>`;
+            default:
+                return `<input type="text" ${attrs} data-form-type="string" value="${this.escapeHtml(value)}" placeholder="${this.escapeHtml(schema.default || '')}" ${lengthAttrs}>`;
+        }
+    }
+
+    handleInput(e) {
+        const input = e.target.closest('[data-form-path]');
+        if (!input || input.tagName === 'BUTTON') return;
+
+        const path = JSON.parse(input.dataset.formPath);
+        const value = this.parseInputValue(input);
+        this.setAtPath(path, value);
+
+        // Keep color picker and text input in sync
+        const group = input.closest('.color-input-group');
+        if (group) {
+            group.querySelectorAll('[data-form-path]').forEach(other => {
+                if (other === input) return;
+                if (other.type === 'color') {
+                    if (/^#[0-9a-f]{6}$/i.test(value)) other.value = value;
+                } else {
+                    other.value = value;
+                }
+            });
+        }
+
+        this.onChange(this.value);
+    }
+
+    handleClick(e) {
+        const button = e.target.closest('[data-form-action]');
+        if (!button || button.disabled) return;
+
+        const path = JSON.parse(button.dataset.formPath);
+        const items = this.getAtPath(path);
+        if (!Array.isArray(items)) {
+            this.setAtPath(path, []);
+        }
+        const list = this.getAtPath(path);
+        const schema = this.getSchemaAtPath(path);
+
+        if (button.dataset.formAction === 'add-item') {
+            list.push(SchemaForm.getDefaultValue(schema && schema.items ? schema.items : { type: 'string' }));
+        } else if (button.dataset.formAction === 'remove-item') {
+            list.splice(parseInt(button.dataset.index), 1);
+        }
+
+        this.render();
+        this.onChange(this.value);
+    }
+
+    parseInputValue(input) {
+        switch (input.dataset.formType) {
+            case 'boolean':
+                return input.checked;
+            case 'number': {
+                const number = parseFloat(input.value);
+                return isNaN(number) ? '' : number;
+            }
+            case 'integer': {
+                const number = parseInt(input.value);
+                return isNaN(number) ? '' : number;
+            }
+            case 'date-time': {
+                const date = new Date(input.value);
+                return isNaN(date.getTime()) ? '' : date.toISOString();
+            }
+            default:
+                return input.value;
+        }
+    }
+
+    toLocalDateTime(value) {
+        const date = new Date(value);
+        if (!value || isNaN(date.getTime())) return '';
+        const pad = (number) => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    getAtPath(path) {
+        return path.reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), this.value);
+    }
+
+    setAtPath(path, value) {
+        let target = this.value;
+        path.slice(0, -1).forEach(key => {
+            if (target[key] === undefined || target[key] === null || typeof target[key] !== 'object') {
+                target[key] = {};
+            }
+            target = target[key];
+        });
+        target[path[path.length - 1]] = value;
+    }
+
+    // Walk the schema alongside a value path (array indices map onto "items")
+    getSchemaAtPath(path) {
+        return path.reduce((schema, key) => {
+            if (!schema) return undefined;
+            if (schema.type === 'array') return schema.items;
+            return (schema.properties || {})[key];
+        }, this.schema);
+    }
+
+    encodePath(path) {
+        return this.escapeHtml(JSON.stringify(path));
+    }
+
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
\ No newline at end of file
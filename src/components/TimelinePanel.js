@@ -0,0 +1,635 @@
+import { AnimationTimeline, EASING_PRESETS, TRACK_PRESETS } from '../models/AnimationTimeline.js';
+
+const BUILT_IN_ANIMATIONS = ['in', 'out'];
+const KEYFRAME_FIELDS = [
+    { key: 'x', label: 'X (px)', step: '1' },
+    { key: 'y', label: 'Y (px)', step: '1' },
+    { key: 'opacity', label: 'Opacity', step: '0.05', min: '0', max: '1' },
+    { key: 'scale', label: 'Scale', step: '0.05' },
+    { key: 'rotation', label: 'Rotation (°)', step: '1' }
+];
+const CLIP_SIDES = ['top', 'right', 'bottom', 'left'];
+
+export class TimelinePanel {
+    constructor(containerElement, visualEditor, templateManager) {
+        this.container = containerElement;
+        this.visualEditor = visualEditor;
+        this.templateManager = templateManager;
+        this.previewEngine = null;
+        this.currentAnimation = 'in';
+        this.selectedKeyframe = 0;
+        this.collapsed = false;
+        this.previewAnimations = [];
+        this.dragState = null;
+
+        this.handleDragMove = this.handleDragMove.bind(this);
+        this.handleDragEnd = this.handleDragEnd.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.render();
+    }
+
+    setPreviewEngine(previewEngine) {
+        this.previewEngine = previewEngine;
+    }
+
+    setupEventListeners() {
+        this.container.addEventListener('click', (e) => this.handleClick(e));
+        this.container.addEventListener('change', (e) => this.handleChange(e));
+        this.container.addEventListener('input', (e) => {
+            if (e.target.dataset.timelineField === 'scrub') {
+                this.scrubTo(parseFloat(e.target.value) || 0);
+            }
+        });
+        this.container.addEventListener('mousedown', (e) => this.handleDragStart(e));
+
+        // Keep scrolling and typing inside the panel away from the canvas handlers
+        this.container.addEventListener('wheel', (e) => e.stopPropagation());
+        this.container.addEventListener('keydown', (e) => e.stopPropagation());
+
+        const editorContainer = this.visualEditor.container;
+        ['elementSelected', 'elementDeselected', 'elementAdded', 'elementDeleted'].forEach(eventName => {
+            editorContainer.addEventListener(eventName, () => {
+                this.selectedKeyframe = 0;
+                this.render();
+            });
+        });
+    }
+
+    getTemplate() {
+        return this.templateManager.getCurrentTemplate();
+    }
+
+    // Read-only view of the current animation; use template.getAnimation() to modify
+    getAnimation(template) {
+        return (template.animations && template.animations[this.currentAnimation]) || AnimationTimeline.createAnimation();
+    }
+
+    getSelectedTrack(template) {
+        const elementId = this.visualEditor.selectedElement;
+        if (!elementId) return null;
+        return this.getAnimation(template).tracks[elementId] || null;
+    }
+
+    render() {
+        this.stopPreview();
+
+        const template = this.getTemplate();
+        if (!template) {
+            this.container.innerHTML = '';
+            this.container.classList.add('hidden');
+            return;
+        }
+        this.container.classList.remove('hidden');
+        this.container.classList.toggle('collapsed', this.collapsed);
+
+        if (!BUILT_IN_ANIMATIONS.includes(this.currentAnimation) && !(template.animations || {})[this.currentAnimation]) {
+            this.currentAnimation = 'in';
+        }
+
+        const animation = this.getAnimation(template);
+        const elementIds = template.getAllElements().map(element => element.id);
+        const endTime = AnimationTimeline.getEndTime(animation, elementIds);
+        // Lane length rounded up to the next half second, with at least one second visible
+        const laneLength = Math.max(1000, Math.ceil(endTime / 500) * 500);
+
+        this.container.innerHTML = `
+            <div class="timeline-header">
+                <button type="button" class="template-action-btn" data-timeline-action="toggle" title="${this.collapsed ? 'Expand' : 'Collapse'} timeline">${this.collapsed ? '▸' : '▾'}</button>
+                <h4>Animation Timeline</h4>
+                ${this.collapsed ? '' : this.renderHeaderControls(template, animation, endTime)}
+            </div>
+            ${this.collapsed ? '' : `
+                <div class="timeline-body">
+                    <div class="timeline-tracks">
+                        ${this.renderRows(template, animation, laneLength)}
+                    </div>
+                    <div class="timeline-inspector">
+                        ${this.renderInspector(template)}
+                    </div>
+                </div>
+            `}
+        `;
+    }
+
+    renderHeaderControls(template, animation, endTime) {
+        const customNames = Object.keys(template.animations || {}).filter(name => !BUILT_IN_ANIMATIONS.includes(name));
+        const options = [
+            { value: 'in', label: 'In (play)' },
+            { value: 'out', label: 'Out (stop)' },
+            ...customNames.map(name => ({ value: name, label: name }))
+        ].map(option =>
+            `<option value="${this.escapeHtml(option.value)}" ${option.value === this.currentAnimation ? 'selected' : ''}>${this.escapeHtml(option.label)}</option>`
+        ).join('');
+        const isBuiltIn = BUILT_IN_ANIMATIONS.includes(this.currentAnimation);
+
+        return `
+            <select class="property-input timeline-animation-select" data-timeline-field="animation" title="Animation">${options}</select>
+            <button type="button" class="template-action-btn" data-timeline-action="add-animation" title="New custom animation">＋</button>
+            <button type="button" class="template-action-btn" data-timeline-action="delete-animation" title="Delete custom animation" ${isBuiltIn ? 'disabled' : ''}>🗑️</button>
+            <label class="timeline-inline-field">Stagger
+                <input type="number" class="property-input" data-timeline-field="stagger" value="${Number(animation.stagger) || 0}" min="0" step="10"> ms
+            </label>
+            <button type="button" class="btn btn-secondary btn-small" data-timeline-action="preview" ${endTime > 0 ? '' : 'disabled'}>▶ Preview</button>
+            <input type="range" class="timeline-scrub" data-timeline-field="scrub" min="0" max="${endTime}" step="10" value="0" ${endTime > 0 ? '' : 'disabled'} title="Scrub through the animation on the canvas">
+            <span class="timeline-time">${endTime} ms</span>
+        `;
+    }
+
+    renderRows(template, animation, laneLength) {
+        if (template.elements.length === 0) {
+            return '<p class="schema-empty">Add elements to the canvas to animate them</p>';
+        }
+
+        const compiled = AnimationTimeline.compileAnimation(animation, template.getAllElements().map(element => element.id));
+
+        return template.getAllElements().map(element => {
+            const isSelected = element.id === this.visualEditor.selectedElement;
+            const track = animation.tracks[element.id];
+            const timing = compiled[element.id];
+            let bar = '';
+
+            if (track && timing) {
+                const left = (timing.options.delay / laneLength) * 100;
+                const width = Math.max((timing.options.duration / laneLength) * 100, 0.5);
+                const markers = (track.keyframes || []).map((keyframe, index) => `
+                    <span class="timeline-keyframe ${isSelected && index === this.selectedKeyframe ? 'active' : ''}"
+                        style="left: ${keyframe.offset * 100}%"
+                        data-timeline-action="select-keyframe" data-element-id="${this.escapeHtml(element.id)}" data-index="${index}"
+                        title="${Math.round(keyframe.offset * 100)}%"></span>
+                `).join('');
+
+                bar = `
+                    <div class="timeline-bar" style="left: ${left}%; width: ${width}%" data-element-id="${this.escapeHtml(element.id)}"
+                        title="Delay ${timing.options.delay} ms, duration ${timing.options.duration} ms — drag to shift">
+                        ${markers}
+                    </div>
+                `;
+            }
+
+            return `
+                <div class="timeline-row ${isSelected ? 'selected' : ''}">
+                    <div class="timeline-row-label" data-timeline-action="select" data-element-id="${this.escapeHtml(element.id)}" title="${this.escapeHtml(element.id)}">
+                        ${this.escapeHtml(template.getElementLabel(element))}
+                    </div>
+                    <div class="timeline-row-lane">${bar}</div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    renderInspector(template) {
+        const element = this.visualEditor.getSelectedElement();
+        if (!element) {
+            return '<p class="schema-empty">Select an element to edit its keyframes</p>';
+        }
+
+        const track = this.getSelectedTrack(template);
+        const presetOptions = Object.entries(TRACK_PRESETS)
+            .map(([value, preset]) => `<option value="${value}">${preset.label}</option>`)
+            .join('');
+
+        if (!track) {
+            return `
+                <p class="section-description">${this.escapeHtml(template.getElementLabel(element))} has no track in this animation.</p>
+                <div class="timeline-inline-row">
+                    <select class="property-input" data-timeline-preset>${presetOptions}</select>
+                    <button type="button" class="btn btn-primary btn-small" data-timeline-action="add-track">Add Track</button>
+                </div>
+            `;
+        }
+
+        const isCustomEasing = !EASING_PRESETS.some(preset => preset.value === track.easing);
+        const easingOptions = [
+            ...EASING_PRESETS.map(preset =>
+                `<option value="${this.escapeHtml(preset.value)}" ${preset.value === track.easing ? 'selected' : ''}>${preset.label}</option>`
+            ),
+            `<option value="custom" ${isCustomEasing ? 'selected' : ''}>Custom…</option>`
+        ].join('');
+
+        return `
+            <div class="timeline-inline-row">
+                <label class="timeline-inline-field">Delay
+                    <input type="number" class="property-input" data-timeline-field="delay" value="${Number(track.delay) || 0}" min="0" step="10">
+                </label>
+                <label class="timeline-inline-field">Duration
+                    <input type="number" class="property-input" data-timeline-field="duration" value="${Number(track.duration) || 0}" min="0" step="10">
+                </label>
+            </div>
+            <div class="timeline-inline-row">
+                <label class="timeline-inline-field">Easing
+                    <select class="property-input" data-timeline-field="easing">${easingOptions}</select>
+                </label>
+                ${isCustomEasing ? `<input type="text" class="property-input" data-timeline-field="customEasing" value="${this.escapeHtml(track.easing)}" placeholder="cubic-bezier(0.5, 0, 0.5, 1)">` : ''}
+            </div>
+            ${this.renderKeyframeEditor(track)}
+            <div class="timeline-inline-row">
+                <select class="property-input" data-timeline-preset>${presetOptions}</select>
+                <button type="button" class="btn btn-secondary btn-small" data-timeline-action="apply-preset" title="Replace the keyframes with a preset">Apply Preset</button>
+                <button type="button" class="btn btn-secondary btn-small" data-timeline-action="remove-track">Remove Track</button>
+            </div>
+        `;
+    }
+
+    renderKeyframeEditor(track) {
+        const keyframes = track.keyframes || [];
+        const index = Math.min(this.selectedKeyframe, keyframes.length - 1);
+        const keyframe = keyframes[index];
+
+        const chips = keyframes.map((item, i) => `
+            <button type="button" class="timeline-keyframe-chip ${i === index ? 'active' : ''}" data-timeline-action="select-keyframe" data-index="${i}">${Math.round(item.offset * 100)}%</button>
+        `).join('');
+
+        if (!keyframe) {
+            return `
+                <div class="timeline-keyframe-list">
+                    <button type="button" class="btn btn-secondary btn-small" data-timeline-action="add-keyframe">+ Keyframe</button>
+                </div>
+            `;
+        }
+
+        const values = { ...AnimationTimeline.createKeyframe(keyframe.offset), ...keyframe };
+        const fields = KEYFRAME_FIELDS.map(field => `
+            <label class="timeline-inline-field">${field.label}
+                <input type="number" class="property-input" data-timeline-field="keyframe" data-keyframe-property="${field.key}"
+                    value="${Number(values[field.key])}" step="${field.step}" ${field.min !== undefined ? `min="${field.min}"` : ''} ${field.max !== undefined ? `max="${field.max}"` : ''}>
+            </label>
+        `).join('');
+
+        const clip = keyframe.clip;
+        const clipFields = clip ? CLIP_SIDES.map(side => `
+            <label class="timeline-inline-field">${side[0].toUpperCase() + side.slice(1)} %
+                <input type="number" class="property-input" data-timeline-field="keyframe" data-keyframe-property="clip.${side}" value="${Number(clip[side]) || 0}" min="0" max="100" step="1">
+            </label>
+        `).join('') : '';
+
+        const easingOptions = [
+            `<option value="" ${!keyframe.easing ? 'selected' : ''}>Track easing</option>`,
+            ...EASING_PRESETS.map(preset =>
+                `<option value="${this.escapeHtml(preset.value)}" ${preset.value === keyframe.easing ? 'selected' : ''}>${preset.label}</option>`
+            )
+        ].join('');
+
+        return `
+            <div class="timeline-keyframe-list">
+                ${chips}
+                <button type="button" class="template-action-btn" data-timeline-action="add-keyframe" title="Add keyframe">＋</button>
+                <button type="button" class="template-action-btn" data-timeline-action="remove-keyframe" title="Remove keyframe" ${keyframes.length > 1 ? '' : 'disabled'}>✕</button>
+            </div>
+            <div class="timeline-keyframe-fields">
+                <label class="timeline-inline-field">Offset %
+                    <input type="number" class="property-input" data-timeline-field="keyframe" data-keyframe-property="offset" value="${Math.round(keyframe.offset * 1000) / 10}" min="0" max="100" step="1">
+                </label>
+                ${fields}
+                <label class="timeline-inline-field">Easing to next
+                    <select class="property-input" data-timeline-field="keyframe" data-keyframe-property="easing">${easingOptions}</select>
+                </label>
+                <label class="checkbox-label">
+                    <input type="checkbox" data-timeline-field="keyframe" data-keyframe-property="clip" ${clip ? 'checked' : ''}> Clip
+                </label>
+                ${clipFields}
+            </div>
+        `;
+    }
+
+    handleClick(e) {
+        const target = e.target.closest('[data-timeline-action]');
+        if (!target || target.disabled) return;
+
+        const template = this.getTemplate();
+        if (!template) return;
+
+        switch (target.dataset.timelineAction) {
+            case 'toggle':
+                this.collapsed = !this.collapsed;
+                this.render();
+                break;
+            case 'select':
+                this.visualEditor.selectElement(target.dataset.elementId);
+                break;
+            case 'select-keyframe':
+                this.selectedKeyframe = parseInt(target.dataset.index);
+                if (target.dataset.elementId && target.dataset.elementId !== this.visualEditor.selectedElement) {
+                    // Selecting the element re-renders the panel and resets the keyframe
+                    const index = this.selectedKeyframe;
+                    this.visualEditor.selectElement(target.dataset.elementId);
+                    this.selectedKeyframe = index;
+                }
+                this.render();
+                break;
+            case 'add-animation':
+                this.addCustomAnimation(template);
+                break;
+            case 'delete-animation':
+                if (confirm(`Delete the "${this.currentAnimation}" animation?`)) {
+                    delete template.animations[this.currentAnimation];
+                    this.currentAnimation = 'in';
+                    this.commit(template);
+                }
+                break;
+            case 'preview':
+                this.playPreview();
+                break;
+            case 'add-track':
+            case 'apply-preset': {
+                const preset = this.container.querySelector('[data-timeline-preset]').value;
+                const phase = this.currentAnimation === 'out' ? 'out' : 'in';
+                const track = AnimationTimeline.createTrack(preset, phase);
+                const existing = this.getSelectedTrack(template);
+                if (existing) {
+                    existing.keyframes = track.keyframes;
+                } else {
+                    template.getAnimation(this.currentAnimation).tracks[this.visualEditor.selectedElement] = track;
+                }
+                this.selectedKeyframe = 0;
+                this.commit(template);
+                break;
+            }
+            case 'remove-track':
+                delete template.getAnimation(this.currentAnimation).tracks[this.visualEditor.selectedElement];
+                this.commit(template);
+                break;
+            case 'add-keyframe':
+                this.addKeyframe(template);
+                break;
+            case 'remove-keyframe': {
+                const track = this.getSelectedTrack(template);
+                if (track && track.keyframes.length > 1) {
+                    track.keyframes.splice(this.selectedKeyframe, 1);
+                    this.selectedKeyframe = Math.max(0, this.selectedKeyframe - 1);
+                    this.commit(template);
+                }
+                break;
+            }
+        }
+    }
+
+    handleChange(e) {
+        const input = e.target;
+        const field = input.dataset.timelineField;
+        if (!field || field === 'scrub') return;
+
+        const template = this.getTemplate();
+        if (!template) return;
+
+        if (field === 'animation') {
+            this.currentAnimation = input.value;
+            this.selectedKeyframe = 0;
+            this.render();
+            return;
+        }
+
+        if (field === 'stagger') {
+            template.getAnimation(this.currentAnimation).stagger = Math.max(0, parseFloat(input.value) || 0);
+            this.commit(template);
+            return;
+        }
+
+        const track = this.getSelectedTrack(template);
+        if (!track) return;
+
+        switch (field) {
+            case 'delay':
+            case 'duration':
+                track[field] = Math.max(0, parseFloat(input.value) || 0);
+                break;
+            case 'easing':
+                // "Custom…" keeps the current easing and reveals the text input
+                if (input.value === 'custom') {
+                    if (EASING_PRESETS.some(preset => preset.value === track.easing)) {
+                        track.easing = 'cubic-bezier(0.5, 0, 0.5, 1)';
+                    }
+                } else {
+                    track.easing = input.value;
+                }
+                break;
+            case 'customEasing':
+                track.easing = input.value.trim() || 'linear';
+                break;
+            case 'keyframe':
+                this.updateKeyframe(track, input);
+                break;
+        }
+
+        this.commit(template);
+    }
+
+    updateKeyframe(track, input) {
+        const keyframe = track.keyframes[this.selectedKeyframe];
+        if (!keyframe) return;
+
+        const property = input.dataset.keyframeProperty;
+        if (property === 'clip') {
+            if (input.checked) {
+                keyframe.clip = { top: 0, right: 0, bottom: 0, left: 0 };
+            } else {
+                delete keyframe.clip;
+            }
+        } else if (property.startsWith('clip.')) {
+            keyframe.clip = keyframe.clip || { top: 0, right: 0, bottom: 0, left: 0 };
+            keyframe.clip[property.slice(5)] = Math.min(100, Math.max(0, parseFloat(input.value) || 0));
+        } else if (property === 'easing') {
+            if (input.value) {
+                keyframe.easing = input.value;
+            } else {
+                delete keyframe.easing;
+            }
+        } else if (property === 'offset') {
+            keyframe.offset = Math.min(100, Math.max(0, parseFloat(input.value) || 0)) / 100;
+            track.keyframes.sort((a, b) => a.offset - b.offset);
+            this.selectedKeyframe = track.keyframes.indexOf(keyframe);
+        } else {
+            const value = parseFloat(input.value);
+            keyframe[property] = isNaN(value) ? AnimationTimeline.createKeyframe()[property] : value;
+        }
+    }
+
+    addKeyframe(template) {
+        const track = this.getSelectedTrack(template);
+        if (!track) return;
+
+        const keyframes = track.keyframes;
+        const current = keyframes[this.selectedKeyframe];
+        let keyframe;
+
+        if (!current) {
+            keyframe = AnimationTimeline.createKeyframe(1);
+        } else {
+            // Insert halfway towards the neighbouring keyframe, copying the current values
+            const next = keyframes[this.selectedKeyframe + 1];
+            const previous = keyframes[this.selectedKeyframe - 1];
+            let offset;
+            if (next) {
+                offset = (current.offset + next.offset) / 2;
+            } else if (current.offset < 1) {
+                offset = 1;
+            } else {
+                offset = previous ? (previous.offset + current.offset) / 2 : 0;
+            }
+            keyframe = { ...JSON.parse(JSON.stringify(current)), offset: Math.round(offset * 1000) / 1000 };
+        }
+
+        keyframes.push(keyframe);
+        keyframes.sort((a, b) => a.offset - b.offset);
+        this.selectedKeyframe = keyframes.indexOf(keyframe);
+        this.commit(template);
+    }
+
+    addCustomAnimation(template) {
+        const name = prompt('Name for the new animation (used as the custom action id):');
+        if (name === null) return;
+
+        const trimmed = name.trim();
+        if (!/^[A-Za-z_][A-Za-z0-9_-]*$/.test(trimmed)) {
+            alert('Animation names must start with a letter or underscore and contain only letters, numbers, "-" and "_"');
+            return;
+        }
+        if (BUILT_IN_ANIMATIONS.includes(trimmed) || (template.animations || {})[trimmed]) {
+            alert(`An animation named "${trimmed}" already exists`);
+            return;
+        }
+
+        template.getAnimation(trimmed);
+        this.currentAnimation = trimmed;
+        this.commit(template);
+    }
+
+    handleDragStart(e) {
+        const bar = e.target.closest('.timeline-bar');
+        if (!bar || e.target.closest('.timeline-keyframe') || e.button !== 0) return;
+
+        const template = this.getTemplate();
+        const elementId = bar.dataset.elementId;
+        const track = template && this.getAnimation(template).tracks[elementId];
+        if (!track) return;
+
+        e.preventDefault();
+        const lane = bar.parentElement;
+        const elementIds = template.getAllElements().map(element => element.id);
+        const endTime = AnimationTimeline.getEndTime(this.getAnimation(template), elementIds);
+
+        this.dragState = {
+            elementId,
+            startX: e.clientX,
+            startDelay: Number(track.delay) || 0,
+            barLeft: parseFloat(bar.style.left) || 0,
+            laneWidth: lane.getBoundingClientRect().width || 1,
+            laneLength: Math.max(1000, Math.ceil(endTime / 500) * 500),
+            moved: false
+        };
+
+        document.addEventListener('mousemove', this.handleDragMove);
+        document.addEventListener('mouseup', this.handleDragEnd);
+    }
+
+    handleDragMove(e) {
+        if (!this.dragState) return;
+
+        const template = this.getTemplate();
+        const track = template && this.getAnimation(template).tracks[this.dragState.elementId];
+        if (!track) return;
+
+        const deltaMs = ((e.clientX - this.dragState.startX) / this.dragState.laneWidth) * this.dragState.laneLength;
+        // Snap to 10ms
+        track.delay = Math.max(0, Math.round((this.dragState.startDelay + deltaMs) / 10) * 10);
+        this.dragState.moved = true;
+
+        const bar = this.container.querySelector(`.timeline-bar[data-element-id="${CSS.escape(this.dragState.elementId)}"]`);
+        if (bar) {
+            const shift = ((track.delay - this.dragState.startDelay) / this.dragState.laneLength) * 100;
+            bar.style.left = `${this.dragState.barLeft + shift}%`;
+            bar.title = `Delay ${track.delay} ms`;
+        }
+    }
+
+    handleDragEnd() {
+        document.removeEventListener('mousemove', this.handleDragMove);
+        document.removeEventListener('mouseup', this.handleDragEnd);
+
+        const dragState = this.dragState;
+        this.dragState = null;
+        if (!dragState) return;
+
+        const template = this.getTemplate();
+        if (dragState.moved && template) {
+            this.commit(template);
+        } else if (dragState.elementId !== this.visualEditor.selectedElement) {
+            this.visualEditor.selectElement(dragState.elementId);
+        }
+    }
+
+    commit(template, options = {}) {
+        template.generateWebComponent();
+        this.templateManager.saveToStorage({ label: 'Edit animation', ...options });
+
+        if (this.previewEngine) {
+            this.previewEngine.reloadComponent();
+        }
+
+        this.render();
+    }
+
+    // Canvas preview using the same compiled keyframes as the generated graphic
+    createPreviewAnimations() {
+        const template = this.getTemplate();
+        if (!template) return [];
+
+        const compiled = AnimationTimeline.compileAnimation(
+            this.getAnimation(template),
+            template.getAllElements().map(element => element.id)
+        );
+        const canvas = this.visualEditor.canvas;
+
+        return Object.entries(compiled).map(([elementId, track]) => {
+            const element = canvas.querySelector(`.graphics-element[data-element-id="${CSS.escape(elementId)}"]`);
+            if (!element || typeof element.animate !== 'function') return null;
+            return element.animate(track.keyframes, track.options);
+        }).filter(Boolean);
+    }
+
+    playPreview() {
+        this.stopPreview();
+        const animations = this.createPreviewAnimations();
+        this.previewAnimations = animations;
+
+        Promise.all(animations.map(animation => animation.finished)).then(() => {
+            if (this.previewAnimations === animations) {
+                this.stopPreview();
+            }
+        }).catch(() => {});
+    }
+
+    scrubTo(time) {
+        if (this.previewAnimations.length === 0 || this.previewAnimations.some(animation => animation.playState !== 'paused')) {
+            this.stopPreview();
+            this.previewAnimations = this.createPreviewAnimations();
+            this.previewAnimations.forEach(animation => animation.pause());
+        }
+        this.previewAnimations.forEach(animation => {
+            animation.currentTime = time;
+        });
+
+        const label = this.container.querySelector('.timeline-time');
+        if (label) {
+            label.textContent = `${Math.round(time)} ms`;
+        }
+    }
+
+    stopPreview() {
+        this.previewAnimations.forEach(animation => animation.cancel());
+        this.previewAnimations = [];
+    }
+
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
\ No newline at end of file
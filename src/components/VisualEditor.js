@@ -1,13 +1,63 @@
+import { CanvasLayout, SAFE_AREAS, SNAP_THRESHOLD } from '../models/CanvasLayout.js';
+import { DEFAULT_FONT_FAMILY, DEFAULT_RESOLUTION, CONTAINER_TYPES } from '../models/OGrafTemplate.js';
+import { TextFit, MEASURED_FIT_MODES } from '../models/TextFit.js';
+import { Expression } from '../models/Expression.js';
+import { Repeater, DEFAULT_ITEM_HEIGHT, DEFAULT_ITEM_GAP } from '../models/Repeater.js';
+import { DEFAULT_TICKER_SPEED, DEFAULT_TICKER_GAP } from '../models/Ticker.js';
+import { Clock, DEFAULT_CLOCK_FORMAT } from '../models/Clock.js';
+import { Timer } from '../models/Timer.js';
+import { VectorShape, VECTOR_TYPES } from '../models/VectorShape.js';
+import { Media, DEFAULT_MEDIA_FPS } from '../models/Media.js';
+import { Lottie } from '../models/Lottie.js';
+
+// Thickness of the rulers along the top and left canvas edges
+const RULER_SIZE = 20;
+
+// Repeater items drawn on the canvas at most, with or without preview data
+const MAX_PREVIEW_ITEMS = 50;
+
+// Smallest box a shape is fitted to after its points are edited
+const MIN_SHAPE_SIZE = 10;
+
+// Lottie stills kept at most; changing preview text draws new ones
+const MAX_LOTTIE_STILLS = 50;
+
+// Shown for new image elements until an image is chosen
+const PLACEHOLDER_IMAGE = 'data:image/svg+xml,' + encodeURIComponent(
+    '<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100" viewBox="0 0 100 100">' +
+    '<rect width="100" height="100" fill="#555"/><path d="M20 75l20-25 15 18 10-12 15 19z" fill="#999"/>' +
+    '<circle cx="70" cy="32" r="8" fill="#999"/></svg>'
+);
+
 export class VisualEditor {
     constructor(containerElement, templateManager) {
         this.container = containerElement;
         this.templateManager = templateManager;
         this.canvas = null;
+        // Ids of all selected elements; selectedElement is the primary one shown in the properties
+        this.selectedElements = [];
         this.selectedElement = null;
         this.dragState = null;
         this.resizeState = null;
+        this.marqueeState = null;
+        this.guideDragState = null;
+        // Lines the dragged selection currently snaps to
+        this.snapLines = [];
         this.scale = 1;
         this.panOffset = { x: 0, y: 0 };
+        // Step shown on the canvas for multi-step templates
+        this.currentStep = 0;
+        // Data the content bindings are filled from, shared with the preview
+        this.previewData = {};
+        // Ticks the clocks on the canvas
+        this.clockInterval = null;
+        // The line, polygon or path whose points are shown for editing
+        this.nodeEditId = null;
+        this.nodeDragState = null;
+        // SVG markup of Lottie frames by asset, text and frame; null while one is drawn
+        this.lottieStills = new Map();
+        // Ids of Lottie assets being parsed
+        this.lottieLoads = new Set();
         
         this.init();
     }
@@ -26,17 +76,28 @@ export class VisualEditor {
             this.container.appendChild(this.canvas);
         }
 
-        // Set canvas size to standard broadcast resolution
-        this.canvas.style.width = '1920px';
-        this.canvas.style.height = '1080px';
+        this.updateCanvasSize();
         this.canvas.style.position = 'relative';
         this.canvas.style.transformOrigin = 'top left';
     }
 
+    // The current template's output resolution
+    getCanvasSize() {
+        const template = this.templateManager.getCurrentTemplate();
+        return template && template.resolution ? template.resolution : DEFAULT_RESOLUTION;
+    }
+
+    updateCanvasSize() {
+        const size = this.getCanvasSize();
+        this.canvas.style.width = size.width + 'px';
+        this.canvas.style.height = size.height + 'px';
+    }
+
     setupEventListeners() {
         // Canvas events
         this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
         this.canvas.addEventListener('click', this.handleClick.bind(this));
+        this.canvas.addEventListener('dblclick', this.handleDoubleClick.bind(this));
 
         // Document events for dragging (so it works when mouse leaves canvas)
         document.addEventListener('mousemove', this.handleMouseMove.bind(this));
@@ -58,35 +119,88 @@ export class VisualEditor {
         const canvasX = e.clientX - canvasRect.left;
         const canvasY = e.clientY - canvasRect.top;
         
+        // Guides are moved by dragging them, and new ones are pulled out of the rulers
+        const guide = e.target.closest && e.target.closest('.canvas-guide');
+        if (guide) {
+            this.startGuideDrag(parseInt(guide.dataset.guideIndex));
+            return;
+        }
+
+        const ruler = e.target.closest && e.target.closest('.canvas-ruler');
+        if (ruler) {
+            this.createGuide(ruler.dataset.orientation, e);
+            return;
+        }
+
+        // Points of the shape being edited: drag to move, Alt-click a point to remove it or elsewhere to add one
+        if (this.nodeEditId) {
+            const marker = e.target.closest && e.target.closest('.shape-node, .shape-control');
+            if (marker && e.altKey && marker.classList.contains('shape-node')) {
+                this.removeShapeNode(parseInt(marker.dataset.subpath), parseInt(marker.dataset.node));
+                return;
+            }
+            if (marker) {
+                this.startNodeDrag(marker, e);
+                return;
+            }
+            if (e.altKey) {
+                this.addShapeNode(this.getCanvasPoint(e));
+                return;
+            }
+        }
+
+        // Handles belong to the selection: a single element or the multi-selection box
+        const handle = this.getResizeHandle(e.target);
+        if (handle && this.selectedElements.length > 0) {
+            this.startResize(handle, e);
+            return;
+        }
+
         const elementData = this.getElementAtPosition(canvasX, canvasY);
         
         if (elementData) {
-            this.selectElement(elementData.element.id);
-            
-            const handle = this.getResizeHandle(e.target);
-            if (handle) {
-                this.startResize(elementData.element, handle, e);
-            } else {
-                this.startDrag(elementData.element, e);
+            const elementId = elementData.element.id;
+            if (e.shiftKey) {
+                this.selectElement(elementId, { toggle: true });
+                if (!this.selectedElements.includes(elementId)) return;
+            } else if (!this.selectedElements.includes(elementId)) {
+                this.selectElement(elementId);
             }
+
+            this.startDrag(e);
         } else {
-            this.deselectElement();
+            if (!e.shiftKey) {
+                this.deselectElement();
+            }
+            this.startMarquee(e, e.shiftKey);
         }
     }
 
     handleMouseMove(e) {
-        if (this.dragState) {
+        if (this.nodeDragState) {
+            this.updateNodeDrag(e);
+        } else if (this.dragState) {
             this.updateDrag(e);
         } else if (this.resizeState) {
             this.updateResize(e);
+        } else if (this.marqueeState) {
+            this.updateMarquee(e);
+        } else if (this.guideDragState) {
+            this.updateGuideDrag(e);
         }
     }
 
     handleMouseUp(e) {
-        if (this.dragState) {
+        if (this.nodeDragState) {
+            this.endNodeDrag();
+        } else if (this.dragState) {
             this.endDrag();
         } else if (this.resizeState) {
             this.endResize();
+        } else if (this.marqueeState) {
+            this.endMarquee();
+        } else if (this.guideDragState) {
+            this.endGuideDrag();
         }
     }
 
@@ -95,9 +209,52 @@ export class VisualEditor {
         e.stopPropagation();
     }
 
+    // Double-click a selected group or repeater to select the child under the pointer,
+    // and a selected shape to edit its points
+    handleDoubleClick(e) {
+        const template = this.templateManager.getCurrentTemplate();
+        const group = this.getSelectedElement();
+        if (template && group && VECTOR_TYPES.includes(group.type)) {
+            const marker = e.target.closest && e.target.closest('.shape-node');
+            if (marker && this.nodeEditId === group.id && group.type === 'path') {
+                const shape = VectorShape.toggleSmooth(VectorShape.getShape(group), parseInt(marker.dataset.subpath), parseInt(marker.dataset.node));
+                this.updateShape(group, shape, 'Edit shape points');
+            } else if (!marker) {
+                this.nodeEditId = this.nodeEditId === group.id ? null : group.id;
+                this.render();
+            }
+            return;
+        }
+        if (!template || !group || !CONTAINER_TYPES.includes(group.type)) return;
+
+        const point = this.getCanvasPoint(e);
+        const children = group.children || [];
+        for (let i = children.length - 1; i >= 0; i--) {
+            if (this.isSelectable(children[i]) && this.containsPoint(template.getElementBounds(children[i].id), point.x, point.y)) {
+                this.selectElement(children[i].id);
+                return;
+            }
+        }
+    }
+
     handleKeyDown(e) {
-        if (e.key === 'Delete' && this.selectedElement) {
+        // Keys typed into form fields and the code editors are not canvas commands
+        if (e.target && e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"], .monaco-editor')) {
+            return;
+        }
+
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'g') {
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.ungroupSelection();
+            } else {
+                this.groupSelection();
+            }
+        } else if (e.key === 'Delete' && this.selectedElement) {
             this.deleteSelectedElement();
+        } else if (e.key === 'Escape' && this.nodeEditId) {
+            this.nodeEditId = null;
+            this.render();
         } else if (e.key === 'Escape') {
             this.deselectElement();
         }
@@ -133,17 +290,37 @@ export class VisualEditor {
         const canvasX = x / this.scale - this.panOffset.x;
         const canvasY = y / this.scale - this.panOffset.y;
 
+        // A selected element inside a group is picked before the group around it
+        const selected = this.getSelectedElement();
+        if (selected && template.getParentGroup(selected.id) && this.isSelectable(selected)) {
+            const bounds = template.getElementBounds(selected.id);
+            if (this.containsPoint(bounds, canvasX, canvasY)) {
+                return { element: selected, index: -1 };
+            }
+        }
+
         // Check elements in reverse order (top to bottom)
         for (let i = template.elements.length - 1; i >= 0; i--) {
             const element = template.elements[i];
-            if (canvasX >= element.x && canvasX <= element.x + element.width &&
-                canvasY >= element.y && canvasY <= element.y + element.height) {
+            if (!this.isSelectable(element)) continue;
+            if (this.containsPoint(template.getElementBounds(element.id), canvasX, canvasY)) {
                 return { element, index: i };
             }
         }
         return null;
     }
 
+    // Locked and editor-hidden elements, and anything inside them, ignore the mouse
+    isSelectable(element) {
+        const template = this.templateManager.getCurrentTemplate();
+        let current = element;
+        while (current) {
+            if (current.locked || current.editorHidden) return false;
+            current = template ? template.getParentGroup(current.id) : null;
+        }
+        return true;
+    }
+
     getResizeHandle(target) {
         if (target.classList.contains('resize-handle')) {
             return Array.from(target.classList).find(cls => 
@@ -152,30 +329,83 @@ export class VisualEditor {
         return null;
     }
 
-    selectElement(elementId) {
-        this.selectedElement = elementId;
+    containsPoint(bounds, x, y) {
+        return x >= bounds.x && x <= bounds.x + bounds.width &&
+               y >= bounds.y && y <= bounds.y + bounds.height;
+    }
+
+    // Options: toggle adds or removes the element from the current selection
+    selectElement(elementId, options = {}) {
+        if (options.toggle) {
+            this.selectedElements = this.selectedElements.includes(elementId)
+                ? this.selectedElements.filter(id => id !== elementId)
+                : [...this.selectedElements, elementId];
+        } else {
+            this.selectedElements = [elementId];
+        }
+
+        this.setSelection(this.selectedElements);
+    }
+
+    setSelection(elementIds) {
+        this.selectedElements = [...elementIds];
+        this.selectedElement = this.selectedElements[this.selectedElements.length - 1] || null;
+        if (this.nodeEditId !== this.selectedElement) {
+            this.nodeEditId = null;
+        }
+        this.render();
+
+        if (this.selectedElement) {
+            this.dispatchEvent('elementSelected', { elementId: this.selectedElement, elementIds: [...this.selectedElements] });
+        } else {
+            this.dispatchEvent('elementDeselected');
+        }
+    }
+
+    setCurrentStep(stepIndex) {
+        this.currentStep = stepIndex;
         this.render();
-        this.dispatchEvent('elementSelected', { elementId });
+        this.dispatchEvent('stepChanged', { step: stepIndex });
+    }
+
+    setPreviewData(data) {
+        this.previewData = data || {};
+    }
+
+    // Content with its bindings filled in; bindings without data stay visible as written
+    getDisplayContent(content, data = this.previewData) {
+        const rendered = Expression.render(content || '', data);
+        return rendered.trim() ? rendered : (content || '');
     }
 
     deselectElement() {
+        this.selectedElements = [];
         this.selectedElement = null;
         this.render();
         this.dispatchEvent('elementDeselected');
     }
 
-    startDrag(element, e) {
-        // Use canvas coordinates calculated in handleMouseDown
+    getCanvasPoint(e) {
         const canvasRect = this.canvas.getBoundingClientRect();
-        const canvasX = (e.clientX - canvasRect.left) / this.scale - this.panOffset.x;
-        const canvasY = (e.clientY - canvasRect.top) / this.scale - this.panOffset.y;
+        return {
+            x: (e.clientX - canvasRect.left) / this.scale - this.panOffset.x,
+            y: (e.clientY - canvasRect.top) / this.scale - this.panOffset.y
+        };
+    }
+
+    startDrag(e) {
+        const template = this.templateManager.getCurrentTemplate();
+        const point = this.getCanvasPoint(e);
         
         this.dragState = {
-            element,
-            startX: canvasX,
-            startY: canvasY,
-            elementStartX: element.x,
-            elementStartY: element.y
+            startX: point.x,
+            startY: point.y,
+            box: this.getSelectionBounds(),
+            lines: this.getSnapLines(),
+            items: this.getSelectionRoots().filter(element => this.isSelectable(element)).map(element => ({
+                element,
+                box: template.getElementBox(element.id)
+            }))
         };
         
         this.canvas.style.cursor = 'grabbing';
@@ -184,94 +414,235 @@ export class VisualEditor {
     updateDrag(e) {
         if (!this.dragState) return;
 
-        // Get canvas bounds to calculate relative position
-        const canvasRect = this.canvas.getBoundingClientRect();
-        const canvasX = (e.clientX - canvasRect.left) / this.scale - this.panOffset.x;
-        const canvasY = (e.clientY - canvasRect.top) / this.scale - this.panOffset.y;
-        
-        const deltaX = canvasX - this.dragState.startX;
-        const deltaY = canvasY - this.dragState.startY;
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template) return;
 
-        const newX = this.dragState.elementStartX + deltaX;
-        const newY = this.dragState.elementStartY + deltaY;
+        const point = this.getCanvasPoint(e);
+        let deltaX = point.x - this.dragState.startX;
+        let deltaY = point.y - this.dragState.startY;
 
-        this.updateElementPosition(this.dragState.element.id, newX, newY);
+        // Snap the selection box as a whole, then move every element by the same amount
+        const { box } = this.dragState;
+        if (box) {
+            const snapped = CanvasLayout.snapMove(
+                { ...box, x: box.x + deltaX, y: box.y + deltaY },
+                this.dragState.lines,
+                this.getSnapSettings(template, e),
+                SNAP_THRESHOLD / this.scale
+            );
+            deltaX = snapped.x - box.x;
+            deltaY = snapped.y - box.y;
+            this.snapLines = snapped.lines;
+        }
+
+        // Positions are stored relative to each element's anchor, so only x and y change
+        this.dragState.items.forEach(({ element, box }) => {
+            template.setElementBox(element.id, { ...box, x: box.x + deltaX, y: box.y + deltaY }, ['x', 'y']);
+        });
+
+        this.render();
+        this.dispatchEvent('elementUpdated', { elementId: this.selectedElement, elementIds: [...this.selectedElements] });
     }
 
     endDrag() {
         this.dragState = null;
+        this.snapLines = [];
+        this.render();
         this.canvas.style.cursor = '';
-        this.templateManager.saveToStorage();
+        this.templateManager.saveToStorage({ label: 'Move element' });
     }
 
-    startResize(element, handle, e) {
-        // Use canvas coordinates calculated in handleMouseDown
-        const canvasRect = this.canvas.getBoundingClientRect();
-        const canvasX = (e.clientX - canvasRect.left) / this.scale - this.panOffset.x;
-        const canvasY = (e.clientY - canvasRect.top) / this.scale - this.panOffset.y;
+    startNodeDrag(marker, e) {
+        const template = this.templateManager.getCurrentTemplate();
+        const element = template && template.getElementById(this.nodeEditId);
+        if (!element) return;
+
+        this.nodeDragState = {
+            element,
+            subpath: parseInt(marker.dataset.subpath),
+            node: parseInt(marker.dataset.node),
+            handle: marker.dataset.handle || null,
+            start: this.getCanvasPoint(e),
+            shape: VectorShape.getShape(element),
+            box: template.getElementBox(element.id)
+        };
+    }
+
+    // Alt moves one bezier handle on its own; otherwise the opposite handle follows
+    updateNodeDrag(e) {
+        const { element, subpath, node, handle, start, shape, box } = this.nodeDragState;
+        const point = this.getCanvasPoint(e);
+        const dx = (point.x - start.x) * shape.width / box.width;
+        const dy = (point.y - start.y) * shape.height / box.height;
+
+        element.shape = VectorShape.moveNode(shape, subpath, node, handle, dx, dy, !e.altKey);
+        this.render();
+        this.dispatchEvent('elementUpdated', { elementId: element.id });
+    }
+
+    endNodeDrag() {
+        const { element } = this.nodeDragState;
+        this.nodeDragState = null;
+        this.updateShape(element, VectorShape.getShape(element), 'Edit shape points');
+    }
+
+    addShapeNode(point) {
+        const template = this.templateManager.getCurrentTemplate();
+        const element = template && template.getElementById(this.nodeEditId);
+        if (!element || element.type === 'line') return;
+
+        const shape = VectorShape.getShape(element);
+        const bounds = template.getElementBounds(element.id);
+        const local = {
+            x: (point.x - bounds.x) * shape.width / bounds.width,
+            y: (point.y - bounds.y) * shape.height / bounds.height
+        };
+        this.updateShape(element, VectorShape.insertNode(shape, local), 'Add shape point');
+    }
+
+    removeShapeNode(subpathIndex, nodeIndex) {
+        const template = this.templateManager.getCurrentTemplate();
+        const element = template && template.getElementById(this.nodeEditId);
+        const shape = element && element.type !== 'line' ? VectorShape.removeNode(VectorShape.getShape(element), subpathIndex, nodeIndex) : null;
+        if (shape) {
+            this.updateShape(element, shape, 'Remove shape point');
+        }
+    }
+
+    // Store an edited shape and fit the element's box around its points
+    updateShape(element, shape, label) {
+        const template = this.templateManager.getCurrentTemplate();
+        const fitted = VectorShape.fitToNodes(shape, template.getElementBox(element.id), MIN_SHAPE_SIZE);
+        template.setElementBox(element.id, fitted.box);
+        element.shape = fitted.shape;
+
+        this.render();
+        this.templateManager.saveToStorage({ label });
+        this.dispatchEvent('elementUpdated', { elementId: element.id });
+    }
+
+    // Add the drawing in an SVG file as path elements, grouped when there are several
+    importSvg(text) {
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template) return;
+
+        const size = this.getCanvasSize();
+        const drawing = VectorShape.fromSvg(text, size.width * 0.8, size.height * 0.8);
+        if (drawing.elements.length === 1) {
+            this.addElement('path', { ...drawing.elements[0], x: 100, y: 100 });
+            return;
+        }
+
+        const groupId = template.createElementId('svg');
+        this.addElement('group', {
+            id: groupId,
+            width: drawing.width,
+            height: drawing.height,
+            style: {},
+            children: drawing.elements.map((element, index) => ({ id: `${groupId}_${index + 1}`, content: '', ...element }))
+        });
+    }
+
+    // Resizing scales the selection box: every selected element and the children of groups
+    startResize(handle, e) {
+        const template = this.templateManager.getCurrentTemplate();
+        const box = this.getSelectionBounds();
+        if (!template || !box) return;
+
+        const point = this.getCanvasPoint(e);
         
         this.resizeState = {
-            element,
             handle,
-            startX: canvasX,
-            startY: canvasY,
-            elementStartX: element.x,
-            elementStartY: element.y,
-            elementStartWidth: element.width,
-            elementStartHeight: element.height
+            startX: point.x,
+            startY: point.y,
+            box,
+            lines: this.getSnapLines(),
+            items: this.getSelectionRoots().filter(element => this.isSelectable(element)).map(element => ({
+                element,
+                original: JSON.parse(JSON.stringify(element)),
+                start: template.getElementBox(element.id),
+                offset: template.getElementOffset(element.id)
+            }))
         };
     }
 
     updateResize(e) {
         if (!this.resizeState) return;
 
-        // Get canvas bounds to calculate relative position
-        const canvasRect = this.canvas.getBoundingClientRect();
-        const currentX = (e.clientX - canvasRect.left) / this.scale - this.panOffset.x;
-        const currentY = (e.clientY - canvasRect.top) / this.scale - this.panOffset.y;
-        
-        const deltaX = currentX - this.resizeState.startX;
-        const deltaY = currentY - this.resizeState.startY;
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template) return;
+
+        const point = this.getCanvasPoint(e);
+        const deltaX = point.x - this.resizeState.startX;
+        const deltaY = point.y - this.resizeState.startY;
 
-        const { element, handle } = this.resizeState;
-        let newX = element.x;
-        let newY = element.y;
-        let newWidth = element.width;
-        let newHeight = element.height;
+        const { box, handle } = this.resizeState;
+        let newX = box.x;
+        let newY = box.y;
+        let newWidth = box.width;
+        let newHeight = box.height;
 
         switch (handle) {
             case 'nw':
-                newX = this.resizeState.elementStartX + deltaX;
-                newY = this.resizeState.elementStartY + deltaY;
-                newWidth = this.resizeState.elementStartWidth - deltaX;
-                newHeight = this.resizeState.elementStartHeight - deltaY;
+                newX = box.x + deltaX;
+                newY = box.y + deltaY;
+                newWidth = box.width - deltaX;
+                newHeight = box.height - deltaY;
                 break;
             case 'ne':
-                newY = this.resizeState.elementStartY + deltaY;
-                newWidth = this.resizeState.elementStartWidth + deltaX;
-                newHeight = this.resizeState.elementStartHeight - deltaY;
+                newY = box.y + deltaY;
+                newWidth = box.width + deltaX;
+                newHeight = box.height - deltaY;
                 break;
             case 'sw':
-                newX = this.resizeState.elementStartX + deltaX;
-                newWidth = this.resizeState.elementStartWidth - deltaX;
-                newHeight = this.resizeState.elementStartHeight + deltaY;
+                newX = box.x + deltaX;
+                newWidth = box.width - deltaX;
+                newHeight = box.height + deltaY;
                 break;
             case 'se':
-                newWidth = this.resizeState.elementStartWidth + deltaX;
-                newHeight = this.resizeState.elementStartHeight + deltaY;
+                newWidth = box.width + deltaX;
+                newHeight = box.height + deltaY;
                 break;
         }
 
+        const snapped = CanvasLayout.snapResize(
+            { x: newX, y: newY, width: newWidth, height: newHeight },
+            handle,
+            this.resizeState.lines,
+            this.getSnapSettings(template, e),
+            SNAP_THRESHOLD / this.scale
+        );
+        ({ x: newX, y: newY, width: newWidth, height: newHeight } = snapped);
+        this.snapLines = snapped.lines;
+
         // Ensure minimum size
         newWidth = Math.max(10, newWidth);
         newHeight = Math.max(10, newHeight);
 
-        this.updateElementBounds(element.id, newX, newY, newWidth, newHeight);
+        const scaleX = box.width > 0 ? newWidth / box.width : 1;
+        const scaleY = box.height > 0 ? newHeight / box.height : 1;
+
+        this.resizeState.items.forEach(({ element, original, start, offset }) => {
+            template.setElementBox(element.id, {
+                x: Math.round(newX + (offset.x + start.x - box.x) * scaleX - offset.x),
+                y: Math.round(newY + (offset.y + start.y - box.y) * scaleY - offset.y),
+                width: Math.round(start.width * scaleX),
+                height: Math.round(start.height * scaleY)
+            });
+            if (element.type === 'group') {
+                template.scaleGroupChildren(element, original, scaleX, scaleY);
+            }
+        });
+
+        this.render();
+        this.dispatchEvent('elementUpdated', { elementId: this.selectedElement, elementIds: [...this.selectedElements] });
     }
 
     endResize() {
         this.resizeState = null;
-        this.templateManager.saveToStorage();
+        this.snapLines = [];
+        this.render();
+        this.templateManager.saveToStorage({ label: 'Resize element' });
     }
 
     updateElementPosition(elementId, x, y) {
@@ -296,16 +667,272 @@ export class VisualEditor {
         if (this.selectedElement) {
             const template = this.templateManager.getCurrentTemplate();
             if (template) {
-                template.removeElement(this.selectedElement);
+                const elements = this.getSelectionRoots();
+                elements.forEach(element => template.removeElement(element.id));
+                this.selectedElements = [];
                 this.selectedElement = null;
                 this.render();
-                this.templateManager.saveToStorage();
+                this.templateManager.saveToStorage({ label: elements.length > 1 ? 'Delete elements' : 'Delete element' });
                 this.dispatchEvent('elementDeleted');
             }
         }
     }
 
-    addElement(type) {
+    startMarquee(e, additive) {
+        const point = this.getCanvasPoint(e);
+        const marquee = document.createElement('div');
+        marquee.className = 'selection-marquee';
+        this.canvas.appendChild(marquee);
+
+        this.marqueeState = {
+            startX: point.x,
+            startY: point.y,
+            rect: { x: point.x, y: point.y, width: 0, height: 0 },
+            additive,
+            marquee
+        };
+        this.updateMarqueeElement();
+    }
+
+    updateMarquee(e) {
+        const point = this.getCanvasPoint(e);
+        const { startX, startY } = this.marqueeState;
+
+        this.marqueeState.rect = {
+            x: Math.min(startX, point.x),
+            y: Math.min(startY, point.y),
+            width: Math.abs(point.x - startX),
+            height: Math.abs(point.y - startY)
+        };
+        this.updateMarqueeElement();
+    }
+
+    updateMarqueeElement() {
+        const { marquee, rect } = this.marqueeState;
+        marquee.style.left = rect.x + 'px';
+        marquee.style.top = rect.y + 'px';
+        marquee.style.width = rect.width + 'px';
+        marquee.style.height = rect.height + 'px';
+    }
+
+    endMarquee() {
+        const { rect, additive, marquee } = this.marqueeState;
+        this.marqueeState = null;
+        marquee.remove();
+
+        // A plain click on the background only clears the selection
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template || (rect.width < 3 && rect.height < 3)) return;
+
+        const hits = template.elements
+            .filter(element => this.isSelectable(element))
+            .filter(element => {
+                const box = template.getElementBounds(element.id);
+                return box.x < rect.x + rect.width && box.x + box.width > rect.x &&
+                    box.y < rect.y + rect.height && box.y + box.height > rect.y;
+            })
+            .map(element => element.id);
+        const selection = additive
+            ? [...this.selectedElements, ...hits.filter(id => !this.selectedElements.includes(id))]
+            : hits;
+
+        this.setSelection(selection);
+    }
+
+    getSelectedElements() {
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template) return [];
+        return this.selectedElements.map(id => template.getElementById(id)).filter(Boolean);
+    }
+
+    // Selected elements without those inside a selected group, so nothing moves twice
+    getSelectionRoots() {
+        const template = this.templateManager.getCurrentTemplate();
+        return this.getSelectedElements().filter(element => {
+            let parent = template.getParentGroup(element.id);
+            while (parent) {
+                if (this.selectedElements.includes(parent.id)) return false;
+                parent = template.getParentGroup(parent.id);
+            }
+            return true;
+        });
+    }
+
+    getSelectionBounds() {
+        const template = this.templateManager.getCurrentTemplate();
+        const bounds = this.getSelectionRoots().map(element => template.getElementBounds(element.id));
+        if (bounds.length === 0) return null;
+
+        const x = Math.min(...bounds.map(box => box.x));
+        const y = Math.min(...bounds.map(box => box.y));
+        return {
+            x,
+            y,
+            width: Math.max(...bounds.map(box => box.x + box.width)) - x,
+            height: Math.max(...bounds.map(box => box.y + box.height)) - y
+        };
+    }
+
+    // Everything the selection can snap to, excluding the selected elements and their children
+    getSnapLines() {
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template) return { x: [], y: [] };
+
+        const moving = new Set(template.flattenElements(this.getSelectionRoots()).map(element => element.id));
+        const others = template.getAllElements()
+            .filter(element => !moving.has(element.id))
+            .map(element => template.getElementBounds(element.id));
+
+        return CanvasLayout.getSnapLines(template.layout, this.getCanvasSize(), others);
+    }
+
+    // Holding Alt while dragging turns snapping off; positions still stay on whole pixels
+    getSnapSettings(template, e) {
+        const layout = template.layout;
+        if (e && e.altKey) {
+            return { ...layout, snap: false, grid: { ...layout.grid, enabled: false } };
+        }
+        return layout;
+    }
+
+    createGuide(orientation, e) {
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template) return;
+
+        template.layout.guides.push({ orientation, position: 0 });
+        this.startGuideDrag(template.layout.guides.length - 1);
+        this.updateGuideDrag(e);
+    }
+
+    startGuideDrag(index) {
+        this.guideDragState = { index };
+    }
+
+    updateGuideDrag(e) {
+        const template = this.templateManager.getCurrentTemplate();
+        const guide = template && template.layout.guides[this.guideDragState.index];
+        if (!guide) return;
+
+        const point = this.getCanvasPoint(e);
+        guide.position = Math.round(guide.orientation === 'vertical' ? point.x : point.y);
+        this.render();
+    }
+
+    endGuideDrag() {
+        const template = this.templateManager.getCurrentTemplate();
+        const { index } = this.guideDragState;
+        this.guideDragState = null;
+        if (!template || !template.layout.guides[index]) return;
+
+        // Guides dropped back onto the ruler or outside the canvas are removed
+        const guide = template.layout.guides[index];
+        const size = this.getCanvasSize();
+        const limit = guide.orientation === 'vertical' ? size.width : size.height;
+        if (guide.position < RULER_SIZE || guide.position > limit) {
+            template.layout.guides.splice(index, 1);
+        }
+
+        this.render();
+        this.templateManager.saveToStorage({ label: 'Move guide' });
+    }
+
+    isLayoutOptionEnabled(option) {
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template) return false;
+
+        const layout = template.layout;
+        switch (option) {
+            case 'grid':
+                return layout.grid.enabled;
+            case 'snap':
+                return layout.snap;
+            case 'rulers':
+                return layout.rulers;
+            case 'action-safe':
+                return layout.safeAreas.action;
+            case 'title-safe':
+                return layout.safeAreas.title;
+            default:
+                return false;
+        }
+    }
+
+    toggleLayoutOption(option) {
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template) return;
+
+        const layout = template.layout;
+        const enabled = !this.isLayoutOptionEnabled(option);
+        switch (option) {
+            case 'grid':
+                layout.grid.enabled = enabled;
+                break;
+            case 'snap':
+                layout.snap = enabled;
+                break;
+            case 'rulers':
+                layout.rulers = enabled;
+                break;
+            case 'action-safe':
+                layout.safeAreas.action = enabled;
+                break;
+            case 'title-safe':
+                layout.safeAreas.title = enabled;
+                break;
+            default:
+                return;
+        }
+
+        this.onLayoutChange();
+    }
+
+    setGridSize(size) {
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template) return;
+
+        template.layout.grid.size = Math.max(1, parseInt(size) || 10);
+        this.onLayoutChange();
+    }
+
+    onLayoutChange() {
+        this.render();
+        this.templateManager.saveToStorage({ label: 'Change layout settings' });
+        this.dispatchEvent('layoutChanged');
+    }
+
+    groupSelection() {
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template || this.selectedElements.length < 2) return;
+
+        let group;
+        try {
+            group = template.groupElements(this.getSelectionRoots().map(element => element.id));
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        this.templateManager.saveToStorage({ label: 'Group elements' });
+        this.selectElement(group.id);
+        this.dispatchEvent('elementAdded', { element: group });
+    }
+
+    ungroupSelection() {
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template) return;
+
+        const groups = this.getSelectionRoots().filter(element => element.type === 'group');
+        if (groups.length === 0) return;
+
+        const childIds = [];
+        groups.forEach(group => childIds.push(...template.ungroupElement(group.id)));
+
+        this.templateManager.saveToStorage({ label: 'Ungroup elements' });
+        this.setSelection(childIds);
+        this.dispatchEvent('elementDeleted');
+    }
+
+    addElement(type, overrides = {}) {
         const template = this.templateManager.getCurrentTemplate();
         if (!template) return;
 
@@ -313,45 +940,99 @@ export class VisualEditor {
             type,
             x: 100,
             y: 100,
-            width: type === 'text' ? 200 : 100,
-            height: type === 'text' ? 50 : 100,
+            ...this.getDefaultSize(type),
             content: this.getDefaultContent(type),
-            style: this.getDefaultStyle(type)
+            style: this.getDefaultStyle(type),
+            ...this.getDefaultSettings(type),
+            ...overrides
         };
 
         template.addElement(element);
+        const newElement = template.elements[template.elements.length - 1];
+        if (type === 'timer') {
+            // Timers are run from the playout with these custom actions
+            template.addTimerActions(newElement.id);
+        }
         this.render();
-        this.templateManager.saveToStorage();
+        this.templateManager.saveToStorage({ label: `Add ${type}` });
         
         // Select the newly added element
-        const newElement = template.elements[template.elements.length - 1];
         this.selectElement(newElement.id);
         
         this.dispatchEvent('elementAdded', { element: newElement });
     }
 
+    getDefaultSize(type) {
+        switch (type) {
+            case 'text':
+                return { width: 200, height: 50 };
+            case 'ticker':
+                return { width: 800, height: 50 };
+            case 'clock':
+            case 'timer':
+                return { width: 160, height: 50 };
+            case 'video':
+            case 'lottie':
+                return { width: 480, height: 270 };
+            case 'sequence':
+                return { width: 300, height: 300 };
+            case 'line':
+                return { width: 200, height: 20 };
+            case 'polygon':
+                return { width: 120, height: 120 };
+            case 'path':
+                return { width: 200, height: 100 };
+            case 'repeater':
+                return { width: 400, height: 200 };
+            default:
+                return { width: 100, height: 100 };
+        }
+    }
+
     getDefaultContent(type) {
         switch (type) {
             case 'text':
                 return 'New Text';
-            case 'image':
-                return 'https://via.placeholder.com/100x100';
+            case 'ticker':
+                return 'Ticker text';
+            case 'image': {
+                // Graphics must work offline, so start from an uploaded image when there is one
+                const template = this.templateManager.getCurrentTemplate();
+                const images = template ? template.getAssetsByKind('image') : [];
+                return images.length > 0 ? images[0].path : PLACEHOLDER_IMAGE;
+            }
+            case 'video': {
+                const template = this.templateManager.getCurrentTemplate();
+                const videos = template ? template.getAssetsByKind('video') : [];
+                return videos.length > 0 ? videos[0].path : '';
+            }
+            case 'lottie': {
+                const template = this.templateManager.getCurrentTemplate();
+                const animations = template ? template.getAssetsByKind('lottie') : [];
+                return animations.length > 0 ? animations[0].path : '';
+            }
             default:
                 return '';
         }
     }
 
     getDefaultStyle(type) {
+        const template = this.templateManager.getCurrentTemplate();
         switch (type) {
             case 'text':
+            case 'ticker':
+            case 'clock':
+            case 'timer':
                 return {
                     fontSize: '20px',
-                    fontFamily: 'Arial, sans-serif',
+                    fontFamily: (template && template.defaultFontFamily) || DEFAULT_FONT_FAMILY,
                     color: '#ffffff',
                     textAlign: 'left',
                     backgroundColor: 'transparent'
                 };
             case 'image':
+            case 'video':
+            case 'sequence':
                 return {
                     objectFit: 'contain'
                 };
@@ -366,6 +1047,72 @@ export class VisualEditor {
                     backgroundColor: '#007acc',
                     border: 'none'
                 };
+            case 'line':
+            case 'path':
+                return {
+                    fill: 'none',
+                    stroke: '#ffffff',
+                    strokeWidth: '4px',
+                    strokeLinecap: 'round'
+                };
+            case 'polygon':
+                return {
+                    fill: '#007acc',
+                    stroke: 'none',
+                    strokeWidth: '0px'
+                };
+            default:
+                return {};
+        }
+    }
+
+    // Repeaters start bound to the first list field with one line of text per entry
+    getDefaultSettings(type) {
+        const template = this.templateManager.getCurrentTemplate();
+        switch (type) {
+            case 'repeater': {
+                const properties = (template && template.manifest.schema && template.manifest.schema.properties) || {};
+                const field = Object.keys(properties).find(name => properties[name].type === 'array') || '';
+                const itemProperties = field && properties[field].items && properties[field].items.properties;
+                const itemField = itemProperties ? Object.keys(itemProperties)[0] : null;
+                return {
+                    repeat: { field, layout: 'vertical', itemWidth: 400, itemHeight: DEFAULT_ITEM_HEIGHT, gap: DEFAULT_ITEM_GAP },
+                    children: [{
+                        id: template.createElementId('item_text'),
+                        type: 'text',
+                        x: 0,
+                        y: 0,
+                        width: 400,
+                        height: DEFAULT_ITEM_HEIGHT,
+                        content: itemField ? `{{item.${itemField}}}` : '{{item}}',
+                        style: this.getDefaultStyle('text')
+                    }]
+                };
+            }
+            case 'ticker':
+                return { ticker: { speed: DEFAULT_TICKER_SPEED, gap: DEFAULT_TICKER_GAP, direction: 'left' } };
+            case 'clock':
+                return { clock: { timezone: '', format: DEFAULT_CLOCK_FORMAT } };
+            case 'timer':
+                return { timer: { field: '', start: 0, direction: 'up', format: 'mm:ss', autoStart: false } };
+            case 'video':
+                return { media: { fps: DEFAULT_MEDIA_FPS, loop: false, offset: 0, outFrame: 0, playOnPlay: true, muted: true } };
+            case 'sequence': {
+                // Start from the first numbered run of uploaded images
+                const sequences = template ? Media.findSequences(template.assets) : [];
+                return {
+                    frames: sequences.length > 0 ? sequences[0].frames : [],
+                    media: { fps: DEFAULT_MEDIA_FPS, loop: false, offset: 0, outFrame: 0, playOnPlay: true }
+                };
+            }
+            case 'lottie':
+                return { lottie: { playSegment: '', loopSegment: '', stopSegment: '', textLayers: {} } };
+            case 'line':
+            case 'polygon':
+            case 'path': {
+                const size = this.getDefaultSize(type);
+                return { shape: VectorShape.createDefault(type, size.width, size.height) };
+            }
             default:
                 return {};
         }
@@ -378,7 +1125,191 @@ export class VisualEditor {
             return;
         }
 
+        this.updateCanvasSize();
+        this.templateManager.assets.applyFonts(template);
+        this.canvas.style.fontFamily = template.defaultFontFamily || DEFAULT_FONT_FAMILY;
+
+        // Keep the edited step in range when steps are removed
+        const steps = template.steps || [];
+        this.currentStep = Math.min(this.currentStep, Math.max(0, steps.length - 1));
+
+        // The background grid follows the snapping grid; very fine grids would only add noise
+        const grid = template.layout.grid;
+        this.canvas.style.backgroundImage = grid.enabled && grid.size >= 5 ? '' : 'none';
+        this.canvas.style.backgroundSize = `${grid.size}px ${grid.size}px`;
+
         this.renderElements(template.elements);
+        this.fitText(template);
+        this.renderLayoutOverlays(template.layout);
+        this.updateClockInterval(template);
+    }
+
+    /**
+     * The canvas shows a Lottie element at the frame it rests on once its play
+     * segment has played, with the preview data in its text layers. Frames are
+     * drawn once by the Lottie player and kept as SVG markup; until then this
+     * returns null and the canvas renders again when the frame is ready.
+     */
+    getLottieStill(template, element, path, scope) {
+        const asset = template.getAsset(path);
+        if (!asset || asset.kind !== 'lottie') return null;
+
+        const assets = this.templateManager.assets;
+        const data = assets.getAnimation(asset.id);
+        if (!data) {
+            if (!this.lottieLoads.has(asset.id)) {
+                this.lottieLoads.add(asset.id);
+                assets.loadAnimation(asset.id).then(() => this.render(), error => {
+                    console.warn(`Could not read the Lottie animation ${path}:`, error);
+                });
+            }
+            return null;
+        }
+
+        const settings = Lottie.getSettings(element);
+        const texts = {};
+        Object.entries(settings.textLayers).forEach(([layer, field]) => {
+            const value = field ? Expression.resolve(field, scope) : undefined;
+            if (value !== undefined && value !== null) texts[layer] = String(value);
+        });
+        const [start, end] = Lottie.getSegment(data, settings.playSegment) || Lottie.getSegment(data, '');
+        const frame = end > start ? end - 1 : end;
+
+        const key = JSON.stringify([asset.id, texts, frame]);
+        if (!this.lottieStills.has(key)) {
+            if (this.lottieStills.size >= MAX_LOTTIE_STILLS) {
+                this.lottieStills.clear();
+            }
+            this.lottieStills.set(key, null);
+            this.drawLottieStill(Lottie.withText(data, texts), frame).then(html => {
+                this.lottieStills.set(key, html);
+                this.render();
+            }, error => console.warn(`Could not draw the Lottie animation ${path}:`, error));
+        }
+        return this.lottieStills.get(key);
+    }
+
+    async drawLottieStill(data, frame) {
+        const { default: lottie } = await import('lottie-web/build/player/esm/lottie_light.min.js');
+        // Text is measured, so the animation is drawn in the document, out of sight
+        const container = document.createElement('div');
+        container.style.cssText = `position: fixed; left: -100000px; top: 0; width: ${data.w}px; height: ${data.h}px; visibility: hidden;`;
+        document.body.appendChild(container);
+        try {
+            const animation = lottie.loadAnimation({
+                container,
+                renderer: 'svg',
+                loop: false,
+                autoplay: false,
+                animationData: data,
+                rendererSettings: { preserveAspectRatio: 'xMidYMid meet' }
+            });
+            // Text layers are laid out once their fonts are ready
+            await new Promise(resolve => animation.addEventListener('DOMLoaded', resolve));
+            animation.goToAndStop(frame, true);
+            const html = container.innerHTML;
+            animation.destroy();
+            return html;
+        } finally {
+            container.remove();
+        }
+    }
+
+    // Clocks on the canvas tick while the template has any
+    updateClockInterval(template) {
+        const hasClocks = template.getAllElements().some(element => element.type === 'clock');
+        if (hasClocks && !this.clockInterval) {
+            this.clockInterval = setInterval(() => this.updateClocks(), 500);
+        } else if (!hasClocks && this.clockInterval) {
+            clearInterval(this.clockInterval);
+            this.clockInterval = null;
+        }
+    }
+
+    updateClocks() {
+        this.canvas.querySelectorAll('.live-clock').forEach(node => {
+            const text = Clock.format({ format: node.dataset.format, timezone: node.dataset.timezone });
+            if (node.textContent !== text) node.textContent = text;
+        });
+    }
+
+    // Text modes that need measuring run once the elements are on the canvas
+    fitText(template) {
+        template.getAllElements().forEach(element => {
+            const fit = TextFit.getFit(element);
+            if (!fit || !MEASURED_FIT_MODES.includes(fit.mode)) return;
+
+            const box = this.getElementNode(element.id);
+            const span = box && box.querySelector('.text-fit');
+            if (span) {
+                TextFit.apply(box, span, fit, fit.follower ? this.getElementNode(fit.follower) : null);
+            }
+        });
+    }
+
+    getElementNode(elementId) {
+        return this.canvas.querySelector(`.graphics-element[data-element-id="${CSS.escape(elementId)}"]`);
+    }
+
+    renderLayoutOverlays(layout) {
+        const size = this.getCanvasSize();
+
+        Object.entries(SAFE_AREAS).forEach(([name, area]) => {
+            if (!layout.safeAreas[name]) return;
+            const overlay = this.createOverlay(`safe-area safe-area-${name}`, CanvasLayout.getSafeAreaRect(name, size.width, size.height));
+            overlay.dataset.label = area.label;
+        });
+
+        layout.guides.forEach((guide, index) => {
+            const line = this.createLine(`canvas-guide ${guide.orientation}`, guide);
+            line.dataset.guideIndex = index;
+        });
+
+        this.snapLines.forEach(snapLine => this.createLine(`snap-line ${snapLine.orientation}`, snapLine));
+
+        if (layout.rulers) {
+            this.renderRulers(size);
+        }
+    }
+
+    createOverlay(className, rect) {
+        const overlay = document.createElement('div');
+        overlay.className = className;
+        overlay.style.left = rect.x + 'px';
+        overlay.style.top = rect.y + 'px';
+        overlay.style.width = rect.width + 'px';
+        overlay.style.height = rect.height + 'px';
+        this.canvas.appendChild(overlay);
+        return overlay;
+    }
+
+    createLine(className, line) {
+        const div = document.createElement('div');
+        div.className = className;
+        div.style[line.orientation === 'vertical' ? 'left' : 'top'] = line.position + 'px';
+        this.canvas.appendChild(div);
+        return div;
+    }
+
+    // The top ruler creates horizontal guides and the left ruler vertical ones
+    renderRulers(size) {
+        ['horizontal', 'vertical'].forEach(orientation => {
+            const ruler = document.createElement('div');
+            ruler.className = `canvas-ruler ${orientation}`;
+            ruler.dataset.orientation = orientation;
+            ruler.title = 'Drag onto the canvas to add a guide';
+
+            const length = orientation === 'horizontal' ? size.width : size.height;
+            for (let position = 100; position < length; position += 100) {
+                const label = document.createElement('span');
+                label.className = 'canvas-ruler-label';
+                label.textContent = position;
+                label.style[orientation === 'horizontal' ? 'left' : 'top'] = position + 'px';
+                ruler.appendChild(label);
+            }
+
+            this.canvas.appendChild(ruler);
+        });
     }
 
     renderEmptyState() {
@@ -393,21 +1324,54 @@ export class VisualEditor {
         this.canvas.innerHTML = '';
         
         elements.forEach(element => {
+            if (element.editorHidden) return;
             const elementDiv = this.createElement(element);
             this.canvas.appendChild(elementDiv);
         });
+
+        // Several selected elements share one box whose handles resize them together
+        const bounds = this.selectedElements.length > 1 ? this.getSelectionBounds() : null;
+        if (bounds) {
+            const box = document.createElement('div');
+            box.className = 'selection-box';
+            box.style.left = bounds.x + 'px';
+            box.style.top = bounds.y + 'px';
+            box.style.width = bounds.width + 'px';
+            box.style.height = bounds.height + 'px';
+            this.addResizeHandles(box);
+            this.canvas.appendChild(box);
+        }
     }
 
-    createElement(element) {
+    // `scope` is the data bindings are filled from: the preview data, or a repeater item's data
+    createElement(element, scope = this.previewData) {
         const div = document.createElement('div');
         div.className = 'graphics-element';
         div.dataset.elementId = element.id;
+
+        // Apply the overrides of the step being edited
+        const template = this.templateManager.getCurrentTemplate();
+        const override = template && template.steps && template.steps.length > 0
+            ? template.getStepOverride(this.currentStep, element.id)
+            : {};
+        const content = override.content !== undefined ? override.content : element.content;
+        if (override.hidden) {
+            div.classList.add('step-hidden');
+        }
+        // Dimmed like step-hidden elements when the preview data fails the element's visibleWhen rule
+        if (element.visibleWhen && !Expression.test(element.visibleWhen, scope)) {
+            div.classList.add('condition-hidden');
+        }
+        if (element.locked) {
+            div.classList.add('locked');
+        }
         
-        // Apply position and size
-        div.style.left = element.x + 'px';
-        div.style.top = element.y + 'px';
-        div.style.width = element.width + 'px';
-        div.style.height = element.height + 'px';
+        // Apply position and size, resolved against the canvas or the parent group
+        const box = template.getElementBox(element.id);
+        div.style.left = box.x + 'px';
+        div.style.top = box.y + 'px';
+        div.style.width = box.width + 'px';
+        div.style.height = box.height + 'px';
 
         // Apply element-specific styles
         if (element.style) {
@@ -416,29 +1380,175 @@ export class VisualEditor {
 
         // Create element content
         if (element.type === 'text') {
-            div.textContent = element.content || 'Text';
+            const fit = TextFit.getFit(element);
+            if (fit) {
+                const span = document.createElement('span');
+                span.className = 'text-fit';
+                span.style.cssText = TextFit.getSpanCss(fit);
+                span.textContent = this.getDisplayContent(content, scope) || 'Text';
+                div.appendChild(span);
+            } else {
+                div.textContent = this.getDisplayContent(content, scope) || 'Text';
+            }
+            div.style.display = 'flex';
+            div.style.alignItems = 'center';
+        } else if (element.type === 'ticker') {
+            // Shown standing still; the preview scrolls it
+            div.textContent = this.getDisplayContent(content, scope) || 'Ticker';
+            div.style.display = 'flex';
+            div.style.alignItems = 'center';
+            div.style.whiteSpace = 'nowrap';
+            div.style.overflow = 'hidden';
+        } else if (element.type === 'clock') {
+            const settings = Clock.getSettings(element);
+            div.classList.add('live-clock');
+            div.dataset.format = settings.format;
+            div.dataset.timezone = settings.timezone;
+            div.textContent = Clock.format(settings);
+            div.style.display = 'flex';
+            div.style.alignItems = 'center';
+            div.style.whiteSpace = 'nowrap';
+        } else if (element.type === 'timer') {
+            // Shows the time it starts from; the preview runs it with the custom actions
+            const settings = Timer.getSettings(element);
+            const value = settings.field ? Timer.parseSeconds(Expression.resolve(settings.field, scope)) : null;
+            div.textContent = Timer.format(value !== null ? value : settings.start, settings.format, settings.direction);
             div.style.display = 'flex';
             div.style.alignItems = 'center';
+            div.style.whiteSpace = 'nowrap';
         } else if (element.type === 'image') {
             const img = document.createElement('img');
-            img.src = element.content || 'https://via.placeholder.com/100x100';
+            img.src = this.templateManager.assets.resolve(template, Expression.render(content || '', scope)) || PLACEHOLDER_IMAGE;
             img.style.width = '100%';
             img.style.height = '100%';
             img.style.objectFit = element.style?.objectFit || 'contain';
             div.appendChild(img);
+        } else if (element.type === 'video' || element.type === 'sequence') {
+            // The canvas shows the frame playback starts from
+            const settings = Media.getSettings(element);
+            const media = document.createElement(element.type === 'video' ? 'video' : 'img');
+            if (element.type === 'video') {
+                media.muted = true;
+                media.preload = 'metadata';
+                media.addEventListener('loadedmetadata', () => {
+                    media.currentTime = settings.offset / settings.fps;
+                });
+                media.src = this.templateManager.assets.resolve(template, Expression.render(content || '', scope));
+            } else {
+                const frames = element.frames || [];
+                const frame = frames[Math.min(settings.offset, frames.length - 1)];
+                media.src = frame ? this.templateManager.assets.resolve(template, frame) : PLACEHOLDER_IMAGE;
+            }
+            media.style.width = '100%';
+            media.style.height = '100%';
+            media.style.objectFit = element.style?.objectFit || 'contain';
+            div.appendChild(media);
+        } else if (element.type === 'lottie') {
+            const still = this.getLottieStill(template, element, content, scope);
+            if (still) {
+                div.innerHTML = still;
+            } else {
+                div.classList.add('lottie-placeholder');
+            }
         } else if (element.type === 'circle') {
             div.style.borderRadius = '50%';
+        } else if (VECTOR_TYPES.includes(element.type)) {
+            div.innerHTML = VectorShape.toSvg(element);
+            if (element.id === this.nodeEditId) {
+                this.addShapeMarkers(div, element, box);
+            }
+        } else if (element.type === 'group') {
+            div.classList.add('graphics-group');
+            (element.children || []).forEach(child => {
+                if (!child.editorHidden) {
+                    div.appendChild(this.createElement(child, scope));
+                }
+            });
+        } else if (element.type === 'repeater') {
+            div.classList.add('graphics-group');
+            this.renderRepeaterItems(div, element, box, scope);
         }
 
         // Add selection state
-        if (element.id === this.selectedElement) {
+        if (this.selectedElements.includes(element.id)) {
             div.classList.add('selected');
-            this.addResizeHandles(div);
+            if (this.selectedElements.length === 1 && this.isSelectable(element)) {
+                this.addResizeHandles(div);
+            }
         }
 
         return div;
     }
 
+    /**
+     * The first item holds the editable children. The other items show the
+     * preview data's entries, or empty outlines that fill the repeater when
+     * there is no data.
+     */
+    renderRepeaterItems(div, element, box, scope) {
+        const settings = Repeater.getSettings(element);
+        const items = Repeater.getItems(element, scope);
+        let count = Math.min(items.length, MAX_PREVIEW_ITEMS);
+        if (count === 0) {
+            do {
+                count++;
+                const next = Repeater.getItemPosition(settings, count);
+                if (next.x + settings.itemWidth > box.width || next.y + settings.itemHeight > box.height) break;
+            } while (count < MAX_PREVIEW_ITEMS);
+        }
+
+        for (let index = 0; index < count; index++) {
+            const position = Repeater.getItemPosition(settings, index);
+            const cell = document.createElement('div');
+            cell.className = index === 0 ? 'repeater-cell' : 'repeater-cell repeater-ghost';
+            cell.style.left = position.x + 'px';
+            cell.style.top = position.y + 'px';
+            cell.style.width = settings.itemWidth + 'px';
+            cell.style.height = settings.itemHeight + 'px';
+
+            if (index === 0 || index < items.length) {
+                const itemData = index < items.length ? Repeater.getItemData(scope, items[index], index) : scope;
+                (element.children || []).forEach(child => {
+                    if (!child.editorHidden) {
+                        cell.appendChild(this.createElement(child, itemData));
+                    }
+                });
+            }
+            // Only the first item can be selected and edited
+            if (index > 0) {
+                cell.querySelectorAll('.resize-handle').forEach(handle => handle.remove());
+                cell.querySelectorAll('[data-element-id]').forEach(node => {
+                    node.removeAttribute('data-element-id');
+                    node.classList.remove('selected');
+                });
+            }
+            div.appendChild(cell);
+        }
+    }
+
+    // Squares for the points and dots for their bezier handles, in the element's box
+    addShapeMarkers(div, element, box) {
+        const shape = VectorShape.getShape(element);
+        const toBox = point => ({ x: point.x * box.width / shape.width, y: point.y * box.height / shape.height });
+        const lines = [];
+        const markers = [];
+
+        shape.subpaths.forEach((subpath, subpathIndex) => subpath.nodes.forEach((node, nodeIndex) => {
+            const position = toBox(node);
+            const data = `data-subpath="${subpathIndex}" data-node="${nodeIndex}"`;
+            ['handleIn', 'handleOut'].forEach(handle => {
+                if (!node[handle]) return;
+                const handlePosition = toBox(node[handle]);
+                lines.push(`<line x1="${position.x}" y1="${position.y}" x2="${handlePosition.x}" y2="${handlePosition.y}"/>`);
+                markers.push(`<div class="shape-control" ${data} data-handle="${handle}" style="left: ${handlePosition.x}px; top: ${handlePosition.y}px;"></div>`);
+            });
+            markers.push(`<div class="shape-node" ${data} style="left: ${position.x}px; top: ${position.y}px;"></div>`);
+        }));
+
+        div.classList.add('editing-points');
+        div.insertAdjacentHTML('beforeend', `<svg class="shape-handle-lines" width="${box.width}" height="${box.height}">${lines.join('')}</svg>${markers.join('')}`);
+    }
+
     addResizeHandles(element) {
         const handles = ['nw', 'ne', 'sw', 'se'];
         
@@ -451,8 +1561,7 @@ export class VisualEditor {
 
     fitToView() {
         const containerRect = this.container.getBoundingClientRect();
-        const canvasWidth = 1920;
-        const canvasHeight = 1080;
+        const { width: canvasWidth, height: canvasHeight } = this.getCanvasSize();
         
         const scaleX = (containerRect.width - 40) / canvasWidth;
         const scaleY = (containerRect.height - 40) / canvasHeight;
@@ -480,9 +1589,26 @@ export class VisualEditor {
         if (this.selectedElement) {
             const template = this.templateManager.getCurrentTemplate();
             if (template) {
+                const element = template.getElementById(this.selectedElement);
+                const original = element && element.type === 'group' ? JSON.parse(JSON.stringify(element)) : null;
+                const before = original ? template.getElementBox(element.id) : null;
                 template.updateElement(this.selectedElement, updates);
+
+                // Resizing a group from the properties scales its children too
+                if (original && (updates.width !== undefined || updates.height !== undefined)) {
+                    const after = template.getElementBox(element.id);
+                    template.scaleGroupChildren(
+                        element,
+                        original,
+                        before.width > 0 ? after.width / before.width : 1,
+                        before.height > 0 ? after.height / before.height : 1
+                    );
+                }
                 this.render();
-                this.templateManager.saveToStorage();
+                this.templateManager.saveToStorage({
+                    label: 'Edit element',
+                    mergeKey: `element:${this.selectedElement}:${Object.keys(updates).join(',')}`
+                });
             }
         }
     }
@@ -500,5 +1626,6 @@ export class VisualEditor {
         document.removeEventListener('mouseup', this.handleMouseUp);
         document.removeEventListener('keydown', this.handleKeyDown);
         this.container.removeEventListener('wheel', this.handleWheel);
+        clearInterval(this.clockInterval);
     }
 }
\ No newline at end of file
@@ -2,6 +2,9 @@ import { TemplateManager } from './services/TemplateManager.js';
 import { ExportImportService } from './services/ExportImportService.js';
 import { VisualEditor } from './components/VisualEditor.js';
 import { PropertyPanel } from './components/PropertyPanel.js';
+import { TimelinePanel } from './components/TimelinePanel.js';
+import { LayersPanel } from './components/LayersPanel.js';
+import { AssetsPanel } from './components/AssetsPanel.js';
 import { PreviewEngine } from './components/PreviewEngine.js';
 import { CodeEditor } from './components/CodeEditor.js';
 
@@ -17,7 +20,7 @@ class OGrafEditor {
     init() {
         this.initializeComponents();
         this.setupEventListeners();
-        this.loadInitialState();
+        this.templateManager.ready.then(() => this.loadInitialState());
     }
 
     initializeComponents() {
@@ -33,6 +36,24 @@ class OGrafEditor {
             this.propertyPanel = new PropertyPanel(propertiesContainer, this.visualEditor, this.templateManager);
         }
 
+        // Initialize Layers Panel
+        const layersContainer = document.querySelector('.layers-content');
+        if (layersContainer && this.visualEditor) {
+            this.layersPanel = new LayersPanel(layersContainer, this.visualEditor, this.templateManager);
+        }
+
+        // Initialize Assets Panel
+        const assetsContainer = document.querySelector('.assets-content');
+        if (assetsContainer && this.visualEditor) {
+            this.assetsPanel = new AssetsPanel(assetsContainer, this.visualEditor, this.templateManager);
+        }
+
+        // Initialize Animation Timeline
+        const timelineContainer = document.querySelector('.timeline-panel');
+        if (timelineContainer && this.visualEditor) {
+            this.timelinePanel = new TimelinePanel(timelineContainer, this.visualEditor, this.templateManager);
+        }
+
         // Initialize Preview Engine
         const previewContainer = document.querySelector('#preview-editor');
         if (previewContainer) {
@@ -42,6 +63,9 @@ class OGrafEditor {
             if (this.propertyPanel) {
                 this.propertyPanel.setPreviewEngine(this.previewEngine);
             }
+            if (this.timelinePanel) {
+                this.timelinePanel.setPreviewEngine(this.previewEngine);
+            }
         }
 
         // Initialize Code Editor
@@ -58,6 +82,7 @@ class OGrafEditor {
         this.setupHeaderActions();
         this.setupTabSwitching();
         this.setupModalEvents();
+        this.setupRevisionsModal();
         this.setupTemplateList();
         this.setupToolbar();
     }
@@ -85,6 +110,108 @@ class OGrafEditor {
         if (exportBtn) {
             exportBtn.addEventListener('click', () => this.exportCurrentTemplate());
         }
+
+        // Undo / Redo
+        const undoBtn = document.querySelector('#undo-action');
+        if (undoBtn) {
+            undoBtn.addEventListener('click', () => this.undo());
+        }
+
+        const redoBtn = document.querySelector('#redo-action');
+        if (redoBtn) {
+            redoBtn.addEventListener('click', () => this.redo());
+        }
+
+        this.templateManager.history.onChange(() => this.updateHistoryButtons());
+        this.updateHistoryButtons();
+
+        // Revisions
+        const revisionsBtn = document.querySelector('#show-revisions');
+        if (revisionsBtn) {
+            revisionsBtn.addEventListener('click', () => this.showRevisionsModal());
+        }
+
+        // Autosave status; clicking it after a failed write retries
+        const saveStatus = document.querySelector('#save-status');
+        if (saveStatus) {
+            saveStatus.addEventListener('click', () => {
+                if (this.templateManager.saveStatus.state === 'error') {
+                    this.templateManager.flush();
+                }
+            });
+        }
+        this.templateManager.onSaveStatusChange(status => this.updateSaveStatus(status));
+        this.updateSaveStatus(this.templateManager.saveStatus);
+
+        window.addEventListener('beforeunload', (e) => {
+            if (this.templateManager.hasUnsavedChanges()) {
+                this.templateManager.flush();
+                e.preventDefault();
+                e.returnValue = '';
+            }
+        });
+    }
+
+    updateSaveStatus(status) {
+        const statusEl = document.querySelector('#save-status');
+        if (statusEl) {
+            const labels = {
+                pending: 'Unsaved changes',
+                saving: 'Saving…',
+                saved: 'All changes saved',
+                error: 'Not saved – click to retry'
+            };
+            statusEl.textContent = labels[status.state] || '';
+            statusEl.title = status.error || '';
+            statusEl.className = `save-status ${status.state}`;
+        }
+
+        // Report each new failure once instead of on every retry
+        if (status.state === 'error' && status.error !== this.lastSaveError) {
+            this.showErrorMessage(status.error);
+        }
+        this.lastSaveError = status.state === 'error' ? status.error : null;
+    }
+
+    undo() {
+        if (this.templateManager.history.undo()) {
+            this.afterHistoryChange();
+        }
+    }
+
+    redo() {
+        if (this.templateManager.history.redo()) {
+            this.afterHistoryChange();
+        }
+    }
+
+    afterHistoryChange() {
+        // The restored state may no longer contain the selected elements
+        const template = this.templateManager.getCurrentTemplate();
+        if (this.visualEditor && template &&
+            this.visualEditor.selectedElements.some(id => !template.getElementById(id))) {
+            this.visualEditor.setSelection(this.visualEditor.selectedElements.filter(id => template.getElementById(id)));
+        }
+
+        this.updateTemplateList();
+        this.refreshAllViews();
+    }
+
+    updateHistoryButtons() {
+        const history = this.templateManager.history;
+        const undoBtn = document.querySelector('#undo-action');
+        const redoBtn = document.querySelector('#redo-action');
+
+        if (undoBtn) {
+            const label = history.getUndoLabel();
+            undoBtn.disabled = !label;
+            undoBtn.title = label ? `Undo ${label} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+        }
+        if (redoBtn) {
+            const label = history.getRedoLabel();
+            redoBtn.disabled = !label;
+            redoBtn.title = label ? `Redo ${label} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+        }
     }
 
     setupTabSwitching() {
@@ -124,6 +251,85 @@ class OGrafEditor {
         }
     }
 
+    setupRevisionsModal() {
+        const modal = document.querySelector('#revisions-modal');
+        if (!modal) return;
+
+        modal.querySelector('.modal-close').addEventListener('click', () => this.hideRevisionsModal());
+        modal.querySelector('#close-revisions').addEventListener('click', () => this.hideRevisionsModal());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.hideRevisionsModal();
+            }
+        });
+
+        modal.querySelector('#save-revision').addEventListener('click', async () => {
+            await this.templateManager.saveRevision();
+            this.renderRevisionList();
+        });
+
+        modal.querySelector('#revisions-list').addEventListener('click', (e) => {
+            const restoreBtn = e.target.closest('[data-revision-id]');
+            if (restoreBtn) {
+                this.restoreRevision(Number(restoreBtn.dataset.revisionId));
+            }
+        });
+    }
+
+    showRevisionsModal() {
+        if (!this.templateManager.getCurrentTemplate()) {
+            this.showErrorMessage('Select a template to see its revisions');
+            return;
+        }
+
+        document.querySelector('#revisions-modal').classList.remove('hidden');
+        this.renderRevisionList();
+    }
+
+    hideRevisionsModal() {
+        document.querySelector('#revisions-modal').classList.add('hidden');
+    }
+
+    async renderRevisionList() {
+        const list = document.querySelector('#revisions-list');
+        const template = this.templateManager.getCurrentTemplate();
+        if (!list || !template) return;
+
+        try {
+            const revisions = await this.templateManager.getRevisions(template.manifest.id);
+            list.innerHTML = revisions.length === 0
+                ? '<p class="schema-empty">No revisions yet. A revision is saved every few minutes while you edit.</p>'
+                : revisions.map(revision => `
+                    <div class="revision-item">
+                        <div class="revision-info">
+                            <strong>${new Date(revision.createdAt).toLocaleString()}</strong>
+                            <span>${this.escapeHtml(revision.label)} · ${(revision.data.elements || []).length} elements</span>
+                        </div>
+                        <button type="button" class="btn btn-secondary" data-revision-id="${revision.id}">Restore</button>
+                    </div>
+                `).join('');
+        } catch (error) {
+            list.innerHTML = `<p class="schema-empty">Could not load revisions: ${this.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    async restoreRevision(revisionId) {
+        if (!confirm('Restore this revision? The current version is kept as a revision, and the restore can be undone.')) {
+            return;
+        }
+
+        try {
+            await this.templateManager.restoreRevision(revisionId);
+        } catch (error) {
+            this.showErrorMessage(`Failed to restore revision: ${error.message}`);
+            return;
+        }
+
+        this.hideRevisionsModal();
+        this.afterHistoryChange();
+        this.showSuccessMessage('Revision restored');
+    }
+
     setupTemplateList() {
         this.updateTemplateList();
         
@@ -139,11 +345,60 @@ class OGrafEditor {
         toolButtons.forEach(btn => {
             btn.addEventListener('click', (e) => {
                 const elementType = e.target.dataset.element || e.target.parentElement.dataset.element;
+                const command = btn.dataset.command;
                 if (elementType && this.visualEditor) {
                     this.visualEditor.addElement(elementType);
+                } else if (command === 'group' && this.visualEditor) {
+                    this.visualEditor.groupSelection();
+                } else if (command === 'ungroup' && this.visualEditor) {
+                    this.visualEditor.ungroupSelection();
+                } else if (command && command.startsWith('toggle-') && this.visualEditor) {
+                    this.visualEditor.toggleLayoutOption(command.slice('toggle-'.length));
                 }
             });
         });
+
+        const svgImport = document.querySelector('[data-svg-import]');
+        if (svgImport) {
+            svgImport.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (!file || !this.visualEditor) return;
+                try {
+                    this.visualEditor.importSvg(await file.text());
+                } catch (error) {
+                    alert(`Could not import ${file.name}: ${error.message}`);
+                }
+            });
+        }
+
+        const gridSizeInput = document.querySelector('#grid-size');
+        if (gridSizeInput) {
+            gridSizeInput.addEventListener('change', (e) => {
+                if (this.visualEditor) {
+                    this.visualEditor.setGridSize(e.target.value);
+                }
+            });
+        }
+
+        if (this.visualEditor) {
+            this.visualEditor.container.addEventListener('layoutChanged', () => this.updateLayoutControls());
+        }
+    }
+
+    updateLayoutControls() {
+        if (!this.visualEditor) return;
+
+        document.querySelectorAll('.tool-btn[data-command^="toggle-"]').forEach(btn => {
+            const option = btn.dataset.command.slice('toggle-'.length);
+            btn.classList.toggle('active', this.visualEditor.isLayoutOptionEnabled(option));
+        });
+
+        const template = this.templateManager.getCurrentTemplate();
+        const gridSizeInput = document.querySelector('#grid-size');
+        if (gridSizeInput && template) {
+            gridSizeInput.value = template.layout.grid.size;
+        }
     }
 
     setupComponentListeners() {
@@ -176,6 +431,9 @@ class OGrafEditor {
 
         // Update components based on view
         if (viewName === 'visual' && this.visualEditor) {
+            if (this.previewEngine) {
+                this.visualEditor.setPreviewData(this.previewEngine.previewData);
+            }
             this.visualEditor.render();
         } else if (viewName === 'code' && this.codeEditor) {
             this.codeEditor.render();
@@ -309,18 +567,29 @@ class OGrafEditor {
         if (this.propertyPanel) {
             this.propertyPanel.render();
         }
+        if (this.layersPanel) {
+            this.layersPanel.render();
+        }
+        if (this.assetsPanel) {
+            this.assetsPanel.render();
+        }
+        if (this.timelinePanel) {
+            this.timelinePanel.render();
+        }
         if (this.previewEngine) {
             this.previewEngine.render();
         }
         if (this.codeEditor) {
             this.codeEditor.render();
         }
+        this.updateHistoryButtons();
+        this.updateLayoutControls();
     }
 
     showImportDialog() {
         const input = document.createElement('input');
         input.type = 'file';
-        input.accept = '.json';
+        input.accept = '.zip,.json';
         input.style.display = 'none';
         
         input.addEventListener('change', async (e) => {
@@ -350,7 +619,7 @@ class OGrafEditor {
         }
 
         try {
-            await this.exportImportService.exportTemplate(currentTemplate.manifest.id, 'json');
+            await this.exportImportService.exportTemplate(currentTemplate.manifest.id, 'zip');
             this.showSuccessMessage('Template exported successfully');
         } catch (error) {
             alert(`Export failed: ${error.message}`);
@@ -375,10 +644,12 @@ class OGrafEditor {
         let needsSave = false;
         
         templates.forEach(template => {
-            const needsRegeneration = template.webComponent && (
-                template.webComponent.includes('export default') ||
-                template.webComponent.includes('this.generateElementStyles()') ||
-                !template.webComponent.includes('this.elements =')
+            // Regenerate when the stored code does not match the template's component mode. Only
+            // code the editor generated is replaced; hand-edited and vendor code is kept as it is
+            const isModuleMode = template.componentMode !== 'legacy';
+            const needsRegeneration = template.webComponent && !template.hasCustomCode() && (
+                template.webComponent.includes('export default') !== isModuleMode ||
+                template.webComponent.includes('this.generateElementStyles()')
             );
             
             if (needsRegeneration) {
@@ -389,7 +660,7 @@ class OGrafEditor {
         });
         
         if (needsSave) {
-            this.templateManager.saveToStorage();
+            this.templateManager.saveToStorage({ history: false });
         }
     }
 
@@ -441,6 +712,15 @@ class OGrafEditor {
         }, 3000);
     }
 
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     // Keyboard shortcuts
     setupKeyboardShortcuts() {
         document.addEventListener('keydown', (e) => {
@@ -456,6 +736,19 @@ class OGrafEditor {
                 this.showImportDialog();
             }
 
+            // Ctrl/Cmd + Z: Undo, Ctrl/Cmd + Shift + Z or Ctrl/Cmd + Y: Redo
+            // (text fields and the code editors keep their own undo)
+            if ((e.ctrlKey || e.metaKey) && (e.key.toLowerCase() === 'z' || e.key.toLowerCase() === 'y')) {
+                if (!e.target.closest || !e.target.closest('input, textarea, select, [contenteditable="true"], .monaco-editor')) {
+                    e.preventDefault();
+                    if (e.shiftKey || e.key.toLowerCase() === 'y') {
+                        this.redo();
+                    } else {
+                        this.undo();
+                    }
+                }
+            }
+
             // Ctrl/Cmd + N: New template
             if ((e.ctrlKey || e.metaKey) && e.key === 'n') {
                 e.preventDefault();
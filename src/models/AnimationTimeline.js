@@ -0,0 +1,177 @@
+export const EASING_PRESETS = [
+    { value: 'linear', label: 'Linear' },
+    { value: 'ease', label: 'Ease' },
+    { value: 'ease-in', label: 'Ease In' },
+    { value: 'ease-out', label: 'Ease Out' },
+    { value: 'ease-in-out', label: 'Ease In-Out' },
+    { value: 'cubic-bezier(0.22, 1, 0.36, 1)', label: 'Expo Out' },
+    { value: 'cubic-bezier(0.64, 0, 0.78, 0)', label: 'Expo In' },
+    { value: 'cubic-bezier(0.34, 1.56, 0.64, 1)', label: 'Back Out (overshoot)' },
+    { value: 'cubic-bezier(0.36, 0, 0.66, -0.56)', label: 'Back In (anticipate)' }
+];
+
+// Starting points for new tracks, expressed for the "in" phase
+export const TRACK_PRESETS = {
+    fade: {
+        label: 'Fade',
+        keyframes: [{ offset: 0, opacity: 0 }, { offset: 1, opacity: 1 }]
+    },
+    'slide-left': {
+        label: 'Slide from Left',
+        keyframes: [{ offset: 0, x: -200, opacity: 0 }, { offset: 1, x: 0, opacity: 1 }]
+    },
+    'slide-right': {
+        label: 'Slide from Right',
+        keyframes: [{ offset: 0, x: 200, opacity: 0 }, { offset: 1, x: 0, opacity: 1 }]
+    },
+    'slide-up': {
+        label: 'Slide Up',
+        keyframes: [{ offset: 0, y: 100, opacity: 0 }, { offset: 1, y: 0, opacity: 1 }]
+    },
+    'slide-down': {
+        label: 'Slide Down',
+        keyframes: [{ offset: 0, y: -100, opacity: 0 }, { offset: 1, y: 0, opacity: 1 }]
+    },
+    scale: {
+        label: 'Scale',
+        keyframes: [{ offset: 0, scale: 0.5, opacity: 0 }, { offset: 1, scale: 1, opacity: 1 }]
+    },
+    pop: {
+        label: 'Pop',
+        keyframes: [{ offset: 0, scale: 0, opacity: 0 }, { offset: 0.7, scale: 1.1, opacity: 1 }, { offset: 1, scale: 1, opacity: 1 }]
+    },
+    'wipe-right': {
+        label: 'Wipe Left to Right',
+        keyframes: [{ offset: 0, clip: { top: 0, right: 100, bottom: 0, left: 0 } }, { offset: 1, clip: { top: 0, right: 0, bottom: 0, left: 0 } }]
+    },
+    'wipe-up': {
+        label: 'Wipe Bottom to Top',
+        keyframes: [{ offset: 0, clip: { top: 100, right: 0, bottom: 0, left: 0 } }, { offset: 1, clip: { top: 0, right: 0, bottom: 0, left: 0 } }]
+    }
+};
+
+const KEYFRAME_DEFAULTS = {
+    x: 0,
+    y: 0,
+    opacity: 1,
+    scale: 1,
+    rotation: 0
+};
+
+/**
+ * Per-element keyframe animations. A template holds named animations ("in", "out"
+ * and any custom names); each animation has a stagger and one track per element:
+ *
+ *   { stagger: 0, tracks: { [elementId]: { delay, duration, easing, keyframes: [...] } } }
+ *
+ * Keyframe values are offsets from the element's layout position: x/y in pixels,
+ * opacity 0-1, scale factor, rotation in degrees and clip insets in percent.
+ */
+export class AnimationTimeline {
+    static createAnimation() {
+        return { stagger: 0, tracks: {} };
+    }
+
+    static createTrack(presetName = 'fade', phase = 'in') {
+        const preset = TRACK_PRESETS[presetName] || TRACK_PRESETS.fade;
+        let keyframes = preset.keyframes.map(keyframe => JSON.parse(JSON.stringify(keyframe)));
+
+        // Out animations play the preset backwards
+        if (phase === 'out') {
+            keyframes = keyframes
+                .map(keyframe => ({ ...keyframe, offset: Math.round((1 - keyframe.offset) * 1000) / 1000 }))
+                .reverse();
+        }
+
+        return {
+            delay: 0,
+            duration: 500,
+            easing: phase === 'out' ? 'ease-in' : 'ease-out',
+            keyframes
+        };
+    }
+
+    static createKeyframe(offset = 1) {
+        return { offset, ...KEYFRAME_DEFAULTS };
+    }
+
+    static hasTracks(animation) {
+        return !!animation && !!animation.tracks && Object.keys(animation.tracks).length > 0;
+    }
+
+    // Convert a track's keyframes into Web Animations API keyframes
+    static compileKeyframes(track) {
+        const keyframes = [...(track.keyframes || [])].sort((a, b) => a.offset - b.offset);
+        const usesClip = keyframes.some(keyframe => keyframe.clip);
+
+        return keyframes.map(keyframe => {
+            const values = { ...KEYFRAME_DEFAULTS, ...keyframe };
+            const compiled = {
+                offset: Math.min(1, Math.max(0, Number(values.offset) || 0)),
+                transform: `translate(${Number(values.x) || 0}px, ${Number(values.y) || 0}px) scale(${Number(values.scale)}) rotate(${Number(values.rotation) || 0}deg)`,
+                opacity: Number(values.opacity)
+            };
+
+            if (usesClip) {
+                const clip = { top: 0, right: 0, bottom: 0, left: 0, ...(keyframe.clip || {}) };
+                compiled.clipPath = `inset(${clip.top}% ${clip.right}% ${clip.bottom}% ${clip.left}%)`;
+            }
+
+            if (keyframe.easing) {
+                compiled.easing = keyframe.easing;
+            }
+
+            return compiled;
+        });
+    }
+
+    /**
+     * Compile an animation for a list of element ids (in stacking order). Stagger is
+     * added per animated element, in that order.
+     */
+    static compileAnimation(animation, elementIds) {
+        const compiled = {};
+        if (!AnimationTimeline.hasTracks(animation)) return compiled;
+
+        const stagger = Number(animation.stagger) || 0;
+        let index = 0;
+
+        elementIds.forEach(elementId => {
+            const track = animation.tracks[elementId];
+            if (!track || !track.keyframes || track.keyframes.length === 0) return;
+
+            compiled[elementId] = {
+                keyframes: AnimationTimeline.compileKeyframes(track),
+                options: {
+                    duration: Math.max(0, Number(track.duration) || 0),
+                    delay: Math.max(0, (Number(track.delay) || 0) + stagger * index),
+                    easing: track.easing || 'linear',
+                    fill: 'both'
+                }
+            };
+            index++;
+        });
+
+        return compiled;
+    }
+
+    static compileAll(animations, elementIds) {
+        const compiled = {};
+        Object.entries(animations || {}).forEach(([name, animation]) => {
+            const result = AnimationTimeline.compileAnimation(animation, elementIds);
+            if (Object.keys(result).length > 0) {
+                compiled[name] = result;
+            }
+        });
+        return compiled;
+    }
+
+    // Total running time of an animation in milliseconds
+    static getEndTime(animation, elementIds) {
+        const compiled = AnimationTimeline.compileAnimation(animation, elementIds);
+        return Object.values(compiled).reduce(
+            (end, { options }) => Math.max(end, options.delay + options.duration),
+            0
+        );
+    }
+}
\ No newline at end of file
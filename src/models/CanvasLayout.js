@@ -0,0 +1,159 @@
+// Inset per side as a fraction of the canvas (EBU R 95, SMPTE ST 2046-1: 93% action, 90% title)
+export const SAFE_AREAS = {
+    action: { label: 'Action safe', inset: 0.035 },
+    title: { label: 'Title safe', inset: 0.05 }
+};
+
+// Distance in screen pixels within which an edge snaps to a line
+export const SNAP_THRESHOLD = 8;
+
+/**
+ * Editor-only layout aids stored per template:
+ *
+ *   { grid: { enabled, size }, snap, rulers, guides: [{ orientation, position }],
+ *     safeAreas: { action, title } }
+ *
+ * Guides are "vertical" (an x position) or "horizontal" (a y position) in canvas pixels.
+ */
+export class CanvasLayout {
+    static createDefault() {
+        return {
+            grid: { enabled: true, size: 10 },
+            snap: true,
+            rulers: true,
+            guides: [],
+            safeAreas: { action: false, title: false }
+        };
+    }
+
+    // Fill in settings missing from older templates
+    static normalize(layout) {
+        const defaults = CanvasLayout.createDefault();
+        const source = layout || {};
+        return {
+            ...defaults,
+            ...source,
+            grid: { ...defaults.grid, ...(source.grid || {}) },
+            guides: Array.isArray(source.guides) ? source.guides : [],
+            safeAreas: { ...defaults.safeAreas, ...(source.safeAreas || {}) }
+        };
+    }
+
+    static getSafeAreaRect(name, width, height) {
+        const area = SAFE_AREAS[name];
+        if (!area) return null;
+
+        const insetX = width * area.inset;
+        const insetY = height * area.inset;
+        return { x: insetX, y: insetY, width: width - insetX * 2, height: height - insetY * 2 };
+    }
+
+    /**
+     * Lines an element can snap to: the edges and centers of other elements, the
+     * canvas edges and center, guides and visible safe areas. Returns { x: [], y: [] }.
+     */
+    static getSnapLines(layout, canvasSize, otherBounds) {
+        const lines = {
+            x: [0, canvasSize.width / 2, canvasSize.width],
+            y: [0, canvasSize.height / 2, canvasSize.height]
+        };
+
+        otherBounds.forEach(bounds => {
+            lines.x.push(bounds.x, bounds.x + bounds.width / 2, bounds.x + bounds.width);
+            lines.y.push(bounds.y, bounds.y + bounds.height / 2, bounds.y + bounds.height);
+        });
+
+        (layout.guides || []).forEach(guide => {
+            lines[guide.orientation === 'vertical' ? 'x' : 'y'].push(guide.position);
+        });
+
+        Object.keys(SAFE_AREAS).forEach(name => {
+            if (!layout.safeAreas || !layout.safeAreas[name]) return;
+            const rect = CanvasLayout.getSafeAreaRect(name, canvasSize.width, canvasSize.height);
+            lines.x.push(rect.x, rect.x + rect.width);
+            lines.y.push(rect.y, rect.y + rect.height);
+        });
+
+        return lines;
+    }
+
+    /**
+     * Find the correction for one axis. `edges` are the positions that may snap
+     * (for example left, center and right of a moving box); the first edge is
+     * aligned to the grid when no line is close enough.
+     * Returns { delta, line } where line is the snapped-to position or null.
+     */
+    static snapAxis(edges, lines, layout, threshold) {
+        let best = null;
+
+        if (layout.snap) {
+            edges.forEach(edge => {
+                lines.forEach(line => {
+                    const delta = line - edge;
+                    if (Math.abs(delta) <= threshold && (!best || Math.abs(delta) < Math.abs(best.delta))) {
+                        best = { delta, line };
+                    }
+                });
+            });
+        }
+
+        if (best) return best;
+
+        const size = Number(layout.grid && layout.grid.size) || 0;
+        if (layout.grid && layout.grid.enabled && size > 0) {
+            return { delta: Math.round(edges[0] / size) * size - edges[0], line: null };
+        }
+
+        // Without snapping, positions still land on whole pixels
+        return { delta: Math.round(edges[0]) - edges[0], line: null };
+    }
+
+    // Snap a box being moved; returns the corrected position and the lines it snapped to
+    static snapMove(bounds, lines, layout, threshold) {
+        const snapX = CanvasLayout.snapAxis(
+            [bounds.x, bounds.x + bounds.width / 2, bounds.x + bounds.width], lines.x, layout, threshold
+        );
+        const snapY = CanvasLayout.snapAxis(
+            [bounds.y, bounds.y + bounds.height / 2, bounds.y + bounds.height], lines.y, layout, threshold
+        );
+
+        return {
+            x: bounds.x + snapX.delta,
+            y: bounds.y + snapY.delta,
+            lines: CanvasLayout.describeLines(snapX.line, snapY.line)
+        };
+    }
+
+    // Snap the edges moved by a resize handle ("nw", "ne", "sw" or "se")
+    static snapResize(bounds, handle, lines, layout, threshold) {
+        const result = { ...bounds };
+        const movesLeft = handle.includes('w');
+        const movesTop = handle.includes('n');
+
+        const snapX = CanvasLayout.snapAxis([movesLeft ? bounds.x : bounds.x + bounds.width], lines.x, layout, threshold);
+        const snapY = CanvasLayout.snapAxis([movesTop ? bounds.y : bounds.y + bounds.height], lines.y, layout, threshold);
+
+        if (movesLeft) {
+            result.x += snapX.delta;
+            result.width -= snapX.delta;
+        } else {
+            result.width += snapX.delta;
+        }
+        if (movesTop) {
+            result.y += snapY.delta;
+            result.height -= snapY.delta;
+        } else {
+            result.height += snapY.delta;
+        }
+
+        result.lines = CanvasLayout.describeLines(snapX.line, snapY.line);
+        return result;
+    }
+
+    static describeLines(x, y) {
+        const lines = [];
+        if (x !== null) lines.push({ orientation: 'vertical', position: x });
+        if (y !== null) lines.push({ orientation: 'horizontal', position: y });
+        return lines;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,40 @@
+import { Expression } from './Expression.js';
+
+export const DEFAULT_CLOCK_FORMAT = 'HH:mm:ss';
+
+/**
+ * The time of day, ticking live:
+ *
+ *   { type: 'clock', clock: { timezone: 'Europe/London', format: 'HH:mm' } }
+ *
+ * The format uses the tokens of the date filter (YYYY MM DD HH H hh h mm ss A,
+ * with [literal text] in brackets). Without a time zone the clock shows the
+ * local time of the computer that plays out the graphic.
+ */
+export class Clock {
+    static getSettings(element) {
+        const clock = element.clock || {};
+        return {
+            timezone: clock.timezone || '',
+            format: clock.format || DEFAULT_CLOCK_FORMAT
+        };
+    }
+
+    static format(settings, now = Date.now()) {
+        return Expression.formatDate(now, settings.format, settings.timezone);
+    }
+
+    // The IANA time zones this browser knows
+    static getTimeZones() {
+        return typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : ['UTC'];
+    }
+
+    static isValidTimeZone(timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
\ No newline at end of file
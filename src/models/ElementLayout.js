@@ -0,0 +1,137 @@
+export const ANCHORS = [
+    { value: 'top-left', label: 'Top Left' },
+    { value: 'top', label: 'Top' },
+    { value: 'top-right', label: 'Top Right' },
+    { value: 'left', label: 'Left' },
+    { value: 'center', label: 'Center' },
+    { value: 'right', label: 'Right' },
+    { value: 'bottom-left', label: 'Bottom Left' },
+    { value: 'bottom', label: 'Bottom' },
+    { value: 'bottom-right', label: 'Bottom Right' }
+];
+
+// Size limits in pixels, applied after percentages are resolved
+export const CONSTRAINTS = ['minWidth', 'maxWidth', 'minHeight', 'maxHeight'];
+
+const AXES = {
+    x: { position: 'x', size: 'width', start: 'left', end: 'right', min: 'minWidth', max: 'maxWidth', container: 'width' },
+    y: { position: 'y', size: 'height', start: 'top', end: 'bottom', min: 'minHeight', max: 'maxHeight', container: 'height' }
+};
+
+/**
+ * Responsive placement of an element inside its container (the graphic, or
+ * the group it belongs to):
+ *
+ *   { anchor: 'bottom-left', units: { x: 'px', width: '%' },
+ *     constraints: { minWidth: 300, maxWidth: 900 } }
+ *
+ * x and y are the distance from the anchored edge to the same edge of the
+ * element; for a centered axis they offset the element's center from the
+ * container's center. Positions and sizes are pixels unless their unit is "%"
+ * of the container. Elements without these fields are placed from the top
+ * left in pixels, as before.
+ */
+export class ElementLayout {
+    static getAnchor(element) {
+        const anchor = element.anchor || 'top-left';
+        return {
+            x: anchor.includes('left') ? 'start' : anchor.includes('right') ? 'end' : 'center',
+            y: anchor.includes('top') ? 'start' : anchor.includes('bottom') ? 'end' : 'center'
+        };
+    }
+
+    static getUnit(element, property) {
+        return element.units && element.units[property] === '%' ? '%' : 'px';
+    }
+
+    static getConstraint(element, name) {
+        const value = element.constraints ? element.constraints[name] : undefined;
+        return typeof value === 'number' && isFinite(value) ? value : null;
+    }
+
+    static toPixels(element, property, containerSize) {
+        const value = Number(element[property]) || 0;
+        return ElementLayout.getUnit(element, property) === '%' ? value * containerSize / 100 : value;
+    }
+
+    // Percentages keep more decimals so they convert back to the same pixels
+    static fromPixels(element, property, pixels, containerSize) {
+        if (ElementLayout.getUnit(element, property) === '%' && containerSize > 0) {
+            return Math.round(pixels * 1000000 / containerSize) / 10000;
+        }
+        return Math.round(pixels * 100) / 100;
+    }
+
+    static resolveAxis(element, axisName, container) {
+        const axis = AXES[axisName];
+        const containerSize = container[axis.container];
+        const min = ElementLayout.getConstraint(element, axis.min);
+        const max = ElementLayout.getConstraint(element, axis.max);
+
+        let size = ElementLayout.toPixels(element, axis.size, containerSize);
+        if (max !== null) size = Math.min(size, max);
+        if (min !== null) size = Math.max(size, min);
+
+        const offset = ElementLayout.toPixels(element, axis.position, containerSize);
+        const anchor = ElementLayout.getAnchor(element)[axisName];
+        const position = anchor === 'start' ? offset
+            : anchor === 'end' ? containerSize - offset - size
+            : containerSize / 2 + offset - size / 2;
+
+        return { position, size };
+    }
+
+    // The element's box in pixels relative to its container ({ width, height })
+    static resolve(element, container) {
+        const x = ElementLayout.resolveAxis(element, 'x', container);
+        const y = ElementLayout.resolveAxis(element, 'y', container);
+        return { x: x.position, y: y.position, width: x.size, height: y.size };
+    }
+
+    // The x, y, width and height to store for a pixel box, in the element's anchor and units
+    static store(element, box, container) {
+        const stored = {};
+        Object.entries(AXES).forEach(([axisName, axis]) => {
+            const containerSize = container[axis.container];
+            const size = box[axis.size];
+            const start = box[axis.position];
+            const anchor = ElementLayout.getAnchor(element)[axisName];
+            const offset = anchor === 'start' ? start
+                : anchor === 'end' ? containerSize - start - size
+                : start + size / 2 - containerSize / 2;
+
+            stored[axis.position] = ElementLayout.fromPixels(element, axis.position, offset, containerSize);
+            stored[axis.size] = ElementLayout.fromPixels(element, axis.size, size, containerSize);
+        });
+        return stored;
+    }
+
+    static cssLength(element, property) {
+        return `${Number(element[property]) || 0}${ElementLayout.getUnit(element, property)}`;
+    }
+
+    static cssSize(element, axisName) {
+        const axis = AXES[axisName];
+        const size = ElementLayout.cssLength(element, axis.size);
+        const min = ElementLayout.getConstraint(element, axis.min);
+        const max = ElementLayout.getConstraint(element, axis.max);
+
+        if (min !== null && max !== null) return `clamp(${min}px, ${size}, ${max}px)`;
+        if (min !== null) return `max(${min}px, ${size})`;
+        if (max !== null) return `min(${size}, ${max}px)`;
+        return size;
+    }
+
+    // Positioning CSS that lets the browser resolve anchors and percentages against any container size
+    static toCss(element) {
+        return Object.entries(AXES).map(([axisName, axis]) => {
+            const offset = ElementLayout.cssLength(element, axis.position);
+            const size = ElementLayout.cssSize(element, axisName);
+            const anchor = ElementLayout.getAnchor(element)[axisName];
+            const position = anchor === 'start' ? `${axis.start}: ${offset};`
+                : anchor === 'end' ? `${axis.end}: ${offset};`
+                : `${axis.start}: calc(50% + ${offset} - ${size} / 2);`;
+            return `${position} ${axis.size}: ${size};`;
+        }).join(' ');
+    }
+}
\ No newline at end of file
@@ -0,0 +1,414 @@
+/**
+ * The {{ }} bindings of element content:
+ *
+ *   {{title}}  {{person.name}}  {{results[0].votes}}
+ *   {{subtitle | default:"Live"}}  {{name | upper | truncate:30}}
+ *   {{start | date:"HH:mm"}}  {{share | number:1}}
+ *   {{#if isLive}}LIVE{{else}}Recorded{{/if}}  {{#if score >= 10 && !final}}...{{/if}}
+ *
+ * Missing and empty values render as empty text, and so do bindings that
+ * cannot be parsed.
+ */
+export class Expression {
+    /**
+     * Fill the bindings in `content` from `data`. `formatValue(text, field)`
+     * formats each bound value (field is the data field it starts from) and
+     * `formatText(text)` the literal text around it, e.g. to escape both as HTML.
+     */
+    static render(content, data, formatValue = value => value, formatText = text => text) {
+        const blocks = Expression.parseTemplate(String(content ?? ''), []);
+        return Expression.renderBlocks(blocks, data || {}, formatValue, formatText);
+    }
+
+    static renderBlocks(blocks, data, formatValue, formatText) {
+        return blocks.map(block => {
+            if (block.type === 'text') return formatText(block.text);
+            if (block.type === 'if') {
+                const branch = Expression.isTruthy(Expression.evaluate(block.condition, data)) ? block.then : block.else;
+                return Expression.renderBlocks(branch, data, formatValue, formatText);
+            }
+            const text = Expression.toText(Expression.evaluate(block.expression, data));
+            return text === '' ? '' : formatValue(text, block.expression.field || null);
+        }).join('');
+    }
+
+    // The value of a single expression such as "results" or "score > 10"; undefined when it does not parse
+    static resolve(source, data) {
+        try {
+            return Expression.evaluate(Expression.parse(String(source ?? '')), data || {});
+        } catch (error) {
+            return undefined;
+        }
+    }
+
+    // Whether a single expression such as "isLive" holds for the data
+    static test(source, data) {
+        return Expression.isTruthy(Expression.resolve(source, data));
+    }
+
+    // The first syntax error in `content`, or null
+    static validate(content) {
+        const errors = [];
+        Expression.parseTemplate(String(content ?? ''), errors);
+        return errors[0] || null;
+    }
+
+    // The syntax error in a single expression, such as a visibleWhen rule, or null
+    static validateExpression(source) {
+        try {
+            Expression.parse(String(source ?? ''));
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    }
+
+    // The top-level data fields that `content` reads
+    static getFields(content) {
+        const fields = new Set();
+        Expression.parseTemplate(String(content ?? ''), []).forEach(node => Expression.collectFields(node, fields));
+        return [...fields];
+    }
+
+    // The top-level data fields that a single expression reads
+    static getExpressionFields(source) {
+        const fields = new Set();
+        try {
+            Expression.collectFields(Expression.parse(String(source ?? '')), fields);
+        } catch (error) {
+            // An expression that does not parse reads nothing
+        }
+        return [...fields];
+    }
+
+    static collectFields(node, fields) {
+        if (!node || typeof node !== 'object') return;
+        if (node.type === 'path') fields.add(node.segments[0]);
+        Object.values(node).forEach(value => {
+            if (Array.isArray(value)) value.forEach(item => Expression.collectFields(item, fields));
+            else Expression.collectFields(value, fields);
+        });
+    }
+
+    // Split content into text, {{expression}} and {{#if}}...{{else}}...{{/if}} blocks; problems are added to `errors` and skipped
+    static parseTemplate(content, errors) {
+        const root = { then: [] };
+        const stack = [root];
+        const current = () => {
+            const top = stack[stack.length - 1];
+            return top.inElse ? top.else : top.then;
+        };
+
+        const pattern = /\{\{([\s\S]*?)\}\}/g;
+        let last = 0;
+        let match;
+        while ((match = pattern.exec(content)) !== null) {
+            if (match.index > last) current().push({ type: 'text', text: content.slice(last, match.index) });
+            last = pattern.lastIndex;
+
+            const source = match[1].trim();
+            const top = stack[stack.length - 1];
+            if (source === 'else') {
+                if (top === root || top.inElse) errors.push('{{else}} without {{#if}}');
+                else top.inElse = true;
+            } else if (source === '/if') {
+                if (top === root) errors.push('{{/if}} without {{#if}}');
+                else stack.pop();
+            } else {
+                try {
+                    if (source.startsWith('#if')) {
+                        const block = { type: 'if', condition: Expression.parse(source.slice(3)), then: [], else: [], inElse: false };
+                        current().push(block);
+                        stack.push(block);
+                    } else {
+                        current().push({ type: 'value', expression: Expression.parse(source) });
+                    }
+                } catch (error) {
+                    errors.push(error.message);
+                }
+            }
+        }
+        if (last < content.length) current().push({ type: 'text', text: content.slice(last) });
+        if (stack.length > 1) errors.push('{{#if}} is missing its {{/if}}');
+        return root.then;
+    }
+
+    static tokenize(source) {
+        const tokens = [];
+        const pattern = /\s*(?:("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(\d+(?:\.\d+)?)|([A-Za-z_$][\w$]*)|(===|!==|==|!=|>=|<=|&&|\|\||[!<>|:,.()[\]-]))/y;
+        let index = 0;
+        while (index < source.length) {
+            pattern.lastIndex = index;
+            const match = pattern.exec(source);
+            if (!match) {
+                if (source.slice(index).trim() === '') break;
+                throw new Error(`Unexpected "${source.slice(index).trim()[0]}" in "${source}"`);
+            }
+            index = pattern.lastIndex;
+            if (match[1] !== undefined) tokens.push({ type: 'string', value: match[1].slice(1, -1).replace(/\\(.)/g, '$1') });
+            else if (match[2] !== undefined) tokens.push({ type: 'number', value: Number(match[2]) });
+            else if (match[3] !== undefined) tokens.push({ type: 'name', value: match[3] });
+            else tokens.push({ type: 'op', value: match[4] });
+        }
+        return tokens;
+    }
+
+    // pipeline := or ("|" filter (":" argument ("," argument)*)?)*
+    static parse(source) {
+        const tokens = Expression.tokenize(source);
+        let position = 0;
+        const peek = (value) => tokens[position] && tokens[position].type === 'op' && tokens[position].value === value;
+        const next = () => tokens[position++];
+        const expect = (value) => {
+            if (!peek(value)) throw new Error(`Expected "${value}" in "${source.trim()}"`);
+            next();
+        };
+
+        const pipeline = () => {
+            let node = or();
+            while (peek('|')) {
+                next();
+                const name = next();
+                if (!name || name.type !== 'name') throw new Error(`Expected a filter name in "${source.trim()}"`);
+                if (!Expression.hasFilter(name.value)) throw new Error(`Unknown filter "${name.value}"`);
+                const args = [];
+                if (peek(':')) {
+                    next();
+                    args.push(unary());
+                    while (peek(',')) {
+                        next();
+                        args.push(unary());
+                    }
+                }
+                node = { type: 'filter', name: name.value, input: node, args, field: node.field };
+            }
+            return node;
+        };
+        const or = () => {
+            let node = and();
+            while (peek('||')) {
+                next();
+                node = { type: 'or', left: node, right: and() };
+            }
+            return node;
+        };
+        const and = () => {
+            let node = compare();
+            while (peek('&&')) {
+                next();
+                node = { type: 'and', left: node, right: compare() };
+            }
+            return node;
+        };
+        const compare = () => {
+            const node = unary();
+            const operator = tokens[position];
+            if (operator && operator.type === 'op' && ['==', '!=', '===', '!==', '>', '<', '>=', '<='].includes(operator.value)) {
+                next();
+                return { type: 'compare', operator: operator.value.slice(0, 2), left: node, right: unary() };
+            }
+            return node;
+        };
+        const unary = () => {
+            if (peek('!')) {
+                next();
+                return { type: 'not', operand: unary() };
+            }
+            if (peek('-')) {
+                next();
+                const number = next();
+                if (!number || number.type !== 'number') throw new Error(`Expected a number after "-" in "${source.trim()}"`);
+                return { type: 'literal', value: -number.value };
+            }
+            return primary();
+        };
+        const primary = () => {
+            const token = next();
+            if (!token) throw new Error(source.trim() ? `Unexpected end of "${source.trim()}"` : 'Empty {{ }} binding');
+            if (token.type === 'string' || token.type === 'number') return { type: 'literal', value: token.value };
+            if (token.type === 'op' && token.value === '(') {
+                const node = pipeline();
+                expect(')');
+                return node;
+            }
+            if (token.type !== 'name') throw new Error(`Unexpected "${token.value}" in "${source.trim()}"`);
+            if (token.value === 'true' || token.value === 'false') return { type: 'literal', value: token.value === 'true' };
+            if (token.value === 'null') return { type: 'literal', value: null };
+
+            // A data path: name, name.key, name[0], name["key"]
+            const segments = [token.value];
+            while (peek('.') || peek('[')) {
+                if (next().value === '.') {
+                    const key = next();
+                    if (!key || (key.type !== 'name' && key.type !== 'number')) throw new Error(`Expected a field name after "." in "${source.trim()}"`);
+                    segments.push(String(key.value));
+                } else {
+                    const key = next();
+                    if (!key || (key.type !== 'string' && key.type !== 'number')) throw new Error(`Expected an index in "${source.trim()}"`);
+                    segments.push(String(key.value));
+                    expect(']');
+                }
+            }
+            return { type: 'path', segments, field: token.value };
+        };
+
+        const node = pipeline();
+        if (position < tokens.length) throw new Error(`Unexpected "${tokens[position].value}" in "${source.trim()}"`);
+        return node;
+    }
+
+    static evaluate(node, data) {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+            case 'path':
+                return node.segments.reduce((value, key) => {
+                    if (value === null || value === undefined) return undefined;
+                    // Only the data's own fields, never inherited properties such as "constructor"
+                    return Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined;
+                }, data);
+            case 'not':
+                return !Expression.isTruthy(Expression.evaluate(node.operand, data));
+            case 'and': {
+                const left = Expression.evaluate(node.left, data);
+                return Expression.isTruthy(left) ? Expression.evaluate(node.right, data) : left;
+            }
+            case 'or': {
+                const left = Expression.evaluate(node.left, data);
+                return Expression.isTruthy(left) ? left : Expression.evaluate(node.right, data);
+            }
+            case 'compare':
+                return Expression.compare(node.operator, Expression.evaluate(node.left, data), Expression.evaluate(node.right, data));
+            case 'filter':
+                return Expression.applyFilter(node.name, Expression.evaluate(node.input, data), node.args.map(arg => Expression.evaluate(arg, data)));
+            default:
+                return undefined;
+        }
+    }
+
+    // Equality compares as text ("5" equals 5, a missing value equals ""); ordering is numeric when both sides are numbers
+    static compare(operator, left, right) {
+        if (operator === '==' || operator === '!=') {
+            const equal = Expression.toText(left) === Expression.toText(right);
+            return operator === '==' ? equal : !equal;
+        }
+        const numeric = Expression.toText(left) !== '' && Expression.toText(right) !== '' && !isNaN(left) && !isNaN(right);
+        const a = numeric ? Number(left) : Expression.toText(left);
+        const b = numeric ? Number(right) : Expression.toText(right);
+        switch (operator) {
+            case '>': return a > b;
+            case '<': return a < b;
+            case '>=': return a >= b;
+            case '<=': return a <= b;
+            default: return false;
+        }
+    }
+
+    static isTruthy(value) {
+        if (Array.isArray(value)) return value.length > 0;
+        return !!value;
+    }
+
+    static toText(value) {
+        if (value === null || value === undefined) return '';
+        if (Array.isArray(value)) return value.map(item => Expression.toText(item)).join(', ');
+        if (typeof value === 'object') return '';
+        return String(value);
+    }
+
+    static hasFilter(name) {
+        return ['default', 'upper', 'lower', 'capitalize', 'trim', 'truncate', 'number', 'date', 'join', 'length'].includes(name);
+    }
+
+    static applyFilter(name, value, args) {
+        const text = () => Expression.toText(value);
+        switch (name) {
+            case 'default':
+                return Expression.toText(value) === '' ? args[0] : value;
+            case 'upper':
+                return text().toUpperCase();
+            case 'lower':
+                return text().toLowerCase();
+            case 'capitalize':
+                return text().charAt(0).toUpperCase() + text().slice(1);
+            case 'trim':
+                return text().trim();
+            case 'truncate': {
+                const length = Math.max(0, parseInt(args[0]) || 0);
+                const suffix = args[1] !== undefined ? Expression.toText(args[1]) : '…';
+                const characters = Array.from(text());
+                return characters.length > length ? characters.slice(0, length).join('').trimEnd() + suffix : text();
+            }
+            case 'number': {
+                if (text() === '' || isNaN(value)) return text();
+                const decimals = Math.min(20, Math.max(0, parseInt(args[0]) || 0));
+                return Number(value).toFixed(decimals);
+            }
+            case 'date':
+                return Expression.formatDate(value, args[0] !== undefined ? Expression.toText(args[0]) : 'YYYY-MM-DD HH:mm', args[1] !== undefined ? Expression.toText(args[1]) : '');
+            case 'join':
+                return Array.isArray(value) ? value.map(item => Expression.toText(item)).join(args[0] !== undefined ? Expression.toText(args[0]) : ', ') : value;
+            case 'length':
+                return Array.isArray(value) ? value.length : Array.from(text()).length;
+            default:
+                return value;
+        }
+    }
+
+    // Format tokens: YYYY YY MM M DD D HH H hh h mm m ss s A; text in [brackets] is kept as is
+    // Local time unless a time zone such as "Europe/London" is given
+    static formatDate(value, format, timeZone) {
+        if (Expression.toText(value) === '') return '';
+        const date = new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+        if (isNaN(date.getTime())) return Expression.toText(value);
+
+        const fields = Expression.getDateFields(date, timeZone);
+        const pad = (number, length = 2) => String(number).padStart(length, '0');
+        const hours12 = fields.hours % 12 || 12;
+        const parts = {
+            YYYY: String(fields.year),
+            YY: pad(fields.year % 100),
+            MM: pad(fields.month),
+            M: String(fields.month),
+            DD: pad(fields.day),
+            D: String(fields.day),
+            HH: pad(fields.hours),
+            H: String(fields.hours),
+            hh: pad(hours12),
+            h: String(hours12),
+            mm: pad(fields.minutes),
+            m: String(fields.minutes),
+            ss: pad(fields.seconds),
+            s: String(fields.seconds),
+            A: fields.hours < 12 ? 'AM' : 'PM'
+        };
+        return format.replace(/\[([^\]]*)\]|YYYY|YY|MM|M|DD|D|HH|H|hh|h|mm|m|ss|s|A/g, (token, literal) =>
+            literal !== undefined ? literal : parts[token]
+        );
+    }
+
+    static getDateFields(date, timeZone) {
+        if (timeZone) {
+            try {
+                const fields = {};
+                new Intl.DateTimeFormat('en-US', {
+                    timeZone, hourCycle: 'h23',
+                    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+                }).formatToParts(date).forEach(part => {
+                    fields[part.type] = Number(part.value);
+                });
+                return { year: fields.year, month: fields.month, day: fields.day, hours: fields.hour % 24, minutes: fields.minute, seconds: fields.second };
+            } catch (error) {
+                // Unknown time zones fall back to local time
+            }
+        }
+        return {
+            year: date.getFullYear(),
+            month: date.getMonth() + 1,
+            day: date.getDate(),
+            hours: date.getHours(),
+            minutes: date.getMinutes(),
+            seconds: date.getSeconds()
+        };
+    }
+}
\ No newline at end of file
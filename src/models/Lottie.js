@@ -0,0 +1,91 @@
+// Where exported graphics keep the Lottie player, next to their module
+export const LOTTIE_RUNTIME_PATH = 'lib/lottie.mjs';
+
+/**
+ * An After Effects animation exported with Bodymovin as Lottie JSON:
+ *
+ *   { type: 'lottie', content: 'assets/lower-third.json', lottie: { playSegment: 'in',
+ *     loopSegment: 'idle', stopSegment: 'out', textLayers: { 'Name': 'person.name' } } }
+ *
+ * playAction plays the play segment and then loops the loop segment, if any;
+ * stopAction plays the stop segment and waits for it to end. A segment is a
+ * marker name or a frame range such as "0-45"; a marker without a duration
+ * runs to the next marker. An empty play segment plays the whole animation,
+ * an empty stop segment removes the graphic at once. Text layers, by layer
+ * name, show the value of a data field.
+ */
+export class Lottie {
+    static getSettings(element) {
+        const lottie = element.lottie || {};
+        return {
+            playSegment: String(lottie.playSegment || '').trim(),
+            loopSegment: String(lottie.loopSegment || '').trim(),
+            stopSegment: String(lottie.stopSegment || '').trim(),
+            textLayers: { ...(lottie.textLayers || {}) }
+        };
+    }
+
+    static isAnimation(data) {
+        return !!data && typeof data === 'object' && Array.isArray(data.layers) && typeof data.op === 'number';
+    }
+
+    // Markers as { name, start, end } in frames. Bodymovin writes the comment as is,
+    // or as JSON or "name: ..." lines when the marker has more than a name
+    static getMarkers(data) {
+        const markers = (data.markers || []).map(marker => {
+            let name = String(marker.cm ?? '').trim();
+            try {
+                const payload = JSON.parse(name);
+                if (payload && payload.name) name = String(payload.name);
+            } catch (error) {
+                const line = /(?:^|\n)\s*name:\s*(.*)/.exec(name);
+                if (line) name = line[1].trim();
+            }
+            return { name, start: Number(marker.tm) || 0, duration: Number(marker.dr) || 0 };
+        }).filter(marker => marker.name).sort((a, b) => a.start - b.start);
+
+        return markers.map((marker, index) => ({
+            name: marker.name,
+            start: marker.start,
+            end: marker.duration > 0 ? marker.start + marker.duration : (markers[index + 1] ? markers[index + 1].start : data.op)
+        }));
+    }
+
+    // [start, end] frames of a segment; the whole animation when it is empty, null when it is not found
+    static getSegment(data, segment) {
+        const spec = String(segment || '').trim();
+        if (!spec) return [data.ip || 0, data.op];
+
+        const range = /^(\d+(?:\.\d+)?)\s*-\s*(\d+(?:\.\d+)?)$/.exec(spec);
+        if (range) return [Number(range[1]), Number(range[2])];
+        const marker = Lottie.getMarkers(data).find(m => m.name === spec);
+        return marker ? [marker.start, marker.end] : null;
+    }
+
+    // Every layer list: the main composition and its precompositions
+    static getLayerLists(data) {
+        return [data.layers || [], ...(data.assets || []).filter(asset => Array.isArray(asset.layers)).map(asset => asset.layers)];
+    }
+
+    // Names of the text layers, including those inside precompositions
+    static getTextLayers(data) {
+        const names = new Set();
+        Lottie.getLayerLists(data).forEach(layers => layers.forEach(layer => {
+            if (layer.ty === 5 && layer.nm) names.add(String(layer.nm));
+        }));
+        return Array.from(names);
+    }
+
+    // A copy of the animation with the text of the named text layers replaced
+    static withText(data, texts) {
+        const copy = JSON.parse(JSON.stringify(data));
+        Lottie.getLayerLists(copy).forEach(layers => layers.forEach(layer => {
+            if (layer.ty !== 5 || !Object.prototype.hasOwnProperty.call(texts, layer.nm)) return;
+            const keyframes = (layer.t && layer.t.d && layer.t.d.k) || [];
+            keyframes.forEach(keyframe => {
+                if (keyframe.s) keyframe.s.t = String(texts[layer.nm]);
+            });
+        }));
+        return copy;
+    }
+}
\ No newline at end of file
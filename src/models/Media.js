@@ -0,0 +1,72 @@
+export const MEDIA_TYPES = ['video', 'sequence'];
+
+export const DEFAULT_MEDIA_FPS = 25;
+
+// What the media effect of a custom action does
+export const MEDIA_CONTROLS = [
+    { value: 'play', label: 'Play (or resume)' },
+    { value: 'pause', label: 'Pause' },
+    { value: 'out', label: 'Play out' }
+];
+
+/**
+ * A video (WebM with alpha, MP4) or a numbered image sequence, such as a
+ * logo stinger:
+ *
+ *   { type: 'video', content: 'assets/stinger.webm', media: { fps: 25, loop: false,
+ *     offset: 0, outFrame: 75, playOnPlay: true, muted: true } }
+ *   { type: 'sequence', frames: ['assets/logo_0000.png', ...], media: { ... } }
+ *
+ * Playback starts at the offset frame on playAction, or from a custom action
+ * with a media effect. It runs up to the out frame and then holds or loops
+ * back to the offset. From the out frame on is the out part: stopAction plays
+ * it and waits for it to end before the graphic is removed. An out frame of
+ * 0 means the media has no out part.
+ */
+export class Media {
+    static getSettings(element) {
+        const media = element.media || {};
+        return {
+            fps: Math.max(1, Number(media.fps) || 25),
+            loop: !!media.loop,
+            offset: Math.max(0, parseInt(media.offset) || 0),
+            outFrame: Math.max(0, parseInt(media.outFrame) || 0),
+            playOnPlay: media.playOnPlay !== false,
+            muted: media.muted !== false
+        };
+    }
+
+    // The frame shown after `elapsed` seconds of a phase ("in" or "out"), and whether the phase has ended
+    static getFrame(settings, phase, elapsed, frameCount) {
+        const played = Math.floor(Math.max(0, elapsed) * settings.fps + 1e-6);
+        const outFrame = settings.outFrame > 0 && settings.outFrame < frameCount ? settings.outFrame : frameCount;
+        if (phase === 'out') {
+            const frame = Math.min(frameCount - 1, outFrame + played);
+            return { frame, done: outFrame + played >= frameCount - 1 };
+        }
+
+        const start = Math.min(settings.offset, Math.max(0, outFrame - 1));
+        const length = Math.max(1, outFrame - start);
+        if (settings.loop) {
+            return { frame: start + played % length, done: false };
+        }
+        return { frame: start + Math.min(played, length - 1), done: played >= length - 1 };
+    }
+
+    // Image assets named like "logo_0001.png", grouped into sequences of at least two frames in name order
+    static findSequences(assets) {
+        const sequences = new Map();
+        assets.filter(asset => asset.kind === 'image').forEach(asset => {
+            const match = /^(.*?)(\d+)(\.[^.]+)$/.exec(asset.path);
+            if (!match) return;
+            const name = `${match[1]}${'#'.repeat(match[2].length)}${match[3]}`;
+            if (!sequences.has(name)) sequences.set(name, []);
+            sequences.get(name).push({ path: asset.path, number: parseInt(match[2]) });
+        });
+
+        return Array.from(sequences, ([name, frames]) => ({
+            name,
+            frames: frames.sort((a, b) => a.number - b.number).map(frame => frame.path)
+        })).filter(sequence => sequence.frames.length > 1);
+    }
+}
\ No newline at end of file
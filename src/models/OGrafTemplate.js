@@ -1,3 +1,53 @@
+import { AnimationTimeline } from './AnimationTimeline.js';
+import { CanvasLayout } from './CanvasLayout.js';
+import { ElementLayout, CONSTRAINTS } from './ElementLayout.js';
+import { TextFit, MEASURED_FIT_MODES } from './TextFit.js';
+import { Expression } from './Expression.js';
+import { Repeater } from './Repeater.js';
+import { Ticker } from './Ticker.js';
+import { Clock } from './Clock.js';
+import { Timer, TIMER_CONTROLS } from './Timer.js';
+import { VectorShape, VECTOR_TYPES } from './VectorShape.js';
+import { Media } from './Media.js';
+import { Lottie, LOTTIE_RUNTIME_PATH } from './Lottie.js';
+
+export const DEFAULT_FONT_FAMILY = 'Arial, sans-serif';
+
+export const RESOLUTION_PRESETS = [
+    { label: 'HD 1080p', width: 1920, height: 1080 },
+    { label: 'UHD 4K', width: 3840, height: 2160 },
+    { label: 'HD 720p', width: 1280, height: 720 },
+    { label: 'Vertical 1080x1920', width: 1080, height: 1920 }
+];
+
+export const DEFAULT_RESOLUTION = { width: 1920, height: 1080 };
+
+// Schema format for string fields whose values may contain bold, italic, colored and line-broken text
+export const RICH_TEXT_FORMAT = 'rich-text';
+
+// Element types whose children are laid out inside them
+export const CONTAINER_TYPES = ['group', 'repeater'];
+
+// What an element hidden by its visibleWhen rule does with its space
+export const COLLAPSE_MODES = [
+    { value: '', label: 'Leave its space empty' },
+    { value: 'up', label: 'Close up (content below moves up)' },
+    { value: 'down', label: 'Close down (content above moves down)' },
+    { value: 'left', label: 'Close left (content after it moves left)' },
+    { value: 'right', label: 'Close right (content before it moves right)' }
+];
+
+// Largest width or height accepted for the output
+const MAX_RESOLUTION = 8192;
+
+// CSS font formats by file extension
+const FONT_FORMATS = {
+    woff2: 'woff2',
+    woff: 'woff',
+    ttf: 'truetype',
+    otf: 'opentype'
+};
+
 export class OGrafTemplate {
     constructor() {
         this.manifest = {
@@ -20,7 +70,27 @@ export class OGrafTemplate {
         };
         
         this.elements = [];
+        // Named keyframe animations ("in", "out", custom) keyed by element id
+        this.animations = {};
+        // Steps for multi-step graphics; each step can hide elements or override their content
+        this.steps = [];
+        // Effects run by each custom action, keyed by action id
+        this.actionEffects = {};
+        // Grid, snapping, guides and safe areas used by the visual editor
+        this.layout = CanvasLayout.createDefault();
+        // Output size in pixels, followed by the canvas, preview and generated :host
+        this.resolution = { ...DEFAULT_RESOLUTION };
+        // Uploaded images, videos and fonts, and files imported with a package: { id, path, name,
+        // kind, type, size }. The file itself is stored by content hash (id); path is relative to
+        // the graphic's module.
+        this.assets = [];
+        // Font stack of the graphic's root; elements can set their own
+        this.defaultFontFamily = DEFAULT_FONT_FAMILY;
         this.webComponent = null;
+        // The code generateWebComponent() last produced; webComponent differs from it once edited by hand
+        this.generatedCode = null;
+        // 'module' (OGraf v1 ES module) or 'legacy' (self-registering custom element)
+        this.componentMode = 'module';
     }
 
     static createFromType(type, id, name, description) {
@@ -293,16 +363,66 @@ export class OGrafTemplate {
         ];
     }
 
-    addProperty(name, type, title, defaultValue) {
-        this.manifest.schema.properties[name] = {
-            type: type,
-            title: title,
-            default: defaultValue
-        };
+    addProperty(name, definition, title, defaultValue) {
+        // Accept either a full JSON Schema definition or the legacy (type, title, default) arguments
+        if (typeof definition === 'string') {
+            definition = {
+                type: definition,
+                title: title,
+                default: defaultValue
+            };
+        }
+        this.setSchemaProperty(this.manifest.schema, name, definition);
     }
 
     removeProperty(name) {
-        delete this.manifest.schema.properties[name];
+        this.removeSchemaProperty(this.manifest.schema, name);
+    }
+
+    // Resolve a path of keys (e.g. ['properties', 'ticker', 'items']) from the root data schema
+    getSchemaAtPath(path) {
+        return path.reduce((schema, key) => (schema ? schema[key] : undefined), this.manifest.schema);
+    }
+
+    // Add or replace a property in an object schema, optionally renaming it in place.
+    // options.required marks the field as required; when omitted the current state is kept.
+    setSchemaProperty(objectSchema, name, definition, options = {}) {
+        const previousName = options.previousName || name;
+        const properties = objectSchema.properties || {};
+        const entries = Object.entries(properties);
+        const index = entries.findIndex(([key]) => key === previousName);
+
+        if (index >= 0) {
+            entries[index] = [name, definition];
+        } else {
+            entries.push([name, definition]);
+        }
+        objectSchema.properties = Object.fromEntries(entries);
+
+        // JSON Schema keeps required fields on the parent object
+        const wasRequired = (objectSchema.required || []).includes(previousName);
+        const required = options.required !== undefined ? options.required : wasRequired;
+        const requiredList = (objectSchema.required || []).filter(key => key !== previousName && key !== name);
+        if (required) {
+            requiredList.push(name);
+        }
+        if (requiredList.length > 0) {
+            objectSchema.required = requiredList;
+        } else {
+            delete objectSchema.required;
+        }
+    }
+
+    removeSchemaProperty(objectSchema, name) {
+        if (objectSchema.properties) {
+            delete objectSchema.properties[name];
+        }
+        if (objectSchema.required) {
+            objectSchema.required = objectSchema.required.filter(key => key !== name);
+            if (objectSchema.required.length === 0) {
+                delete objectSchema.required;
+            }
+        }
     }
 
     addElement(element) {
@@ -313,11 +433,654 @@ export class OGrafTemplate {
     }
 
     removeElement(elementId) {
-        this.elements = this.elements.filter(el => el.id !== elementId);
+        const location = this.findElementLocation(elementId);
+        if (!location) return;
+
+        const [removed] = location.list.splice(location.index, 1);
+        this.flattenElements([removed]).forEach(element => this.removeElementReferences(element.id));
+    }
+
+    // Drop animation tracks, step overrides, action effects and text followers that target an element
+    removeElementReferences(elementId) {
+        Object.values(this.animations || {}).forEach(animation => {
+            if (animation.tracks) delete animation.tracks[elementId];
+        });
+        this.steps.forEach(step => {
+            delete step.overrides[elementId];
+        });
+        // Actions that did nothing but control a removed timer go with it
+        this.getCustomActions().filter(action => {
+            const effects = this.getActionEffects(action.id);
+            return effects.length > 0 && effects.every(effect => effect.type === 'timer' && effect.elementId === elementId);
+        }).forEach(action => this.removeCustomAction(action.id));
+        Object.keys(this.actionEffects).forEach(actionId => {
+            this.actionEffects[actionId] = this.actionEffects[actionId].filter(effect => effect.elementId !== elementId);
+        });
+        this.getAllElements().forEach(element => {
+            if (element.textFit && element.textFit.follower === elementId) delete element.textFit.follower;
+        });
+    }
+
+    /**
+     * Groups are elements of type "group" whose children are positioned relative to
+     * the group's top-left corner. Groups can be nested. Repeaters hold children the
+     * same way, positioned relative to one repeated item.
+     */
+    flattenElements(elements = this.elements) {
+        return elements.reduce((all, element) => {
+            all.push(element);
+            if (CONTAINER_TYPES.includes(element.type)) {
+                all.push(...this.flattenElements(element.children || []));
+            }
+            return all;
+        }, []);
+    }
+
+    getAllElements() {
+        return this.flattenElements(this.elements);
+    }
+
+    // The list holding an element, its index there and the parent group (null at the top level)
+    findElementLocation(elementId, list = this.elements, parent = null) {
+        for (let index = 0; index < list.length; index++) {
+            const element = list[index];
+            if (element.id === elementId) {
+                return { list, index, parent };
+            }
+            if (CONTAINER_TYPES.includes(element.type)) {
+                const location = this.findElementLocation(elementId, element.children || [], element);
+                if (location) return location;
+            }
+        }
+        return null;
+    }
+
+    getParentGroup(elementId) {
+        const location = this.findElementLocation(elementId);
+        return location ? location.parent : null;
+    }
+
+    // Canvas position of an element's parent coordinate space
+    getElementOffset(elementId) {
+        const offset = { x: 0, y: 0 };
+        let parent = this.getParentGroup(elementId);
+        while (parent) {
+            const box = this.getElementBox(parent.id);
+            offset.x += box.x;
+            offset.y += box.y;
+            parent = this.getParentGroup(parent.id);
+        }
+        return offset;
+    }
+
+    // Size of the space an element is laid out in: its group, one repeater item, or the whole graphic
+    getContainerSize(elementId) {
+        const parent = this.getParentGroup(elementId);
+        if (!parent) return this.resolution;
+        if (parent.type === 'repeater') {
+            const settings = Repeater.getSettings(parent);
+            return { width: settings.itemWidth, height: settings.itemHeight };
+        }
+
+        const box = this.getElementBox(parent.id);
+        return { width: box.width, height: box.height };
+    }
+
+    // Pixel box relative to the element's container, with anchors and units resolved
+    getElementBox(elementId) {
+        const element = this.getElementById(elementId);
+        if (!element) return null;
+        return ElementLayout.resolve(element, this.getContainerSize(elementId));
+    }
+
+    // Store a pixel box in the element's own anchor and units; `properties` limits what changes
+    setElementBox(elementId, box, properties = ['x', 'y', 'width', 'height']) {
+        const element = this.getElementById(elementId);
+        if (!element) return;
+
+        const stored = ElementLayout.store(element, box, this.getContainerSize(elementId));
+        properties.forEach(property => {
+            element[property] = stored[property];
+        });
+    }
+
+    getElementBounds(elementId) {
+        const box = this.getElementBox(elementId);
+        if (!box) return null;
+
+        const offset = this.getElementOffset(elementId);
+        return { ...box, x: offset.x + box.x, y: offset.y + box.y };
+    }
+
+    /**
+     * Change an element's anchor, units ({ x, y, width, height } of "px" or "%")
+     * or constraints without moving it on the canvas.
+     */
+    setElementLayout(elementId, changes) {
+        const element = this.getElementById(elementId);
+        if (!element) return;
+
+        const box = this.getElementBox(elementId);
+        const previousUnits = { ...(element.units || {}) };
+
+        if (changes.anchor !== undefined) {
+            element.anchor = changes.anchor;
+        }
+        if (changes.units) {
+            element.units = { ...previousUnits, ...changes.units };
+        }
+        if (changes.constraints) {
+            element.constraints = { ...(element.constraints || {}), ...changes.constraints };
+        }
+
+        // Only write defaults back when something is set, so plain elements stay plain
+        if (element.anchor === 'top-left') delete element.anchor;
+        if (element.units) {
+            Object.keys(element.units).forEach(key => {
+                if (element.units[key] !== '%') delete element.units[key];
+            });
+            if (Object.keys(element.units).length === 0) delete element.units;
+        }
+        if (element.constraints) {
+            CONSTRAINTS.forEach(name => {
+                if (typeof element.constraints[name] !== 'number' || !isFinite(element.constraints[name])) {
+                    delete element.constraints[name];
+                }
+            });
+            if (Object.keys(element.constraints).length === 0) delete element.constraints;
+        }
+
+        // Sizes are only rewritten when their unit changes; constraints keep the stored size
+        const properties = ['x', 'y', 'width', 'height'].filter(property =>
+            property === 'x' || property === 'y' || ElementLayout.getUnit(element, property) !== (previousUnits[property] === '%' ? '%' : 'px')
+        );
+        this.setElementBox(elementId, box, properties);
+    }
+
+    createElementId(prefix) {
+        let id = `${prefix}_${Date.now()}`;
+        let suffix = 1;
+        while (this.getElementById(id)) {
+            id = `${prefix}_${Date.now()}_${suffix++}`;
+        }
+        return id;
+    }
+
+    groupElements(elementIds) {
+        const locations = elementIds.map(id => this.findElementLocation(id)).filter(Boolean);
+        if (locations.length < 2) {
+            throw new Error('Select at least two elements to group');
+        }
+
+        const list = locations[0].list;
+        if (locations.some(location => location.list !== list)) {
+            throw new Error('Only elements in the same group can be grouped');
+        }
+
+        // Keep the stacking order of the grouped elements
+        const members = locations.map(location => location.list[location.index])
+            .sort((a, b) => list.indexOf(a) - list.indexOf(b));
+        const boxes = members.map(element => this.getElementBox(element.id));
+        const x = Math.min(...boxes.map(box => box.x));
+        const y = Math.min(...boxes.map(box => box.y));
+        const right = Math.max(...boxes.map(box => box.x + box.width));
+        const bottom = Math.max(...boxes.map(box => box.y + box.height));
+        const groupSize = { width: right - x, height: bottom - y };
+
+        const group = {
+            id: this.createElementId('group'),
+            type: 'group',
+            x,
+            y,
+            width: right - x,
+            height: bottom - y,
+            content: '',
+            style: {},
+            children: members.map((element, index) => ({
+                ...element,
+                ...ElementLayout.store(element, { ...boxes[index], x: boxes[index].x - x, y: boxes[index].y - y }, groupSize)
+            }))
+        };
+
+        // The group takes the place of its topmost member
+        const insertIndex = list.indexOf(members[members.length - 1]) - (members.length - 1);
+        members.forEach(element => list.splice(list.indexOf(element), 1));
+        list.splice(insertIndex, 0, group);
+
+        return group;
+    }
+
+    ungroupElement(groupId) {
+        const location = this.findElementLocation(groupId);
+        const group = location && location.list[location.index];
+        if (!group || group.type !== 'group') {
+            throw new Error(`Element "${groupId}" is not a group`);
+        }
+
+        const container = this.getContainerSize(groupId);
+        const groupBox = ElementLayout.resolve(group, container);
+        const children = (group.children || []).map(child => {
+            const box = ElementLayout.resolve(child, groupBox);
+            return { ...child, ...ElementLayout.store(child, { ...box, x: box.x + groupBox.x, y: box.y + groupBox.y }, container) };
+        });
+        location.list.splice(location.index, 1, ...children);
+        this.removeElementReferences(groupId);
+
+        return children.map(child => child.id);
+    }
+
+    // Elements render in array order, so a higher index is higher in the stack
+    moveElementInStack(elementId, direction) {
+        const location = this.findElementLocation(elementId);
+        if (!location) return false;
+
+        const target = location.index + direction;
+        if (target < 0 || target >= location.list.length) return false;
+
+        const [element] = location.list.splice(location.index, 1);
+        location.list.splice(target, 0, element);
+        return true;
+    }
+
+    /**
+     * Move an element directly above or below another one in the stack, or to the
+     * top of a group ("inside"). The element keeps its place on the canvas when it
+     * moves in or out of a group.
+     */
+    moveElementTo(elementId, targetId, placement) {
+        if (elementId === targetId) return false;
+
+        const element = this.getElementById(elementId);
+        const target = this.getElementById(targetId);
+        if (!element || !target) return false;
+
+        if (this.flattenElements([element]).includes(target)) {
+            throw new Error('A group cannot be moved into itself');
+        }
+        if (placement === 'inside' && !CONTAINER_TYPES.includes(target.type)) {
+            throw new Error(`Element "${targetId}" is not a group or repeater`);
+        }
+
+        const bounds = this.getElementBounds(elementId);
+        const from = this.findElementLocation(elementId);
+        from.list.splice(from.index, 1);
+
+        let list;
+        let index;
+        if (placement === 'inside') {
+            target.children = target.children || [];
+            list = target.children;
+            index = list.length;
+        } else {
+            const to = this.findElementLocation(targetId);
+            list = to.list;
+            index = placement === 'above' ? to.index + 1 : to.index;
+        }
+        list.splice(index, 0, element);
+
+        const offset = this.getElementOffset(elementId);
+        this.setElementBox(elementId, { ...bounds, x: bounds.x - offset.x, y: bounds.y - offset.y });
+        return true;
+    }
+
+    // Element ids are used as CSS class names in the generated graphic
+    renameElement(elementId, newId) {
+        const element = this.getElementById(elementId);
+        if (!element) {
+            throw new Error(`Element "${elementId}" not found`);
+        }
+        if (newId === elementId) return;
+        if (!/^[A-Za-z_][A-Za-z0-9_-]*$/.test(newId)) {
+            throw new Error('Element IDs must start with a letter or underscore and contain only letters, numbers, "-" and "_"');
+        }
+        if (this.getElementById(newId)) {
+            throw new Error(`An element with ID "${newId}" already exists`);
+        }
+
+        element.id = newId;
+
+        Object.values(this.animations || {}).forEach(animation => {
+            if (animation.tracks && animation.tracks[elementId]) {
+                animation.tracks[newId] = animation.tracks[elementId];
+                delete animation.tracks[elementId];
+            }
+        });
+        this.steps.forEach(step => {
+            if (step.overrides[elementId]) {
+                step.overrides[newId] = step.overrides[elementId];
+                delete step.overrides[elementId];
+            }
+        });
+        Object.values(this.actionEffects).forEach(effects => {
+            effects.forEach(effect => {
+                if (effect.elementId === elementId) effect.elementId = newId;
+            });
+        });
+        this.getAllElements().forEach(other => {
+            if (other.textFit && other.textFit.follower === elementId) other.textFit.follower = newId;
+        });
+    }
+
+    // Scale a group's children from a copy of the group taken before resizing
+    scaleGroupChildren(group, original, scaleX, scaleY) {
+        const container = this.getContainerSize(group.id);
+        this.scaleElements(
+            group.children || [],
+            original.children || [],
+            ElementLayout.resolve(original, container),
+            ElementLayout.resolve(group, container),
+            scaleX,
+            scaleY
+        );
+    }
+
+    /**
+     * Scale elements' pixel boxes, read from copies laid out in the old container
+     * and stored for the new one, so anchors and percentages stay consistent.
+     */
+    scaleElements(elements, sources, oldContainer, newContainer, scaleX, scaleY) {
+        elements.forEach((element, index) => {
+            const source = sources[index];
+            if (!source) return;
+
+            const box = ElementLayout.resolve(source, oldContainer);
+            Object.assign(element, ElementLayout.store(element, {
+                x: Math.round(box.x * scaleX),
+                y: Math.round(box.y * scaleY),
+                width: Math.round(box.width * scaleX),
+                height: Math.round(box.height * scaleY)
+            }, newContainer));
+
+            if (element.type === 'group') {
+                this.scaleElements(
+                    element.children || [],
+                    source.children || [],
+                    box,
+                    ElementLayout.resolve(element, newContainer),
+                    scaleX,
+                    scaleY
+                );
+            } else if (element.type === 'repeater') {
+                // The item box scales with the repeater and its children scale with the item
+                const oldItem = Repeater.getSettings(source);
+                element.repeat = {
+                    ...element.repeat,
+                    itemWidth: Math.round(oldItem.itemWidth * scaleX),
+                    itemHeight: Math.round(oldItem.itemHeight * scaleY),
+                    gap: Math.round(oldItem.gap * Math.min(scaleX, scaleY))
+                };
+                const newItem = Repeater.getSettings(element);
+                this.scaleElements(
+                    element.children || [],
+                    source.children || [],
+                    { width: oldItem.itemWidth, height: oldItem.itemHeight },
+                    { width: newItem.itemWidth, height: newItem.itemHeight },
+                    scaleX,
+                    scaleY
+                );
+            }
+        });
+    }
+
+    /**
+     * Change the output size. With `rescale`, element geometry, pixel sizes in
+     * styles, animation offsets and guides are scaled to keep the same layout.
+     */
+    setResolution(width, height, options = {}) {
+        const newWidth = Math.round(Number(width));
+        const newHeight = Math.round(Number(height));
+        if (!(newWidth > 0 && newHeight > 0 && newWidth <= MAX_RESOLUTION && newHeight <= MAX_RESOLUTION)) {
+            throw new Error(`Resolution must be between 1 and ${MAX_RESOLUTION} pixels on each side`);
+        }
+
+        const resolution = { width: newWidth, height: newHeight };
+        if (options.rescale) {
+            this.rescale(this.resolution, resolution);
+        }
+        this.resolution = resolution;
+    }
+
+    rescale(oldResolution, newResolution) {
+        const scaleX = newResolution.width / oldResolution.width;
+        const scaleY = newResolution.height / oldResolution.height;
+        // Text and borders keep their proportions, so they follow the smaller factor
+        const scaleSize = Math.min(scaleX, scaleY);
+
+        const sources = JSON.parse(JSON.stringify(this.elements));
+        this.scaleElements(this.elements, sources, oldResolution, newResolution, scaleX, scaleY);
+
+        this.flattenElements().forEach(element => {
+            Object.keys(element.style || {}).forEach(key => {
+                element.style[key] = this.scalePixels(element.style[key], scaleSize);
+            });
+            Object.keys(element.constraints || {}).forEach(name => {
+                element.constraints[name] = Math.round(element.constraints[name] * (name.endsWith('Width') ? scaleX : scaleY));
+            });
+        });
+
+        Object.values(this.animations || {}).forEach(animation => {
+            Object.values(animation.tracks || {}).forEach(track => {
+                (track.keyframes || []).forEach(keyframe => {
+                    if (typeof keyframe.x === 'number') keyframe.x = Math.round(keyframe.x * scaleX);
+                    if (typeof keyframe.y === 'number') keyframe.y = Math.round(keyframe.y * scaleY);
+                });
+            });
+        });
+
+        this.layout.guides.forEach(guide => {
+            guide.position = Math.round(guide.position * (guide.orientation === 'vertical' ? scaleX : scaleY));
+        });
+        if (this.layout.grid.size > 0) {
+            this.layout.grid.size = Math.max(1, Math.round(this.layout.grid.size * scaleSize));
+        }
+    }
+
+    // Scale every "<number>px" in a CSS value, e.g. "2px solid #fff"
+    scalePixels(value, factor) {
+        if (typeof value !== 'string') return value;
+        return value.replace(/(-?\d*\.?\d+)px/g, (match, number) => {
+            const scaled = Math.round(parseFloat(number) * factor * 100) / 100;
+            return `${scaled}px`;
+        });
+    }
+
+    getElementLabel(element) {
+        if (element.type === 'text' || element.type === 'ticker') {
+            const text = String(element.content || 'Text');
+            return text.length > 24 ? `${text.slice(0, 24)}…` : text;
+        }
+        return `${element.type.charAt(0).toUpperCase() + element.type.slice(1)} (${element.id})`;
+    }
+
+    getAsset(path) {
+        return this.assets.find(asset => asset.path === path) || null;
+    }
+
+    getAssetsByKind(kind) {
+        return this.assets.filter(asset => asset.kind === kind);
+    }
+
+    // Add an asset under "assets/<name>", renaming it when the path is taken by a different file
+    addAsset(asset) {
+        const safeName = String(asset.name || 'file').replace(/[^A-Za-z0-9._-]+/g, '-');
+        const dot = safeName.lastIndexOf('.');
+        const base = dot > 0 ? safeName.slice(0, dot) : safeName;
+        const extension = dot > 0 ? safeName.slice(dot) : '';
+
+        let path = `assets/${safeName}`;
+        for (let n = 2; this.getAsset(path); n++) {
+            if (this.getAsset(path).id === asset.id) {
+                return this.getAsset(path);
+            }
+            path = `assets/${base}-${n}${extension}`;
+        }
+
+        const added = { ...asset, path };
+        this.assets.push(added);
+        return added;
+    }
+
+    removeAsset(path) {
+        const index = this.assets.findIndex(asset => asset.path === path);
+        if (index === -1) return false;
+
+        this.assets.splice(index, 1);
+        return true;
+    }
+
+    // Uploaded fonts as @font-face descriptors; family names are stripped of characters that would break the rule
+    getFontFaces() {
+        return this.getAssetsByKind('font').map(asset => ({
+            family: String(asset.family || asset.name).replace(/["\\]/g, '').trim(),
+            weight: asset.weight || '400',
+            style: asset.style || 'normal',
+            path: asset.path,
+            format: FONT_FORMATS[asset.path.slice(asset.path.lastIndexOf('.') + 1).toLowerCase()] || 'woff2'
+        })).filter(face => face.family);
+    }
+
+    // Top-level data fields that keep whitelisted markup; all other values are escaped
+    getRichTextFields() {
+        const properties = (this.manifest.schema && this.manifest.schema.properties) || {};
+        return Object.keys(properties).filter(key =>
+            properties[key] && properties[key].type === 'string' && properties[key].format === RICH_TEXT_FORMAT
+        );
+    }
+
+    getFontFamilies() {
+        return [...new Set(this.getFontFaces().map(face => face.family))];
+    }
+
+    getCustomActions() {
+        if (!this.manifest.customActions) {
+            this.manifest.customActions = [];
+        }
+        return this.manifest.customActions;
+    }
+
+    getCustomAction(actionId) {
+        return this.getCustomActions().find(action => action.id === actionId);
+    }
+
+    addCustomAction(action) {
+        if (this.getCustomAction(action.id)) {
+            throw new Error(`Custom action "${action.id}" already exists`);
+        }
+        this.getCustomActions().push({ id: action.id, name: action.id, description: '', schema: null, ...action });
+        this.actionEffects[action.id] = [];
+    }
+
+    updateCustomAction(actionId, updates) {
+        const action = this.getCustomAction(actionId);
+        if (!action) return;
+
+        if (updates.id && updates.id !== actionId) {
+            if (this.getCustomAction(updates.id)) {
+                throw new Error(`Custom action "${updates.id}" already exists`);
+            }
+            this.actionEffects[updates.id] = this.getActionEffects(actionId);
+            delete this.actionEffects[actionId];
+        }
+        Object.assign(action, updates);
+    }
+
+    removeCustomAction(actionId) {
+        this.manifest.customActions = this.getCustomActions().filter(action => action.id !== actionId);
+        delete this.actionEffects[actionId];
+    }
+
+    getActionEffects(actionId) {
+        if (!this.actionEffects[actionId]) {
+            this.actionEffects[actionId] = [];
+        }
+        return this.actionEffects[actionId];
+    }
+
+    // Start, pause and reset actions for a timer: startTimer, pauseTimer and resetTimer, numbered from the second timer on
+    addTimerActions(elementId) {
+        let number = 1;
+        const suffix = () => number > 1 ? String(number) : '';
+        while (TIMER_CONTROLS.some(control => this.getCustomAction(`${control.value}Timer${suffix()}`))) {
+            number++;
+        }
+
+        TIMER_CONTROLS.forEach(control => {
+            const id = `${control.value}Timer${suffix()}`;
+            this.addCustomAction({
+                id,
+                name: `${control.label} Timer${number > 1 ? ` ${number}` : ''}`,
+                description: `${control.label} the timer "${elementId}"`
+            });
+            this.getActionEffects(id).push({ type: 'timer', elementId, control: control.value });
+        });
+    }
+
+    // The custom actions with a timer effect for the element
+    getTimerActions(elementId) {
+        return this.getCustomActions().filter(action =>
+            this.getActionEffects(action.id).some(effect => effect.type === 'timer' && effect.elementId === elementId)
+        );
+    }
+
+    addStep(name, copyFromIndex) {
+        const source = this.steps[copyFromIndex];
+        this.steps.push({
+            name: name || `Step ${this.steps.length + 1}`,
+            overrides: source ? JSON.parse(JSON.stringify(source.overrides)) : {}
+        });
+        this.syncStepCount();
+        return this.steps.length - 1;
+    }
+
+    removeStep(index) {
+        this.steps.splice(index, 1);
+        this.syncStepCount();
+    }
+
+    moveStep(fromIndex, toIndex) {
+        if (toIndex < 0 || toIndex >= this.steps.length) return;
+        const [step] = this.steps.splice(fromIndex, 1);
+        this.steps.splice(toIndex, 0, step);
+    }
+
+    getStepOverride(stepIndex, elementId) {
+        const step = this.steps[stepIndex];
+        return (step && step.overrides[elementId]) || {};
+    }
+
+    setStepOverride(stepIndex, elementId, updates) {
+        const step = this.steps[stepIndex];
+        if (!step) return;
+
+        const override = { ...(step.overrides[elementId] || {}), ...updates };
+        // Only keep values that differ from the element's defaults
+        if (!override.hidden) delete override.hidden;
+        if (override.content === undefined || override.content === '') delete override.content;
+
+        if (Object.keys(override).length > 0) {
+            step.overrides[elementId] = override;
+        } else {
+            delete step.overrides[elementId];
+        }
+    }
+
+    syncStepCount() {
+        this.manifest.stepCount = Math.max(1, this.steps.length);
+    }
+
+    getAnimation(name) {
+        if (!this.animations[name]) {
+            this.animations[name] = AnimationTimeline.createAnimation();
+        }
+        return this.animations[name];
+    }
+
+    compileAnimations() {
+        return AnimationTimeline.compileAll(this.animations, this.getAllElements().map(element => element.id));
     }
 
     getElementById(elementId) {
-        return this.elements.find(el => el.id === elementId);
+        return this.getAllElements().find(el => el.id === elementId);
     }
 
     updateElement(elementId, updates) {
@@ -329,11 +1092,13 @@ export class OGrafTemplate {
 
     generateElementStyles() {
         // Generate CSS styles for all elements
-        return this.elements.map(element => {
+        return this.getAllElements().map(element => {
             const styles = Object.entries(element.style || {})
                 .map(([key, value]) => `${this.kebabCase(key)}: ${value};`)
                 .join(' ');
-            return `.element-${element.id} { ${styles} }`;
+            const fit = TextFit.getFit(element);
+            const fitStyles = fit ? `\n.element-${element.id} .text-fit { ${TextFit.getSpanCss(fit)} }` : '';
+            return `.element-${element.id} { ${styles} }${fitStyles}`;
         }).join('\n');
     }
 
@@ -341,16 +1106,86 @@ export class OGrafTemplate {
         return str.replace(/([a-z0-9]|(?=[A-Z]))([A-Z])/g, '$1-$2').toLowerCase();
     }
 
-    generateWebComponent() {
+    generateWebComponent(options = {}) {
+        // OGraf v1 modules export the Graphic class and leave registration to the renderer.
+        // Legacy components register themselves and take positional action arguments.
+        const legacy = options.legacy !== undefined ? options.legacy : this.componentMode === 'legacy';
+        const className = `${this.toCamelCase(this.manifest.id)}Graphic`;
+
         // Generate the element styles at template generation time
         const elementStyles = this.generateElementStyles();
         
         // Serialize elements data and animation settings for the component
         const elementsData = JSON.stringify(this.elements);
         const animationSettingsData = JSON.stringify(this.animationSettings || {});
-        
+        const animationsData = JSON.stringify(this.compileAnimations());
+        const stepsData = JSON.stringify(this.steps || []);
+        const fontsData = JSON.stringify(this.getFontFaces());
+        const richTextFieldsData = JSON.stringify(this.getRichTextFields());
+        // Position and size CSS per element; the browser resolves anchors and percentages
+        const layoutsData = JSON.stringify(Object.fromEntries(
+            this.getAllElements().map(element => [element.id, ElementLayout.toCss(element)])
+        ));
+        // Repeater and ticker settings with their defaults filled in
+        const repeatersData = JSON.stringify(Object.fromEntries(
+            this.getAllElements().filter(element => element.type === 'repeater').map(element => [element.id, Repeater.getSettings(element)])
+        ));
+        const tickersData = JSON.stringify(Object.fromEntries(
+            this.getAllElements().filter(element => element.type === 'ticker').map(element => [element.id, Ticker.getSettings(element)])
+        ));
+        const clocksData = JSON.stringify(Object.fromEntries(
+            this.getAllElements().filter(element => element.type === 'clock').map(element => [element.id, Clock.getSettings(element)])
+        ));
+        const timersData = JSON.stringify(Object.fromEntries(
+            this.getAllElements().filter(element => element.type === 'timer').map(element => [element.id, Timer.getSettings(element)])
+        ));
+        // Inline SVG for lines, polygons and paths
+        const shapesData = JSON.stringify(Object.fromEntries(
+            this.getAllElements().filter(element => VECTOR_TYPES.includes(element.type)).map(element => [element.id, VectorShape.toSvg(element)])
+        ));
+        // Playback settings of videos and image sequences, with the frames of sequences
+        const mediaData = JSON.stringify(Object.fromEntries(
+            this.getAllElements().filter(element => element.type === 'video' || element.type === 'sequence').map(element => [element.id, {
+                type: element.type,
+                ...Media.getSettings(element),
+                frames: element.type === 'sequence' ? element.frames || [] : []
+            }])
+        ));
+        // Segments and text bindings of Lottie animations, with the path of the animation
+        const lottiesData = JSON.stringify(Object.fromEntries(
+            this.getAllElements().filter(element => element.type === 'lottie').map(element => [element.id, {
+                ...Lottie.getSettings(element),
+                path: element.content || ''
+            }])
+        ));
+        const fontStyleId = JSON.stringify(`ograf-fonts-${this.manifest.id}`);
+        // Written into CSS inside a template literal, so keep it to a plain font stack
+        const fontFamily = String(this.defaultFontFamily || DEFAULT_FONT_FAMILY).replace(/[`$\\;{}<>]/g, '');
+        const { width, height } = this.resolution;
+
+        // Expression, Timer, Media, Lottie and TextFit are embedded as source, so they must not refer
+        // to anything outside themselves: no imports or module constants, and no class fields,
+        // which the build moves out of the class body
         const componentCode = `
-class ${this.toCamelCase(this.manifest.id)}Graphic extends HTMLElement {
+${legacy ? '' : 'export default '}class ${className} extends HTMLElement {
+    // Asset paths are relative to ${legacy ? 'the script' : 'this module'}
+    static assetBaseUrl = ${legacy ? '(document.currentScript && document.currentScript.src) || document.baseURI' : 'import.meta.url'};
+
+    // Evaluates the {{ }} bindings of element content, as in the editor
+    static Expression = ${Expression.toString()};
+
+    // Formats the time of timer elements, as in the editor
+    static Timer = ${Timer.toString()};
+
+    // Works out the frames of image sequences
+    static Media = ${Media.toString()};
+
+    // Finds the segments and text layers of Lottie animations
+    static Lottie = ${Lottie.toString()};
+
+    // Fits text to its box, as in the editor
+    static TextFit = ${TextFit.toString()};
+
     constructor() {
         super();
         this.attachShadow({ mode: 'open' });
@@ -358,67 +1193,203 @@ class ${this.toCamelCase(this.manifest.id)}Graphic extends HTMLElement {
         this.isVisible = false;
         this.elements = ${elementsData};
         this.animationSettings = ${animationSettingsData};
-        this.elementStyles = \`${elementStyles}\`;
+        this.animations = ${animationsData};
+        this.steps = ${stepsData};
+        this.fonts = ${fontsData};
+        this.layouts = ${layoutsData};
+        this.richTextFields = ${richTextFieldsData};
+        this.shapes = ${shapesData};
+        this.repeaters = ${repeatersData};
+        this.tickers = ${tickersData};
+        // Running ticker animations by element id and copy, so a render can carry on where they were
+        this.tickerAnimations = {};
+        this.clocks = ${clocksData};
+        this.timers = ${timersData};
+        // Seconds each timer has run; a running timer also counts from startedAt
+        this.timerStates = {};
+        this.liveTimeInterval = null;
+        this.media = ${mediaData};
+        // Playing videos and sequences: { phase: 'in' or 'out', elapsed, startedAt, done, run, onEnd }
+        this.mediaStates = {};
+        this.mediaFrame = null;
+        this.preloadedFrames = [];
+        this.lotties = ${lottiesData};
+        // The Lottie player and the animations by element id, once load() has fetched them
+        this.lottiePlayer = null;
+        this.lottieData = {};
+        // 'play' while the graphic is on, 'stop' while Lottie elements play their stop segment
+        this.lottieStates = {};
+        this.currentStep = 0;
+        // Visibility and content set by custom actions, on top of the current step
+        this.actionOverrides = {};
+        // A string literal rather than a template, so style values cannot end it; "<\\/" stays a CSS escape
+        // at run time, so they cannot close the <style> element either
+        this.elementStyles = ${JSON.stringify(elementStyles).replace(/<\//g, '<\\\\/')};
     }
 
     connectedCallback() {
         this.render();
     }
-
-    async load() {
-        this.isVisible = false;
+${legacy ? this.generateLegacyActionMethods() : this.generateModuleActionMethods()}
+    async showGraphic(skipAnimation = false) {
+        this.isVisible = true;
+        Object.entries(this.timers).forEach(([id, settings]) => {
+            if (settings.autoStart) this.controlTimer(id, 'start');
+        });
+        Object.entries(this.media).forEach(([id, settings]) => {
+            if (settings.playOnPlay) this.controlMedia(id, 'play');
+        });
         this.render();
-        return Promise.resolve();
+        const lottiesIn = this.startLotties(skipAnimation);
+        
+        if (!skipAnimation) {
+            // Keyframe timelines start from their first frame straight away; the
+            // transition-based slide needs the render to complete first
+            if (!this.hasTimeline('in')) {
+                await new Promise(resolve => requestAnimationFrame(resolve));
+            }
+            // Trigger slide-in animation for lower third, while Lottie elements play their play segment
+            await Promise.all([this.runCustomAction('slideIn'), lottiesIn]);
+        }
     }
 
-    async dispose() {
-        this.isVisible = false;
-        this.shadowRoot.innerHTML = '';
-        return Promise.resolve();
+    // Resolve the target step for playAction and show it; returns the current step
+    async playStep(params = {}) {
+        const stepCount = Math.max(1, this.steps.length);
+        let step;
+        if (typeof params.goto === 'number') {
+            step = params.goto;
+        } else if (!this.isVisible) {
+            step = 0;
+        } else {
+            step = this.currentStep + (typeof params.delta === 'number' ? params.delta : 1);
+        }
+        step = Math.min(stepCount - 1, Math.max(0, Math.floor(step)));
+
+        if (!this.isVisible) {
+            this.currentStep = step;
+            await this.showGraphic(!!params.skipAnimation);
+        } else if (step !== this.currentStep) {
+            await this.changeStep(step, !!params.skipAnimation);
+        }
+        return this.currentStep;
     }
 
-    async playAction(skipAnimation = false) {
-        this.isVisible = true;
+    async changeStep(step, skipAnimation = false) {
+        const previousStep = this.currentStep;
+        this.currentStep = step;
         this.render();
-        
-        if (!skipAnimation) {
-            // Wait for render to complete before starting animation
-            await new Promise(resolve => requestAnimationFrame(resolve));
-            // Trigger slide-in animation for lower third
-            await this.customAction('slideIn');
-        }
-        
-        return Promise.resolve();
+        if (skipAnimation) return;
+
+        // Fade in the elements whose visibility or content changed between the steps
+        const overrides = (index) => (this.steps[index] && this.steps[index].overrides) || {};
+        const elementIds = new Set([...Object.keys(overrides(previousStep)), ...Object.keys(overrides(step))]);
+        const changed = [...elementIds].filter(elementId =>
+            JSON.stringify(this.getStepOverride(elementId, previousStep)) !== JSON.stringify(this.getStepOverride(elementId, step))
+        );
+        await Promise.all(changed.map(elementId => {
+            const node = this.shadowRoot.querySelector(\`.element-\${CSS.escape(elementId)}\`);
+            if (!node || typeof node.animate !== 'function') return Promise.resolve();
+            return node.animate([{ opacity: 0 }], { duration: 300, easing: 'ease-out' }).finished.catch(() => {});
+        }));
     }
 
-    async stopAction(skipAnimation = false) {
+    getStepOverride(elementId, step = this.currentStep) {
+        const definition = this.steps[step];
+        return (definition && definition.overrides && definition.overrides[elementId]) || {};
+    }
+
+    async hideGraphic(skipAnimation = false) {
         if (!skipAnimation) {
-            // Trigger slide-out animation before hiding
-            await this.customAction('slideOut');
+            // Trigger slide-out animation before hiding, while videos and sequences play their
+            // out part and Lottie elements their stop segment
+            await Promise.all([
+                this.runCustomAction('slideOut'),
+                ...Object.keys(this.media).map(id => this.controlMedia(id, 'out')),
+                this.playLottiesOut()
+            ]);
         }
         
         this.isVisible = false;
+        this.actionOverrides = {};
+        this.stopTickers();
+        this.stopLiveTime();
+        this.stopMedia();
+        this.stopLotties();
         
         // Completely clear the shadow DOM - back to empty state
         this.shadowRoot.innerHTML = '';
-        return Promise.resolve();
     }
 
-    async updateAction(data) {
-        this.data = { ...this.data, ...data };
-        this.render();
-        return Promise.resolve();
+    async runCustomAction(id, payload) {
+        switch (id) {
+${this.generateCustomActionCases()}            default:
+                return this.hasTimeline(id) ? this.playTimeline(id) : Promise.resolve();
+        }
     }
 
-    async customAction(action, data) {
-        switch (action) {
-            case 'slideIn':
-                return this.animateSlideIn();
-            case 'slideOut':
-                return this.animateSlideOut();
-            default:
-                return Promise.resolve();
+    async applyEffects(effects, payload = {}) {
+        const animations = [];
+        // Playing an out part finishes the action when it ends
+        const mediaEnds = [];
+        let needsRender = false;
+
+        effects.forEach(effect => {
+            const override = this.actionOverrides[effect.elementId] || {};
+            switch (effect.type) {
+                case 'content':
+                    // Bindings read the payload first, then the graphic data
+                    override.content = String(effect.value || '');
+                    override.payload = payload;
+                    this.actionOverrides[effect.elementId] = override;
+                    needsRender = true;
+                    break;
+                case 'visibility':
+                    override.hidden = effect.mode === 'toggle'
+                        ? !this.getElementOverride(effect.elementId).hidden
+                        : effect.mode === 'hide';
+                    this.actionOverrides[effect.elementId] = override;
+                    needsRender = true;
+                    break;
+                case 'animation':
+                    animations.push(effect.animation);
+                    break;
+                case 'timer':
+                    this.controlTimer(effect.elementId, effect.control);
+                    break;
+                case 'media':
+                    mediaEnds.push(this.controlMedia(effect.elementId, effect.control));
+                    break;
+            }
+        });
+
+        if (needsRender) {
+            this.render();
         }
+        await Promise.all([...animations.map(name => this.playTimeline(name)), ...mediaEnds]);
+    }
+
+    getElementOverride(elementId) {
+        return { ...this.getStepOverride(elementId), ...(this.actionOverrides[elementId] || {}) };
+    }
+
+    hasTimeline(name) {
+        return !!this.animations[name] && Object.keys(this.animations[name]).length > 0;
+    }
+
+    playTimeline(name) {
+        const tracks = this.animations[name] || {};
+        const running = Object.entries(tracks).map(([elementId, track]) => {
+            const element = this.shadowRoot.querySelector(\`.element-\${CSS.escape(elementId)}\`);
+            if (!element || typeof element.animate !== 'function') return Promise.resolve();
+            const animation = element.animate(track.keyframes, track.options);
+            // Keep the end state as inline style so later transitions can take over
+            return animation.finished.then(() => {
+                if (typeof animation.commitStyles === 'function') animation.commitStyles();
+                animation.cancel();
+            }).catch(() => {});
+        });
+        return Promise.all(running);
     }
     
     animateSlideIn() {
@@ -429,7 +1400,8 @@ class ${this.toCamelCase(this.manifest.id)}Graphic extends HTMLElement {
                 slideInDirection: 'left'
             };
             
-            const elements = this.shadowRoot.querySelectorAll('.element');
+            // Groups carry their children, so only top-level elements slide
+            const elements = this.shadowRoot.querySelectorAll('.container > .element');
             if (elements.length === 0) {
                 resolve();
                 return;
@@ -479,7 +1451,7 @@ class ${this.toCamelCase(this.manifest.id)}Graphic extends HTMLElement {
                 slideOutDirection: 'left'
             };
             
-            const elements = this.shadowRoot.querySelectorAll('.element');
+            const elements = this.shadowRoot.querySelectorAll('.container > .element');
             if (elements.length === 0) {
                 resolve();
                 return;
@@ -514,19 +1486,32 @@ class ${this.toCamelCase(this.manifest.id)}Graphic extends HTMLElement {
                 :host {
                     display: block;
                     position: relative;
-                    width: 1920px;
-                    height: 1080px;
-                    font-family: Arial, sans-serif;
+                    width: ${width}px;
+                    height: ${height}px;
+                    font-family: ${fontFamily};
                     overflow: hidden;
                 }
-                .element {
+                .element, .repeater-item {
                     position: absolute;
                 }
+                .ticker-track {
+                    display: flex;
+                    align-items: center;
+                    width: max-content;
+                    height: 100%;
+                }
+                .ticker-track > span {
+                    flex: none;
+                    white-space: nowrap;
+                }
                 \${this.elementStyles}
             </style>
         \`;
 
+        // Elements hidden by their visibleWhen rule that close up their space
+        this.collapsedElements = [];
         const elements = this.elements.map(element => this.renderElement(element)).join('');
+        const keptNodes = this.takeKeptNodes();
 
         this.shadowRoot.innerHTML = \`
             \${style}
@@ -534,55 +1519,805 @@ class ${this.toCamelCase(this.manifest.id)}Graphic extends HTMLElement {
                 \${elements}
             </div>
         \`;
+
+        this.restoreKeptNodes(keptNodes);
+        this.fitText(this.elements);
+        this.collapseElements(this.collapsedElements);
+        this.startTickers();
+        this.startLiveTime();
+        this.updateMedia();
+        this.updateLotties();
+    }
+
+    // Videos and Lottie animations by what they show and by copy, so a render keeps them
+    // playing instead of reloading them
+    takeKeptNodes() {
+        const nodes = {};
+        const counts = {};
+        this.shadowRoot.querySelectorAll('[data-keep]').forEach(node => {
+            const key = node.dataset.keep;
+            counts[key] = (counts[key] || 0) + 1;
+            nodes[\`\${key}:\${counts[key]}\`] = node;
+        });
+        return nodes;
+    }
+
+    restoreKeptNodes(nodes) {
+        const counts = {};
+        this.shadowRoot.querySelectorAll('[data-keep]').forEach(node => {
+            const key = node.dataset.keep;
+            counts[key] = (counts[key] || 0) + 1;
+            const previous = nodes[\`\${key}:\${counts[key]}\`];
+            if (!previous) return;
+            delete nodes[\`\${key}:\${counts[key]}\`];
+            ['style', 'data-texts'].forEach(name => {
+                if (node.hasAttribute(name)) previous.setAttribute(name, node.getAttribute(name));
+            });
+            node.replaceWith(previous);
+        });
+        // Lottie animations run until destroyed, also once their node is gone
+        Object.values(nodes).forEach(node => this.destroyLottie(node));
+    }
+
+    // Decode every frame of the image sequences up front, so playback never waits for a file
+    async preloadFrames() {
+        const paths = Object.values(this.media).flatMap(settings => settings.frames);
+        this.preloadedFrames = paths.map(path => {
+            const image = new Image();
+            image.src = this.resolveAsset(path);
+            return image;
+        });
+        await Promise.all(this.preloadedFrames.map(image => image.decode().catch(() => {})));
+    }
+
+    // Play (or resume), pause or play out a video or image sequence. Resolves when the
+    // out part has ended; at once for the other controls and media without an out part
+    controlMedia(id, control) {
+        const settings = this.media[id];
+        const state = this.mediaStates[id];
+        if (!settings) return Promise.resolve();
+
+        if (control === 'play' && state && state.startedAt === null && !state.done) {
+            state.startedAt = performance.now();
+        } else if (control === 'play' && (!state || state.done || state.phase === 'out')) {
+            this.startMediaPhase(id, 'in');
+        } else if (control === 'pause' && state && state.startedAt !== null) {
+            state.elapsed += (performance.now() - state.startedAt) / 1000;
+            state.startedAt = null;
+        } else if (control === 'out' && state && settings.outFrame > 0) {
+            return new Promise(resolve => {
+                this.startMediaPhase(id, 'out', resolve);
+                this.updateMedia();
+            });
+        }
+        this.updateMedia();
+        return Promise.resolve();
+    }
+
+    startMediaPhase(id, phase, onEnd = null) {
+        const previous = this.mediaStates[id];
+        if (previous && previous.onEnd) previous.onEnd();
+        this.mediaStates[id] = {
+            phase,
+            elapsed: 0,
+            startedAt: performance.now(),
+            done: false,
+            // Tells videos to seek to the start of the phase
+            run: previous ? previous.run + 1 : 1,
+            onEnd
+        };
+
+        if (this.mediaFrame === null) {
+            const tick = () => {
+                this.updateMedia();
+                this.mediaFrame = Object.keys(this.mediaStates).length > 0 ? requestAnimationFrame(tick) : null;
+            };
+            this.mediaFrame = requestAnimationFrame(tick);
+        }
+    }
+
+    stopMedia() {
+        cancelAnimationFrame(this.mediaFrame);
+        this.mediaFrame = null;
+        Object.values(this.mediaStates).forEach(state => {
+            if (state.onEnd) state.onEnd();
+        });
+        this.mediaStates = {};
+        this.shadowRoot.querySelectorAll('video[data-media]').forEach(video => video.pause());
+    }
+
+    updateMedia() {
+        Object.entries(this.media).forEach(([id, settings]) => {
+            const state = this.mediaStates[id];
+            if (!state) return;
+
+            const nodes = this.shadowRoot.querySelectorAll(\`[data-media="\${CSS.escape(id)}"]\`);
+            if (settings.type === 'sequence') {
+                const elapsed = state.elapsed + (state.startedAt !== null ? (performance.now() - state.startedAt) / 1000 : 0);
+                const position = this.constructor.Media.getFrame(settings, state.phase, elapsed, settings.frames.length);
+                state.done = position.done || settings.frames.length === 0;
+                state.frame = position.frame;
+                const src = this.getSequenceFrame(id);
+                nodes.forEach(node => {
+                    if (node.getAttribute('src') !== src) node.setAttribute('src', src);
+                });
+            } else if (nodes.length === 0 && state.phase === 'out') {
+                // A hidden video has no out part to wait for
+                state.done = true;
+            } else {
+                nodes.forEach(video => this.updateVideo(video, settings, state));
+            }
+
+            if (state.done && state.onEnd) {
+                state.onEnd();
+                state.onEnd = null;
+            }
+        });
+    }
+
+    // Videos play natively; this seeks to the phase's start, loops or holds at the out frame and notices the end
+    updateVideo(video, settings, state) {
+        if (video.dataset.run !== String(state.run)) {
+            video.dataset.run = String(state.run);
+            video.muted = settings.muted;
+            video.currentTime = (state.phase === 'out' ? settings.outFrame : settings.offset) / settings.fps;
+        }
+
+        const outTime = settings.outFrame / settings.fps;
+        if (video.error) {
+            state.done = true;
+        } else if (state.phase === 'in' && !state.done) {
+            const atEnd = settings.outFrame > 0 ? video.currentTime >= outTime : video.ended;
+            if (atEnd && settings.loop) {
+                video.currentTime = settings.offset / settings.fps;
+            } else if (atEnd) {
+                // Hold the last frame before the out part
+                state.done = true;
+                if (settings.outFrame > 0) video.currentTime = Math.max(0, outTime - 1 / settings.fps);
+            }
+        } else if (state.phase === 'out' && video.ended) {
+            state.done = true;
+        }
+
+        const playing = state.startedAt !== null && !state.done;
+        if (playing && video.paused) {
+            video.play().catch(() => {
+                // Playback was refused, for example with sound and no user gesture
+                state.done = true;
+            });
+        } else if (!playing && !video.paused) {
+            video.pause();
+        }
+    }
+
+    // The playing frame of a sequence, or the offset frame before it plays
+    getSequenceFrame(id) {
+        const settings = this.media[id];
+        const state = this.mediaStates[id];
+        const frame = state && typeof state.frame === 'number' ? state.frame : Math.min(settings.offset, settings.frames.length - 1);
+        return this.resolveAsset(settings.frames[frame] || '');
+    }
+
+    // Import the Lottie player shipped with the graphic and fetch the animations; one that
+    // fails to load leaves its element empty rather than failing the graphic. A missing
+    // player leaves every Lottie element empty; load() reports the message this returns
+    async loadLotties() {
+        const entries = Object.entries(this.lotties).filter(([id, settings]) => settings.path && !this.lottieData[id]);
+        if (entries.length === 0) return null;
+        try {
+            this.lottiePlayer = this.lottiePlayer || (await import(this.resolveAsset(${JSON.stringify(LOTTIE_RUNTIME_PATH)}))).default;
+        } catch (error) {
+            return \`Could not load the Lottie player: \${error.message}\`;
+        }
+
+        await Promise.all(entries.map(async ([id, settings]) => {
+            try {
+                const response = await fetch(this.resolveAsset(settings.path));
+                if (!response.ok) throw new Error(\`HTTP \${response.status}\`);
+                this.lottieData[id] = await response.json();
+            } catch (error) {
+                // The element stays empty
+            }
+        }));
+        return null;
+    }
+
+    // Add the animation to new Lottie nodes and bring the text of the others up to date
+    updateLotties() {
+        if (!this.lottiePlayer) return;
+        this.shadowRoot.querySelectorAll('[data-lottie]').forEach(node => {
+            const id = node.dataset.lottie;
+            const texts = node.dataset.texts || '{}';
+            if (node.lottieAnimation) {
+                if (node.lottieTexts !== texts) this.setLottieText(node.lottieAnimation, JSON.parse(texts));
+            } else if (this.lottieData[id]) {
+                node.lottieAnimation = this.lottiePlayer.loadAnimation({
+                    container: node,
+                    renderer: 'svg',
+                    loop: false,
+                    autoplay: false,
+                    animationData: this.constructor.Lottie.withText(this.lottieData[id], JSON.parse(texts)),
+                    rendererSettings: { preserveAspectRatio: 'xMidYMid meet' }
+                });
+                // Copies added while the graphic is on, such as new repeater items, play in by themselves
+                if (this.lottieStates[id] === 'play') {
+                    this.playLottieIn(node);
+                } else {
+                    this.playLottie(node, this.lotties[id].playSegment, 'first');
+                }
+            }
+            node.lottieTexts = texts;
+        });
+    }
+
+    // Text layers are found by name, also inside precompositions
+    setLottieText(animation, texts) {
+        const visit = elements => (elements || []).forEach(element => {
+            if (!element || !element.data) return;
+            if (element.data.ty === 5 && element.textProperty && Object.prototype.hasOwnProperty.call(texts, element.data.nm)) {
+                element.textProperty.data.d.k.forEach((keyframe, index) => {
+                    element.updateDocumentData({ t: texts[element.data.nm] }, index);
+                });
+            }
+            visit(element.elements);
+        });
+        if (!animation.renderer) return;
+        visit(animation.renderer.elements);
+        // A paused animation would show the new text only once it moves on
+        animation.renderer.renderFrame(null);
+    }
+
+    // Show the first or last frame of a segment, or play it once or looped. Playing once
+    // resolves when the segment has ended or another one has taken its place
+    playLottie(node, segmentName, mode) {
+        const animation = node.lottieAnimation;
+        const data = this.lottieData[node.dataset.lottie];
+        const segment = animation && data ? this.constructor.Lottie.getSegment(data, segmentName) : null;
+        if (node.lottieEnd) node.lottieEnd();
+        if (!segment) return Promise.resolve();
+
+        animation.setLoop(mode === 'loop');
+        animation.playSegments(segment, true);
+        if (mode === 'first' || mode === 'last') {
+            // Frames are counted from the start of the segment
+            animation.goToAndStop(mode === 'first' ? 0 : Math.max(0, Math.abs(segment[1] - segment[0]) - 1), true);
+            return Promise.resolve();
+        }
+        if (mode === 'loop') return Promise.resolve();
+        return new Promise(resolve => {
+            const removeListener = animation.addEventListener('complete', () => node.lottieEnd && node.lottieEnd());
+            node.lottieEnd = () => {
+                removeListener();
+                node.lottieEnd = null;
+                resolve();
+            };
+        });
+    }
+
+    // The play segment, then the loop segment for as long as the graphic stays on
+    async playLottieIn(node, skipAnimation = false) {
+        const settings = this.lotties[node.dataset.lottie];
+        const run = node.lottieRun = (node.lottieRun || 0) + 1;
+        await this.playLottie(node, settings.playSegment, skipAnimation ? 'last' : 'once');
+        if (settings.loopSegment && node.lottieRun === run && this.lottieStates[node.dataset.lottie] === 'play') {
+            this.playLottie(node, settings.loopSegment, 'loop');
+        }
+    }
+
+    // Resolves once every Lottie element has played its play segment
+    startLotties(skipAnimation = false) {
+        Object.keys(this.lotties).forEach(id => {
+            this.lottieStates[id] = 'play';
+        });
+        const nodes = Array.from(this.shadowRoot.querySelectorAll('[data-lottie]')).filter(node => node.lottieAnimation);
+        return Promise.all(nodes.map(node => this.playLottieIn(node, skipAnimation)));
+    }
+
+    // Lottie elements without a stop segment end with the graphic
+    playLottiesOut() {
+        Object.keys(this.lotties).forEach(id => {
+            this.lottieStates[id] = 'stop';
+        });
+        const nodes = Array.from(this.shadowRoot.querySelectorAll('[data-lottie]'));
+        return Promise.all(nodes.map(node => {
+            const settings = this.lotties[node.dataset.lottie];
+            return settings.stopSegment ? this.playLottie(node, settings.stopSegment, 'once') : Promise.resolve();
+        }));
+    }
+
+    stopLotties() {
+        this.lottieStates = {};
+        this.shadowRoot.querySelectorAll('[data-lottie]').forEach(node => this.destroyLottie(node));
+    }
+
+    destroyLottie(node) {
+        if (node.lottieEnd) node.lottieEnd();
+        if (node.lottieAnimation) node.lottieAnimation.destroy();
+        node.lottieAnimation = null;
+    }
+
+    // Keep clocks and timers current while they are on screen
+    startLiveTime() {
+        this.stopLiveTime();
+        if (Object.keys(this.clocks).length + Object.keys(this.timers).length === 0) return;
+        this.liveTimeInterval = setInterval(() => this.updateLiveTime(), 100);
+    }
+
+    stopLiveTime() {
+        clearInterval(this.liveTimeInterval);
+        this.liveTimeInterval = null;
+    }
+
+    updateLiveTime() {
+        const setText = (node, text) => {
+            if (node.textContent !== text) node.textContent = text;
+        };
+        Object.entries(this.clocks).forEach(([id, settings]) => {
+            const text = this.constructor.Expression.formatDate(Date.now(), settings.format, settings.timezone);
+            this.shadowRoot.querySelectorAll(\`.element-\${CSS.escape(id)}\`).forEach(node => setText(node, text));
+        });
+        Object.entries(this.timers).forEach(([id, settings]) => {
+            this.shadowRoot.querySelectorAll(\`.element-\${CSS.escape(id)}\`).forEach(node => {
+                setText(node, this.formatTimer(id, settings, Number(node.dataset.start) || 0));
+            });
+        });
+    }
+
+    getTimerElapsed(id) {
+        const state = this.timerStates[id];
+        if (!state) return 0;
+        return state.elapsed + (state.startedAt !== null ? (Date.now() - state.startedAt) / 1000 : 0);
+    }
+
+    formatTimer(id, settings, start) {
+        const Timer = this.constructor.Timer;
+        return Timer.format(Timer.getValue(settings, start, this.getTimerElapsed(id)), settings.format, settings.direction);
+    }
+
+    // Start, pause or reset a timer element; resetting also stops it
+    controlTimer(id, control) {
+        if (!this.timers[id]) return;
+        const state = this.timerStates[id] || { elapsed: 0, startedAt: null };
+        if (control === 'start' && state.startedAt === null) {
+            state.startedAt = Date.now();
+        } else if (control === 'pause' && state.startedAt !== null) {
+            state.elapsed = this.getTimerElapsed(id);
+            state.startedAt = null;
+        } else if (control === 'reset') {
+            state.elapsed = 0;
+            state.startedAt = null;
+        }
+        this.timerStates[id] = state;
+        this.updateLiveTime();
+    }
+
+    // Scroll tickers at their speed in pixels per second, repeating the text to fill the box
+    startTickers() {
+        const previous = this.stopTickers();
+        Object.entries(this.tickers).forEach(([id, settings]) => {
+            this.shadowRoot.querySelectorAll(\`.element-\${CSS.escape(id)}\`).forEach((box, index) => {
+                const track = box.querySelector('.ticker-track');
+                const copy = track && track.firstElementChild;
+                if (!copy || typeof track.animate !== 'function') return;
+
+                copy.style.paddingRight = \`\${settings.gap}px\`;
+                const width = copy.offsetWidth;
+                if (width === 0) return;
+                for (let count = Math.ceil(box.clientWidth / width); count > 0; count--) {
+                    track.appendChild(copy.cloneNode(true)).setAttribute('aria-hidden', 'true');
+                }
+
+                // Moving by exactly one copy makes the loop seamless
+                const key = \`\${id}:\${index}\`;
+                const duration = width / settings.speed * 1000;
+                const animation = track.animate(
+                    [{ transform: 'translateX(0)' }, { transform: \`translateX(-\${width}px)\` }],
+                    { duration, iterations: Infinity, direction: settings.direction === 'right' ? 'reverse' : 'normal' }
+                );
+                if (typeof previous[key] === 'number') {
+                    animation.currentTime = previous[key] % duration;
+                }
+                this.tickerAnimations[key] = animation;
+            });
+        });
+    }
+
+    // Cancel the ticker animations and return how far each had run
+    stopTickers() {
+        const times = {};
+        Object.entries(this.tickerAnimations).forEach(([key, animation]) => {
+            times[key] = animation.currentTime;
+            animation.cancel();
+        });
+        this.tickerAnimations = {};
+        return times;
+    }
+
+    // Remove collapsed elements and close the gap: neighbours in the collapse direction move in and elements around them shrink
+    collapseElements(collapsed) {
+        collapsed.forEach(({ id, direction }) => {
+            // Repeater items can hold several copies; the collapsing ones are the invisible ones
+            const node = Array.from(this.shadowRoot.querySelectorAll(\`.element-\${CSS.escape(id)}\`)).find(candidate => candidate.style.visibility === 'hidden');
+            if (!node) return;
+
+            const vertical = direction === 'up' || direction === 'down';
+            const towardStart = direction === 'up' || direction === 'left';
+            const [startProperty, endProperty, sizeProperty] = vertical ? ['top', 'bottom', 'height'] : ['left', 'right', 'width'];
+            const measure = (target) => vertical
+                ? { start: target.offsetTop, end: target.offsetTop + target.offsetHeight, crossStart: target.offsetLeft, crossEnd: target.offsetLeft + target.offsetWidth }
+                : { start: target.offsetLeft, end: target.offsetLeft + target.offsetWidth, crossStart: target.offsetTop, crossEnd: target.offsetTop + target.offsetHeight };
+
+            // Only siblings in line with the hidden element are affected
+            const hidden = measure(node);
+            const siblings = Array.from(node.parentNode.children)
+                .filter(sibling => sibling !== node && sibling.classList.contains('element'))
+                .map(sibling => ({ node: sibling, box: measure(sibling) }))
+                .filter(sibling => sibling.box.crossStart < hidden.crossEnd && sibling.box.crossEnd > hidden.crossStart);
+            const surrounds = (box) => box.start <= hidden.start && box.end >= hidden.end;
+
+            // The space to close includes the gap to the nearest element on the side content moves from
+            let amount;
+            if (towardStart) {
+                const before = siblings.filter(sibling => !surrounds(sibling.box) && sibling.box.end <= hidden.start).map(sibling => sibling.box.end);
+                amount = hidden.end - (before.length > 0 ? Math.max(...before) : hidden.start);
+            } else {
+                const after = siblings.filter(sibling => !surrounds(sibling.box) && sibling.box.start >= hidden.end).map(sibling => sibling.box.start);
+                amount = (after.length > 0 ? Math.min(...after) : hidden.end) - hidden.start;
+            }
+
+            const place = (target, start, size) => {
+                target.style[startProperty] = \`\${start}px\`;
+                target.style[endProperty] = 'auto';
+                target.style[sizeProperty] = \`\${Math.max(0, size)}px\`;
+            };
+            siblings.forEach(({ node: sibling, box }) => {
+                const size = box.end - box.start;
+                if (surrounds(box)) {
+                    place(sibling, towardStart ? box.start : box.start + amount, size - amount);
+                } else if (towardStart && box.start >= hidden.end) {
+                    place(sibling, box.start - amount, size);
+                } else if (!towardStart && box.end <= hidden.start) {
+                    place(sibling, box.start + amount, size);
+                }
+            });
+            node.remove();
+        });
     }
 
-    renderElement(element) {
-        const content = this.interpolateContent(element.content || '');
-        const baseStyles = \`left: \${element.x}px; top: \${element.y}px; width: \${element.width}px; height: \${element.height}px;\`;
+    // Shrink, squeeze or grow text that does not fit its box, as the editor canvas does
+    fitText(elements) {
+        elements.forEach(element => {
+            if (element.children) this.fitText(element.children);
+
+            const fit = this.constructor.TextFit.getFit(element);
+            if (!fit || !${JSON.stringify(MEASURED_FIT_MODES)}.includes(fit.mode)) return;
+            // Repeater items each hold a copy of the element
+            this.shadowRoot.querySelectorAll(\`.element-\${CSS.escape(element.id)}\`).forEach(box => {
+                const span = box.querySelector('.text-fit');
+                if (!span) return;
+                const follower = fit.follower ? (box.closest('.repeater-item') || this.shadowRoot).querySelector(\`.element-\${CSS.escape(fit.follower)}\`) : null;
+                this.constructor.TextFit.apply(box, span, fit, follower);
+            });
+        });
+    }
+
+    // Bindings read the scope: the graphic data, or the data of a repeater item
+    renderElement(element, scope = this.data) {
+        const override = this.getElementOverride(element.id);
+        if (override.hidden) return '';
+
+        const source = override.content !== undefined ? override.content : (element.content || '');
+        const data = override.payload ? { ...scope, ...override.payload } : scope;
+
+        // A collapsing element is rendered invisibly so its space can be measured and closed
+        const conditionHidden = element.visibleWhen && !this.constructor.Expression.test(element.visibleWhen, data);
+        if (conditionHidden && !element.collapse) return '';
+        if (conditionHidden) this.collapsedElements.push({ id: element.id, direction: element.collapse });
+
+        const baseStyles = this.layouts[element.id] || '';
         
         // Convert element.style object to CSS string
         const additionalStyles = element.style ? Object.entries(element.style)
             .map(([key, value]) => \`\${this.kebabCase(key)}: \${value};\`)
             .join(' ') : '';
         
-        const allStyles = baseStyles + ' ' + additionalStyles;
+        // Escaped for the style attribute: font stacks quote family names such as "Brand Sans"
+        const allStyles = this.escapeHtml(baseStyles + ' ' + additionalStyles + (conditionHidden ? ' visibility: hidden;' : ''));
         
         switch (element.type) {
-            case 'text':
-                return \`<div class="element element-\${element.id}" style="\${allStyles}">\${content}</div>\`;
+            case 'text': {
+                // Text with an overflow mode sits in a span that is measured after rendering
+                const html = this.interpolateHtml(source, data);
+                const text = element.textFit && element.textFit.mode ? \`<span class="text-fit">\${html}</span>\` : html;
+                return \`<div class="element element-\${this.escapeHtml(element.id)}" style="\${allStyles}">\${text}</div>\`;
+            }
             case 'image':
-                return \`<img class="element element-\${element.id}" src="\${content}" style="\${allStyles}" />\`;
+                return \`<img class="element element-\${this.escapeHtml(element.id)}" src="\${this.escapeHtml(this.resolveAsset(this.interpolateContent(source, data)))}" style="\${allStyles}" />\`;
             case 'rect':
             case 'rectangle':
-                return \`<div class="element element-\${element.id}" style="\${allStyles}"></div>\`;
+                return \`<div class="element element-\${this.escapeHtml(element.id)}" style="\${allStyles}"></div>\`;
             case 'circle':
                 const circleStyles = allStyles + ' border-radius: 50%;';
-                return \`<div class="element element-\${element.id}" style="\${circleStyles}"></div>\`;
+                return \`<div class="element element-\${this.escapeHtml(element.id)}" style="\${circleStyles}"></div>\`;
+            case 'line':
+            case 'polygon':
+            case 'path':
+                // The SVG takes its fill and stroke from the element's style
+                return \`<div class="element element-\${this.escapeHtml(element.id)}" style="\${allStyles}">\${this.shapes[element.id]}</div>\`;
+            case 'group': {
+                // Children are positioned relative to the group
+                const children = (element.children || []).map(child => this.renderElement(child, data)).join('');
+                return \`<div class="element element-\${this.escapeHtml(element.id)}" style="\${allStyles}">\${children}</div>\`;
+            }
+            case 'repeater': {
+                // The children once per entry of the bound list, reading it as {{item}}, {{index}} and {{number}}
+                const settings = this.repeaters[element.id];
+                const list = settings.field ? this.constructor.Expression.resolve(settings.field, data) : undefined;
+                const entries = Array.isArray(list) ? list : [];
+                const items = (settings.limit > 0 ? entries.slice(0, settings.limit) : entries).map((item, index) => {
+                    const column = settings.layout === 'grid' ? index % settings.columns : settings.layout === 'horizontal' ? index : 0;
+                    const row = settings.layout === 'grid' ? Math.floor(index / settings.columns) : settings.layout === 'vertical' ? index : 0;
+                    const itemData = { ...data, item, index, number: index + 1 };
+                    const children = (element.children || []).map(child => this.renderElement(child, itemData)).join('');
+                    return \`<div class="repeater-item" style="left: \${column * (settings.itemWidth + settings.gap)}px; top: \${row * (settings.itemHeight + settings.gap)}px; width: \${settings.itemWidth}px; height: \${settings.itemHeight}px;">\${children}</div>\`;
+                }).join('');
+                return \`<div class="element element-\${this.escapeHtml(element.id)}" style="\${allStyles}">\${items}</div>\`;
+            }
+            case 'ticker':
+                // startTickers() repeats the text and scrolls it once it can be measured
+                return \`<div class="element element-\${this.escapeHtml(element.id)}" style="\${allStyles} overflow: hidden;"><div class="ticker-track"><span>\${this.interpolateHtml(source, data)}</span></div></div>\`;
+            case 'clock': {
+                const settings = this.clocks[element.id];
+                const time = this.constructor.Expression.formatDate(Date.now(), settings.format, settings.timezone);
+                return \`<div class="element element-\${this.escapeHtml(element.id)}" style="\${allStyles}">\${this.escapeHtml(time)}</div>\`;
+            }
+            case 'timer': {
+                // The start is read from the data here, so timers in a repeater can each start from their item
+                const settings = this.timers[element.id];
+                const value = settings.field ? this.constructor.Timer.parseSeconds(this.constructor.Expression.resolve(settings.field, data)) : null;
+                const start = value !== null ? value : settings.start;
+                return \`<div class="element element-\${this.escapeHtml(element.id)}" data-start="\${start}" style="\${allStyles}">\${this.escapeHtml(this.formatTimer(element.id, settings, start))}</div>\`;
+            }
+            case 'video': {
+                // Played by controlMedia(); muted videos may start without a user gesture
+                const settings = this.media[element.id];
+                const src = this.resolveAsset(this.interpolateContent(source, data));
+                return \`<video class="element element-\${this.escapeHtml(element.id)}" data-media="\${this.escapeHtml(element.id)}" data-keep="\${this.escapeHtml(element.id + ' ' + src)}" src="\${this.escapeHtml(src)}" \${settings.muted ? 'muted' : ''} playsinline preload="auto" style="\${allStyles}"></video>\`;
+            }
+            case 'sequence':
+                return \`<img class="element element-\${this.escapeHtml(element.id)}" data-media="\${this.escapeHtml(element.id)}" src="\${this.escapeHtml(this.getSequenceFrame(element.id))}" alt="" style="\${allStyles}" />\`;
+            case 'lottie': {
+                // updateLotties() adds the animation to the empty node; fields without a value keep the layer's own text
+                const texts = {};
+                Object.entries(this.lotties[element.id].textLayers).forEach(([layer, field]) => {
+                    const value = field ? this.constructor.Expression.resolve(field, data) : undefined;
+                    if (value !== undefined && value !== null) texts[layer] = String(value);
+                });
+                return \`<div class="element element-\${this.escapeHtml(element.id)}" data-lottie="\${this.escapeHtml(element.id)}" data-keep="\${this.escapeHtml(element.id)}" data-texts="\${this.escapeHtml(JSON.stringify(texts))}" style="\${allStyles}"></div>\`;
+            }
             default:
                 return '';
         }
     }
 
-    interpolateContent(content) {
-        const result = content.replace(/\\{\\{(\\w+)\\}\\}/g, (match, key) => {
-            const value = this.data[key] || match;
-            return value;
-        });
-        return result;
+    // Editors can serve assets from memory by setting a static assetUrls map on the class
+    resolveAsset(path) {
+        const assetUrls = this.constructor.assetUrls;
+        if (assetUrls && assetUrls[path]) return assetUrls[path];
+        if (!path || path.startsWith('/') || /^[a-z][a-z0-9+.-]*:/i.test(path)) return path;
+        try {
+            return new URL(path, this.constructor.assetBaseUrl).href;
+        } catch (error) {
+            return path;
+        }
+    }
+
+    // Register the uploaded fonts and wait until they are ready, so the first frame is not drawn in a fallback font
+    async loadFonts() {
+        if (this.fonts.length === 0 || !document.fonts) return;
+
+        // @font-face rules are ignored inside shadow roots, so they go into the document
+        const rules = this.fonts.map(font =>
+            \`@font-face { font-family: "\${font.family}"; src: url("\${this.resolveAsset(font.path)}") format("\${font.format}"); font-weight: \${font.weight}; font-style: \${font.style}; font-display: block; }\`
+        ).join('\\n');
+        let fontStyle = document.getElementById(${fontStyleId});
+        if (!fontStyle) {
+            fontStyle = document.createElement('style');
+            fontStyle.id = ${fontStyleId};
+            document.head.appendChild(fontStyle);
+        }
+        if (fontStyle.textContent !== rules) {
+            fontStyle.textContent = rules;
+        }
+
+        await Promise.all(this.fonts.map(font =>
+            document.fonts.load(\`\${font.style} \${font.weight} 1em "\${font.family}"\`).catch(() => [])
+        ));
+    }
+
+    // Fill the {{ }} bindings; the result is plain text
+    interpolateContent(content, data = this.data) {
+        return this.constructor.Expression.render(content, data);
+    }
+
+    // Text as HTML: everything is escaped except the whitelisted markup of rich-text fields
+    interpolateHtml(content, data = this.data) {
+        return this.constructor.Expression.render(
+            content,
+            data,
+            (value, field) => this.richTextFields.includes(field) ? this.sanitizeRichText(value) : this.escapeHtml(value),
+            text => this.escapeHtml(text)
+        );
+    }
+
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Keep <b>, <strong>, <i>, <em>, <br> and <span style="color: ..."> (and line breaks); drop other tags but keep their text
+    sanitizeRichText(value) {
+        const template = document.createElement('template');
+        template.innerHTML = String(value);
+
+        const convert = (parent) => Array.from(parent.childNodes).map(node => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                return this.escapeHtml(node.textContent).replace(/\\r?\\n/g, '<br>');
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+            const tag = node.tagName.toLowerCase();
+            const inner = convert(node);
+            if (tag === 'br') return '<br>';
+            if (['b', 'strong', 'i', 'em'].includes(tag)) return \`<\${tag}>\${inner}</\${tag}>\`;
+            if (tag === 'span') {
+                const color = node.style.color;
+                return /^(#[0-9a-f]{3,8}|rgba?\\([0-9.,%\\s]+\\)|[a-z]+)$/i.test(color)
+                    ? \`<span style="color: \${color}">\${inner}</span>\`
+                    : inner;
+            }
+            return ['script', 'style', 'template'].includes(tag) ? '' : inner;
+        }).join('');
+
+        return convert(template.content);
     }
 
     kebabCase(str) {
         return str.replace(/([a-z0-9]|(?=[A-Z]))([A-Z])/g, '$1-$2').toLowerCase();
     }
 }
-
-customElements.define('${this.manifest.id}-graphic', ${this.toCamelCase(this.manifest.id)}Graphic);
+${legacy ? `\ncustomElements.define('${this.manifest.id}-graphic', ${className});` : ''}
         `;
 
         this.webComponent = componentCode.trim();
+        this.generatedCode = this.webComponent;
         return this.webComponent;
     }
 
+    // Whether the component code was edited by hand or imported, rather than generated by the editor
+    hasCustomCode() {
+        return !!this.webComponent && this.webComponent !== this.generatedCode;
+    }
+
+    generateCustomActionCases() {
+        // Actions with effects run them; the built-in slide actions keep their default behaviour
+        const cases = [];
+        const builtIn = {
+            slideIn: "return this.hasTimeline('in') ? this.playTimeline('in') : this.animateSlideIn();",
+            slideOut: "return this.hasTimeline('out') ? this.playTimeline('out') : this.animateSlideOut();"
+        };
+
+        Object.entries(this.actionEffects || {}).forEach(([actionId, effects]) => {
+            if (effects.length === 0) return;
+            cases.push(`            case ${JSON.stringify(actionId)}:
+                return this.applyEffects(${JSON.stringify(effects)}, payload || {});
+`);
+        });
+
+        Object.entries(builtIn).forEach(([actionId, body]) => {
+            if ((this.actionEffects[actionId] || []).length > 0) return;
+            cases.push(`            case '${actionId}':
+                ${body}
+`);
+        });
+
+        return cases.join('');
+    }
+
+    generateModuleActionMethods() {
+        // Action methods following the OGraf v1 Graphic interface: each receives a
+        // parameter object and resolves with a return payload
+        return `
+    async load(params = {}) {
+        if (params.renderType === 'non-realtime') {
+            return { statusCode: 400, statusMessage: 'Non-realtime rendering is not supported' };
+        }
+        this.data = { ...(params.data || {}) };
+        this.isVisible = false;
+        const [, , lottieError] = await Promise.all([this.loadFonts(), this.preloadFrames(), this.loadLotties()]);
+        this.render();
+        return lottieError ? { statusCode: 500, statusMessage: lottieError } : { statusCode: 200 };
+    }
+
+    async dispose(params = {}) {
+        this.isVisible = false;
+        this.stopTickers();
+        this.stopLiveTime();
+        this.stopMedia();
+        this.stopLotties();
+        this.shadowRoot.innerHTML = '';
+        return { statusCode: 200 };
+    }
+
+    async playAction(params = {}) {
+        const currentStep = await this.playStep(params);
+        return { statusCode: 200, currentStep };
+    }
+
+    async stopAction(params = {}) {
+        await this.hideGraphic(!!params.skipAnimation);
+        return { statusCode: 200 };
+    }
+
+    async updateAction(params = {}) {
+        this.data = { ...this.data, ...(params.data || {}) };
+        this.render();
+        return { statusCode: 200 };
+    }
+
+    async customAction(params = {}) {
+        await this.runCustomAction(params.id, params.payload, !!params.skipAnimation);
+        return { statusCode: 200 };
+    }
+`;
+    }
+
+    generateLegacyActionMethods() {
+        return `
+    async load() {
+        this.isVisible = false;
+        await Promise.all([this.loadFonts(), this.preloadFrames(), this.loadLotties()]);
+        this.render();
+        return Promise.resolve();
+    }
+
+    async dispose() {
+        this.isVisible = false;
+        this.stopTickers();
+        this.stopLiveTime();
+        this.stopMedia();
+        this.stopLotties();
+        this.shadowRoot.innerHTML = '';
+        return Promise.resolve();
+    }
+
+    async playAction(skipAnimation = false, delta = 1) {
+        await this.playStep({ skipAnimation, delta });
+        return Promise.resolve();
+    }
+
+    async stopAction(skipAnimation = false) {
+        await this.hideGraphic(skipAnimation);
+        return Promise.resolve();
+    }
+
+    async updateAction(data) {
+        this.data = { ...this.data, ...data };
+        this.render();
+        return Promise.resolve();
+    }
+
+    async customAction(action, data) {
+        await this.runCustomAction(action, data);
+        return Promise.resolve();
+    }
+`;
+    }
+
     toCamelCase(str) {
         return str.replace(/-([a-z])/g, (g) => g[1].toUpperCase())
                  .replace(/^[a-z]/, (g) => g.toUpperCase());
@@ -592,7 +2327,17 @@ customElements.define('${this.manifest.id}-graphic', ${this.toCamelCase(this.man
         return {
             manifest: this.manifest,
             elements: this.elements,
-            webComponent: this.webComponent
+            animationSettings: this.animationSettings,
+            animations: this.animations,
+            steps: this.steps,
+            actionEffects: this.actionEffects,
+            layout: this.layout,
+            resolution: this.resolution,
+            assets: this.assets,
+            defaultFontFamily: this.defaultFontFamily,
+            webComponent: this.webComponent,
+            customCode: this.hasCustomCode(),
+            componentMode: this.componentMode
         };
     }
 
@@ -600,7 +2345,18 @@ customElements.define('${this.manifest.id}-graphic', ${this.toCamelCase(this.man
         const template = new OGrafTemplate();
         template.manifest = json.manifest;
         template.elements = json.elements;
+        if (json.animationSettings) template.animationSettings = json.animationSettings;
+        template.animations = json.animations || {};
+        template.steps = json.steps || [];
+        template.actionEffects = json.actionEffects || {};
+        template.layout = CanvasLayout.normalize(json.layout);
+        if (json.resolution) template.resolution = { ...json.resolution };
+        template.assets = json.assets || [];
+        template.defaultFontFamily = json.defaultFontFamily || DEFAULT_FONT_FAMILY;
         template.webComponent = json.webComponent;
+        // Code saved without the flag may have been edited by hand, so it is treated as such
+        if (json.customCode === false) template.generatedCode = template.webComponent;
+        template.componentMode = json.componentMode || 'module';
         return template;
     }
 }
\ No newline at end of file
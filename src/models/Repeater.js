@@ -0,0 +1,60 @@
+import { Expression } from './Expression.js';
+
+export const REPEAT_LAYOUTS = [
+    { value: 'vertical', label: 'Vertical list' },
+    { value: 'horizontal', label: 'Horizontal row' },
+    { value: 'grid', label: 'Grid' }
+];
+
+export const DEFAULT_ITEM_HEIGHT = 40;
+export const DEFAULT_ITEM_GAP = 8;
+export const DEFAULT_GRID_COLUMNS = 2;
+
+/**
+ * An element that lays out its children once per entry of an array data field:
+ *
+ *   { type: 'repeater', repeat: { field: 'results', layout: 'grid', columns: 3,
+ *     itemWidth: 300, itemHeight: 60, gap: 10, limit: 9 }, children: [...] }
+ *
+ * The children describe one item and are positioned relative to the item's
+ * box. They read the entry with {{item}} ({{item.name}} for objects),
+ * {{index}} (from 0) and {{number}} (from 1), next to the graphic's data.
+ * A limit of 0 shows every entry.
+ */
+export class Repeater {
+    static getSettings(element) {
+        const repeat = element.repeat || {};
+        return {
+            field: repeat.field || '',
+            layout: REPEAT_LAYOUTS.some(layout => layout.value === repeat.layout) ? repeat.layout : 'vertical',
+            columns: Math.max(1, parseInt(repeat.columns) || DEFAULT_GRID_COLUMNS),
+            itemWidth: Math.max(1, Number(repeat.itemWidth) || Number(element.width) || 1),
+            itemHeight: Math.max(1, Number(repeat.itemHeight) || DEFAULT_ITEM_HEIGHT),
+            gap: Math.max(0, Number(repeat.gap) || 0),
+            limit: Math.max(0, parseInt(repeat.limit) || 0)
+        };
+    }
+
+    // Top-left corner of an item inside the repeater
+    static getItemPosition(settings, index) {
+        const column = settings.layout === 'grid' ? index % settings.columns : settings.layout === 'horizontal' ? index : 0;
+        const row = settings.layout === 'grid' ? Math.floor(index / settings.columns) : settings.layout === 'vertical' ? index : 0;
+        return {
+            x: column * (settings.itemWidth + settings.gap),
+            y: row * (settings.itemHeight + settings.gap)
+        };
+    }
+
+    // The entries of the bound list that are shown
+    static getItems(element, data) {
+        const settings = Repeater.getSettings(element);
+        const value = settings.field ? Expression.resolve(settings.field, data) : undefined;
+        const items = Array.isArray(value) ? value : [];
+        return settings.limit > 0 ? items.slice(0, settings.limit) : items;
+    }
+
+    // The data an item's children are filled from
+    static getItemData(data, item, index) {
+        return { ...data, item, index, number: index + 1 };
+    }
+}
\ No newline at end of file
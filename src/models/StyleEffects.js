@@ -0,0 +1,189 @@
+export const GRADIENT_TYPES = [
+    { value: 'linear', label: 'Linear' },
+    { value: 'radial', label: 'Radial' }
+];
+
+export const BLEND_MODES = [
+    'normal', 'multiply', 'screen', 'overlay', 'darken', 'lighten', 'color-dodge', 'color-burn',
+    'hard-light', 'soft-light', 'difference', 'exclusion', 'hue', 'saturation', 'color', 'luminosity'
+];
+
+// Elements whose shadow is cast by their text rather than their box
+export const TEXT_EFFECT_TYPES = ['text', 'ticker', 'clock', 'timer'];
+
+const DIRECTION_ANGLES = {
+    'to top': 0,
+    'to top right': 45,
+    'to right': 90,
+    'to bottom right': 135,
+    'to bottom': 180,
+    'to bottom left': 225,
+    'to left': 270,
+    'to top left': 315
+};
+
+/**
+ * Reads and writes the CSS values behind the gradient, shadow, blur, text
+ * stroke and blend editors. Each editor owns one property of element.style,
+ * which reaches the canvas and the generated graphic as written:
+ *
+ *   backgroundImage   linear-gradient(90deg, #003366 0%, #0088cc 100%)
+ *   boxShadow         0px 4px 12px 0px rgba(0, 0, 0, 0.5), inset 0px 0px 8px 0px #000000
+ *   textShadow        2px 2px 4px #000000
+ *   filter            drop-shadow(2px 2px 4px #000000) blur(2px)
+ *   backdropFilter    blur(12px)
+ *   WebkitTextStroke  2px #000000
+ *   mixBlendMode      screen
+ *
+ * Lines, polygons and paths cast their shadow with drop-shadow() so it
+ * follows the outline. Filter functions without an editor are kept.
+ */
+export class StyleEffects {
+    static getShadowProperty(element) {
+        if (TEXT_EFFECT_TYPES.includes(element.type)) return 'textShadow';
+        return ['line', 'polygon', 'path'].includes(element.type) ? 'filter' : 'boxShadow';
+    }
+
+    // Splits at separators outside parentheses, so rgba(0, 0, 0, 0.5) stays whole
+    static split(value, separator) {
+        const parts = [];
+        let depth = 0;
+        let current = '';
+        for (const char of String(value || '')) {
+            if (char === '(') depth++;
+            if (char === ')') depth = Math.max(0, depth - 1);
+            if (depth === 0 && (separator === ' ' ? /\s/.test(char) : char === separator)) {
+                if (current.trim()) parts.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        if (current.trim()) parts.push(current.trim());
+        return parts;
+    }
+
+    static parseLength(token) {
+        const match = /^(-?\d*\.?\d+)(px)?$/.exec(token);
+        return match ? Number(match[1]) : null;
+    }
+
+    // { type: 'linear', angle: 90, shape: 'ellipse', stops: [{ color, position }] }, or null
+    static parseGradient(value) {
+        const match = /^(linear|radial)-gradient\((.*)\)$/.exec(String(value || '').trim());
+        if (!match) return null;
+
+        const args = StyleEffects.split(match[2], ',');
+        const gradient = { type: match[1], angle: 180, shape: 'ellipse', stops: [] };
+        const first = args[0] || '';
+        if (match[1] === 'linear' && /^-?\d*\.?\d+deg$/.test(first)) {
+            gradient.angle = parseFloat(first);
+            args.shift();
+        } else if (match[1] === 'linear' && first in DIRECTION_ANGLES) {
+            gradient.angle = DIRECTION_ANGLES[first];
+            args.shift();
+        } else if (match[1] === 'radial' && /^(circle|ellipse)\b|^at\b/.test(first)) {
+            gradient.shape = first.startsWith('circle') ? 'circle' : 'ellipse';
+            args.shift();
+        }
+
+        gradient.stops = args.map(arg => {
+            const words = StyleEffects.split(arg, ' ');
+            const last = words[words.length - 1];
+            const position = words.length > 1 && /^-?\d*\.?\d+%$/.test(last) ? parseFloat(words.pop()) : null;
+            return { color: words.join(' '), position };
+        });
+        if (gradient.stops.length < 2) return null;
+
+        // Stops without a position are spread evenly, as the browser does at the ends
+        gradient.stops.forEach((stop, index) => {
+            if (stop.position === null) stop.position = Math.round(index * 100 / (gradient.stops.length - 1));
+        });
+        return gradient;
+    }
+
+    static toGradient(gradient) {
+        if (!gradient || gradient.stops.length < 2) return '';
+        const stops = gradient.stops.map(stop => `${stop.color} ${stop.position}%`).join(', ');
+        return gradient.type === 'radial'
+            ? `radial-gradient(${gradient.shape === 'circle' ? 'circle' : 'ellipse'}, ${stops})`
+            : `linear-gradient(${gradient.angle}deg, ${stops})`;
+    }
+
+    // [{ inset, x, y, blur, spread, color }] from a box-shadow, text-shadow or drop-shadow() value
+    static parseShadows(value) {
+        if (!value || value === 'none') return [];
+        return StyleEffects.split(value, ',').map(part => {
+            const shadow = { inset: false, x: 0, y: 0, blur: 0, spread: 0, color: '#000000' };
+            const lengths = [];
+            const color = [];
+            StyleEffects.split(part, ' ').forEach(word => {
+                const length = StyleEffects.parseLength(word);
+                if (word === 'inset') shadow.inset = true;
+                else if (length !== null) lengths.push(length);
+                else color.push(word);
+            });
+            [shadow.x = 0, shadow.y = 0, shadow.blur = 0, shadow.spread = 0] = lengths;
+            if (color.length > 0) shadow.color = color.join(' ');
+            return shadow;
+        });
+    }
+
+    // Text and drop shadows have no spread and cannot be inset
+    static toShadows(shadows, property) {
+        const box = property === 'boxShadow';
+        return shadows.map(shadow => [
+            box && shadow.inset ? 'inset' : '',
+            `${shadow.x}px ${shadow.y}px ${shadow.blur}px`,
+            box ? `${shadow.spread}px` : '',
+            shadow.color
+        ].filter(Boolean).join(' ')).join(', ');
+    }
+
+    // { shadows, blur, other } from a filter value; other holds functions without an editor
+    static parseFilter(value) {
+        const filter = { shadows: [], blur: 0, other: [] };
+        if (!value || value === 'none') return filter;
+        StyleEffects.split(value, ' ').forEach(fn => {
+            const match = /^([a-z-]+)\((.*)\)$/.exec(fn);
+            if (match && match[1] === 'drop-shadow') {
+                filter.shadows.push(...StyleEffects.parseShadows(match[2]));
+            } else if (match && match[1] === 'blur' && StyleEffects.parseLength(match[2]) !== null) {
+                filter.blur = StyleEffects.parseLength(match[2]);
+            } else {
+                filter.other.push(fn);
+            }
+        });
+        return filter;
+    }
+
+    static toFilter(filter) {
+        return [
+            ...filter.shadows.map(shadow => `drop-shadow(${StyleEffects.toShadows([shadow], 'filter')})`),
+            ...(filter.blur > 0 ? [`blur(${filter.blur}px)`] : []),
+            ...filter.other
+        ].join(' ');
+    }
+
+    static parseBlur(value) {
+        const match = /blur\((-?\d*\.?\d+)(px)?\)/.exec(String(value || ''));
+        return match ? Number(match[1]) : 0;
+    }
+
+    // { width, color } from -webkit-text-stroke
+    static parseTextStroke(value) {
+        const stroke = { width: 0, color: '#000000' };
+        const color = [];
+        StyleEffects.split(value, ' ').forEach(word => {
+            const length = StyleEffects.parseLength(word);
+            if (length !== null) stroke.width = length;
+            else color.push(word);
+        });
+        if (color.length > 0) stroke.color = color.join(' ');
+        return stroke;
+    }
+
+    static toTextStroke(stroke) {
+        return stroke.width > 0 ? `${stroke.width}px ${stroke.color}` : '';
+    }
+}
\ No newline at end of file
@@ -0,0 +1,90 @@
+export const TEXT_FIT_MODES = [
+    { value: '', label: 'Overflow the box' },
+    { value: 'shrink', label: 'Shrink to fit' },
+    { value: 'squeeze', label: 'Squeeze horizontally' },
+    { value: 'ellipsis', label: 'Ellipsis' },
+    { value: 'wrap', label: 'Wrap to lines' },
+    { value: 'grow', label: 'Grow box' }
+];
+
+// Modes that measure the rendered text; the others are plain CSS
+export const MEASURED_FIT_MODES = ['shrink', 'squeeze', 'grow'];
+
+/**
+ * What a text element does when its content does not fit its box:
+ *
+ *   { mode: 'shrink', minFontSize: 14 }   smaller font, down to minFontSize
+ *   { mode: 'squeeze' }                   narrower glyphs (scaleX)
+ *   { mode: 'ellipsis' }                  one line cut off with "…"
+ *   { mode: 'wrap', maxLines: 2 }         wrap, cut off after maxLines
+ *   { mode: 'grow', follower: 'bg' }      wider box, and element "bg" grows with it
+ *
+ * The text sits in a span inside the element box. The editor canvas and the
+ * generated graphic (fitText) use the same CSS and the same measurements.
+ */
+export class TextFit {
+    // Getters, as the embedded class cannot have fields
+    static get DEFAULT_MIN_FONT_SIZE() {
+        return 12;
+    }
+
+    static get DEFAULT_MAX_LINES() {
+        return 2;
+    }
+
+    static getFit(element) {
+        return element.type === 'text' && element.textFit && element.textFit.mode ? element.textFit : null;
+    }
+
+    // CSS for the span that holds the text
+    static getSpanCss(fit) {
+        switch (fit && fit.mode) {
+            case 'shrink':
+            case 'ellipsis':
+                return 'display: block; width: 100%; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;';
+            case 'squeeze':
+                return 'display: block; width: 100%; white-space: nowrap; transform-origin: left center;';
+            case 'grow':
+                return 'display: block; width: 100%; white-space: nowrap;';
+            case 'wrap': {
+                const lines = Math.max(1, parseInt(fit.maxLines) || TextFit.DEFAULT_MAX_LINES);
+                return `display: -webkit-box; width: 100%; -webkit-box-orient: vertical; -webkit-line-clamp: ${lines}; line-clamp: ${lines}; overflow: hidden; overflow-wrap: anywhere;`;
+            }
+            default:
+                return '';
+        }
+    }
+
+    // Adjust a rendered text box; `follower` is the element box that grows along with a "grow" box
+    static apply(box, span, fit, follower) {
+        if (fit.mode === 'shrink') {
+            const minSize = Number(fit.minFontSize) || TextFit.DEFAULT_MIN_FONT_SIZE;
+            const overflows = () => span.scrollWidth > span.clientWidth + 1 || span.scrollHeight > box.clientHeight + 1;
+            let size = parseFloat(getComputedStyle(span).fontSize);
+
+            // Start from the size that fits the width, then step down for the height
+            if (span.scrollWidth > span.clientWidth && span.clientWidth > 0) {
+                size = Math.max(minSize, Math.floor(size * span.clientWidth / span.scrollWidth));
+                span.style.fontSize = `${size}px`;
+            }
+            while (size > minSize && overflows()) {
+                size = Math.max(minSize, size - 1);
+                span.style.fontSize = `${size}px`;
+            }
+        } else if (fit.mode === 'squeeze') {
+            if (span.scrollWidth > span.clientWidth && span.scrollWidth > 0) {
+                span.style.transform = `scaleX(${span.clientWidth / span.scrollWidth})`;
+            }
+        } else if (fit.mode === 'grow') {
+            const delta = span.scrollWidth - span.clientWidth;
+            if (delta > 0) {
+                [box, follower].filter(node => node && node !== span).forEach(node => {
+                    node.style.width = `${parseFloat(getComputedStyle(node).width) + delta}px`;
+                });
+            }
+        }
+    }
+}
+
+export const DEFAULT_MIN_FONT_SIZE = TextFit.DEFAULT_MIN_FONT_SIZE;
+export const DEFAULT_MAX_LINES = TextFit.DEFAULT_MAX_LINES;
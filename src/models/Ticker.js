@@ -0,0 +1,28 @@
+export const TICKER_DIRECTIONS = [
+    { value: 'left', label: 'Right to left' },
+    { value: 'right', label: 'Left to right' }
+];
+
+export const DEFAULT_TICKER_SPEED = 100;
+export const DEFAULT_TICKER_GAP = 80;
+
+/**
+ * A line of text that scrolls continuously, such as a news crawl:
+ *
+ *   { type: 'ticker', content: '{{headlines | join:"  •  "}}',
+ *     ticker: { speed: 120, gap: 80, direction: 'left' } }
+ *
+ * Speed is in pixels per second and gap is the space before the text comes
+ * round again. The generated graphic repeats the text to fill the box and
+ * loops it seamlessly; the editor canvas shows it standing still.
+ */
+export class Ticker {
+    static getSettings(element) {
+        const ticker = element.ticker || {};
+        return {
+            speed: Math.max(1, Number(ticker.speed) || DEFAULT_TICKER_SPEED),
+            gap: Math.max(0, Number(ticker.gap ?? DEFAULT_TICKER_GAP) || 0),
+            direction: ticker.direction === 'right' ? 'right' : 'left'
+        };
+    }
+}
\ No newline at end of file
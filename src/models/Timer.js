@@ -0,0 +1,73 @@
+export const TIMER_DIRECTIONS = [
+    { value: 'up', label: 'Count up' },
+    { value: 'down', label: 'Count down (stops at zero)' }
+];
+
+// What the timer effect of a custom action does
+export const TIMER_CONTROLS = [
+    { value: 'start', label: 'Start' },
+    { value: 'pause', label: 'Pause' },
+    { value: 'reset', label: 'Reset' }
+];
+
+/**
+ * A match timer or countdown:
+ *
+ *   { type: 'timer', timer: { field: 'period', start: 0, direction: 'up',
+ *     format: 'mm:ss', autoStart: false } }
+ *
+ * It starts from the seconds in the data field (a number, or text such as
+ * "45:00"), or from `start` when the field is empty, and runs while started
+ * by a custom action with a timer effect. The format takes HH H mm m ss s and
+ * S (tenths); the largest unit in it holds the rest, so "mm:ss" shows 90:00.
+ */
+export class Timer {
+    static getSettings(element) {
+        const timer = element.timer || {};
+        return {
+            field: timer.field || '',
+            start: Timer.parseSeconds(timer.start) || 0,
+            direction: timer.direction === 'down' ? 'down' : 'up',
+            format: timer.format || 'mm:ss',
+            autoStart: !!timer.autoStart
+        };
+    }
+
+    // Seconds from a number or from text such as "90", "1:30" or "1:02:30"; null when it is neither
+    static parseSeconds(value) {
+        if (typeof value === 'number') return isFinite(value) ? Math.max(0, value) : null;
+        const text = String(value ?? '').trim();
+        if (!/^\d+(\.\d+)?$|^\d+(:\d{1,2}){1,2}(\.\d+)?$/.test(text)) return null;
+        return text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+    }
+
+    // The seconds shown after running for `elapsed` seconds from `start`
+    static getValue(settings, start, elapsed) {
+        return settings.direction === 'down' ? Math.max(0, start - elapsed) : start + elapsed;
+    }
+
+    static format(seconds, format, direction) {
+        // Counting down rounds up, so zero shows only once the time is up
+        const perSecond = /S/.test(format) ? 10 : 1;
+        const exact = Math.round(Math.max(0, seconds) * perSecond * 1000) / 1000;
+        const units = direction === 'down' ? Math.ceil(exact) : Math.floor(exact);
+        const total = Math.floor(units / perSecond);
+
+        const hours = /H/.test(format) ? Math.floor(total / 3600) : 0;
+        const minutes = /m/.test(format) ? Math.floor((total - hours * 3600) / 60) : 0;
+        const secs = total - hours * 3600 - minutes * 60;
+        const pad = number => String(number).padStart(2, '0');
+        const parts = {
+            HH: pad(hours),
+            H: String(hours),
+            mm: pad(minutes),
+            m: String(minutes),
+            ss: pad(secs),
+            s: String(secs),
+            S: String(units % perSecond)
+        };
+        return format.replace(/\[([^\]]*)\]|HH|H|mm|m|ss|s|S/g, (token, literal) =>
+            literal !== undefined ? literal : parts[token]
+        );
+    }
+}
\ No newline at end of file
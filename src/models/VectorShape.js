@@ -0,0 +1,836 @@
+// Element types drawn as inline SVG from a shape
+export const VECTOR_TYPES = ['line', 'polygon', 'path'];
+
+export const DASH_PATTERNS = [
+    { value: '', label: 'Solid' },
+    { value: '12 6', label: 'Dashed' },
+    { value: '2 6', label: 'Dotted' },
+    { value: '12 6 2 6', label: 'Dash-dot' }
+];
+
+export const DEFAULT_POLYGON_SIDES = 6;
+
+// Control point distance that makes a cubic bezier follow a quarter ellipse
+const KAPPA = 0.5522847498;
+
+// SVG presentation properties kept on imported shapes, with their element style names
+const SVG_STYLE_PROPERTIES = {
+    'fill': 'fill',
+    'fill-opacity': 'fillOpacity',
+    'fill-rule': 'fillRule',
+    'stroke': 'stroke',
+    'stroke-width': 'strokeWidth',
+    'stroke-opacity': 'strokeOpacity',
+    'stroke-dasharray': 'strokeDasharray',
+    'stroke-linecap': 'strokeLinecap',
+    'stroke-linejoin': 'strokeLinejoin'
+};
+
+// Imported values are limited to colors, numbers, keywords and url(#id) references; they end up
+// in the generated graphic's style sheet
+const SAFE_STYLE_VALUE = /^[\w\s#%.,()+-]+$/;
+
+// SVG elements that hold no drawing of their own, or drawings that cannot be edited as shapes
+const SKIPPED_SVG_ELEMENTS = ['defs', 'clipPath', 'mask', 'symbol', 'marker', 'pattern', 'linearGradient', 'radialGradient',
+    'style', 'title', 'desc', 'metadata', 'text', 'image', 'use', 'foreignObject', 'script'];
+
+/**
+ * Lines, polygons and bezier paths:
+ *
+ *   { type: 'path', shape: { width: 200, height: 100, subpaths: [{ closed: false, nodes: [
+ *       { x: 0, y: 100, handleOut: { x: 80, y: 100 } },
+ *       { x: 200, y: 0, handleIn: { x: 120, y: 0 } } ] }] },
+ *     style: { fill: 'none', stroke: '#ffffff', strokeWidth: '4px', strokeDasharray: '12 6' } }
+ *
+ * Node and handle coordinates are in the shape's own width and height, which
+ * is stretched over the element's box, so resizing the element scales the
+ * shape while strokes keep their width. Fill and stroke are element styles;
+ * the SVG inherits them from the element box. Imported SVG files become path
+ * elements, one per drawn SVG element.
+ */
+export class VectorShape {
+    static getShape(element) {
+        if (element.shape && Array.isArray(element.shape.subpaths) && element.shape.width > 0 && element.shape.height > 0) {
+            return element.shape;
+        }
+        return VectorShape.createDefault(element.type, Number(element.width) || 100, Number(element.height) || 100);
+    }
+
+    static createDefault(type, width, height) {
+        switch (type) {
+            case 'line':
+                return { width, height, subpaths: [{ closed: false, nodes: [{ x: 0, y: height / 2 }, { x: width, y: height / 2 }] }] };
+            case 'polygon':
+                return VectorShape.createPolygon(width, height, DEFAULT_POLYGON_SIDES);
+            default:
+                return {
+                    width,
+                    height,
+                    subpaths: [{
+                        closed: false,
+                        nodes: [
+                            { x: 0, y: height, handleOut: { x: width * 0.4, y: height } },
+                            { x: width, y: 0, handleIn: { x: width * 0.6, y: 0 } }
+                        ]
+                    }]
+                };
+        }
+    }
+
+    // A regular polygon with its first corner at the top, stretched to the box
+    static createPolygon(width, height, sides) {
+        const count = Math.max(3, Math.min(64, parseInt(sides) || DEFAULT_POLYGON_SIDES));
+        const nodes = [];
+        for (let i = 0; i < count; i++) {
+            const angle = -Math.PI / 2 + i * 2 * Math.PI / count;
+            nodes.push({
+                x: VectorShape.round(width / 2 + Math.cos(angle) * width / 2),
+                y: VectorShape.round(height / 2 + Math.sin(angle) * height / 2)
+            });
+        }
+        return { width, height, subpaths: [{ closed: true, nodes }] };
+    }
+
+    static toPathData(shape) {
+        const point = p => `${VectorShape.round(p.x)} ${VectorShape.round(p.y)}`;
+        const segment = (from, to) => from.handleOut || to.handleIn
+            ? `C ${point(from.handleOut || from)} ${point(to.handleIn || to)} ${point(to)}`
+            : `L ${point(to)}`;
+
+        return shape.subpaths.filter(subpath => subpath.nodes.length > 0).map(subpath => {
+            const nodes = subpath.nodes;
+            const parts = [`M ${point(nodes[0])}`];
+            for (let i = 1; i < nodes.length; i++) {
+                parts.push(segment(nodes[i - 1], nodes[i]));
+            }
+            if (subpath.closed) {
+                // Z draws the straight way back; a curved way back needs its own segment
+                const last = nodes[nodes.length - 1];
+                if (last.handleOut || nodes[0].handleIn) parts.push(segment(last, nodes[0]));
+                parts.push('Z');
+            }
+            return parts.join(' ');
+        }).join(' ');
+    }
+
+    // The markup that draws the element inside its box; fill and stroke come from the box's style
+    static toSvg(element) {
+        const shape = VectorShape.getShape(element);
+        return `<svg viewBox="0 0 ${shape.width} ${shape.height}" preserveAspectRatio="none" width="100%" height="100%" style="display: block; overflow: visible;">` +
+            `<path d="${VectorShape.toPathData(shape)}" vector-effect="non-scaling-stroke"/></svg>`;
+    }
+
+    // The box around the nodes and handles, in shape coordinates
+    static getBounds(subpaths) {
+        const points = [];
+        subpaths.forEach(subpath => subpath.nodes.forEach(node => {
+            points.push(node);
+            if (node.handleIn) points.push(node.handleIn);
+            if (node.handleOut) points.push(node.handleOut);
+        }));
+        if (points.length === 0) return { x: 0, y: 0, width: 0, height: 0 };
+
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+        return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+    }
+
+    // Apply `transform(point)` to every node and handle
+    static mapPoints(subpaths, transform) {
+        return subpaths.map(subpath => ({
+            closed: subpath.closed,
+            nodes: subpath.nodes.map(node => {
+                const mapped = transform(node);
+                const result = { x: VectorShape.round(mapped.x), y: VectorShape.round(mapped.y) };
+                ['handleIn', 'handleOut'].forEach(name => {
+                    if (!node[name]) return;
+                    const handle = transform(node[name]);
+                    result[name] = { x: VectorShape.round(handle.x), y: VectorShape.round(handle.y) };
+                });
+                return result;
+            })
+        }));
+    }
+
+    /**
+     * Fit a shape to the box around its nodes after they were edited. `box` is
+     * the element's box in pixels; returns the new box and the shape for it,
+     * at least `minSize` pixels on each side so thin lines stay easy to pick.
+     */
+    static fitToNodes(shape, box, minSize) {
+        const scaleX = box.width / shape.width;
+        const scaleY = box.height / shape.height;
+        const bounds = VectorShape.getBounds(shape.subpaths);
+
+        const width = Math.max(bounds.width * scaleX, minSize);
+        const height = Math.max(bounds.height * scaleY, minSize);
+        const left = bounds.x * scaleX - (width - bounds.width * scaleX) / 2;
+        const top = bounds.y * scaleY - (height - bounds.height * scaleY) / 2;
+
+        return {
+            box: { x: box.x + left, y: box.y + top, width, height },
+            shape: {
+                width: VectorShape.round(width / scaleX),
+                height: VectorShape.round(height / scaleY),
+                subpaths: VectorShape.mapPoints(shape.subpaths, p => ({ x: p.x - left / scaleX, y: p.y - top / scaleY }))
+            }
+        };
+    }
+
+    /**
+     * Move a node with its handles, or one handle (`handle` is "handleIn" or
+     * "handleOut") by dx, dy. With `keepSmooth` the opposite handle turns to
+     * stay in line, keeping its length, so curves through the node stay smooth.
+     */
+    static moveNode(shape, subpathIndex, nodeIndex, handle, dx, dy, keepSmooth = true) {
+        const moved = JSON.parse(JSON.stringify(shape));
+        const node = moved.subpaths[subpathIndex].nodes[nodeIndex];
+        const shift = point => ({ x: VectorShape.round(point.x + dx), y: VectorShape.round(point.y + dy) });
+
+        if (!handle) {
+            Object.assign(node, shift(node));
+            ['handleIn', 'handleOut'].forEach(name => {
+                if (node[name]) node[name] = shift(node[name]);
+            });
+            return moved;
+        }
+
+        node[handle] = shift(node[handle]);
+        const opposite = handle === 'handleIn' ? 'handleOut' : 'handleIn';
+        if (keepSmooth && node[opposite]) {
+            const length = Math.hypot(node[opposite].x - node.x, node[opposite].y - node.y);
+            const distance = Math.hypot(node[handle].x - node.x, node[handle].y - node.y);
+            if (distance > 0) {
+                node[opposite] = {
+                    x: VectorShape.round(node.x - (node[handle].x - node.x) / distance * length),
+                    y: VectorShape.round(node.y - (node[handle].y - node.y) / distance * length)
+                };
+            }
+        }
+        return moved;
+    }
+
+    // Turn a corner into a smooth node with handles along its neighbours, or a smooth node back into a corner
+    static toggleSmooth(shape, subpathIndex, nodeIndex) {
+        const toggled = JSON.parse(JSON.stringify(shape));
+        const subpath = toggled.subpaths[subpathIndex];
+        const nodes = subpath.nodes;
+        const node = nodes[nodeIndex];
+
+        if (node.handleIn || node.handleOut) {
+            delete node.handleIn;
+            delete node.handleOut;
+            return toggled;
+        }
+
+        const previous = nodeIndex > 0 ? nodes[nodeIndex - 1] : subpath.closed ? nodes[nodes.length - 1] : null;
+        const next = nodeIndex < nodes.length - 1 ? nodes[nodeIndex + 1] : subpath.closed ? nodes[0] : null;
+        const from = previous || node;
+        const to = next || node;
+        const distance = Math.hypot(to.x - from.x, to.y - from.y);
+        if (distance === 0) return toggled;
+
+        const direction = { x: (to.x - from.x) / distance, y: (to.y - from.y) / distance };
+        const handleAt = (neighbour, sign) => {
+            const length = Math.hypot(neighbour.x - node.x, neighbour.y - node.y) / 3;
+            return { x: VectorShape.round(node.x + sign * direction.x * length), y: VectorShape.round(node.y + sign * direction.y * length) };
+        };
+        if (previous) node.handleIn = handleAt(previous, -1);
+        if (next) node.handleOut = handleAt(next, 1);
+        return toggled;
+    }
+
+    // Add a corner at `point` on the nearest segment, or past the nearest end of an open subpath
+    static insertNode(shape, point) {
+        const inserted = JSON.parse(JSON.stringify(shape));
+        const distanceTo = (a, b) => {
+            const length = (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+            const t = length > 0 ? Math.max(0, Math.min(1, ((point.x - a.x) * (b.x - a.x) + (point.y - a.y) * (b.y - a.y)) / length)) : 0;
+            return Math.hypot(point.x - (a.x + t * (b.x - a.x)), point.y - (a.y + t * (b.y - a.y)));
+        };
+
+        let best = null;
+        const consider = (subpath, index, distance) => {
+            if (!best || distance < best.distance) best = { subpath, index, distance };
+        };
+        inserted.subpaths.forEach((subpath, subpathIndex) => {
+            const nodes = subpath.nodes;
+            const segments = subpath.closed ? nodes.length : nodes.length - 1;
+            for (let i = 0; i < segments; i++) {
+                consider(subpathIndex, i + 1, distanceTo(nodes[i], nodes[(i + 1) % nodes.length]));
+            }
+            if (!subpath.closed && nodes.length > 0) {
+                consider(subpathIndex, 0, Math.hypot(point.x - nodes[0].x, point.y - nodes[0].y));
+                consider(subpathIndex, nodes.length, Math.hypot(point.x - nodes[nodes.length - 1].x, point.y - nodes[nodes.length - 1].y));
+            }
+        });
+
+        if (best) {
+            inserted.subpaths[best.subpath].nodes.splice(best.index, 0, { x: VectorShape.round(point.x), y: VectorShape.round(point.y) });
+        }
+        return inserted;
+    }
+
+    // Null when the subpath would be left with too few nodes to draw
+    static removeNode(shape, subpathIndex, nodeIndex) {
+        const subpath = shape.subpaths[subpathIndex];
+        if (subpath.nodes.length <= (subpath.closed ? 3 : 2)) return null;
+
+        const removed = JSON.parse(JSON.stringify(shape));
+        removed.subpaths[subpathIndex].nodes.splice(nodeIndex, 1);
+        return removed;
+    }
+
+    static round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Path elements for the drawing in an SVG file, positioned inside a box of
+     * the returned size. Drawings larger than maxWidth × maxHeight are scaled
+     * down to fit. Gradient fills become their first color; text and embedded
+     * images are left out.
+     */
+    static fromSvg(text, maxWidth = Infinity, maxHeight = Infinity) {
+        const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+        const svg = doc.documentElement;
+        if (!svg || svg.localName !== 'svg' || doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('The file is not a valid SVG image');
+        }
+
+        const context = { doc, rules: VectorShape.parseStyleSheets(doc), shapes: [] };
+        VectorShape.collectSvgShapes(svg, VectorShape.getViewBoxMatrix(svg), {}, 1, context);
+        if (context.shapes.length === 0) {
+            throw new Error('The SVG has no lines or shapes that can be imported');
+        }
+
+        const bounds = VectorShape.getBounds(context.shapes.flatMap(shape => shape.subpaths));
+        const scale = Math.min(1, maxWidth / bounds.width || 1, maxHeight / bounds.height || 1);
+        const elements = context.shapes.map(({ subpaths, style }) => {
+            const placed = VectorShape.mapPoints(subpaths, p => ({ x: (p.x - bounds.x) * scale, y: (p.y - bounds.y) * scale }));
+            const box = VectorShape.getBounds(placed);
+            const width = Math.max(1, VectorShape.round(box.width));
+            const height = Math.max(1, VectorShape.round(box.height));
+            style.strokeWidth = `${VectorShape.round(parseFloat(style.strokeWidth) * scale)}px`;
+            if (style.strokeDasharray) {
+                style.strokeDasharray = style.strokeDasharray.split(' ').map(part => VectorShape.round(parseFloat(part) * scale)).join(' ');
+            }
+            return {
+                type: 'path',
+                x: VectorShape.round(box.x),
+                y: VectorShape.round(box.y),
+                width,
+                height,
+                shape: { width, height, subpaths: VectorShape.mapPoints(placed, p => ({ x: p.x - box.x, y: p.y - box.y })) },
+                style
+            };
+        });
+
+        return {
+            width: Math.max(1, VectorShape.round(bounds.width * scale)),
+            height: Math.max(1, VectorShape.round(bounds.height * scale)),
+            elements
+        };
+    }
+
+    // Maps the root viewBox onto the SVG's width and height (preserveAspectRatio's default, xMidYMid meet)
+    static getViewBoxMatrix(svg) {
+        const viewBox = (svg.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+        if (viewBox.length !== 4 || !viewBox.every(isFinite) || viewBox[2] <= 0 || viewBox[3] <= 0) {
+            return [1, 0, 0, 1, 0, 0];
+        }
+
+        const [minX, minY, viewWidth, viewHeight] = viewBox;
+        const length = name => /^[\d.]+(px)?$/.test((svg.getAttribute(name) || '').trim()) ? parseFloat(svg.getAttribute(name)) : NaN;
+        const width = length('width') || viewWidth;
+        const height = length('height') || viewHeight;
+        const scale = Math.min(width / viewWidth, height / viewHeight);
+        return [scale, 0, 0, scale, (width - viewWidth * scale) / 2 - minX * scale, (height - viewHeight * scale) / 2 - minY * scale];
+    }
+
+    static collectSvgShapes(parent, matrix, inherited, opacity, context) {
+        Array.from(parent.children).forEach(node => {
+            if (SKIPPED_SVG_ELEMENTS.includes(node.localName)) return;
+
+            const declared = VectorShape.getDeclaredStyle(node, context.rules);
+            if (declared.display === 'none' || declared.visibility === 'hidden') return;
+
+            const style = { ...inherited };
+            Object.keys(SVG_STYLE_PROPERTIES).forEach(name => {
+                if (declared[name] !== undefined && declared[name] !== 'inherit' && SAFE_STYLE_VALUE.test(declared[name])) {
+                    style[name] = declared[name];
+                }
+            });
+            const nodeMatrix = VectorShape.multiply(matrix, VectorShape.parseTransform(node.getAttribute('transform')));
+            const nodeOpacity = opacity * (declared.opacity !== undefined ? Math.max(0, Math.min(1, parseFloat(declared.opacity) || 0)) : 1);
+
+            if (['g', 'a', 'svg', 'switch'].includes(node.localName)) {
+                VectorShape.collectSvgShapes(node, nodeMatrix, style, nodeOpacity, context);
+                return;
+            }
+
+            const subpaths = VectorShape.getSvgSubpaths(node).filter(subpath => subpath.nodes.length > 1);
+            if (subpaths.length === 0) return;
+            context.shapes.push({
+                subpaths: VectorShape.mapPoints(subpaths, p => VectorShape.applyMatrix(nodeMatrix, p)),
+                style: VectorShape.toElementStyle(style, nodeMatrix, nodeOpacity, context.doc)
+            });
+        });
+    }
+
+    // Presentation attributes, then style sheet rules, then the style attribute
+    static getDeclaredStyle(node, rules) {
+        const declared = {};
+        [...Object.keys(SVG_STYLE_PROPERTIES), 'opacity', 'display', 'visibility'].forEach(name => {
+            if (node.hasAttribute(name)) declared[name] = node.getAttribute(name).trim();
+        });
+        const classes = (node.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+        rules.filter(rule =>
+            rule.selector === node.localName ||
+            (rule.selector.startsWith('.') && classes.includes(rule.selector.slice(1))) ||
+            (rule.selector.startsWith('#') && rule.selector.slice(1) === node.getAttribute('id'))
+        ).forEach(rule => Object.assign(declared, rule.declarations));
+        return Object.assign(declared, VectorShape.parseDeclarations(node.getAttribute('style') || ''));
+    }
+
+    // Simple rules from <style> elements: tag, .class and #id selectors
+    static parseStyleSheets(doc) {
+        const rules = [];
+        Array.from(doc.getElementsByTagName('style')).forEach(sheet => {
+            const css = sheet.textContent.replace(/\/\*[\s\S]*?\*\//g, '');
+            for (const match of css.matchAll(/([^{}]+)\{([^{}]*)\}/g)) {
+                const declarations = VectorShape.parseDeclarations(match[2]);
+                match[1].split(',').map(selector => selector.trim())
+                    .filter(selector => /^[.#]?[\w-]+$/.test(selector))
+                    .forEach(selector => rules.push({ selector, declarations }));
+            }
+        });
+        return rules;
+    }
+
+    static parseDeclarations(text) {
+        const declarations = {};
+        text.split(';').forEach(declaration => {
+            const colon = declaration.indexOf(':');
+            if (colon === -1) return;
+            const name = declaration.slice(0, colon).trim().toLowerCase();
+            const value = declaration.slice(colon + 1).replace(/!important/, '').trim();
+            if (name && value) declarations[name] = value;
+        });
+        return declarations;
+    }
+
+    static toElementStyle(style, matrix, opacity, doc) {
+        // Strokes and dashes scale with the drawing
+        const scale = Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]));
+        const scaleLengths = value => value.split(/[\s,]+/).filter(Boolean).map(part => VectorShape.round(parseFloat(part) * scale)).join(' ');
+        const color = value => {
+            const gradient = /^url\(\s*['"]?#([^'")]+)['"]?\s*\)/.exec(value);
+            if (gradient) {
+                const stopColor = VectorShape.getGradientColor(doc, gradient[1]);
+                return SAFE_STYLE_VALUE.test(stopColor) ? stopColor : '#808080';
+            }
+            return value === 'currentColor' ? '#000000' : value;
+        };
+
+        const strokeWidth = parseFloat(style['stroke-width']);
+        const result = {
+            fill: color(style.fill || '#000000'),
+            stroke: color(style.stroke || 'none'),
+            strokeWidth: `${VectorShape.round((isFinite(strokeWidth) ? strokeWidth : 1) * scale)}px`
+        };
+        if (style['stroke-dasharray'] && style['stroke-dasharray'] !== 'none') {
+            result.strokeDasharray = scaleLengths(style['stroke-dasharray']);
+        }
+        ['fill-opacity', 'fill-rule', 'stroke-opacity', 'stroke-linecap', 'stroke-linejoin'].forEach(name => {
+            if (style[name]) result[SVG_STYLE_PROPERTIES[name]] = style[name];
+        });
+        if (opacity < 1) {
+            result.opacity = String(VectorShape.round(opacity));
+        }
+        return result;
+    }
+
+    // The first stop of a gradient, following href to the gradient that holds the stops
+    static getGradientColor(doc, id, depth = 0) {
+        const gradient = Array.from(doc.getElementsByTagName('*')).find(node => node.getAttribute('id') === id);
+        if (!gradient || depth > 5) return '#808080';
+
+        const stop = gradient.getElementsByTagName('stop')[0];
+        if (stop) {
+            return VectorShape.parseDeclarations(stop.getAttribute('style') || '')['stop-color'] || stop.getAttribute('stop-color') || '#000000';
+        }
+        const href = gradient.getAttribute('href') || gradient.getAttribute('xlink:href');
+        return href && href.startsWith('#') ? VectorShape.getGradientColor(doc, href.slice(1), depth + 1) : '#808080';
+    }
+
+    static getSvgSubpaths(node) {
+        const number = (name, fallback = 0) => {
+            const value = parseFloat(node.getAttribute(name));
+            return isFinite(value) ? value : fallback;
+        };
+
+        switch (node.localName) {
+            case 'path':
+                try {
+                    return VectorShape.parsePathData(node.getAttribute('d'));
+                } catch (error) {
+                    // Paths with broken data are left out rather than failing the whole import
+                    return [];
+                }
+            case 'line':
+                return [{ closed: false, nodes: [{ x: number('x1'), y: number('y1') }, { x: number('x2'), y: number('y2') }] }];
+            case 'polyline':
+            case 'polygon': {
+                const values = (node.getAttribute('points') || '').trim().split(/[\s,]+/).map(Number).filter(isFinite);
+                const nodes = [];
+                for (let i = 0; i + 1 < values.length; i += 2) {
+                    nodes.push({ x: values[i], y: values[i + 1] });
+                }
+                return [{ closed: node.localName === 'polygon', nodes }];
+            }
+            case 'circle':
+                return VectorShape.ellipseSubpaths(number('cx'), number('cy'), number('r'), number('r'));
+            case 'ellipse':
+                return VectorShape.ellipseSubpaths(number('cx'), number('cy'), number('rx'), number('ry'));
+            case 'rect': {
+                const width = number('width');
+                const height = number('height');
+                if (width <= 0 || height <= 0) return [];
+                let rx = number('rx', NaN);
+                let ry = number('ry', NaN);
+                rx = Math.min(width / 2, isFinite(rx) ? rx : isFinite(ry) ? ry : 0);
+                ry = Math.min(height / 2, isFinite(ry) ? ry : rx);
+                return [VectorShape.rectSubpath(number('x'), number('y'), width, height, rx, ry)];
+            }
+            default:
+                return [];
+        }
+    }
+
+    static ellipseSubpaths(cx, cy, rx, ry) {
+        if (rx <= 0 || ry <= 0) return [];
+        const kx = rx * KAPPA;
+        const ky = ry * KAPPA;
+        return [{
+            closed: true,
+            nodes: [
+                { x: cx + rx, y: cy, handleIn: { x: cx + rx, y: cy - ky }, handleOut: { x: cx + rx, y: cy + ky } },
+                { x: cx, y: cy + ry, handleIn: { x: cx + kx, y: cy + ry }, handleOut: { x: cx - kx, y: cy + ry } },
+                { x: cx - rx, y: cy, handleIn: { x: cx - rx, y: cy + ky }, handleOut: { x: cx - rx, y: cy - ky } },
+                { x: cx, y: cy - ry, handleIn: { x: cx - kx, y: cy - ry }, handleOut: { x: cx + kx, y: cy - ry } }
+            ]
+        }];
+    }
+
+    static rectSubpath(x, y, width, height, rx, ry) {
+        if (rx <= 0 || ry <= 0) {
+            return { closed: true, nodes: [{ x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }] };
+        }
+        const kx = rx * (1 - KAPPA);
+        const ky = ry * (1 - KAPPA);
+        const right = x + width;
+        const bottom = y + height;
+        return {
+            closed: true,
+            nodes: [
+                { x: x + rx, y, handleIn: { x: x + kx, y } },
+                { x: right - rx, y, handleOut: { x: right - kx, y } },
+                { x: right, y: y + ry, handleIn: { x: right, y: y + ky } },
+                { x: right, y: bottom - ry, handleOut: { x: right, y: bottom - ky } },
+                { x: right - rx, y: bottom, handleIn: { x: right - kx, y: bottom } },
+                { x: x + rx, y: bottom, handleOut: { x: x + kx, y: bottom } },
+                { x, y: bottom - ry, handleIn: { x, y: bottom - ky } },
+                { x, y: y + ry, handleOut: { x, y: y + ky } }
+            ]
+        };
+    }
+
+    /**
+     * Subpaths with absolute coordinates from SVG path data. Quadratic curves
+     * and arcs become cubic curves, so every segment is a line or a cubic.
+     */
+    static parsePathData(d) {
+        const source = String(d || '');
+        const numberPattern = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+        let index = 0;
+
+        const skip = () => {
+            while (index < source.length && /[\s,]/.test(source[index])) index++;
+        };
+        const hasNumber = () => {
+            skip();
+            return index < source.length && /[+\-.\d]/.test(source[index]);
+        };
+        const number = () => {
+            skip();
+            numberPattern.lastIndex = index;
+            const match = numberPattern.exec(source);
+            if (!match) throw new Error(`Expected a number at position ${index} of the path data`);
+            index = numberPattern.lastIndex;
+            return Number(match[0]);
+        };
+        // Arc flags may be written without separators, as in "a5 5 0 011 1"
+        const flag = () => {
+            skip();
+            const char = source[index++];
+            if (char !== '0' && char !== '1') throw new Error(`Expected an arc flag at position ${index - 1} of the path data`);
+            return char === '1';
+        };
+
+        const subpaths = [];
+        let current = null;
+        let x = 0;
+        let y = 0;
+        let command = '';
+        let lastCubic = null;
+        let lastQuad = null;
+
+        const start = () => {
+            current = { closed: false, nodes: [{ x, y }] };
+            subpaths.push(current);
+        };
+        const lineTo = (toX, toY) => {
+            if (!current) start();
+            x = toX;
+            y = toY;
+            current.nodes.push({ x, y });
+        };
+        const curveTo = (c1, c2, toX, toY) => {
+            if (!current) start();
+            current.nodes[current.nodes.length - 1].handleOut = c1;
+            x = toX;
+            y = toY;
+            current.nodes.push({ x, y, handleIn: c2 });
+        };
+
+        while (true) {
+            skip();
+            if (index >= source.length) break;
+
+            if (/[a-zA-Z]/.test(source[index])) {
+                command = source[index++];
+            } else if (!command || !hasNumber()) {
+                throw new Error(`Unexpected "${source[index]}" in the path data`);
+            } else if (command === 'M' || command === 'm') {
+                // Coordinates after a move are lines
+                command = command === 'M' ? 'L' : 'l';
+            }
+
+            const relative = command === command.toLowerCase();
+            const offset = (value, base) => relative ? base + value : value;
+            let cubic = null;
+            let quad = null;
+
+            switch (command.toUpperCase()) {
+                case 'M':
+                    x = offset(number(), x);
+                    y = offset(number(), y);
+                    start();
+                    break;
+                case 'L': {
+                    const toX = offset(number(), x);
+                    lineTo(toX, offset(number(), y));
+                    break;
+                }
+                case 'H':
+                    lineTo(offset(number(), x), y);
+                    break;
+                case 'V':
+                    lineTo(x, offset(number(), y));
+                    break;
+                case 'C': {
+                    const c1 = { x: offset(number(), x), y: offset(number(), y) };
+                    const c2 = { x: offset(number(), x), y: offset(number(), y) };
+                    const toX = offset(number(), x);
+                    curveTo(c1, c2, toX, offset(number(), y));
+                    cubic = c2;
+                    break;
+                }
+                case 'S': {
+                    const c1 = lastCubic ? { x: 2 * x - lastCubic.x, y: 2 * y - lastCubic.y } : { x, y };
+                    const c2 = { x: offset(number(), x), y: offset(number(), y) };
+                    const toX = offset(number(), x);
+                    curveTo(c1, c2, toX, offset(number(), y));
+                    cubic = c2;
+                    break;
+                }
+                case 'Q':
+                case 'T': {
+                    const control = command.toUpperCase() === 'Q'
+                        ? { x: offset(number(), x), y: offset(number(), y) }
+                        : lastQuad ? { x: 2 * x - lastQuad.x, y: 2 * y - lastQuad.y } : { x, y };
+                    const toX = offset(number(), x);
+                    const toY = offset(number(), y);
+                    curveTo(
+                        { x: x + 2 / 3 * (control.x - x), y: y + 2 / 3 * (control.y - y) },
+                        { x: toX + 2 / 3 * (control.x - toX), y: toY + 2 / 3 * (control.y - toY) },
+                        toX,
+                        toY
+                    );
+                    quad = control;
+                    break;
+                }
+                case 'A': {
+                    const rx = number();
+                    const ry = number();
+                    const rotation = number();
+                    const largeArc = flag();
+                    const sweep = flag();
+                    const toX = offset(number(), x);
+                    const toY = offset(number(), y);
+                    const curves = VectorShape.arcToCubics(x, y, rx, ry, rotation, largeArc, sweep, toX, toY);
+                    if (curves) {
+                        curves.forEach(curve => curveTo(curve.c1, curve.c2, curve.x, curve.y));
+                    } else {
+                        lineTo(toX, toY);
+                    }
+                    break;
+                }
+                case 'Z':
+                    if (current) {
+                        current.closed = true;
+                        const nodes = current.nodes;
+                        const first = nodes[0];
+                        const last = nodes[nodes.length - 1];
+                        // A last node on top of the first is the same corner
+                        if (nodes.length > 1 && Math.abs(first.x - last.x) < 1e-6 && Math.abs(first.y - last.y) < 1e-6) {
+                            if (last.handleIn) first.handleIn = last.handleIn;
+                            nodes.pop();
+                        }
+                        x = first.x;
+                        y = first.y;
+                    }
+                    current = null;
+                    break;
+                default:
+                    throw new Error(`Unknown path command "${command}"`);
+            }
+
+            lastCubic = cubic;
+            lastQuad = quad;
+        }
+
+        return subpaths;
+    }
+
+    // Cubic curves along an elliptical arc (SVG implementation notes, F.6.5); null for a straight line
+    static arcToCubics(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) {
+        if (x1 === x2 && y1 === y2) return [];
+        rx = Math.abs(rx);
+        ry = Math.abs(ry);
+        if (rx === 0 || ry === 0) return null;
+
+        const phi = rotation * Math.PI / 180;
+        const cos = Math.cos(phi);
+        const sin = Math.sin(phi);
+        const dx = (x1 - x2) / 2;
+        const dy = (y1 - y2) / 2;
+        const x1p = cos * dx + sin * dy;
+        const y1p = -sin * dx + cos * dy;
+
+        // Radii too small for the end points grow until the arc fits
+        const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+        if (lambda > 1) {
+            rx *= Math.sqrt(lambda);
+            ry *= Math.sqrt(lambda);
+        }
+
+        const sign = largeArc === sweep ? -1 : 1;
+        const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+        const coefficient = sign * Math.sqrt(Math.max(0, numerator / (rx * rx * y1p * y1p + ry * ry * x1p * x1p)));
+        const cxp = coefficient * rx * y1p / ry;
+        const cyp = -coefficient * ry * x1p / rx;
+        const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+        const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+        const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+        const theta = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+        let delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+        if (!sweep && delta > 0) delta -= 2 * Math.PI;
+        if (sweep && delta < 0) delta += 2 * Math.PI;
+
+        const count = Math.max(1, Math.ceil(Math.abs(delta) / (Math.PI / 2) - 1e-9));
+        const step = delta / count;
+        const k = 4 / 3 * Math.tan(step / 4);
+        const point = t => ({
+            x: cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin,
+            y: cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos
+        });
+        const tangent = t => ({
+            x: -rx * Math.sin(t) * cos - ry * Math.cos(t) * sin,
+            y: -rx * Math.sin(t) * sin + ry * Math.cos(t) * cos
+        });
+
+        const curves = [];
+        for (let i = 0; i < count; i++) {
+            const t1 = theta + i * step;
+            const t2 = t1 + step;
+            const p1 = point(t1);
+            const p2 = i === count - 1 ? { x: x2, y: y2 } : point(t2);
+            const d1 = tangent(t1);
+            const d2 = tangent(t2);
+            curves.push({
+                c1: { x: p1.x + k * d1.x, y: p1.y + k * d1.y },
+                c2: { x: p2.x - k * d2.x, y: p2.y - k * d2.y },
+                x: p2.x,
+                y: p2.y
+            });
+        }
+        return curves;
+    }
+
+    // An SVG transform attribute as a matrix [a, b, c, d, e, f]
+    static parseTransform(text) {
+        let matrix = [1, 0, 0, 1, 0, 0];
+        for (const match of String(text || '').matchAll(/(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g)) {
+            const values = match[2].trim().split(/[\s,]+/).filter(Boolean).map(Number);
+            const [a = 0, b, c] = values;
+            let next;
+            switch (match[1]) {
+                case 'matrix':
+                    next = values.length === 6 ? values : [1, 0, 0, 1, 0, 0];
+                    break;
+                case 'translate':
+                    next = [1, 0, 0, 1, a, b || 0];
+                    break;
+                case 'scale':
+                    next = [a, 0, 0, b === undefined ? a : b, 0, 0];
+                    break;
+                case 'rotate': {
+                    const radians = a * Math.PI / 180;
+                    next = [Math.cos(radians), Math.sin(radians), -Math.sin(radians), Math.cos(radians), 0, 0];
+                    if (b !== undefined) {
+                        next = VectorShape.multiply(VectorShape.multiply([1, 0, 0, 1, b, c || 0], next), [1, 0, 0, 1, -b, -(c || 0)]);
+                    }
+                    break;
+                }
+                case 'skewX':
+                    next = [1, 0, Math.tan(a * Math.PI / 180), 1, 0, 0];
+                    break;
+                case 'skewY':
+                    next = [1, Math.tan(a * Math.PI / 180), 0, 1, 0, 0];
+                    break;
+            }
+            matrix = VectorShape.multiply(matrix, next);
+        }
+        return matrix;
+    }
+
+    static multiply(m, n) {
+        return [
+            m[0] * n[0] + m[2] * n[1],
+            m[1] * n[0] + m[3] * n[1],
+            m[0] * n[2] + m[2] * n[3],
+            m[1] * n[2] + m[3] * n[3],
+            m[0] * n[4] + m[2] * n[5] + m[4],
+            m[1] * n[4] + m[3] * n[5] + m[5]
+        ];
+    }
+
+    static applyMatrix(m, point) {
+        return { x: m[0] * point.x + m[2] * point.y + m[4], y: m[1] * point.x + m[3] * point.y + m[5] };
+    }
+}
\ No newline at end of file
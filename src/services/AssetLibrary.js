@@ -0,0 +1,253 @@
+import { Lottie } from '../models/Lottie.js';
+
+const FONT_EXTENSIONS = ['woff2', 'woff', 'ttf', 'otf'];
+
+const IMAGE_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    avif: 'image/avif',
+    svg: 'image/svg+xml'
+};
+
+const VIDEO_TYPES = {
+    webm: 'video/webm',
+    mp4: 'video/mp4',
+    mov: 'video/quicktime'
+};
+
+const FONT_TYPES = {
+    woff2: 'font/woff2',
+    woff: 'font/woff',
+    ttf: 'font/ttf',
+    otf: 'font/otf'
+};
+
+// Other files that packages carry next to their module
+const PACKAGE_FILE_TYPES = {
+    js: 'text/javascript',
+    mjs: 'text/javascript',
+    css: 'text/css',
+    json: 'application/json',
+    html: 'text/html'
+};
+
+// Weight keywords commonly found in font file names
+const FONT_WEIGHTS = [
+    ['thin', '100'], ['extralight', '200'], ['light', '300'], ['regular', '400'], ['book', '400'],
+    ['medium', '500'], ['semibold', '600'], ['extrabold', '800'], ['bold', '700'], ['black', '900'], ['heavy', '900']
+];
+
+/**
+ * Files uploaded to templates. Blobs are stored once per content hash and shared
+ * between templates, revisions and undo history, which only keep the metadata;
+ * blobs nothing refers to any more are removed on the next load.
+ */
+export class AssetLibrary {
+    constructor(storage) {
+        this.storage = storage;
+        this.blobs = new Map();
+        this.urls = new Map();
+        // Parsed Lottie animations by blob id: { promise, data } with data set once parsed
+        this.animations = new Map();
+        // FontFace objects added to the editor document, keyed by descriptor
+        this.fontFaces = new Map();
+    }
+
+    async load(referencedIds) {
+        const records = await this.storage.getAllAssets();
+        const unused = [];
+        records.forEach(record => {
+            if (referencedIds.has(record.id)) {
+                this.blobs.set(record.id, record.blob);
+            } else {
+                unused.push(record.id);
+            }
+        });
+
+        if (unused.length > 0) {
+            await this.storage.deleteAssets(unused);
+        }
+    }
+
+    static getExtension(name) {
+        const dot = name.lastIndexOf('.');
+        return dot === -1 ? '' : name.slice(dot + 1).toLowerCase();
+    }
+
+    // "image" (including SVG), "video", "font", "lottie" (Bodymovin JSON) or null for unsupported files
+    static getKind(file) {
+        const extension = AssetLibrary.getExtension(file.name || '');
+        if (FONT_EXTENSIONS.includes(extension) || (file.type || '').startsWith('font/')) {
+            return 'font';
+        }
+        if ((file.type || '').startsWith('video/') || extension in VIDEO_TYPES) {
+            return 'video';
+        }
+        if ((file.type || '').startsWith('image/') || extension in IMAGE_TYPES) {
+            return 'image';
+        }
+        if (extension === 'json' || file.type === 'application/json') {
+            return 'lottie';
+        }
+        return null;
+    }
+
+    /**
+     * Store an uploaded file and return its metadata. The template decides the
+     * path (see OGrafTemplate.addAsset).
+     */
+    async store(file) {
+        const kind = AssetLibrary.getKind(file);
+        if (!kind) {
+            throw new Error(`"${file.name}" is not an image, video, font or Lottie file`);
+        }
+        if (kind === 'lottie') {
+            await AssetLibrary.parseAnimation(file).catch(() => {
+                throw new Error(`"${file.name}" is not a Lottie animation`);
+            });
+        }
+
+        const extension = AssetLibrary.getExtension(file.name);
+        const type = kind === 'lottie' ? 'application/json' : file.type || FONT_TYPES[extension] || VIDEO_TYPES[extension] || IMAGE_TYPES[extension] || 'application/octet-stream';
+        const blob = file.type === type ? file : new Blob([file], { type });
+        const id = await this.put(blob, type);
+
+        const asset = { id, name: file.name, kind, type, size: blob.size };
+        return kind === 'font' ? { ...asset, ...AssetLibrary.describeFont(file.name) } : asset;
+    }
+
+    /**
+     * Store a file from an imported package. Files that are not images, videos,
+     * fonts or Lottie animations, such as scripts and style sheets, are kept as
+     * they are with the kind "file".
+     */
+    async storePackageFile(file) {
+        if (AssetLibrary.getKind(file)) {
+            try {
+                return await this.store(file);
+            } catch (error) {
+                // JSON that is not a Lottie animation
+            }
+        }
+
+        const type = PACKAGE_FILE_TYPES[AssetLibrary.getExtension(file.name)] || file.type || 'application/octet-stream';
+        const blob = file.type === type ? file : new Blob([file], { type });
+        const id = await this.put(blob, type);
+        return { id, name: file.name, kind: 'file', type, size: blob.size };
+    }
+
+    // Store a blob once per content hash and return its id
+    async put(blob, type) {
+        const id = await this.hash(blob);
+        if (!this.blobs.has(id)) {
+            await this.storage.putAsset({ id, blob, type });
+            this.blobs.set(id, blob);
+        }
+        return id;
+    }
+
+    // Guess family, weight and style from a file name such as "BrandSans-BoldItalic.woff2"
+    static describeFont(fileName) {
+        const base = fileName.replace(/\.[^.]+$/, '');
+        const [familyPart, ...variantParts] = base.split(/[-_]/);
+        const variant = variantParts.join('').toLowerCase();
+        const match = FONT_WEIGHTS.find(([keyword]) => variant.includes(keyword));
+
+        return {
+            family: familyPart.replace(/([a-z])([A-Z])/g, '$1 $2').trim() || base,
+            weight: match ? match[1] : '400',
+            style: /italic|oblique/.test(variant) ? 'italic' : 'normal'
+        };
+    }
+
+    async hash(blob) {
+        const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    getBlob(id) {
+        return this.blobs.get(id) || null;
+    }
+
+    static async parseAnimation(blob) {
+        const data = JSON.parse(await blob.text());
+        if (!Lottie.isAnimation(data)) {
+            throw new Error('Not a Lottie animation');
+        }
+        return data;
+    }
+
+    // The parsed animation of a Lottie asset; rejects when the file is missing or broken
+    loadAnimation(id) {
+        if (!this.animations.has(id)) {
+            const blob = this.getBlob(id);
+            const entry = { data: null };
+            entry.promise = (blob ? AssetLibrary.parseAnimation(blob) : Promise.reject(new Error('The file is missing')))
+                .then(data => entry.data = data);
+            this.animations.set(id, entry);
+        }
+        return this.animations.get(id).promise;
+    }
+
+    // The animation if it has been parsed, otherwise null
+    getAnimation(id) {
+        const entry = this.animations.get(id);
+        return entry ? entry.data : null;
+    }
+
+    getUrl(id) {
+        if (!this.urls.has(id)) {
+            const blob = this.getBlob(id);
+            if (!blob) return null;
+            this.urls.set(id, URL.createObjectURL(blob));
+        }
+        return this.urls.get(id);
+    }
+
+    // The URL to show for an element's content: the stored file for asset paths, anything else as is
+    resolve(template, path) {
+        const asset = template && template.getAsset(path);
+        return (asset && this.getUrl(asset.id)) || path;
+    }
+
+    // Make the template's fonts available to the editor document, dropping faces that are gone
+    applyFonts(template) {
+        if (typeof FontFace === 'undefined' || !document.fonts) return;
+
+        const wanted = new Map();
+        (template ? template.getFontFaces() : []).forEach(face => {
+            const asset = template.getAsset(face.path);
+            const url = asset && this.getUrl(asset.id);
+            if (url) {
+                wanted.set(`${face.family}|${face.weight}|${face.style}|${url}`, { ...face, url });
+            }
+        });
+
+        this.fontFaces.forEach((fontFace, key) => {
+            if (!wanted.has(key)) {
+                document.fonts.delete(fontFace);
+                this.fontFaces.delete(key);
+            }
+        });
+        wanted.forEach((face, key) => {
+            if (this.fontFaces.has(key)) return;
+            const fontFace = new FontFace(face.family, `url("${face.url}")`, { weight: face.weight, style: face.style });
+            document.fonts.add(fontFace);
+            fontFace.load().catch(error => console.warn(`Could not load font "${face.family}":`, error));
+            this.fontFaces.set(key, fontFace);
+        });
+    }
+
+    // Asset paths mapped to object URLs, for graphics loaded in the preview
+    getUrlMap(template) {
+        const urls = {};
+        (template.assets || []).forEach(asset => {
+            const url = this.getUrl(asset.id);
+            if (url) urls[asset.path] = url;
+        });
+        return urls;
+    }
+}
\ No newline at end of file
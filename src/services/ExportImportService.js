@@ -1,4 +1,9 @@
 import { saveAs } from 'file-saver';
+import { ZipArchive } from './ZipArchive.js';
+import { OGrafTemplate, DEFAULT_RESOLUTION } from '../models/OGrafTemplate.js';
+
+// Editor-specific data stored next to the manifest inside exported packages
+const EDITOR_SIDECAR_SUFFIX = '.ograf-editor.json';
 
 export class ExportImportService {
     constructor(templateManager) {
@@ -15,7 +20,7 @@ export class ExportImportService {
         }
 
         try {
-            const files = this.templateManager.exportTemplate(templateId);
+            const files = await this.templateManager.exportTemplate(templateId);
             
             switch (format) {
                 case 'zip':
@@ -33,25 +38,41 @@ export class ExportImportService {
     }
 
     /**
-     * Export template as ZIP file
+     * Export template as an OGraf package ZIP file
      */
     async exportAsZip(files, templateId) {
-        // For basic implementation without JSZip dependency
-        // We'll create a simple tar-like structure in a text file
-        const exportData = {
-            templateId: templateId,
-            exportDate: new Date().toISOString(),
-            files: files
-        };
+        const archive = this.createPackageArchive(files, templateId);
+        const blob = await archive.toBlob();
 
-        const blob = new Blob([JSON.stringify(exportData, null, 2)], {
-            type: 'application/json'
-        });
-        
-        saveAs(blob, `${templateId}-ograf-export.json`);
+        saveAs(blob, `${templateId}.zip`);
         return blob;
     }
 
+    /**
+     * Build the package archive: all files go into a folder named after the template,
+     * alongside an editor sidecar file so the layout survives a round trip
+     */
+    createPackageArchive(files, templateId) {
+        const archive = new ZipArchive();
+
+        Object.entries(files).forEach(([filename, content]) => {
+            archive.addFile(`${templateId}/${filename}`, content);
+        });
+
+        const template = this.templateManager.getTemplate(templateId);
+        if (template) {
+            const editorData = {
+                format: 'ograf-editor-template',
+                version: '1.0.0',
+                exportDate: new Date().toISOString(),
+                template: template.toJSON()
+            };
+            archive.addFile(`${templateId}/${templateId}${EDITOR_SIDECAR_SUFFIX}`, JSON.stringify(editorData, null, 2));
+        }
+
+        return archive;
+    }
+
     /**
      * Export template as JSON
      */
@@ -76,7 +97,7 @@ export class ExportImportService {
      */
     downloadFiles(files) {
         Object.entries(files).forEach(([filename, content]) => {
-            const blob = new Blob([content], {
+            const blob = content instanceof Blob ? content : new Blob([content], {
                 type: filename.endsWith('.json') ? 'application/json' : 'text/javascript'
             });
             saveAs(blob, filename);
@@ -88,18 +109,145 @@ export class ExportImportService {
      */
     async importTemplate(file) {
         try {
-            const content = await this.readFile(file);
-            
-            if (file.name.endsWith('.json')) {
+            if (file.name.toLowerCase().endsWith('.zip')) {
+                const buffer = await this.readFileAsArrayBuffer(file);
+                return await this.importFromZip(buffer);
+            }
+
+            if (file.name.toLowerCase().endsWith('.json')) {
+                const content = await this.readFile(file);
                 return this.importFromJSON(content);
             } else {
-                throw new Error('Unsupported file format. Please upload a JSON file.');
+                throw new Error('Unsupported file format. Please upload a ZIP or JSON file.');
             }
         } catch (error) {
             throw new Error(`Import failed: ${error.message}`);
         }
     }
 
+    /**
+     * Import from an OGraf package ZIP file. Every manifest in the package is
+     * imported; the first one is returned.
+     */
+    async importFromZip(buffer) {
+        if (!ZipArchive.isZip(buffer)) {
+            throw new Error('File is not a valid ZIP archive');
+        }
+
+        const archive = await ZipArchive.fromArrayBuffer(buffer);
+        const manifestFiles = archive.getFileNames()
+            .filter(name => name.endsWith('.ograf.json') && !this.isIgnoredPackagePath(name))
+            .sort();
+
+        if (manifestFiles.length === 0) {
+            throw new Error('No .ograf.json manifest found in package');
+        }
+
+        const templates = [];
+        for (const manifestFile of manifestFiles) {
+            templates.push(await this.importPackageManifest(archive, manifestFile));
+        }
+
+        return templates[0];
+    }
+
+    /**
+     * Import a single graphic from a package, resolving its main file relative to the manifest
+     */
+    async importPackageManifest(archive, manifestFile) {
+        const manifestJson = await archive.getText(manifestFile);
+        const manifest = JSON.parse(manifestJson);
+        const folder = manifestFile.includes('/') ? manifestFile.slice(0, manifestFile.lastIndexOf('/') + 1) : '';
+
+        // Packages exported by this editor carry the full editor template
+        const sidecarFile = `${folder}${manifest.id}${EDITOR_SIDECAR_SUFFIX}`;
+        if (archive.hasFile(sidecarFile)) {
+            const editorData = JSON.parse(await archive.getText(sidecarFile));
+            if (editorData.format === 'ograf-editor-template') {
+                const template = this.importEditorTemplate(editorData.template);
+                await this.importPackageAssets(template, archive, folder);
+                return template;
+            }
+        }
+
+        const mainFile = manifest.main ? this.resolvePackagePath(folder, manifest.main) : null;
+        const component = mainFile && archive.hasFile(mainFile) ? await archive.getText(mainFile) : '';
+
+        const template = this.templateManager.importTemplate(
+            JSON.stringify(this.normalizeManifest(manifest)),
+            component
+        );
+        await this.importPackageFiles(template, archive, mainFile);
+        return template;
+    }
+
+    /**
+     * Store the files a package without editor data keeps next to its module (images,
+     * fonts, libraries), under their own paths so the module's references still resolve
+     */
+    async importPackageFiles(template, archive, mainFile) {
+        if (!mainFile) return;
+        const moduleFolder = mainFile.includes('/') ? mainFile.slice(0, mainFile.lastIndexOf('/') + 1) : '';
+
+        const paths = archive.getFileNames().filter(name =>
+            name.startsWith(moduleFolder) &&
+            name !== mainFile &&
+            !name.endsWith('.ograf.json') &&
+            !name.endsWith(EDITOR_SIDECAR_SUFFIX) &&
+            !this.isIgnoredPackagePath(name)
+        );
+        for (const name of paths) {
+            const path = name.slice(moduleFolder.length);
+            if (template.getAsset(path)) continue;
+
+            const file = new File([await archive.getBytes(name)], path.slice(path.lastIndexOf('/') + 1));
+            template.assets.push({ ...(await this.templateManager.assets.storePackageFile(file)), path });
+        }
+
+        this.templateManager.saveToStorage({ history: false });
+    }
+
+    /**
+     * Store the asset files of an editor package; they sit next to the graphic's module
+     */
+    async importPackageAssets(template, archive, folder) {
+        const main = template.manifest.main || '';
+        const moduleFolder = this.resolvePackagePath(folder, main.includes('/') ? main.slice(0, main.lastIndexOf('/') + 1) : '');
+
+        for (const asset of template.assets) {
+            const path = this.resolvePackagePath(moduleFolder ? `${moduleFolder}/` : '', asset.path);
+            if (!archive.hasFile(path)) continue;
+
+            const file = new File([await archive.getBytes(path)], asset.name, { type: asset.type });
+            asset.id = (await this.templateManager.assets.store(file)).id;
+        }
+
+        this.templateManager.saveToStorage({ history: false });
+    }
+
+    /**
+     * Resolve a relative path (e.g. "./graphic.mjs" or "../lib/x.mjs") against a package folder
+     */
+    resolvePackagePath(folder, relativePath) {
+        const parts = (folder + relativePath).split('/');
+        const resolved = [];
+        parts.forEach(part => {
+            if (part === '..') {
+                resolved.pop();
+            } else if (part !== '.' && part !== '') {
+                resolved.push(part);
+            }
+        });
+        return resolved.join('/');
+    }
+
+    /**
+     * Skip metadata folders added by macOS and similar tools
+     */
+    isIgnoredPackagePath(path) {
+        return path.startsWith('__MACOSX/') || path.split('/').some(part => part.startsWith('._'));
+    }
+
     /**
      * Import from JSON file
      */
@@ -133,10 +281,22 @@ export class ExportImportService {
             templateData.webComponent
         );
         
-        // Restore elements if available
-        if (templateData.elements) {
-            template.elements = templateData.elements;
+        // Restore everything toJSON() wrote, keeping the checked manifest and component code.
+        // Asset files are stored separately; packages carry them next to the module
+        Object.assign(template, OGrafTemplate.fromJSON({
+            ...templateData,
+            manifest: template.manifest,
+            elements: templateData.elements || template.elements,
+            webComponent: template.webComponent
+        }));
+        // Packages from before the customCode flag: code that matches the editor's output is generated
+        if (templateData.customCode === undefined && template.webComponent) {
+            const code = template.webComponent;
+            if (template.generateWebComponent() !== code) {
+                template.webComponent = code;
+            }
         }
+        this.templateManager.saveToStorage({ history: false });
         
         return template;
     }
@@ -208,11 +368,11 @@ export class ExportImportService {
     /**
      * Generate a basic web component from manifest
      */
-    generateBasicComponent(manifest) {
+    generateBasicComponent(manifest, resolution = DEFAULT_RESOLUTION) {
         const className = this.toCamelCase(manifest.id) + 'Graphic';
         
         return `
-class ${className} extends HTMLElement {
+export default class ${className} extends HTMLElement {
     constructor() {
         super();
         this.attachShadow({ mode: 'open' });
@@ -224,38 +384,39 @@ class ${className} extends HTMLElement {
         this.render();
     }
 
-    async load() {
+    async load(params = {}) {
+        this.data = { ...(params.data || {}) };
         this.isVisible = false;
         this.render();
-        return Promise.resolve();
+        return { statusCode: 200 };
     }
 
-    async dispose() {
+    async dispose(params = {}) {
         this.isVisible = false;
         this.shadowRoot.innerHTML = '';
-        return Promise.resolve();
+        return { statusCode: 200 };
     }
 
-    async playAction() {
+    async playAction(params = {}) {
         this.isVisible = true;
         this.render();
-        return Promise.resolve();
+        return { statusCode: 200, currentStep: 0 };
     }
 
-    async stopAction() {
+    async stopAction(params = {}) {
         this.isVisible = false;
         this.render();
-        return Promise.resolve();
+        return { statusCode: 200 };
     }
 
-    async updateAction(data) {
-        this.data = { ...this.data, ...data };
+    async updateAction(params = {}) {
+        this.data = { ...this.data, ...(params.data || {}) };
         this.render();
-        return Promise.resolve();
+        return { statusCode: 200 };
     }
 
-    async customAction(action, data) {
-        return Promise.resolve();
+    async customAction(params = {}) {
+        return { statusCode: 200 };
     }
 
     render() {
@@ -264,8 +425,8 @@ class ${className} extends HTMLElement {
                 :host {
                     display: block;
                     position: relative;
-                    width: 1920px;
-                    height: 1080px;
+                    width: ${resolution.width}px;
+                    height: ${resolution.height}px;
                     font-family: Arial, sans-serif;
                     overflow: hidden;
                     opacity: \${this.isVisible ? '1' : '0'};
@@ -291,7 +452,7 @@ class ${className} extends HTMLElement {
             \${style}
             <div class="container">
                 <div class="content">
-                    ${manifest.name || 'OGraf Template'}
+                    ${this.escapeHtml(manifest.name || 'OGraf Template')}
                     \${this.renderData()}
                 </div>
             </div>
@@ -300,12 +461,19 @@ class ${className} extends HTMLElement {
 
     renderData() {
         return Object.entries(this.data).map(([key, value]) => 
-            \`<div>\${key}: \${value}</div>\`
+            \`<div>\${this.escapeHtml(key)}: \${this.escapeHtml(value)}</div>\`
         ).join('');
     }
-}
 
-customElements.define('${manifest.id}-graphic', ${className});
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
         `.trim();
     }
 
@@ -328,6 +496,25 @@ customElements.define('${manifest.id}-graphic', ${className});
         });
     }
 
+    /**
+     * Read binary file content
+     */
+    readFileAsArrayBuffer(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+
+            reader.onload = (e) => {
+                resolve(e.target.result);
+            };
+
+            reader.onerror = (e) => {
+                reject(new Error('Failed to read file'));
+            };
+
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
     /**
      * Export multiple templates as bundle
      */
@@ -469,11 +656,30 @@ customElements.define('${manifest.id}-graphic', ${className});
                  .replace(/^[a-z]/, (g) => g.toUpperCase());
     }
 
+    /**
+     * Escape text for HTML inside generated code; backticks, "$" and backslashes
+     * become entities too so the text cannot end the code's template literal
+     */
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;')
+            .replace(/[`$\\]/g, (char) => `&#${char.charCodeAt(0)};`);
+    }
+
     /**
      * Get supported import formats
      */
     getSupportedFormats() {
         return [
+            {
+                extension: '.zip',
+                description: 'OGraf Package ZIP',
+                mimeType: 'application/zip'
+            },
             {
                 extension: '.json',
                 description: 'OGraf Template JSON',
@@ -494,8 +700,8 @@ customElements.define('${manifest.id}-graphic', ${className});
             },
             {
                 id: 'zip',
-                name: 'OGraf Bundle',
-                description: 'Export as OGraf-compatible bundle'
+                name: 'OGraf Package',
+                description: 'Export as OGraf package ZIP (manifest, module and assets)'
             },
             {
                 id: 'folder',
@@ -0,0 +1,166 @@
+import { OGrafTemplate } from '../models/OGrafTemplate.js';
+
+const HISTORY_LIMIT = 100;
+
+// Edits with the same merge key this close together become one entry (typing, slider drags)
+const MERGE_WINDOW = 1000;
+
+/**
+ * Undo/redo history for the templates in a TemplateManager. Every save of the
+ * current template is compared with the last known state; when it changed, a
+ * command holding the before and after snapshots is pushed onto that template's
+ * undo stack. Snapshots leave out generated component code, which is
+ * regenerated; code edited by hand is kept so undo does not overwrite it.
+ */
+export class HistoryManager {
+    constructor(templateManager) {
+        this.templateManager = templateManager;
+        // Keyed by template object so stacks survive manifest id edits
+        this.stacks = new WeakMap();
+        this.listeners = [];
+    }
+
+    getStack(template) {
+        if (!this.stacks.has(template)) {
+            this.stacks.set(template, { undo: [], redo: [], baseline: this.snapshot(template) });
+        }
+        return this.stacks.get(template);
+    }
+
+    snapshot(template) {
+        const data = template.toJSON();
+        if (!template.hasCustomCode()) {
+            delete data.webComponent;
+        }
+        return JSON.stringify(data);
+    }
+
+    // Start tracking a template without recording its current state as an edit
+    track(template) {
+        if (template) {
+            this.getStack(template);
+        }
+    }
+
+    /**
+     * Record the current template's changes since the last checkpoint. Options:
+     * label (shown on the undo/redo buttons), mergeKey (merge with the previous
+     * entry if it has the same key and is recent) and history: false (accept the
+     * current state without an undo entry).
+     */
+    checkpoint(options = {}) {
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template) return;
+
+        const isNew = !this.stacks.has(template);
+        const stack = this.getStack(template);
+        const after = this.snapshot(template);
+        if (isNew || after === stack.baseline) return;
+
+        if (options.history === false) {
+            stack.baseline = after;
+            return;
+        }
+
+        const now = Date.now();
+        const last = stack.undo[stack.undo.length - 1];
+        if (last && options.mergeKey && last.mergeKey === options.mergeKey && now - last.time < MERGE_WINDOW) {
+            last.after = after;
+            last.time = now;
+        } else {
+            stack.undo.push(this.createCommand(template, stack.baseline, after, options));
+            if (stack.undo.length > HISTORY_LIMIT) {
+                stack.undo.shift();
+            }
+        }
+
+        stack.redo = [];
+        stack.baseline = after;
+        this.notify();
+    }
+
+    createCommand(template, before, after, options) {
+        const command = {
+            label: options.label || 'Edit',
+            mergeKey: options.mergeKey || null,
+            time: Date.now(),
+            before,
+            after,
+            undo: () => this.applySnapshot(template, command.before),
+            redo: () => this.applySnapshot(template, command.after)
+        };
+        return command;
+    }
+
+    applySnapshot(template, snapshot) {
+        const restored = OGrafTemplate.fromJSON(JSON.parse(snapshot));
+        const customCode = restored.webComponent;
+        delete restored.webComponent;
+        delete restored.generatedCode;
+        if (!restored.animationSettings) {
+            delete template.animationSettings;
+        }
+        Object.assign(template, restored);
+        if (customCode) {
+            template.webComponent = customCode;
+        } else {
+            template.generateWebComponent();
+        }
+    }
+
+    canUndo() {
+        const template = this.templateManager.getCurrentTemplate();
+        return !!template && this.getStack(template).undo.length > 0;
+    }
+
+    canRedo() {
+        const template = this.templateManager.getCurrentTemplate();
+        return !!template && this.getStack(template).redo.length > 0;
+    }
+
+    getUndoLabel() {
+        const template = this.templateManager.getCurrentTemplate();
+        const undo = template ? this.getStack(template).undo : [];
+        return undo.length > 0 ? undo[undo.length - 1].label : null;
+    }
+
+    getRedoLabel() {
+        const template = this.templateManager.getCurrentTemplate();
+        const redo = template ? this.getStack(template).redo : [];
+        return redo.length > 0 ? redo[redo.length - 1].label : null;
+    }
+
+    undo() {
+        return this.step('undo', 'redo');
+    }
+
+    redo() {
+        return this.step('redo', 'undo');
+    }
+
+    step(from, to) {
+        const template = this.templateManager.getCurrentTemplate();
+        if (!template) return false;
+
+        const stack = this.getStack(template);
+        const command = stack[from].pop();
+        if (!command) return false;
+
+        command[from]();
+        // Never merge into an entry that has been undone and redone
+        command.mergeKey = null;
+        stack[to].push(command);
+        stack.baseline = this.snapshot(template);
+        this.templateManager.saveToStorage({ history: false });
+        this.notify();
+        return true;
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,38 @@
+import { LOTTIE_RUNTIME_PATH } from '../models/Lottie.js';
+
+let sourcePromise = null;
+let runtimeUrl = null;
+
+/**
+ * The Lottie player that graphics with Lottie elements import, so they play
+ * without network access. Exported packages carry it at LOTTIE_RUNTIME_PATH
+ * next to the module; the preview serves it from memory.
+ */
+export class LottieRuntime {
+    static isNeeded(template) {
+        return template.getAllElements().some(element => element.type === 'lottie');
+    }
+
+    // The light player (SVG renderer, no expressions) as an ES module, loaded on first use
+    static getSource() {
+        if (!sourcePromise) {
+            sourcePromise = import('lottie-web/build/player/esm/lottie_light.min.js?raw').then(module => module.default);
+        }
+        return sourcePromise;
+    }
+
+    static async getUrl() {
+        if (!runtimeUrl) {
+            runtimeUrl = URL.createObjectURL(new Blob([await LottieRuntime.getSource()], { type: 'text/javascript' }));
+        }
+        return runtimeUrl;
+    }
+
+    // Add the player to a template's files when it needs one; moduleFolder is where the module sits
+    static async addTo(files, template, moduleFolder = '') {
+        if (LottieRuntime.isNeeded(template)) {
+            files[`${moduleFolder}${LOTTIE_RUNTIME_PATH}`] = await LottieRuntime.getSource();
+        }
+        return files;
+    }
+}
\ No newline at end of file
@@ -1,10 +1,37 @@
 import { OGrafTemplate } from '../models/OGrafTemplate.js';
+import { HistoryManager } from './HistoryManager.js';
+import { TemplateStorage } from './TemplateStorage.js';
+import { AssetLibrary } from './AssetLibrary.js';
+import { LottieRuntime } from './LottieRuntime.js';
+
+// Edits are written this long after the last change
+const AUTOSAVE_DELAY = 500;
+
+// While editing, a restorable revision is recorded at most this often per template
+const REVISION_INTERVAL = 5 * 60 * 1000;
+
+// Keys used before templates moved to IndexedDB; migrated on first load
+const LEGACY_TEMPLATES_KEY = 'ograf-templates';
+const LEGACY_CURRENT_KEY = 'ograf-current-template';
 
 export class TemplateManager {
-    constructor() {
+    constructor(storage = new TemplateStorage()) {
         this.templates = new Map();
         this.currentTemplate = null;
-        this.loadFromStorage();
+        this.history = new HistoryManager(this);
+        this.storage = storage;
+        this.assets = new AssetLibrary(storage);
+
+        // Last written JSON per template id, to write only what changed
+        this.savedRecords = new Map();
+        this.lastRevisionTimes = new Map();
+        this.pendingRevisionLabels = new Map();
+        this.saveTimer = null;
+        this.saveQueue = Promise.resolve();
+        this.saveStatus = { state: 'idle', error: null };
+        this.saveListeners = [];
+
+        this.ready = this.loadFromStorage();
     }
 
     createTemplate(type, id, name, description) {
@@ -32,6 +59,9 @@ export class TemplateManager {
         const template = this.templates.get(id);
         if (template) {
             this.currentTemplate = template;
+            this.history.track(template);
+            this.history.notify();
+            this.scheduleSave();
             return true;
         }
         return false;
@@ -62,7 +92,7 @@ export class TemplateManager {
         return deleted;
     }
 
-    exportTemplate(id) {
+    async exportTemplate(id) {
         const template = this.templates.get(id);
         if (!template) {
             throw new Error(`Template with id "${id}" not found`);
@@ -78,7 +108,23 @@ export class TemplateManager {
             [`${template.manifest.main}`]: template.webComponent
         };
 
-        return files;
+        // Asset paths are relative to the module, which may sit in a subfolder
+        const main = template.manifest.main;
+        const moduleFolder = main.includes('/') ? main.slice(0, main.lastIndexOf('/') + 1) : '';
+        const missing = [];
+        template.assets.forEach(asset => {
+            const blob = this.assets.getBlob(asset.id);
+            if (blob) {
+                files[`${moduleFolder}${asset.path}`] = blob;
+            } else {
+                missing.push(asset.path);
+            }
+        });
+        if (missing.length > 0) {
+            throw new Error(`Asset files are missing: ${missing.join(', ')}`);
+        }
+
+        return LottieRuntime.addTo(files, template, moduleFolder);
     }
 
     importTemplate(manifestJson, componentCode) {
@@ -167,7 +213,7 @@ export class TemplateManager {
             }
         });
 
-        // Add background if multiple text elements
+        // Add a background behind the text elements (first in the array is lowest in the stack)
         if (elements.length > 0) {
             const maxWidth = Math.max(...elements.map(el => el.x + el.width)) + 50;
             const maxHeight = Math.max(...elements.map(el => el.y + el.height)) + 20;
@@ -183,8 +229,7 @@ export class TemplateManager {
                 height: maxHeight - minY,
                 style: { 
                     backgroundColor: 'rgba(0, 120, 204, 0.9)', 
-                    borderRadius: '4px',
-                    zIndex: -1
+                    borderRadius: '4px'
                 }
             });
         }
@@ -204,16 +249,9 @@ export class TemplateManager {
     }
 
     cleanComponentCode(componentCode) {
-        let cleaned = componentCode;
-        
-        // Remove export statements
-        cleaned = cleaned.replace(/^export\s+default\s+/m, '');
-        cleaned = cleaned.replace(/^export\s+/m, '');
-        
-        // Ensure proper formatting
-        cleaned = cleaned.trim();
-        
-        return cleaned;
+        // Keep export statements intact: OGraf graphics are ES modules whose
+        // default export is the Graphic class, registered by the renderer
+        return componentCode.trim();
     }
 
     extractElementsFromComponent(componentCode) {
@@ -243,57 +281,205 @@ export class TemplateManager {
         return elements;
     }
 
-    saveToStorage() {
-        try {
-            const templatesData = {};
-            for (const [id, template] of this.templates) {
-                templatesData[id] = template.toJSON();
+    /**
+     * Record an edit and schedule it to be written. Options are passed on to the
+     * history checkpoint (label, mergeKey, history). Writes are debounced, so a
+     * burst of edits results in one transaction.
+     */
+    saveToStorage(options = {}) {
+        this.history.checkpoint(options);
+        this.scheduleSave();
+    }
+
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.flush(), AUTOSAVE_DELAY);
+        this.setSaveStatus(this.saveStatus.state === 'error' ? 'error' : 'pending', this.saveStatus.error);
+    }
+
+    // Write pending changes now; resolves once they are stored
+    flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.saveQueue = this.saveQueue.then(() => this.writeChanges());
+        return this.saveQueue;
+    }
+
+    async writeChanges() {
+        const now = Date.now();
+        const records = [];
+        const revisions = [];
+
+        for (const [id, template] of this.templates) {
+            const data = template.toJSON();
+            const serialized = JSON.stringify(data);
+            if (this.savedRecords.get(id) === serialized) continue;
+
+            records.push({ id, data, updatedAt: now, serialized });
+
+            const label = this.pendingRevisionLabels.get(id);
+            if (label || now - (this.lastRevisionTimes.get(id) || 0) >= REVISION_INTERVAL) {
+                revisions.push(this.createRevision(id, data, label || 'Autosave', now));
             }
-            
-            localStorage.setItem('ograf-templates', JSON.stringify(templatesData));
-            localStorage.setItem('ograf-current-template', 
-                this.currentTemplate ? this.currentTemplate.manifest.id : null);
+        }
+        const removedIds = [...this.savedRecords.keys()].filter(id => !this.templates.has(id));
+
+        this.setSaveStatus('saving');
+        try {
+            await this.storage.save({
+                records: records.map(({ serialized, ...record }) => record),
+                removedIds,
+                revisions,
+                currentTemplateId: this.currentTemplate ? this.currentTemplate.manifest.id : null
+            });
         } catch (error) {
+            this.setSaveStatus('error', `Changes could not be saved: ${error.message || error}`);
+            return;
+        }
+
+        records.forEach(record => this.savedRecords.set(record.id, record.serialized));
+        removedIds.forEach(id => {
+            this.savedRecords.delete(id);
+            this.lastRevisionTimes.delete(id);
+        });
+        revisions.forEach(revision => {
+            this.lastRevisionTimes.set(revision.templateId, now);
+            this.pendingRevisionLabels.delete(revision.templateId);
+        });
+        this.setSaveStatus(this.saveTimer ? 'pending' : 'saved');
+    }
+
+    createRevision(templateId, data, label, time) {
+        // The component code is regenerated on restore
+        const { webComponent, ...snapshot } = data;
+        return { templateId, createdAt: time, label, data: snapshot };
+    }
+
+    hasUnsavedChanges() {
+        return this.saveTimer !== null || this.saveStatus.state === 'saving' || this.saveStatus.state === 'error';
+    }
+
+    // Record a revision of the current template with the next write
+    saveRevision(label = 'Saved manually') {
+        if (!this.currentTemplate) return Promise.resolve();
+
+        const id = this.currentTemplate.manifest.id;
+        this.pendingRevisionLabels.set(id, label);
+        // Force a write even when nothing changed since the last one
+        this.savedRecords.delete(id);
+        return this.flush();
+    }
+
+    async getRevisions(templateId) {
+        return this.storage.getRevisions(templateId);
+    }
+
+    // Restore the current template to a revision; the restore itself can be undone
+    async restoreRevision(revisionId) {
+        const revision = await this.storage.getRevision(revisionId);
+        if (!revision) {
+            throw new Error('Revision not found');
+        }
+        if (!this.currentTemplate || this.currentTemplate.manifest.id !== revision.templateId) {
+            throw new Error(`Revision belongs to template "${revision.templateId}", which is not open`);
         }
+
+        await this.saveRevision('Before restore');
+        this.history.applySnapshot(this.currentTemplate, JSON.stringify(revision.data));
+        this.saveToStorage({ label: 'Restore revision' });
+        return this.currentTemplate;
     }
 
-    loadFromStorage() {
+    setSaveStatus(state, error = null) {
+        this.saveStatus = { state, error };
+        this.saveListeners.forEach(listener => listener(this.saveStatus));
+    }
+
+    onSaveStatusChange(listener) {
+        this.saveListeners.push(listener);
+    }
+
+    async loadFromStorage() {
+        let stored;
         try {
-            const templatesData = localStorage.getItem('ograf-templates');
-            const currentTemplateId = localStorage.getItem('ograf-current-template');
-            
-            if (templatesData) {
-                const parsed = JSON.parse(templatesData);
-                for (const [id, templateData] of Object.entries(parsed)) {
-                    try {
-                        const template = OGrafTemplate.fromJSON(templateData);
-                        // Ensure the template has all required methods
-                        if (typeof template.generateWebComponent !== 'function') {
-                            const newTemplate = new OGrafTemplate();
-                            newTemplate.manifest = templateData.manifest;
-                            newTemplate.elements = templateData.elements || [];
-                            newTemplate.webComponent = null; // Will regenerate when needed
-                            this.templates.set(id, newTemplate);
-                        } else {
-                            this.templates.set(id, template);
-                        }
-                    } catch (templateError) {
-                    }
+            stored = await this.storage.load();
+        } catch (error) {
+            this.setSaveStatus('error', `Templates cannot be stored: ${error.message || error}`);
+            return;
+        }
+
+        let { records, currentTemplateId } = stored;
+        const migrating = records.length === 0 && this.readLegacyStorage();
+        if (migrating) {
+            records = migrating.records;
+            currentTemplateId = migrating.currentTemplateId;
+        }
+
+        records.forEach(record => {
+            try {
+                this.templates.set(record.id, OGrafTemplate.fromJSON(record.data));
+                if (!migrating) {
+                    this.savedRecords.set(record.id, JSON.stringify(record.data));
                 }
+            } catch (templateError) {
+                console.warn(`Skipping stored template "${record.id}":`, templateError);
             }
+        });
+
+        if (currentTemplateId && this.templates.has(currentTemplateId)) {
+            this.currentTemplate = this.templates.get(currentTemplateId);
+            this.history.track(this.currentTemplate);
+        }
+
+        try {
+            await this.assets.load(await this.getReferencedAssetIds());
+        } catch (error) {
+            console.warn('Could not load template assets:', error);
+        }
 
-            if (currentTemplateId && this.templates.has(currentTemplateId)) {
-                this.currentTemplate = this.templates.get(currentTemplateId);
+        if (migrating) {
+            await this.flush();
+            if (this.saveStatus.state === 'saved') {
+                localStorage.removeItem(LEGACY_TEMPLATES_KEY);
+                localStorage.removeItem(LEGACY_CURRENT_KEY);
             }
+        }
+    }
+
+    // Assets used by any template or revision; the rest can be removed
+    async getReferencedAssetIds() {
+        const ids = new Set();
+        const collect = (data) => (data.assets || []).forEach(asset => ids.add(asset.id));
+
+        this.templates.forEach(template => collect(template));
+        (await this.storage.getAllRevisions()).forEach(revision => collect(revision.data));
+        return ids;
+    }
+
+    readLegacyStorage() {
+        try {
+            const templatesData = localStorage.getItem(LEGACY_TEMPLATES_KEY);
+            if (!templatesData) return null;
+
+            return {
+                records: Object.entries(JSON.parse(templatesData)).map(([id, data]) => ({ id, data })),
+                currentTemplateId: localStorage.getItem(LEGACY_CURRENT_KEY)
+            };
         } catch (error) {
+            console.warn('Could not read templates saved by an older version:', error);
+            return null;
         }
     }
 
-    clearStorage() {
-        localStorage.removeItem('ograf-templates');
-        localStorage.removeItem('ograf-current-template');
+    async clearStorage() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
         this.templates.clear();
         this.currentTemplate = null;
+        this.savedRecords.clear();
+        this.lastRevisionTimes.clear();
+        this.pendingRevisionLabels.clear();
+        await this.storage.clear();
     }
 
     validateTemplate(template) {
@@ -0,0 +1,173 @@
+const DB_NAME = 'ograf-editor';
+const DB_VERSION = 2;
+
+// Revisions kept per template; the oldest are dropped first
+export const REVISION_LIMIT = 50;
+
+/**
+ * IndexedDB persistence. Every template is its own record in "templates"
+ * ({ id, data, updatedAt }), "revisions" holds restorable snapshots
+ * ({ id, templateId, createdAt, label, data }), "assets" holds uploaded files
+ * ({ id, blob, type }) keyed by content hash so templates can share them, and
+ * "settings" holds small values such as the id of the current template.
+ */
+export class TemplateStorage {
+    constructor(factory = globalThis.indexedDB) {
+        this.factory = factory;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!this.factory) {
+                    reject(new Error('IndexedDB is not available in this browser'));
+                    return;
+                }
+
+                const request = this.factory.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('templates')) {
+                        db.createObjectStore('templates', { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains('revisions')) {
+                        const revisions = db.createObjectStore('revisions', { keyPath: 'id', autoIncrement: true });
+                        revisions.createIndex('templateId', 'templateId');
+                    }
+                    if (!db.objectStoreNames.contains('settings')) {
+                        db.createObjectStore('settings');
+                    }
+                    if (!db.objectStoreNames.contains('assets')) {
+                        db.createObjectStore('assets', { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('Storage is blocked by another open editor tab'));
+            });
+
+            // Allow a later attempt after a failed open
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Run `work` against the named stores in one transaction; resolves with its result once committed
+    async run(storeNames, mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            const stores = {};
+            storeNames.forEach(name => {
+                stores[name] = transaction.objectStore(name);
+            });
+
+            const result = {};
+            transaction.oncomplete = () => resolve(result.value);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Storage transaction was aborted'));
+
+            work(stores, value => {
+                result.value = value;
+            });
+        });
+    }
+
+    async load() {
+        return this.run(['templates', 'settings'], 'readonly', (stores, done) => {
+            const loaded = { records: [], currentTemplateId: null };
+            stores.templates.getAll().onsuccess = (e) => {
+                loaded.records = e.target.result;
+            };
+            stores.settings.get('currentTemplate').onsuccess = (e) => {
+                loaded.currentTemplateId = e.target.result || null;
+            };
+            done(loaded);
+        });
+    }
+
+    /**
+     * Write changed template records, delete removed templates (with their
+     * revisions) and add revisions, all in one transaction.
+     */
+    async save({ records = [], removedIds = [], revisions = [], currentTemplateId = null }) {
+        return this.run(['templates', 'revisions', 'settings'], 'readwrite', (stores) => {
+            records.forEach(record => stores.templates.put(record));
+            stores.settings.put(currentTemplateId, 'currentTemplate');
+
+            removedIds.forEach(id => {
+                stores.templates.delete(id);
+                stores.revisions.index('templateId').getAllKeys(IDBKeyRange.only(id)).onsuccess = (e) => {
+                    e.target.result.forEach(key => stores.revisions.delete(key));
+                };
+            });
+
+            revisions.forEach(revision => {
+                stores.revisions.add(revision);
+                this.pruneRevisions(stores.revisions, revision.templateId);
+            });
+        });
+    }
+
+    pruneRevisions(store, templateId) {
+        store.index('templateId').getAllKeys(IDBKeyRange.only(templateId)).onsuccess = (e) => {
+            // Keys are auto-incremented, so the lowest are the oldest
+            const keys = e.target.result.sort((a, b) => a - b);
+            keys.slice(0, Math.max(0, keys.length - REVISION_LIMIT)).forEach(key => store.delete(key));
+        };
+    }
+
+    // Newest first
+    async getRevisions(templateId) {
+        return this.run(['revisions'], 'readonly', (stores, done) => {
+            stores.revisions.index('templateId').getAll(IDBKeyRange.only(templateId)).onsuccess = (e) => {
+                done(e.target.result.sort((a, b) => b.id - a.id));
+            };
+        });
+    }
+
+    async getRevision(revisionId) {
+        return this.run(['revisions'], 'readonly', (stores, done) => {
+            stores.revisions.get(revisionId).onsuccess = (e) => {
+                done(e.target.result || null);
+            };
+        });
+    }
+
+    async getAllRevisions() {
+        return this.run(['revisions'], 'readonly', (stores, done) => {
+            stores.revisions.getAll().onsuccess = (e) => {
+                done(e.target.result);
+            };
+        });
+    }
+
+    async putAsset(record) {
+        return this.run(['assets'], 'readwrite', (stores) => {
+            stores.assets.put(record);
+        });
+    }
+
+    async getAllAssets() {
+        return this.run(['assets'], 'readonly', (stores, done) => {
+            stores.assets.getAll().onsuccess = (e) => {
+                done(e.target.result);
+            };
+        });
+    }
+
+    async deleteAssets(ids) {
+        return this.run(['assets'], 'readwrite', (stores) => {
+            ids.forEach(id => stores.assets.delete(id));
+        });
+    }
+
+    async clear() {
+        return this.run(['templates', 'revisions', 'settings', 'assets'], 'readwrite', (stores) => {
+            Object.values(stores).forEach(store => store.clear());
+        });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,301 @@
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+// General purpose flag bit 11: file names are UTF-8 encoded
+const FLAG_UTF8 = 0x0800;
+
+let crcTable = null;
+
+function getCrcTable() {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    return crcTable;
+}
+
+/**
+ * Minimal ZIP archive reader/writer supporting the store and deflate methods.
+ * Compression uses the browser's CompressionStream API and falls back to
+ * storing entries uncompressed when it is not available.
+ */
+export class ZipArchive {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    /**
+     * Add a file. Content may be a string, Uint8Array, ArrayBuffer or Blob.
+     */
+    addFile(path, content, options = {}) {
+        this.entries.set(this.normalizePath(path), {
+            content,
+            compress: options.compress !== false,
+            date: options.date || new Date()
+        });
+    }
+
+    hasFile(path) {
+        return this.entries.has(this.normalizePath(path));
+    }
+
+    getFileNames() {
+        return Array.from(this.entries.keys());
+    }
+
+    /**
+     * Read a file as Uint8Array
+     */
+    async getBytes(path) {
+        const entry = this.entries.get(this.normalizePath(path));
+        if (!entry) {
+            throw new Error(`File "${path}" not found in archive`);
+        }
+        return ZipArchive.toBytes(entry.content);
+    }
+
+    /**
+     * Read a file as UTF-8 text
+     */
+    async getText(path) {
+        const bytes = await this.getBytes(path);
+        return new TextDecoder('utf-8').decode(bytes);
+    }
+
+    /**
+     * Serialize the archive to a Blob
+     */
+    async toBlob() {
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        for (const [path, entry] of this.entries) {
+            const data = await ZipArchive.toBytes(entry.content);
+            const crc = ZipArchive.crc32(data);
+
+            let method = METHOD_STORE;
+            let stored = data;
+            if (entry.compress && data.length > 0 && ZipArchive.supportsCompression()) {
+                const deflated = await ZipArchive.deflateRaw(data);
+                if (deflated.length < data.length) {
+                    method = METHOD_DEFLATE;
+                    stored = deflated;
+                }
+            }
+
+            const name = encoder.encode(path);
+            const { time, date } = ZipArchive.toDosDateTime(entry.date);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, LOCAL_FILE_HEADER, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, FLAG_UTF8, true);
+            local.setUint16(8, method, true);
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, stored.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, CENTRAL_DIRECTORY_HEADER, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, FLAG_UTF8, true);
+            central.setUint16(10, method, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, stored.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint16(30, 0, true);
+            central.setUint16(32, 0, true);
+            central.setUint16(34, 0, true);
+            central.setUint16(36, 0, true);
+            central.setUint32(38, 0, true);
+            central.setUint32(42, offset, true);
+
+            localParts.push(local.buffer, name, stored);
+            centralParts.push(central.buffer, name);
+            offset += 30 + name.length + stored.length;
+        }
+
+        const centralSize = centralParts.reduce((size, part) => size + part.byteLength, 0);
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+        end.setUint16(4, 0, true);
+        end.setUint16(6, 0, true);
+        end.setUint16(8, this.entries.size, true);
+        end.setUint16(10, this.entries.size, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+        end.setUint16(20, 0, true);
+
+        return new Blob([...localParts, ...centralParts, end.buffer], { type: 'application/zip' });
+    }
+
+    /**
+     * Parse a ZIP archive from an ArrayBuffer
+     */
+    static async fromArrayBuffer(buffer) {
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        const decoder = new TextDecoder('utf-8');
+
+        const endOffset = ZipArchive.findEndOfCentralDirectory(view);
+        if (endOffset < 0) {
+            throw new Error('Not a valid ZIP file (end of central directory not found)');
+        }
+
+        const entryCount = view.getUint16(endOffset + 10, true);
+        let pointer = view.getUint32(endOffset + 16, true);
+        if (pointer === 0xffffffff || entryCount === 0xffff) {
+            throw new Error('ZIP64 archives are not supported');
+        }
+
+        const archive = new ZipArchive();
+
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(pointer, true) !== CENTRAL_DIRECTORY_HEADER) {
+                throw new Error('Corrupt ZIP file (invalid central directory entry)');
+            }
+
+            const method = view.getUint16(pointer + 10, true);
+            const time = view.getUint16(pointer + 12, true);
+            const date = view.getUint16(pointer + 14, true);
+            const crc = view.getUint32(pointer + 16, true);
+            const compressedSize = view.getUint32(pointer + 20, true);
+            const nameLength = view.getUint16(pointer + 28, true);
+            const extraLength = view.getUint16(pointer + 30, true);
+            const commentLength = view.getUint16(pointer + 32, true);
+            const localOffset = view.getUint32(pointer + 42, true);
+            const name = decoder.decode(bytes.subarray(pointer + 46, pointer + 46 + nameLength));
+
+            pointer += 46 + nameLength + extraLength + commentLength;
+
+            // Directory entries carry no data
+            if (name.endsWith('/')) continue;
+
+            if (view.getUint32(localOffset, true) !== LOCAL_FILE_HEADER) {
+                throw new Error(`Corrupt ZIP file (invalid local header for "${name}")`);
+            }
+            const localNameLength = view.getUint16(localOffset + 26, true);
+            const localExtraLength = view.getUint16(localOffset + 28, true);
+            const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+            const stored = bytes.slice(dataStart, dataStart + compressedSize);
+
+            let data;
+            if (method === METHOD_STORE) {
+                data = stored;
+            } else if (method === METHOD_DEFLATE) {
+                data = await ZipArchive.inflateRaw(stored);
+            } else {
+                throw new Error(`Unsupported compression method ${method} for "${name}"`);
+            }
+
+            if (ZipArchive.crc32(data) !== crc) {
+                throw new Error(`CRC mismatch for "${name}"`);
+            }
+
+            archive.addFile(name, data, { date: ZipArchive.fromDosDateTime(time, date) });
+        }
+
+        return archive;
+    }
+
+    static findEndOfCentralDirectory(view) {
+        // The record is at least 22 bytes and may be followed by a comment of up to 64KB
+        const minOffset = Math.max(0, view.byteLength - 22 - 0xffff);
+        for (let offset = view.byteLength - 22; offset >= minOffset; offset--) {
+            if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) {
+                return offset;
+            }
+        }
+        return -1;
+    }
+
+    static isZip(buffer) {
+        if (buffer.byteLength < 4) return false;
+        return new DataView(buffer).getUint32(0, true) === LOCAL_FILE_HEADER;
+    }
+
+    static supportsCompression() {
+        if (typeof CompressionStream === 'undefined') return false;
+        try {
+            new CompressionStream('deflate-raw');
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    static async deflateRaw(data) {
+        const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    static async inflateRaw(data) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot decompress ZIP files (DecompressionStream not available)');
+        }
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    static crc32(data) {
+        const table = getCrcTable();
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) {
+            crc = table[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    static async toBytes(content) {
+        if (content instanceof Uint8Array) return content;
+        if (content instanceof ArrayBuffer) return new Uint8Array(content);
+        if (typeof Blob !== 'undefined' && content instanceof Blob) {
+            return new Uint8Array(await content.arrayBuffer());
+        }
+        return new TextEncoder().encode(String(content ?? ''));
+    }
+
+    static toDosDateTime(date) {
+        const year = Math.max(1980, date.getFullYear());
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    static fromDosDateTime(time, date) {
+        return new Date(
+            ((date >> 9) & 0x7f) + 1980,
+            ((date >> 5) & 0x0f) - 1,
+            date & 0x1f,
+            (time >> 11) & 0x1f,
+            (time >> 5) & 0x3f,
+            (time & 0x1f) * 2
+        );
+    }
+
+    normalizePath(path) {
+        return String(path).replace(/\\/g, '/').replace(/^\.?\/+/, '');
+    }
+}
\ No newline at end of file
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Expression } from '../src/models/Expression.js';
+
+const data = {
+    title: 'Breaking',
+    subtitle: '',
+    person: { name: 'annabelle' },
+    results: [{ votes: 3 }, { votes: 5 }],
+    isLive: true,
+    score: 12,
+    final: false,
+    share: 0.4567
+};
+
+test('bindings read nested paths and array items', () => {
+    assert.equal(Expression.render('{{title}}', data), 'Breaking');
+    assert.equal(Expression.render('{{person.name}}', data), 'annabelle');
+    assert.equal(Expression.render('{{results[1].votes}} votes', data), '5 votes');
+});
+
+test('filters run from left to right', () => {
+    assert.equal(Expression.render('{{subtitle | default:"Live"}}', data), 'Live');
+    assert.equal(Expression.render('{{person.name | upper | truncate:4}}', data), 'ANNA…');
+    assert.equal(Expression.render('{{share | number:1}}', data), '0.5');
+    assert.equal(Expression.render('{{results | length}}', data), '2');
+});
+
+test('conditionals pick a branch', () => {
+    assert.equal(Expression.render('{{#if isLive}}LIVE{{else}}Recorded{{/if}}', data), 'LIVE');
+    assert.equal(Expression.render('{{#if final}}Final{{else}}Running{{/if}}', data), 'Running');
+    assert.equal(Expression.render('{{#if score >= 10 && !final}}High{{/if}}', data), 'High');
+});
+
+test('missing values and broken bindings render as empty text', () => {
+    assert.equal(Expression.render('[{{missing.field}}]', data), '[]');
+    assert.equal(Expression.render('[{{ (( }}]', data), '[]');
+    assert.ok(Expression.validate('{{ (( }}'));
+    assert.equal(Expression.validate('{{title | upper}}'), null);
+});
+
+test('fields lists the top-level data a template reads', () => {
+    assert.deepEqual(Expression.getFields('{{person.name}} {{#if isLive}}{{title | upper}}{{/if}}'), ['person', 'isLive', 'title']);
+});
+
+test('dates format in the given time zone', () => {
+    assert.equal(Expression.formatDate(Date.UTC(2024, 0, 2, 13, 5, 9), 'YYYY-MM-DD HH:mm:ss', 'UTC'), '2024-01-02 13:05:09');
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ZipArchive } from '../src/services/ZipArchive.js';
+
+// Local file header field: compression method of the first entry
+const firstEntryMethod = buffer => new DataView(buffer).getUint16(8, true);
+
+async function roundTrip(archive) {
+    const buffer = await (await archive.toBlob()).arrayBuffer();
+    return { buffer, archive: await ZipArchive.fromArrayBuffer(buffer) };
+}
+
+test('stored entries survive a round trip', async () => {
+    const archive = new ZipArchive();
+    archive.addFile('graphic/graphic.ograf.json', '{"id":"graphic"}', { compress: false });
+    archive.addFile('graphic/assets/logo.png', new Uint8Array([137, 80, 78, 71, 0, 255]), { compress: false });
+
+    const { buffer, archive: read } = await roundTrip(archive);
+    assert.equal(firstEntryMethod(buffer), 0);
+    assert.ok(ZipArchive.isZip(buffer));
+    assert.deepEqual(read.getFileNames(), ['graphic/graphic.ograf.json', 'graphic/assets/logo.png']);
+    assert.equal(await read.getText('graphic/graphic.ograf.json'), '{"id":"graphic"}');
+    assert.deepEqual(Array.from(await read.getBytes('graphic/assets/logo.png')), [137, 80, 78, 71, 0, 255]);
+});
+
+test('deflated entries survive a round trip', { skip: !ZipArchive.supportsCompression() }, async () => {
+    const text = 'export default class Graphic extends HTMLElement {}\n'.repeat(50);
+    const archive = new ZipArchive();
+    archive.addFile('graphic.mjs', text);
+
+    const { buffer, archive: read } = await roundTrip(archive);
+    assert.equal(firstEntryMethod(buffer), 8);
+    assert.ok(buffer.byteLength < text.length);
+    assert.equal(await read.getText('graphic.mjs'), text);
+});
+
+test('paths are normalized and names keep UTF-8', async () => {
+    const archive = new ZipArchive();
+    archive.addFile('./fonts\\Søren.woff2', 'x');
+    assert.ok(archive.hasFile('fonts/Søren.woff2'));
+
+    const { archive: read } = await roundTrip(archive);
+    assert.deepEqual(read.getFileNames(), ['fonts/Søren.woff2']);
+});
+
+test('crc32 matches the standard check value', () => {
+    assert.equal(ZipArchive.crc32(new TextEncoder().encode('123456789')), 0xcbf43926);
+});
+
+test('other files are not taken for ZIP archives', async () => {
+    assert.equal(ZipArchive.isZip(new TextEncoder().encode('{"id":"x"}').buffer), false);
+    await assert.rejects(ZipArchive.fromArrayBuffer(new ArrayBuffer(4)));
+});